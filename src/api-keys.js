@@ -0,0 +1,86 @@
+/**
+ * API key management from the command line
+ *
+ * Use this to create the first admin key (or when no admin key is at hand);
+ * after that the /admin/keys endpoints do the same over HTTP. The running
+ * server picks up changes to the keys file without a restart.
+ *
+ * Usage:
+ *   node src/api-keys.js list
+ *   node src/api-keys.js create <name> <scope,scope,...> [expiresInDays]
+ *   node src/api-keys.js rotate <id> [graceMinutes]
+ *   node src/api-keys.js revoke <id>
+ *
+ * Scopes: tasks:read, tasks:write, sync:webhook, metrics, admin
+ */
+
+import dotenv from 'dotenv';
+import { API_KEY_SCOPES, createApiKeyStore, resolveExpiry } from './services/apiKeyStore.js';
+
+dotenv.config();
+
+const [command, ...args] = process.argv.slice(2);
+const store = createApiKeyStore();
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function printKey(key, record) {
+  console.log(`✅ ${record.name} (${record.id}) - scopes: ${record.scopes.join(', ')}`);
+  if (record.expiresAt) console.log(`   Expires: ${record.expiresAt}`);
+  console.log('');
+  console.log(`   ${key}`);
+  console.log('');
+  console.log('   Store it now; it is not shown again. Send it as the X-Assistant-Key header.');
+}
+
+switch (command) {
+  case 'list': {
+    const keys = store.list();
+    if (!keys.length) console.log('No API keys. Create one with: node src/api-keys.js create <name> admin');
+    for (const key of keys) {
+      console.log(`${key.id}\t${key.name}\t${key.status}\t${key.scopes.join(',')}\t${key.expiresAt || '-'}\t${key.lastUsedAt || '-'}`);
+    }
+    break;
+  }
+
+  case 'create': {
+    const [name, scopeList, days] = args;
+    if (!name || !scopeList) fail('Usage: node src/api-keys.js create <name> <scope,scope,...> [expiresInDays]');
+    const scopes = scopeList.split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+    if (unknown.length) fail(`Unknown scopes: ${unknown.join(', ')} (allowed: ${API_KEY_SCOPES.join(', ')})`);
+    const expiry = resolveExpiry({ expiresInDays: days ? Number(days) : undefined });
+    try {
+      const { key, record } = store.create({ name, scopes, expiresAt: expiry.expiresAt || null });
+      printKey(key, record);
+    } catch (error) {
+      fail(error.message);
+    }
+    break;
+  }
+
+  case 'rotate': {
+    const [id, grace] = args;
+    if (!id) fail('Usage: node src/api-keys.js rotate <id> [graceMinutes]');
+    const rotated = store.rotate(id, { graceMinutes: grace ? Number(grace) : 0 });
+    if (!rotated) fail(`No active key ${id}`);
+    printKey(rotated.key, rotated.record);
+    break;
+  }
+
+  case 'revoke': {
+    const [id] = args;
+    if (!id) fail('Usage: node src/api-keys.js revoke <id>');
+    const record = store.revoke(id);
+    if (!record) fail(`No key ${id}`);
+    console.log(`✅ Revoked ${record.name} (${record.id})`);
+    break;
+  }
+
+  default:
+    console.log('Usage: node src/api-keys.js list | create <name> <scopes> [expiresInDays] | rotate <id> [graceMinutes] | revoke <id>');
+    process.exit(command ? 1 : 0);
+}
@@ -0,0 +1,164 @@
+/**
+ * Category → Microsoft To Do list mapping.
+ *
+ * A category is the short name callers send ("work", "personal", "errands");
+ * the backend maps it to a To Do list by display name. Sources, first match wins:
+ *
+ * 1. CATEGORY_CONFIG_PATH - JSON file:
+ *      { "defaultCategory": "personal", "categories": { "work": "Work", "personal": "Tasks" } }
+ * 2. CATEGORY_LIST_MAP - env string: "work=Work,personal=Tasks,errands=Errands"
+ * 3. Built-in default: work → Work, personal → Tasks
+ *
+ * DEFAULT_CATEGORY overrides the default from either source. The mapping is
+ * validated when this module loads, so a bad config stops the server at startup.
+ */
+
+import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+
+dotenv.config();
+
+const BUILT_IN_CATEGORIES = {
+  work: 'Work',
+  personal: 'Tasks' // Default Tasks list
+};
+const BUILT_IN_DEFAULT = 'personal';
+
+const CATEGORY_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const MAX_LIST_NAME_LENGTH = 255;
+
+function parseEnvMap(raw) {
+  const categories = {};
+  for (const pair of raw.split(',')) {
+    if (!pair.trim()) continue;
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      throw new Error(`CATEGORY_LIST_MAP entry "${pair.trim()}" must look like category=List Name`);
+    }
+    categories[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  }
+  return categories;
+}
+
+function readConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read category config ${filePath}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed.categories !== 'object' || Array.isArray(parsed.categories)) {
+    throw new Error(`Category config ${filePath} must have a "categories" object`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate a category map.
+ * @param {Object<string, string>} categories - category → list display name
+ * @param {string} defaultCategory
+ * @returns {string[]} errors
+ */
+export function validateCategoryConfig(categories, defaultCategory) {
+  const errors = [];
+  const entries = Object.entries(categories || {});
+
+  if (!entries.length) {
+    errors.push('at least one category must be configured');
+  }
+
+  const seenLists = new Map();
+  for (const [category, listName] of entries) {
+    if (!CATEGORY_NAME_PATTERN.test(category)) {
+      errors.push(`category "${category}" must be lowercase letters, digits, - or _ (max 32 characters)`);
+    }
+    if (typeof listName !== 'string' || !listName.trim()) {
+      errors.push(`category "${category}" must map to a non-empty list name`);
+      continue;
+    }
+    if (listName.length > MAX_LIST_NAME_LENGTH) {
+      errors.push(`list name for "${category}" must be ${MAX_LIST_NAME_LENGTH} characters or less`);
+    }
+    const key = listName.trim().toLowerCase();
+    if (seenLists.has(key)) {
+      errors.push(`categories "${seenLists.get(key)}" and "${category}" map to the same list "${listName}"`);
+    } else {
+      seenLists.set(key, category);
+    }
+  }
+
+  if (entries.length && !Object.hasOwn(categories, defaultCategory)) {
+    errors.push(`default category "${defaultCategory}" is not one of: ${Object.keys(categories).join(', ')}`);
+  }
+
+  return errors;
+}
+
+function loadCategoryConfig() {
+  let categories = BUILT_IN_CATEGORIES;
+  let defaultCategory = BUILT_IN_DEFAULT;
+  let source = 'default';
+
+  if (process.env.CATEGORY_CONFIG_PATH) {
+    const file = readConfigFile(process.env.CATEGORY_CONFIG_PATH);
+    categories = file.categories;
+    defaultCategory = file.defaultCategory || defaultCategory;
+    source = process.env.CATEGORY_CONFIG_PATH;
+  } else if (process.env.CATEGORY_LIST_MAP) {
+    categories = parseEnvMap(process.env.CATEGORY_LIST_MAP);
+    source = 'CATEGORY_LIST_MAP';
+  }
+
+  if (process.env.DEFAULT_CATEGORY) {
+    defaultCategory = process.env.DEFAULT_CATEGORY.trim();
+  }
+
+  const trimmed = {};
+  for (const [category, listName] of Object.entries(categories)) {
+    trimmed[category.trim()] = typeof listName === 'string' ? listName.trim() : listName;
+  }
+
+  const errors = validateCategoryConfig(trimmed, defaultCategory);
+  if (errors.length) {
+    throw new Error(`Invalid category configuration (${source}): ${errors.join('; ')}`);
+  }
+
+  return { categories: Object.freeze(trimmed), defaultCategory, source };
+}
+
+const config = loadCategoryConfig();
+
+/** Category → To Do list display name. */
+export const CATEGORY_LIST_MAP = config.categories;
+
+/** Allowed category values, in configured order. */
+export const CATEGORY_VALUES = Object.freeze(Object.keys(config.categories));
+
+/** Category used when a request doesn't specify one. */
+export const DEFAULT_CATEGORY = config.defaultCategory;
+
+/**
+ * @param {string} [category] - defaults to DEFAULT_CATEGORY
+ * @returns {string|null} list display name, or null for an unknown category
+ */
+export function getListNameForCategory(category = DEFAULT_CATEGORY) {
+  return Object.hasOwn(CATEGORY_LIST_MAP, category) ? CATEGORY_LIST_MAP[category] : null;
+}
+
+/**
+ * @param {string} listName - To Do list display name
+ * @returns {string|null} category mapped to the list, if any
+ */
+export function getCategoryForList(listName) {
+  const key = String(listName || '').toLowerCase();
+  const match = Object.entries(CATEGORY_LIST_MAP).find(([, name]) => name.toLowerCase() === key);
+  return match ? match[0] : null;
+}
+
+export function getCategoryConfigInfo() {
+  return {
+    source: config.source,
+    defaultCategory: DEFAULT_CATEGORY,
+    categories: { ...CATEGORY_LIST_MAP }
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Scheduled jobs and their notifiers (SCHEDULE_CONFIG_PATH).
+ *
+ *   {
+ *     "timeZone": "America/Chicago",
+ *     "notifiers": {
+ *       "phone": { "type": "ntfy", "topic": "my-tasks", "token": "env:NTFY_TOKEN" },
+ *       "shortcut": { "type": "apple-webhook" }
+ *     },
+ *     "jobs": [
+ *       { "name": "morning-digest", "type": "digest", "cron": "0 8 * * *", "notify": ["phone"] },
+ *       { "name": "due-soon", "type": "due-soon", "cron": "*\/5 * * * *", "withinMinutes": 30, "notify": ["phone", "shortcut"] }
+ *     ]
+ *   }
+ *
+ * Notifier string values of the form "env:NAME" are read from the environment,
+ * so the file can stay free of secrets. The file is validated when loaded; a
+ * bad file stops the server at startup. No file means no scheduler.
+ */
+
+import { readFileSync } from 'fs';
+import { CATEGORY_VALUES } from './categories.js';
+import { validateNotifierConfig } from '../services/notifiers.js';
+import { validateCron } from '../utils/cron.js';
+import { isValidTimeZone } from '../utils/timeZone.js';
+
+export const JOB_TYPES = ['digest', 'due-soon'];
+
+const JOB_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,63}$/;
+
+function resolveEnvReferences(config) {
+  const resolved = {};
+  for (const [key, value] of Object.entries(config || {})) {
+    if (typeof value === 'string' && value.startsWith('env:')) {
+      resolved[key] = process.env[value.slice(4)] || null;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      resolved[key] = resolveEnvReferences(value);
+    } else {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function validateJob(job, notifierNames) {
+  if (!job || typeof job !== 'object') {
+    return ['each job must be an object'];
+  }
+  const label = `job "${job.name}"`;
+  const errors = [];
+
+  if (!JOB_NAME_PATTERN.test(String(job.name || ''))) {
+    errors.push(`job name "${job.name}" must be lowercase letters, digits, - or _ (max 64 characters)`);
+  }
+  if (job.enabled !== undefined && typeof job.enabled !== 'boolean') {
+    errors.push(`${label} enabled must be a boolean`);
+  }
+  if (!JOB_TYPES.includes(job.type)) {
+    errors.push(`${label} type must be one of: ${JOB_TYPES.join(', ')}`);
+  }
+  const cronError = validateCron(job.cron);
+  if (cronError) {
+    errors.push(`${label} cron: ${cronError}`);
+  }
+  if (job.timeZone !== undefined && !isValidTimeZone(job.timeZone)) {
+    errors.push(`${label} timeZone "${job.timeZone}" is not a valid IANA time zone`);
+  }
+  if (!Array.isArray(job.notify) || !job.notify.length) {
+    errors.push(`${label} notify must list at least one notifier`);
+  } else {
+    for (const name of job.notify) {
+      if (!notifierNames.includes(name)) errors.push(`${label} notifies unknown notifier "${name}"`);
+    }
+  }
+  if (job.category !== undefined && !CATEGORY_VALUES.includes(job.category)) {
+    errors.push(`${label} category must be one of: ${CATEGORY_VALUES.join(', ')}`);
+  }
+  if (job.days !== undefined && !isIntegerBetween(job.days, 1, 31)) {
+    errors.push(`${label} days must be an integer between 1 and 31`);
+  }
+  if (job.completedDays !== undefined && !isIntegerBetween(job.completedDays, 0, 30)) {
+    errors.push(`${label} completedDays must be an integer between 0 and 30`);
+  }
+  if (job.withinMinutes !== undefined && !isIntegerBetween(job.withinMinutes, 1, 1440)) {
+    errors.push(`${label} withinMinutes must be an integer between 1 and 1440`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a schedule config (after env: references are resolved).
+ * @param {Object} config
+ * @returns {string[]} errors
+ */
+export function validateScheduleConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') {
+    return ['config must be an object'];
+  }
+  if (config.timeZone !== undefined && !isValidTimeZone(config.timeZone)) {
+    errors.push(`timeZone "${config.timeZone}" is not a valid IANA time zone`);
+  }
+
+  const notifiers = config.notifiers;
+  if (!notifiers || typeof notifiers !== 'object' || Array.isArray(notifiers)) {
+    errors.push('"notifiers" must be an object');
+  } else {
+    for (const [name, notifier] of Object.entries(notifiers)) {
+      errors.push(...validateNotifierConfig(name, notifier));
+    }
+  }
+
+  if (!Array.isArray(config.jobs)) {
+    errors.push('"jobs" must be an array');
+  } else {
+    const notifierNames = Object.keys(notifiers || {});
+    const seen = new Set();
+    for (const job of config.jobs) {
+      errors.push(...validateJob(job, notifierNames));
+      if (job?.name && seen.has(job.name)) errors.push(`job name "${job.name}" is used twice`);
+      seen.add(job?.name);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read and validate the schedule config.
+ * @param {string} [filePath] - defaults to SCHEDULE_CONFIG_PATH
+ * @returns {{source: string, timeZone: string|null, notifiers: Object, jobs: Array}|null} null when not configured
+ * @throws {Error} when the file is unreadable or invalid
+ */
+export function loadScheduleConfig(filePath = process.env.SCHEDULE_CONFIG_PATH) {
+  if (!filePath) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read schedule config ${filePath}: ${error.message}`);
+  }
+
+  const notifiers = parsed?.notifiers;
+  const config = {
+    ...parsed,
+    notifiers: notifiers && typeof notifiers === 'object' && !Array.isArray(notifiers)
+      ? Object.fromEntries(Object.entries(notifiers).map(([name, notifier]) => [name, resolveEnvReferences(notifier)]))
+      : notifiers
+  };
+
+  const errors = validateScheduleConfig(config);
+  if (errors.length) {
+    throw new Error(`Invalid schedule configuration (${filePath}): ${errors.join('; ')}`);
+  }
+
+  return {
+    source: filePath,
+    timeZone: config.timeZone || null,
+    notifiers: config.notifiers,
+    jobs: config.jobs.map(job => ({ enabled: true, ...job }))
+  };
+}
@@ -0,0 +1,1885 @@
+/**
+ * Shared API schema definitions.
+ *
+ * Single source of truth for:
+ * - request validation in server.js (via src/utils/schemaValidation.js)
+ * - the OpenAPI 3.1 document served at /openapi.json and /openapi.yaml
+ *
+ * When a route's contract changes, change it here. The published spec and the
+ * server-side checks are both derived from these objects.
+ */
+
+import { CATEGORY_LIST_MAP, CATEGORY_VALUES, DEFAULT_CATEGORY } from '../config/categories.js';
+import { DAYS_OF_WEEK, RECURRENCE_FREQUENCIES, WEEK_INDEXES } from '../services/recurrence.js';
+import { API_KEY_SCOPES } from '../services/apiKeyStore.js';
+import { TASK_SORT_FIELDS } from '../services/taskListQuery.js';
+
+export { CATEGORY_VALUES, DEFAULT_CATEGORY };
+
+export const IMPORTANCE_VALUES = ['low', 'normal', 'high'];
+export const TASK_STATUS_VALUES = ['notStarted', 'inProgress', 'completed', 'waitingOnOthers', 'deferred'];
+
+export const MAX_TITLE_LENGTH = 500;
+export const MAX_STEP_LENGTH = 255;
+export const MAX_STEPS = 100;
+export const MAX_BATCH_TASKS = 100;
+export const MAX_CAPTURE_TEXT_LENGTH = 2000;
+
+const stepText = {
+  type: 'string',
+  minLength: 1,
+  maxLength: MAX_STEP_LENGTH
+};
+
+// --- Request schemas -------------------------------------------------------
+
+export const RecurrenceSpec = {
+  type: 'object',
+  description:
+    'Repeat the task. The due date is the first occurrence. Weekly defaults to the due date\'s ' +
+    'weekday; monthly/yearly default to its day (and month). Set endDate or occurrences, or neither for no end.',
+  required: ['frequency'],
+  properties: {
+    frequency: { type: 'string', enum: RECURRENCE_FREQUENCIES, description: 'How often the task repeats.' },
+    interval: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 99,
+      default: 1,
+      description: 'Repeat every N days/weeks/months/years.'
+    },
+    daysOfWeek: {
+      type: 'array',
+      maxItems: 7,
+      items: { type: 'string', enum: DAYS_OF_WEEK },
+      description: 'Weekly only: the days it repeats on.',
+      example: ['tuesday']
+    },
+    dayOfMonth: { type: 'integer', minimum: 1, maximum: 31, description: 'Monthly/yearly only.' },
+    month: { type: 'integer', minimum: 1, maximum: 12, description: 'Yearly only.' },
+    endDate: { type: 'string', format: 'date', description: 'Last date an occurrence may fall on.' },
+    occurrences: { type: 'integer', minimum: 1, maximum: 999, description: 'Stop after this many occurrences.' }
+  }
+};
+
+export const PromoteTaskRequest = {
+  type: 'object',
+  description:
+    'A request to promote a task into Microsoft To Do. Provide a clear title and, optionally, ' +
+    'notes, importance, a due date or due date-time, a reminder, category and an external identifier for correlation.',
+  required: ['title'],
+  properties: {
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: MAX_TITLE_LENGTH,
+      description: 'Short, human-readable task title.',
+      example: 'Review Campaign Monitor vs Constant Contact'
+    },
+    notes: {
+      type: 'string',
+      description: 'Optional detailed notes or context for the task.',
+      example: 'Check pricing, template editor, and survey/poll features.'
+    },
+    importance: {
+      type: 'string',
+      enum: IMPORTANCE_VALUES,
+      default: 'normal',
+      description: 'Importance level for the task.'
+    },
+    category: {
+      type: 'string',
+      enum: CATEGORY_VALUES,
+      default: DEFAULT_CATEGORY,
+      description:
+        'Logical category. The backend maps this to a To Do list (' +
+        Object.entries(CATEGORY_LIST_MAP).map(([category, list]) => `${category} → ${list}`).join(', ') +
+        '). GET /lists shows every list and its category.'
+    },
+    dueDate: {
+      type: 'string',
+      format: 'date',
+      description: 'Optional due date (YYYY-MM-DD, no time). Use dueDateTime instead for a specific time.',
+      example: '2025-12-01'
+    },
+    dueDateTime: {
+      type: 'string',
+      format: 'date-time',
+      description:
+        'Optional due date and time. Without an offset it is wall-clock time in timeZone ' +
+        '(e.g. 2025-12-01T09:00); with Z or an offset it is converted into timeZone.',
+      example: '2025-12-01T09:00:00'
+    },
+    reminderDateTime: {
+      type: 'string',
+      format: 'date-time',
+      description: 'Optional reminder time, same format as dueDateTime.',
+      example: '2025-12-01T08:30:00'
+    },
+    isReminderOn: {
+      type: 'boolean',
+      description: 'Defaults to true when reminderDateTime is set.'
+    },
+    timeZone: {
+      type: 'string',
+      format: 'time-zone',
+      description: 'IANA time zone for dueDateTime and reminderDateTime. Defaults to the server\'s DEFAULT_TIME_ZONE.',
+      example: 'America/Chicago'
+    },
+    recurrence: RecurrenceSpec,
+    steps: {
+      type: 'array',
+      maxItems: MAX_STEPS,
+      items: stepText,
+      description: 'Optional checklist of steps, added to the task in order.',
+      example: ['Compare pricing', 'Try the template editor', 'Write up a recommendation']
+    },
+    source: {
+      type: 'string',
+      description: 'Optional label indicating the calling system or assistant.',
+      example: 'chatgpt-task-inbox'
+    },
+    externalId: {
+      type: 'string',
+      description: 'Optional ID used by the caller to correlate this task with its own records.',
+      example: 'task-3'
+    }
+  }
+};
+
+export const PromoteTasksRequest = {
+  type: 'object',
+  description:
+    'Several tasks to promote at once (e.g. action items from meeting notes). Each item is a ' +
+    'PromoteTaskRequest and is validated on its own; invalid items are reported, the rest are created.',
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_BATCH_TASKS,
+      items: { $ref: '#/components/schemas/PromoteTaskRequest' },
+      description: `Up to ${MAX_BATCH_TASKS} tasks, sent to Graph in batches of 20.`
+    }
+  }
+};
+
+export const CaptureRequest = {
+  type: 'object',
+  description: 'Free text to turn into a task, e.g. "call the dentist next Tuesday, high priority, personal".',
+  required: ['text'],
+  properties: {
+    text: {
+      type: 'string',
+      minLength: 1,
+      maxLength: MAX_CAPTURE_TEXT_LENGTH,
+      description: 'What to do, in plain language. Dates, priority and category are picked out of it.',
+      example: 'call the dentist next Tuesday, high priority, personal'
+    },
+    preview: {
+      type: 'boolean',
+      default: false,
+      description: 'Only return the extracted task; do not create it.'
+    },
+    source: {
+      type: 'string',
+      description: 'Optional label indicating the calling system (default "capture").'
+    }
+  }
+};
+
+export const CompleteTaskRequest = {
+  type: 'object',
+  description: 'Request to mark a task complete.',
+  required: ['microsoftTaskId'],
+  properties: {
+    microsoftTaskId: {
+      type: 'string',
+      description: 'ID of the task to complete in Microsoft To Do.',
+      example: 'AAMkAGI2TAAA='
+    },
+    category: {
+      type: 'string',
+      enum: CATEGORY_VALUES,
+      default: DEFAULT_CATEGORY,
+      description: 'Category (list) the task lives in.'
+    }
+  }
+};
+
+export const AddStepRequest = {
+  type: 'object',
+  description: 'A step (checklist item) to add to a task.',
+  required: ['displayName'],
+  properties: {
+    displayName: { ...stepText, description: 'Step text.', example: 'Compare pricing' },
+    isChecked: { type: 'boolean', default: false, description: 'Add the step already checked off.' }
+  }
+};
+
+export const UpdateStepRequest = {
+  type: 'object',
+  description: 'Changes to a step. isChecked=true checks it off.',
+  minProperties: 1,
+  properties: {
+    displayName: { ...stepText, description: 'New step text.' },
+    isChecked: { type: 'boolean', description: 'Whether the step is done.' }
+  }
+};
+
+export const UpdateTaskRequest = {
+  type: 'object',
+  description:
+    'Fields to change on an existing task. Send only what changes; null clears notes or dueDate. ' +
+    'A category different from the one the task is in moves it to that list (it gets a new ID).',
+  minProperties: 1,
+  properties: {
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: MAX_TITLE_LENGTH,
+      description: 'New task title.'
+    },
+    notes: {
+      type: ['string', 'null'],
+      description: 'New notes, or null to clear them.'
+    },
+    importance: {
+      type: 'string',
+      enum: IMPORTANCE_VALUES,
+      description: 'New importance level.'
+    },
+    dueDate: {
+      type: ['string', 'null'],
+      format: 'date',
+      description: 'New due date (YYYY-MM-DD), or null to clear it.',
+      example: '2025-12-05'
+    },
+    status: {
+      type: 'string',
+      enum: TASK_STATUS_VALUES,
+      description: 'New status. Use notStarted to reopen a completed task.'
+    },
+    category: {
+      type: 'string',
+      enum: CATEGORY_VALUES,
+      description: 'Target category. Moves the task when it differs from the ?category= it lives in.'
+    }
+  }
+};
+
+export const CreateListRequest = {
+  type: 'object',
+  description: 'A new Microsoft To Do list.',
+  required: ['displayName'],
+  properties: {
+    displayName: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 255,
+      description: 'Name of the list.',
+      example: 'Errands'
+    }
+  }
+};
+
+export const PowerAutomateTodoPayload = {
+  type: 'object',
+  description:
+    'Inbound To Do task from Power Automate. Several field name variants are accepted ' +
+    '(e.g. taskId/Id, Title/subject, body.content); the shape below is the recommended one.',
+  additionalProperties: true,
+  properties: {
+    id: { type: 'string', description: 'Microsoft To Do task ID.', example: 'AAMk...' },
+    title: { type: 'string', description: 'Task title.', example: 'Print pictures – test sync.' },
+    notes: { type: 'string', description: 'Optional notes.' },
+    categories: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'To Do categories. Only tasks tagged Personal are relayed.',
+      example: ['Personal']
+    },
+    status: { type: 'string', enum: TASK_STATUS_VALUES, description: 'To Do status; "completed" relays a complete action.' },
+    lastModifiedDateTime: { type: 'string', format: 'date-time', description: 'Used in the idempotency key.' },
+    dueDate: { type: 'string', format: 'date', description: 'Due date (YYYY-MM-DD).' },
+    dueDateTime: {
+      description: 'Alternative to dueDate: an ISO string or a Graph dateTimeTimeZone object.',
+      oneOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          properties: {
+            dateTime: { type: 'string' },
+            timeZone: { type: 'string' }
+          }
+        }
+      ]
+    }
+  }
+};
+
+// --- Request parameters ----------------------------------------------------
+
+export const ListTasksParameters = [
+  {
+    name: 'category',
+    in: 'query',
+    required: false,
+    description: 'Category (list) to read from.',
+    schema: { type: 'string', enum: CATEGORY_VALUES, default: DEFAULT_CATEGORY }
+  },
+  {
+    name: 'top',
+    in: 'query',
+    required: false,
+    description: 'Maximum number of tasks to return.',
+    schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+  },
+  {
+    name: 'includeCompleted',
+    in: 'query',
+    required: false,
+    description: 'Whether to include completed tasks (ignored when status is given).',
+    schema: { type: 'boolean', default: false }
+  },
+  {
+    name: 'expandSteps',
+    in: 'query',
+    required: false,
+    description: 'Whether to include each task\'s steps (checklist items).',
+    schema: { type: 'boolean', default: false }
+  },
+  {
+    name: 'timeZone',
+    in: 'query',
+    required: false,
+    description: 'IANA time zone to express dueDateTime and reminderDateTime in, and to read dueBefore/dueAfter in. Defaults to the server\'s DEFAULT_TIME_ZONE.',
+    schema: { type: 'string', format: 'time-zone' }
+  },
+  {
+    name: 'status',
+    in: 'query',
+    required: false,
+    description: 'Only tasks with one of these statuses (comma-separated).',
+    style: 'form',
+    explode: false,
+    schema: { type: 'array', items: { type: 'string', enum: TASK_STATUS_VALUES }, minItems: 1 }
+  },
+  {
+    name: 'importance',
+    in: 'query',
+    required: false,
+    description: 'Only tasks with one of these importances (comma-separated).',
+    style: 'form',
+    explode: false,
+    schema: { type: 'array', items: { type: 'string', enum: IMPORTANCE_VALUES }, minItems: 1 }
+  },
+  {
+    name: 'dueBefore',
+    in: 'query',
+    required: false,
+    description: 'Only tasks due strictly before this date (in timeZone).',
+    schema: { type: 'string', format: 'date' }
+  },
+  {
+    name: 'dueAfter',
+    in: 'query',
+    required: false,
+    description: 'Only tasks due strictly after this date (in timeZone).',
+    schema: { type: 'string', format: 'date' }
+  },
+  {
+    name: 'hasDueDate',
+    in: 'query',
+    required: false,
+    description: 'Only tasks with (true) or without (false) a due date.',
+    schema: { type: 'boolean' }
+  },
+  {
+    name: 'contains',
+    in: 'query',
+    required: false,
+    description: 'Only tasks whose title or notes contain this text (case-insensitive).',
+    schema: { type: 'string', minLength: 1, maxLength: 200 }
+  },
+  {
+    name: 'sort',
+    in: 'query',
+    required: false,
+    description: 'Field to sort by. Tasks without a due date sort as Graph orders them.',
+    schema: { type: 'string', enum: TASK_SORT_FIELDS, default: 'createdDateTime' }
+  },
+  {
+    name: 'order',
+    in: 'query',
+    required: false,
+    description: 'Sort direction. Defaults to desc for createdDateTime and importance (newest, most important first), asc for dueDateTime.',
+    schema: { type: 'string', enum: ['asc', 'desc'] }
+  },
+  {
+    name: 'cursor',
+    in: 'query',
+    required: false,
+    description: 'nextCursor from the previous page. Send the same filters and sort with it; top may change.',
+    schema: { type: 'string', maxLength: 4096 }
+  }
+];
+
+export const DigestParameters = [
+  {
+    name: 'category',
+    in: 'query',
+    required: false,
+    description: 'Limit the digest to one category. Defaults to every configured category.',
+    schema: { type: 'string', enum: CATEGORY_VALUES }
+  },
+  {
+    name: 'days',
+    in: 'query',
+    required: false,
+    description: 'Length of the "due this week" window in days, counting today.',
+    schema: { type: 'integer', minimum: 1, maximum: 31, default: 7 }
+  },
+  {
+    name: 'completedDays',
+    in: 'query',
+    required: false,
+    description: 'How many days back "recently completed" goes (0 = today only).',
+    schema: { type: 'integer', minimum: 0, maximum: 30, default: 1 }
+  },
+  {
+    name: 'timeZone',
+    in: 'query',
+    required: false,
+    description: 'IANA time zone that decides what "today" is. Defaults to the server\'s DEFAULT_TIME_ZONE.',
+    schema: { type: 'string', format: 'time-zone' }
+  },
+  {
+    name: 'format',
+    in: 'query',
+    required: false,
+    description: 'json (sections plus a `markdown` field) or markdown (text/markdown body only).',
+    schema: { type: 'string', enum: ['json', 'markdown'], default: 'json' }
+  }
+];
+
+export const TaskPathParameters = [
+  {
+    name: 'microsoftTaskId',
+    in: 'path',
+    required: true,
+    description: 'ID of the task in Microsoft To Do.',
+    schema: { type: 'string', minLength: 1 }
+  },
+  {
+    name: 'category',
+    in: 'query',
+    required: false,
+    description: 'Category (list) the task currently lives in.',
+    schema: { type: 'string', enum: CATEGORY_VALUES, default: DEFAULT_CATEGORY }
+  }
+];
+
+export const StepPathParameters = [
+  TaskPathParameters[0],
+  {
+    name: 'stepId',
+    in: 'path',
+    required: true,
+    description: 'ID of the step (checklist item).',
+    schema: { type: 'string', minLength: 1 }
+  },
+  TaskPathParameters[1]
+];
+
+export const IdempotencyKeyParameter = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description:
+    'Unique key for this request (e.g. a UUID). A retry with the same key returns the original ' +
+    'response instead of creating another task. Without it, externalId (scoped by source) is used.',
+  schema: { type: 'string', minLength: 1, maxLength: 255 }
+};
+
+export const ForceParameter = {
+  name: 'force',
+  in: 'query',
+  required: false,
+  description: 'Bypass the idempotency check and relay again.',
+  schema: { type: 'boolean', default: false }
+};
+
+export const WebhookSignatureParameters = [
+  {
+    name: 'X-Webhook-Timestamp',
+    in: 'header',
+    required: false,
+    description: 'Unix time in seconds when the request was signed. Required when WEBHOOK_SIGNING_SECRET is set.',
+    schema: { type: 'string', pattern: '^\\d+$' }
+  },
+  {
+    name: 'X-Webhook-Signature',
+    in: 'header',
+    required: false,
+    description:
+      '"sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>" with WEBHOOK_SIGNING_SECRET. ' +
+      'Required when that secret is set; each signature is accepted once.',
+    schema: { type: 'string', pattern: '^sha256=[0-9a-fA-F]{64}$' }
+  }
+];
+
+export const CalendarFeedParameters = [
+  {
+    name: 'category',
+    in: 'path',
+    required: true,
+    description: 'Category whose synced tasks are rendered.',
+    schema: { type: 'string', enum: CATEGORY_VALUES }
+  }
+];
+
+// --- Response schemas ------------------------------------------------------
+
+export const ErrorResponse = {
+  type: 'object',
+  description: 'Error envelope returned by every route on failure.',
+  required: ['status', 'message'],
+  properties: {
+    status: { type: 'string', enum: ['error'] },
+    message: { type: 'string', description: 'Human-readable summary.' },
+    errors: { type: 'array', items: { type: 'string' }, description: 'Validation errors, when applicable.' },
+    error: { type: 'string', description: 'Underlying error detail, when applicable.' },
+    hint: { type: 'string', description: 'Suggested remediation.' },
+    requiredScope: { type: 'string', description: 'API key scope the route needs (403 only).' },
+    reason: { type: 'string', description: 'Why a webhook signature was rejected (401 only).' },
+    retryAfterSeconds: { type: 'integer', description: 'When to retry, same as the Retry-After header (429 and 503).' },
+    code: {
+      type: 'string',
+      description: 'Microsoft Graph failure type (not_found, throttled, unavailable, timeout, circuit_open, ...).'
+    },
+    requestId: { type: 'string' }
+  }
+};
+
+export const PromoteTaskResponse = {
+  type: 'object',
+  description: 'Result of promoting a task. "stubbed" means Graph is not configured on the server.',
+  required: ['status', 'requestId'],
+  properties: {
+    status: { type: 'string', enum: ['created', 'stubbed'] },
+    requestId: { type: 'string' },
+    microsoftTaskId: { type: 'string', description: 'ID of the created task.' },
+    list: { type: 'string', description: 'Display name of the To Do list the task was created in.' },
+    title: { type: 'string' },
+    importance: { type: 'string', enum: IMPORTANCE_VALUES },
+    dueDate: { type: ['string', 'null'], format: 'date' },
+    dueDateTime: { type: ['string', 'null'], description: 'Wall-clock due time in timeZone.' },
+    reminderDateTime: { type: ['string', 'null'], description: 'Wall-clock reminder time in timeZone.' },
+    isReminderOn: { type: 'boolean' },
+    timeZone: { type: 'string', description: 'IANA zone of dueDateTime and reminderDateTime.' },
+    createdDateTime: { type: 'string', format: 'date-time' },
+    recurrence: { type: ['object', 'null'], description: 'Recurrence as stored on the task (defaults filled in).' },
+    steps: { type: 'array', items: { $ref: '#/components/schemas/TaskStep' }, description: 'Steps that were added.' },
+    failedSteps: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Steps that could not be added (the task itself was created).'
+    },
+    message: { type: 'string', description: 'Present when stubbed.' },
+    hint: { type: 'string', description: 'Present when stubbed.' },
+    echo: { type: 'object', description: 'Normalized payload (present when stubbed).' }
+  }
+};
+
+export const PromoteTasksItemResult = {
+  type: 'object',
+  description: 'Outcome for one item of POST /promoteTasks. Created items carry the PromoteTaskResponse fields.',
+  required: ['index', 'status'],
+  properties: {
+    index: { type: 'integer', description: 'Position of the item in the request.' },
+    status: { type: 'string', enum: ['created', 'failed', 'invalid', 'stubbed'] },
+    microsoftTaskId: { type: 'string' },
+    list: { type: 'string' },
+    title: { type: 'string' },
+    errors: { type: 'array', items: { type: 'string' }, description: 'Validation errors (invalid).' },
+    error: { type: 'string', description: 'Graph error (failed).' },
+    httpStatus: { type: ['integer', 'null'], description: 'Graph status for the item (failed).' },
+    echo: { type: 'object', description: 'Normalized item (stubbed).' }
+  }
+};
+
+export const PromoteTasksResponse = {
+  type: 'object',
+  description:
+    'Per-item results in input order. "created" = every item created, "partial" = some were, ' +
+    '"failed" = none were, "stubbed" = Graph is not configured.',
+  required: ['status', 'requestId', 'summary', 'results'],
+  properties: {
+    status: { type: 'string', enum: ['created', 'partial', 'failed', 'stubbed'] },
+    requestId: { type: 'string' },
+    summary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        created: { type: 'integer' },
+        failed: { type: 'integer' },
+        invalid: { type: 'integer' }
+      }
+    },
+    results: { type: 'array', items: { $ref: '#/components/schemas/PromoteTasksItemResult' } }
+  }
+};
+
+export const CaptureResponse = {
+  type: 'object',
+  description:
+    'Result of natural-language capture. "preview" and "stubbed" return the extracted task in `task`; ' +
+    '"created" returns the PromoteTaskResponse fields of the new task.',
+  required: ['status', 'requestId', 'ai'],
+  properties: {
+    status: { type: 'string', enum: ['created', 'preview', 'stubbed'] },
+    requestId: { type: 'string' },
+    ai: {
+      type: 'object',
+      description: 'Extractor that read the text.',
+      properties: {
+        provider: { type: 'string', enum: ['openai', 'fake'] },
+        model: { type: 'string' }
+      }
+    },
+    task: { type: 'object', description: 'Normalized task that would be created (preview/stubbed).' },
+    microsoftTaskId: { type: 'string' },
+    list: { type: 'string' },
+    title: { type: 'string' },
+    importance: { type: 'string', enum: IMPORTANCE_VALUES },
+    dueDate: { type: ['string', 'null'], format: 'date' },
+    createdDateTime: { type: 'string', format: 'date-time' }
+  }
+};
+
+export const TaskStep = {
+  type: 'object',
+  description: 'A step (checklist item) on a task.',
+  properties: {
+    stepId: { type: 'string' },
+    displayName: { type: 'string' },
+    isChecked: { type: 'boolean' },
+    checkedDateTime: { type: ['string', 'null'], format: 'date-time' },
+    createdDateTime: { type: 'string', format: 'date-time' }
+  }
+};
+
+export const StepResponse = {
+  type: 'object',
+  required: ['status', 'requestId'],
+  properties: {
+    status: { type: 'string', enum: ['added', 'updated', 'deleted'] },
+    requestId: { type: 'string' },
+    microsoftTaskId: { type: 'string' },
+    step: { $ref: '#/components/schemas/TaskStep' },
+    stepId: { type: 'string', description: 'ID of the removed step (when deleted).' }
+  }
+};
+
+export const TaskItem = {
+  type: 'object',
+  description: 'A normalized Microsoft To Do task.',
+  properties: {
+    microsoftTaskId: { type: 'string' },
+    title: { type: 'string' },
+    importance: { type: 'string', enum: IMPORTANCE_VALUES },
+    status: { type: 'string', enum: TASK_STATUS_VALUES },
+    createdDateTime: { type: 'string', format: 'date-time' },
+    completedDateTime: { type: ['string', 'null'], description: 'Completion time as YYYY-MM-DDTHH:mm:ss in timeZone.' },
+    dueDate: {
+      type: ['string', 'null'],
+      format: 'date',
+      description: 'Due date in timeZone; a date-only due date is returned as stored.'
+    },
+    dueDateTime: {
+      type: ['string', 'null'],
+      description: 'Due time as YYYY-MM-DDTHH:mm:ss in timeZone; null for a date-only due date (midnight).'
+    },
+    reminderDateTime: { type: ['string', 'null'], description: 'Reminder time as YYYY-MM-DDTHH:mm:ss in timeZone.' },
+    isReminderOn: { type: 'boolean' },
+    timeZone: { type: 'string', description: 'IANA zone the times are expressed in (the ?timeZone= requested).' },
+    notes: { type: ['string', 'null'] },
+    listId: { type: 'string' },
+    listDisplayName: { type: 'string' },
+    recurrence: {
+      type: ['object', 'null'],
+      description: 'Recurrence in the same shape as PromoteTaskRequest.recurrence (relative patterns add weekIndex).',
+      properties: {
+        ...RecurrenceSpec.properties,
+        weekIndex: { type: 'string', enum: WEEK_INDEXES }
+      }
+    },
+    steps: {
+      type: 'array',
+      items: { $ref: '#/components/schemas/TaskStep' },
+      description: 'Present when steps were expanded.'
+    }
+  }
+};
+
+export const ListTasksResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'tasks'],
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    category: { type: 'string', enum: CATEGORY_VALUES },
+    timeZone: { type: 'string', description: 'IANA zone the task times are expressed in.' },
+    count: { type: 'integer' },
+    tasks: { type: 'array', items: { $ref: '#/components/schemas/TaskItem' } },
+    nextCursor: {
+      type: ['string', 'null'],
+      description: 'Pass as cursor to get the next page; null at the end of the list. A page may hold fewer than top tasks while more follow.'
+    }
+  }
+};
+
+export const DigestTask = {
+  type: 'object',
+  description: 'A TaskItem plus the category it was read from.',
+  properties: {
+    ...TaskItem.properties,
+    category: { type: 'string', enum: CATEGORY_VALUES }
+  }
+};
+
+const digestSection = description => ({
+  type: 'array',
+  description,
+  items: { $ref: '#/components/schemas/DigestTask' }
+});
+
+export const DigestResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'date', 'counts', 'sections', 'markdown'],
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    date: { type: 'string', format: 'date', description: 'Today in timeZone.' },
+    weekday: { type: 'string' },
+    timeZone: { type: 'string' },
+    dueThrough: { type: 'string', format: 'date', description: 'Last day of the "due this week" window.' },
+    completedSince: { type: 'string', format: 'date', description: 'First day counted as "recently completed".' },
+    categories: { type: 'array', items: { type: 'string', enum: CATEGORY_VALUES }, description: 'Categories read.' },
+    counts: {
+      type: 'object',
+      properties: {
+        overdue: { type: 'integer' },
+        dueToday: { type: 'integer' },
+        dueThisWeek: { type: 'integer' },
+        highNoDate: { type: 'integer' },
+        completed: { type: 'integer' }
+      }
+    },
+    sections: {
+      type: 'object',
+      properties: {
+        overdue: digestSection('Open tasks due before today, oldest first.'),
+        dueToday: digestSection('Open tasks due today, high importance first.'),
+        dueThisWeek: digestSection('Open tasks due after today, through dueThrough.'),
+        highNoDate: digestSection('Open high-importance tasks without a due date.'),
+        completed: digestSection('Tasks completed since completedSince, newest first.')
+      }
+    },
+    unavailable: {
+      type: 'array',
+      description: 'Categories whose list could not be read (the rest of the digest is still returned).',
+      items: {
+        type: 'object',
+        properties: { category: { type: 'string' }, error: { type: 'string' } }
+      }
+    },
+    truncated: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Categories with more tasks than were read (1000 per list).'
+    },
+    markdown: { type: 'string', description: 'The digest as a ready-to-read markdown summary.' }
+  }
+};
+
+export const CompleteTaskResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'microsoftTaskId'],
+  properties: {
+    status: { type: 'string', enum: ['completed'] },
+    requestId: { type: 'string' },
+    microsoftTaskId: { type: 'string' },
+    title: { type: 'string' },
+    list: { type: 'string' },
+    completedDateTime: { type: 'string' }
+  }
+};
+
+export const TodoList = {
+  type: 'object',
+  description: 'A Microsoft To Do list.',
+  properties: {
+    id: { type: 'string' },
+    displayName: { type: 'string' },
+    category: {
+      type: ['string', 'null'],
+      description: 'Category mapped to this list, or null if the list is not reachable by category.'
+    },
+    isOwner: { type: 'boolean' },
+    isShared: { type: 'boolean' },
+    wellknownListName: { type: 'string' }
+  }
+};
+
+export const ListListsResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'lists'],
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    count: { type: 'integer' },
+    defaultCategory: { type: 'string' },
+    lists: { type: 'array', items: { $ref: '#/components/schemas/TodoList' } }
+  }
+};
+
+export const CreateListResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'list'],
+  properties: {
+    status: { type: 'string', enum: ['created'] },
+    requestId: { type: 'string' },
+    list: { $ref: '#/components/schemas/TodoList' }
+  }
+};
+
+export const UpdateTaskResponse = {
+  type: 'object',
+  description: 'Result of editing a task. "moved" means it was re-created in another list under a new ID.',
+  required: ['status', 'requestId', 'task'],
+  properties: {
+    status: { type: 'string', enum: ['updated', 'moved'] },
+    requestId: { type: 'string' },
+    task: { $ref: '#/components/schemas/TaskItem' },
+    previousMicrosoftTaskId: { type: 'string', description: 'ID of the source task (when moved).' },
+    sourceDeleted: {
+      type: 'boolean',
+      description: 'False if the copy was created but the source task could not be deleted (when moved).'
+    }
+  }
+};
+
+export const DeleteTaskResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'microsoftTaskId'],
+  properties: {
+    status: { type: 'string', enum: ['deleted'] },
+    requestId: { type: 'string' },
+    microsoftTaskId: { type: 'string' },
+    list: { type: 'string' }
+  }
+};
+
+export const PowerAutomateTodoResponse = {
+  type: 'object',
+  description:
+    'Outcome of a webhook delivery. relayed = forwarded to the Apple destination; ' +
+    'duplicate_ignored = already processed; ignored = filtered (see reason); ' +
+    'accepted = relay not configured; queued = relay failed and will be retried.',
+  required: ['status', 'requestId'],
+  properties: {
+    status: { type: 'string', enum: ['relayed', 'duplicate_ignored', 'ignored', 'accepted', 'queued'] },
+    requestId: { type: 'string' },
+    reason: {
+      type: 'string',
+      description: 'Why the event was ignored or not forwarded (in_flight = a concurrent delivery is relaying it).'
+    },
+    idempotencyKey: { type: 'string' },
+    forwarded: { type: 'boolean' },
+    destination: { type: 'string', enum: ['webhook', 'caldav'], description: 'Where the event was relayed.' },
+    jobId: { type: 'string', description: 'Relay queue job ID (when queued).' },
+    attempts: { type: 'integer', description: 'Delivery attempts so far (when queued).' },
+    nextAttemptAt: { type: 'string', format: 'date-time', description: 'Next retry (when queued).' },
+    apple: {
+      type: 'object',
+      properties: {
+        httpStatus: { type: 'integer' },
+        responseText: { type: 'string' }
+      }
+    }
+  }
+};
+
+export const CalendarFeedsResponse = {
+  type: 'object',
+  description: 'Subscription URLs for each category feed (the token is embedded in the URL).',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    feeds: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: CATEGORY_VALUES },
+          url: { type: 'string', format: 'uri' },
+          webcalUrl: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+export const RelayJob = {
+  type: 'object',
+  description: 'A relay that failed and is waiting for retry or sits in the dead-letter list.',
+  properties: {
+    id: { type: 'string' },
+    idempotencyKey: { type: 'string' },
+    payload: { type: 'object', description: 'Apple event payload that will be relayed.' },
+    meta: { type: 'object' },
+    attempts: { type: 'integer' },
+    lastError: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' },
+    lastAttemptAt: { type: 'string', format: 'date-time' },
+    nextAttemptAt: { type: 'string', format: 'date-time' },
+    deadLetteredAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+export const DeadLetterResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    count: { type: 'integer' },
+    pendingCount: { type: 'integer', description: 'Jobs still being retried.' },
+    items: { type: 'array', items: { $ref: '#/components/schemas/RelayJob' } }
+  }
+};
+
+export const ReplayResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['relayed', 'queued'] },
+    requestId: { type: 'string' },
+    jobId: { type: 'string' },
+    idempotencyKey: { type: 'string' },
+    attempts: { type: 'integer' },
+    nextAttemptAt: { type: 'string', format: 'date-time' },
+    reason: { type: 'string' },
+    apple: {
+      type: 'object',
+      properties: {
+        httpStatus: { type: 'integer' },
+        responseText: { type: 'string' }
+      }
+    }
+  }
+};
+
+export const GraphNotificationBatch = {
+  type: 'object',
+  description: 'Change notifications POSTed by Microsoft Graph.',
+  additionalProperties: true,
+  properties: {
+    value: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          subscriptionId: { type: 'string' },
+          clientState: { type: 'string' },
+          changeType: { type: 'string', enum: ['created', 'updated', 'deleted'] },
+          resource: { type: 'string' },
+          resourceData: { type: 'object', properties: { id: { type: 'string' } } }
+        }
+      }
+    }
+  }
+};
+
+export const GraphNotificationResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['accepted'] },
+    requestId: { type: 'string' },
+    accepted: { type: 'integer', description: 'Changed tasks queued for sync.' },
+    rejected: { type: 'integer', description: 'Notifications with an unknown subscription or wrong clientState.' },
+    skipped: { type: 'integer', description: 'Verified notifications with nothing to sync (e.g. deletions).' }
+  }
+};
+
+export const GraphSubscription = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    category: { type: 'string', enum: CATEGORY_VALUES },
+    listId: { type: 'string' },
+    resource: { type: 'string' },
+    notificationUrl: { type: 'string' },
+    expirationDateTime: { type: 'string', format: 'date-time' },
+    active: { type: 'boolean', description: 'False once expired (renewal failed or not yet retried).' },
+    createdAt: { type: 'string', format: 'date-time' },
+    renewedAt: { type: ['string', 'null'], format: 'date-time' },
+    lastNotificationAt: { type: 'string', format: 'date-time' },
+    lastError: { type: ['string', 'null'] },
+    lastErrorAt: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+export const SubscriptionsResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    enabled: { type: 'boolean', description: 'Whether GRAPH_SUBSCRIPTIONS_ENABLED is set.' },
+    notificationUrl: { type: 'string' },
+    count: { type: 'integer' },
+    subscriptions: { type: 'array', items: { $ref: '#/components/schemas/GraphSubscription' } }
+  }
+};
+
+const ScheduledRun = {
+  type: ['object', 'null'],
+  properties: {
+    scheduledFor: { type: 'string', format: 'date-time' },
+    state: { type: 'string', enum: ['running', 'succeeded', 'failed', 'missed', 'interrupted'] },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    result: { type: ['object', 'null'], description: 'Job output, e.g. digest counts and per-notifier deliveries.' },
+    error: { type: ['string', 'null'] }
+  }
+};
+
+export const ScheduledJob = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string', enum: ['digest', 'due-soon'] },
+    cron: { type: 'string' },
+    timeZone: { type: 'string', description: 'IANA zone the cron expression is evaluated in.' },
+    enabled: { type: 'boolean' },
+    notify: { type: 'array', items: { type: 'string' }, description: 'Notifier names.' },
+    nextRunAt: { type: ['string', 'null'], format: 'date-time' },
+    lastRun: ScheduledRun,
+    lastSuccessAt: { type: ['string', 'null'], format: 'date-time' },
+    recentRuns: { type: 'array', items: ScheduledRun, description: 'Latest runs, newest first.' }
+  }
+};
+
+export const SchedulesResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    enabled: { type: 'boolean', description: 'Whether SCHEDULE_CONFIG_PATH is set.' },
+    running: { type: 'boolean', description: 'Whether the scheduler was started (needs Graph authentication).' },
+    notifiers: { type: 'array', items: { type: 'string' } },
+    count: { type: 'integer' },
+    jobs: { type: 'array', items: { $ref: '#/components/schemas/ScheduledJob' } }
+  }
+};
+
+export const ApiKeyPathParameters = [
+  {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Key id (key_...), from GET /admin/keys.',
+    schema: { type: 'string', minLength: 1 }
+  }
+];
+
+const apiKeyExpiry = {
+  expiresAt: {
+    type: 'string',
+    format: 'date-time',
+    description: 'When the key stops working. Omit for no expiry.'
+  },
+  expiresInDays: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 3650,
+    description: 'Alternative to expiresAt.'
+  }
+};
+
+export const CreateApiKeyRequest = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  properties: {
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 64,
+      pattern: '^[A-Za-z0-9][A-Za-z0-9 ._-]*$',
+      description: 'Client name recorded in logs and the audit trail, e.g. "chatgpt" or "shortcuts".'
+    },
+    scopes: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: API_KEY_SCOPES },
+      description: 'What the key may do. admin implies every scope.'
+    },
+    ...apiKeyExpiry
+  }
+};
+
+export const RotateApiKeyRequest = {
+  type: 'object',
+  properties: {
+    graceMinutes: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 10080,
+      default: 0,
+      description: 'How long the old secret keeps working, so clients can switch over.'
+    },
+    ...apiKeyExpiry
+  }
+};
+
+export const ApiKeyInfo = {
+  type: 'object',
+  description: 'An API key, without its secret.',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+    source: { type: 'string', enum: ['file', 'env'], description: 'env is the legacy API_SECRET key.' },
+    prefix: { type: 'string', description: 'First characters of the key, to tell keys apart.' },
+    status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    expiresAt: { type: ['string', 'null'], format: 'date-time' },
+    rotatedAt: { type: ['string', 'null'], format: 'date-time' },
+    previousValidUntil: { type: ['string', 'null'], format: 'date-time', description: 'Old secret still accepted until then.' },
+    revokedAt: { type: ['string', 'null'], format: 'date-time' },
+    lastUsedAt: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+export const ApiKeyListResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    requestId: { type: 'string' },
+    count: { type: 'integer' },
+    keys: { type: 'array', items: { $ref: '#/components/schemas/ApiKeyInfo' } }
+  }
+};
+
+export const ApiKeySecretResponse = {
+  type: 'object',
+  required: ['status', 'requestId', 'key', 'apiKey'],
+  properties: {
+    status: { type: 'string', enum: ['created', 'rotated'] },
+    requestId: { type: 'string' },
+    key: { type: 'string', description: 'The secret. Shown only in this response; send it as X-Assistant-Key.' },
+    apiKey: { $ref: '#/components/schemas/ApiKeyInfo' }
+  }
+};
+
+export const ApiKeyResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['revoked'] },
+    requestId: { type: 'string' },
+    apiKey: { $ref: '#/components/schemas/ApiKeyInfo' }
+  }
+};
+
+export const HealthResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok'] },
+    service: { type: 'string' },
+    version: { type: 'string' },
+    uptimeSeconds: { type: 'integer' },
+    graphStatus: { type: 'string', enum: ['configured', 'not-configured'] },
+    aiModel: { type: 'string' }
+  }
+};
+
+export const StatusResponse = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok', 'degraded'] },
+    service: { type: 'string' },
+    version: { type: 'string' },
+    uptimeSeconds: { type: 'integer' },
+    graph: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ok', 'error', 'authRequired'] },
+        user: { type: 'string' },
+        email: { type: 'string' },
+        error: { type: 'string' },
+        hint: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Component schemas published under #/components/schemas.
+ */
+export const componentSchemas = {
+  PromoteTaskRequest,
+  PromoteTaskResponse,
+  PromoteTasksRequest,
+  PromoteTasksItemResult,
+  PromoteTasksResponse,
+  CaptureRequest,
+  CaptureResponse,
+  TaskItem,
+  DigestTask,
+  DigestResponse,
+  ListTasksResponse,
+  CompleteTaskRequest,
+  CompleteTaskResponse,
+  UpdateTaskRequest,
+  UpdateTaskResponse,
+  TaskStep,
+  AddStepRequest,
+  UpdateStepRequest,
+  StepResponse,
+  TodoList,
+  ListListsResponse,
+  CreateListRequest,
+  CreateListResponse,
+  DeleteTaskResponse,
+  PowerAutomateTodoPayload,
+  PowerAutomateTodoResponse,
+  CalendarFeedsResponse,
+  RelayJob,
+  DeadLetterResponse,
+  ReplayResponse,
+  GraphNotificationBatch,
+  GraphNotificationResponse,
+  GraphSubscription,
+  SubscriptionsResponse,
+  ScheduledJob,
+  SchedulesResponse,
+  CreateApiKeyRequest,
+  RotateApiKeyRequest,
+  ApiKeyInfo,
+  ApiKeyListResponse,
+  ApiKeySecretResponse,
+  ApiKeyResponse,
+  HealthResponse,
+  StatusResponse,
+  ErrorResponse
+};
+
+// --- Operations ------------------------------------------------------------
+
+function jsonBody(schemaName, description) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: { $ref: `#/components/schemas/${schemaName}` }
+      }
+    }
+  };
+}
+
+const errorResponse = description => jsonBody('ErrorResponse', description);
+
+const authErrors = {
+  401: errorResponse('Missing X-Assistant-Key header.'),
+  403: errorResponse('Invalid, expired or revoked API key, or the key lacks the required scope.'),
+  429: errorResponse(
+    'Rate limit exceeded for this key or IP, or the IP is blocked after repeated auth failures. ' +
+    'Wait Retry-After seconds; RateLimit-* headers show the remaining budget.'
+  )
+};
+
+// Microsoft Graph failures that remain after retries (src/services/graphRequest.js);
+// the body's `code` tells them apart
+const graphErrors = {
+  502: errorResponse('Microsoft Graph could not be reached (code network_error).'),
+  503: errorResponse(
+    'Microsoft Graph is throttling or unavailable, or the circuit breaker is open after repeated failures ' +
+    '(code throttled, unavailable or circuit_open). Wait Retry-After seconds when present.'
+  ),
+  504: errorResponse('Microsoft Graph did not answer in time (code timeout).')
+};
+
+// Same, for routes that return 503 when Graph is not configured at all (instead of stubbing)
+const graphRequiredErrors = {
+  ...graphErrors,
+  503: errorResponse(
+    'Microsoft Graph not configured (no code), or throttling/unavailable/circuit open ' +
+    '(code throttled, unavailable or circuit_open; wait Retry-After seconds when present).'
+  )
+};
+
+/**
+ * Route documentation keyed by "METHOD /express/path".
+ * `public: true` marks routes that skip the X-Assistant-Key check;
+ * `feedToken: true` marks routes that also accept a ?token= feed token;
+ * `scope` is the API key scope the route requires (admin holds every scope).
+ */
+export const operations = {
+  'GET /': {
+    operationId: 'getServiceInfo',
+    summary: 'Service info and endpoint index.',
+    public: true,
+    responses: {
+      200: { description: 'Service info.', content: { 'application/json': { schema: { type: 'object' } } } }
+    }
+  },
+  'GET /health': {
+    operationId: 'getHealth',
+    summary: 'Health check.',
+    public: true,
+    responses: {
+      200: jsonBody('HealthResponse', 'Server is up.')
+    }
+  },
+  'GET /openapi.json': {
+    operationId: 'getOpenApiJson',
+    summary: 'This OpenAPI document as JSON.',
+    public: true,
+    responses: {
+      200: { description: 'OpenAPI 3.1 document.', content: { 'application/json': { schema: { type: 'object' } } } }
+    }
+  },
+  'GET /openapi.yaml': {
+    operationId: 'getOpenApiYaml',
+    summary: 'This OpenAPI document as YAML.',
+    public: true,
+    responses: {
+      200: { description: 'OpenAPI 3.1 document.', content: { 'application/yaml': { schema: { type: 'string' } } } }
+    }
+  },
+  'GET /status': {
+    operationId: 'getStatus',
+    scope: 'tasks:read',
+    summary: 'Check Microsoft Graph connectivity.',
+    responses: {
+      200: jsonBody('StatusResponse', 'Graph reachable.'),
+      ...authErrors,
+      503: jsonBody('StatusResponse', 'Graph unreachable or not authenticated.')
+    }
+  },
+  'POST /promoteTask': {
+    operationId: 'promoteTask',
+    scope: 'tasks:write',
+    summary: 'Promote a task into Microsoft To Do.',
+    description:
+      'Creates a new task in Microsoft To Do. Provide a clear title and as much context as is ' +
+      'helpful in the notes. Category routes the task to a list (work vs personal).',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/PromoteTaskRequest' },
+          example: {
+            title: 'Contact Nate about internal server & CI/CD',
+            notes: 'Confirm whether LMS changes from GitHub are being pulled.',
+            importance: 'high',
+            dueDate: '2025-12-01',
+            category: 'work',
+            source: 'chatgpt-task-inbox',
+            externalId: 'task-3'
+          }
+        }
+      }
+    },
+    parameters: [IdempotencyKeyParameter],
+    responses: {
+      200: {
+        ...jsonBody('PromoteTaskResponse', 'Task created (or stubbed when Graph is not configured).'),
+        headers: {
+          'Idempotent-Replayed': {
+            description: 'true when this is the stored response of an earlier request with the same key.',
+            schema: { type: 'string', enum: ['true'] }
+          }
+        }
+      },
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      409: errorResponse('A request with the same idempotency key is still in progress; retry shortly.'),
+      422: errorResponse('The idempotency key was already used for a different request.'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphErrors
+    }
+  },
+  'POST /promoteTasks': {
+    operationId: 'promoteTasks',
+    scope: 'tasks:write',
+    summary: 'Promote several tasks into Microsoft To Do at once.',
+    description:
+      'Creates up to 100 tasks in one call using Graph JSON batching. Results are reported per item ' +
+      'in input order, so a partial failure shows exactly which tasks were created.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/PromoteTasksRequest' },
+          example: {
+            tasks: [
+              { title: 'Send the budget draft to Sam', dueDate: '2025-12-03', category: 'work' },
+              { title: 'Book the team offsite venue', importance: 'high', category: 'work' }
+            ]
+          }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('PromoteTasksResponse', 'Every item created (or stubbed when Graph is not configured).'),
+      207: jsonBody('PromoteTasksResponse', 'Some items were invalid or failed; see results.'),
+      400: errorResponse('Invalid request payload (not a tasks array).'),
+      ...authErrors,
+      500: errorResponse('Microsoft Graph error before any task was created.'),
+      ...graphErrors
+    }
+  },
+  'POST /capture': {
+    operationId: 'captureTask',
+    scope: 'tasks:write',
+    summary: 'Create a task from a plain-language note.',
+    description:
+      'The configured AI model extracts title, notes, dueDate, importance and category from the text; ' +
+      'the result is validated like POST /promoteTask and created, or only returned with preview=true.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/CaptureRequest' },
+          example: { text: 'call the dentist next Tuesday, high priority, personal' }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('CaptureResponse', 'Task created, previewed, or stubbed when Graph is not configured.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      422: errorResponse('The model\'s output is not a valid task (errors lists why).'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphErrors,
+      502: errorResponse('The AI model request failed, or Microsoft Graph could not be reached (code network_error).'),
+      503: errorResponse('AI model not configured, or Microsoft Graph throttling/unavailable (code set; see Retry-After).')
+    }
+  },
+  'GET /tasks': {
+    operationId: 'listTasks',
+    scope: 'tasks:read',
+    summary: 'List tasks from Microsoft To Do.',
+    description: 'Lists tasks in one category a page at a time (follow nextCursor), filtered by status, importance, due date or text and sorted by creation, due date or importance.',
+    parameters: ListTasksParameters,
+    responses: {
+      200: jsonBody('ListTasksResponse', 'Tasks in the requested category.'),
+      400: errorResponse('Invalid query parameters.'),
+      ...authErrors,
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'GET /digest': {
+    operationId: 'getDigest',
+    scope: 'tasks:read',
+    summary: 'Daily review of tasks across all lists.',
+    description:
+      'Groups open tasks from every configured category into overdue, due today, due this week and ' +
+      'high priority without a date, plus recently completed tasks. Includes a markdown summary ' +
+      '(or returns only the markdown with format=markdown).',
+    parameters: DigestParameters,
+    responses: {
+      200: {
+        description: 'The digest.',
+        content: {
+          'application/json': { schema: { $ref: '#/components/schemas/DigestResponse' } },
+          'text/markdown': { schema: { type: 'string' } }
+        }
+      },
+      400: errorResponse('Invalid query parameters.'),
+      ...authErrors,
+      500: errorResponse('Microsoft Graph error (no list could be read).'),
+      ...graphRequiredErrors
+    }
+  },
+  'POST /completeTask': {
+    operationId: 'completeTask',
+    scope: 'tasks:write',
+    summary: 'Mark a task as completed in Microsoft To Do.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/CompleteTaskRequest' },
+          example: { microsoftTaskId: 'AAMkAGI2TAAA=', category: 'work' }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('CompleteTaskResponse', 'Task completed.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      404: errorResponse('Task not found (deleted, or wrong category).'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'PATCH /tasks/:microsoftTaskId': {
+    operationId: 'updateTask',
+    scope: 'tasks:write',
+    summary: 'Edit a task in Microsoft To Do.',
+    description:
+      'Renames, re-prioritizes, changes the due date or notes, reopens, or moves a task to another ' +
+      'category. Pass ?category= for the list the task is in now.',
+    parameters: TaskPathParameters,
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/UpdateTaskRequest' },
+          example: { title: 'Call Nate about CI/CD', dueDate: '2025-12-05', importance: 'high' }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('UpdateTaskResponse', 'Task updated or moved.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      404: errorResponse('Task not found (deleted, or wrong category).'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'DELETE /tasks/:microsoftTaskId': {
+    operationId: 'deleteTask',
+    scope: 'tasks:write',
+    summary: 'Delete a task from Microsoft To Do.',
+    parameters: TaskPathParameters,
+    responses: {
+      200: jsonBody('DeleteTaskResponse', 'Task deleted.'),
+      400: errorResponse('Invalid parameters.'),
+      ...authErrors,
+      404: errorResponse('Task not found (deleted, or wrong category).'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'POST /tasks/:microsoftTaskId/steps': {
+    operationId: 'addTaskStep',
+    scope: 'tasks:write',
+    summary: 'Add a step (checklist item) to a task.',
+    parameters: TaskPathParameters,
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/AddStepRequest' },
+          example: { displayName: 'Compare pricing' }
+        }
+      }
+    },
+    responses: {
+      201: jsonBody('StepResponse', 'Step added.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      404: errorResponse('Task not found (deleted, or wrong category).'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'PATCH /tasks/:microsoftTaskId/steps/:stepId': {
+    operationId: 'updateTaskStep',
+    scope: 'tasks:write',
+    summary: 'Check off, un-check or rename a step.',
+    parameters: StepPathParameters,
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/UpdateStepRequest' },
+          example: { isChecked: true }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('StepResponse', 'Step updated.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      404: errorResponse('Task or step not found.'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'DELETE /tasks/:microsoftTaskId/steps/:stepId': {
+    operationId: 'deleteTaskStep',
+    scope: 'tasks:write',
+    summary: 'Remove a step from a task.',
+    parameters: StepPathParameters,
+    responses: {
+      200: jsonBody('StepResponse', 'Step removed.'),
+      400: errorResponse('Invalid parameters.'),
+      ...authErrors,
+      404: errorResponse('Task or step not found.'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'GET /lists': {
+    operationId: 'listTodoLists',
+    scope: 'tasks:read',
+    summary: 'List all Microsoft To Do lists and the category each is mapped to.',
+    description:
+      'Lists with a null category exist in To Do but are not reachable through the category ' +
+      'parameter of the task routes until the server configuration maps them.',
+    responses: {
+      200: jsonBody('ListListsResponse', 'All To Do lists.'),
+      ...authErrors,
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'POST /lists': {
+    operationId: 'createTodoList',
+    scope: 'tasks:write',
+    summary: 'Create a Microsoft To Do list.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/CreateListRequest' },
+          example: { displayName: 'Errands' }
+        }
+      }
+    },
+    responses: {
+      201: jsonBody('CreateListResponse', 'List created.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      409: errorResponse('A list with that name already exists.'),
+      500: errorResponse('Microsoft Graph error.'),
+      ...graphRequiredErrors
+    }
+  },
+  'GET /webhooks/powerAutomate/todo/sample': {
+    operationId: 'getPowerAutomateTodoSample',
+    scope: 'sync:webhook',
+    summary: 'Sample payload accepted by the Power Automate webhook.',
+    responses: {
+      200: { description: 'Sample payload.', content: { 'application/json': { schema: { type: 'object' } } } },
+      ...authErrors
+    }
+  },
+  'POST /webhooks/powerAutomate/todo': {
+    operationId: 'powerAutomateTodoWebhook',
+    scope: 'sync:webhook',
+    summary: 'Inbound To Do task from Power Automate (Personal tasks → Apple Calendar).',
+    parameters: [ForceParameter, ...WebhookSignatureParameters],
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/PowerAutomateTodoPayload' }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('PowerAutomateTodoResponse', 'Relayed, or a duplicate that was ignored.'),
+      202: jsonBody('PowerAutomateTodoResponse', 'Accepted but not forwarded yet (filtered, relay not configured, or queued for retry).'),
+      400: errorResponse('Invalid webhook payload.'),
+      ...authErrors,
+      401: errorResponse('Missing X-Assistant-Key header, or a missing, stale, invalid or replayed signature (see reason).'),
+      500: errorResponse('Relay failed and could not be queued, or the sync state could not be read or written.'),
+      503: errorResponse('Signed-request replay cache is full (reason nonce_cache_full); retry after retryAfterSeconds.')
+    }
+  },
+  'POST /notifications/graph': {
+    operationId: 'receiveGraphNotifications',
+    summary: 'Microsoft Graph change notifications for subscribed To Do lists.',
+    description:
+      'Called by Graph, not by assistants. With ?validationToken= the token is echoed as text/plain ' +
+      '(subscription handshake). Otherwise each notification must carry the clientState of its subscription.',
+    public: true,
+    parameters: [
+      {
+        name: 'validationToken',
+        in: 'query',
+        required: false,
+        description: 'Sent by Graph when a subscription is created.',
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: {
+      required: false,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/GraphNotificationBatch' }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Validation token echoed.', content: { 'text/plain': { schema: { type: 'string' } } } },
+      202: jsonBody('GraphNotificationResponse', 'Notifications verified; changed tasks are synced in the background.'),
+      400: errorResponse('Body is not a notification batch.'),
+      404: errorResponse('Graph subscriptions are not enabled.'),
+      500: errorResponse('The subscription store could not be read or written; Graph retries the batch.')
+    }
+  },
+  'GET /subscriptions': {
+    operationId: 'listGraphSubscriptions',
+    scope: 'admin',
+    summary: 'Graph change-notification subscriptions and their expiry.',
+    responses: {
+      200: jsonBody('SubscriptionsResponse', 'Persisted subscriptions.'),
+      ...authErrors,
+      500: errorResponse('The subscription store could not be read.')
+    }
+  },
+  'GET /metrics': {
+    operationId: 'getMetrics',
+    summary: 'Prometheus metrics.',
+    description:
+      'Request counts and latency per route, Graph calls by operation and status, relay outcomes, ' +
+      'idempotency hits, token refreshes and store sizes, in Prometheus text format. ' +
+      'Needs a key with the metrics scope, as X-Assistant-Key or Authorization: Bearer.',
+    scope: 'metrics',
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+    responses: {
+      200: {
+        description: 'Prometheus text exposition format 0.0.4.',
+        content: { 'text/plain': { schema: { type: 'string' } } }
+      },
+      ...authErrors
+    }
+  },
+  'GET /schedules': {
+    operationId: 'listSchedules',
+    scope: 'admin',
+    summary: 'Scheduled jobs (digest, due-soon alerts) with their next and last runs.',
+    responses: {
+      200: jsonBody('SchedulesResponse', 'Configured jobs.'),
+      ...authErrors
+    }
+  },
+  'GET /sync/deadletter': {
+    operationId: 'listDeadLetterRelays',
+    scope: 'admin',
+    summary: 'Relays that exhausted their retries.',
+    responses: {
+      200: jsonBody('DeadLetterResponse', 'Dead-lettered relay jobs.'),
+      ...authErrors,
+      500: errorResponse('The relay queue file could not be read.')
+    }
+  },
+  'POST /sync/deadletter/:id/replay': {
+    operationId: 'replayDeadLetterRelay',
+    scope: 'admin',
+    summary: 'Resend a dead-lettered relay now.',
+    description: 'On failure the job goes back to the retry queue with a fresh attempt budget.',
+    responses: {
+      200: jsonBody('ReplayResponse', 'Relayed.'),
+      ...authErrors,
+      404: errorResponse('No dead-lettered job with that ID.'),
+      500: errorResponse('The relay queue file could not be read or written.'),
+      502: jsonBody('ReplayResponse', 'Relay failed again; job re-queued.')
+    }
+  },
+  'GET /calendar/feeds': {
+    operationId: 'listCalendarFeeds',
+    scope: 'tasks:read',
+    summary: 'Subscription URLs for the ICS feeds of synced tasks.',
+    description: 'Lists the personal feed and any other category that has synced events.',
+    responses: {
+      200: jsonBody('CalendarFeedsResponse', 'Feed URLs with embedded tokens.'),
+      ...authErrors,
+      500: errorResponse('No feed secret configured, or the feed store could not be read.')
+    }
+  },
+  'GET /calendar/:category.ics': {
+    operationId: 'getCalendarFeed',
+    scope: 'tasks:read',
+    summary: 'ICS feed of synced tasks for calendar subscriptions.',
+    description:
+      'Renders open synced To Do tasks as VEVENTs (same start time/duration rules as the Apple relay); ' +
+      'completed and deleted tasks are left out. Authenticate with X-Assistant-Key or the per-feed ?token= from GET /calendar/feeds.',
+    feedToken: true,
+    security: [{ ApiKeyAuth: [] }, { FeedToken: [] }],
+    parameters: CalendarFeedParameters,
+    responses: {
+      200: { description: 'iCalendar document.', content: { 'text/calendar': { schema: { type: 'string' } } } },
+      400: errorResponse('Unknown category.'),
+      ...authErrors,
+      404: errorResponse('No feed for this category (see GET /calendar/feeds).'),
+      500: errorResponse('The feed store could not be read.')
+    }
+  },
+  'GET /admin/keys': {
+    operationId: 'listApiKeys',
+    summary: 'List API keys (without secrets).',
+    scope: 'admin',
+    responses: {
+      200: jsonBody('ApiKeyListResponse', 'Every key, including expired and revoked ones.'),
+      ...authErrors
+    }
+  },
+  'POST /admin/keys': {
+    operationId: 'createApiKey',
+    summary: 'Create a named, scoped API key.',
+    description: 'The secret is returned once, in this response.',
+    scope: 'admin',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/CreateApiKeyRequest' },
+          example: { name: 'shortcuts', scopes: ['tasks:read', 'tasks:write'], expiresInDays: 365 }
+        }
+      }
+    },
+    responses: {
+      201: jsonBody('ApiKeySecretResponse', 'Key created.'),
+      400: errorResponse('Invalid request payload.'),
+      ...authErrors,
+      409: errorResponse('An active key with this name exists.'),
+      500: errorResponse('The key file could not be written.')
+    }
+  },
+  'POST /admin/keys/:id/rotate': {
+    operationId: 'rotateApiKey',
+    summary: 'Issue a new secret for a key.',
+    description: 'The old secret stops working immediately, or after graceMinutes.',
+    scope: 'admin',
+    parameters: ApiKeyPathParameters,
+    requestBody: {
+      required: false,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/RotateApiKeyRequest' },
+          example: { graceMinutes: 60 }
+        }
+      }
+    },
+    responses: {
+      200: jsonBody('ApiKeySecretResponse', 'Key rotated.'),
+      400: errorResponse('Invalid request payload, or the API_SECRET key (rotate it in the environment).'),
+      ...authErrors,
+      404: errorResponse('No such active key.'),
+      500: errorResponse('The key file could not be written.')
+    }
+  },
+  'DELETE /admin/keys/:id': {
+    operationId: 'revokeApiKey',
+    summary: 'Revoke an API key.',
+    description: 'Revoked keys stop working at once and stay listed for the audit trail.',
+    scope: 'admin',
+    parameters: ApiKeyPathParameters,
+    responses: {
+      200: jsonBody('ApiKeyResponse', 'Key revoked.'),
+      400: errorResponse('The API_SECRET key (remove it from the environment instead).'),
+      ...authErrors,
+      404: errorResponse('No such key.'),
+      500: errorResponse('The key file could not be written.')
+    }
+  }
+};
@@ -1,32 +1,285 @@
 import express from "express";
 import dotenv from "dotenv";
-import { createMicrosoftTask, isAuthenticated, testGraphConnection, listTasks, completeTask } from "./services/graphClient.js";
+import {
+  createMicrosoftTask,
+  createMicrosoftTasksBatch,
+  isAuthenticated,
+  testGraphConnection,
+  listTasks,
+  completeTask,
+  updateTask,
+  deleteTask,
+  moveTask,
+  listAllToDoLists,
+  createToDoList,
+  getCategoryForToDoList,
+  addTaskStep,
+  updateTaskStep,
+  deleteTaskStep
+} from "./services/graphClient.js";
 import { createTaskSyncStore } from "./services/taskSyncStore.js";
+import { createCalendarFeedStore } from "./services/calendarFeedStore.js";
+import { createRelayQueue } from "./services/relayQueue.js";
+import { buildPromoteIdempotencyKey, createIdempotencyStore, hashRequest } from "./services/idempotencyStore.js";
+import { buildFeedToken, renderFeed, verifyFeedToken } from "./services/calendarFeed.js";
+import { relayPersonalEvent } from "./services/personalTaskSync.js";
+import { createPersonalSyncPipeline } from "./services/personalSyncPipeline.js";
+import { createGraphDeltaPoller } from "./services/graphDeltaPoller.js";
+import { createGraphSubscriptionManager } from "./services/graphSubscriptions.js";
+import { completeRecurrence, validateRecurrence } from "./services/recurrence.js";
+import { getDefaultTimeZone, resolveTaskTimes, validateTaskTimes } from "./services/taskTimes.js";
+import { buildCaptureContext, createTaskExtractor, toTaskPayload } from "./services/taskCapture.js";
+import { buildDigest, collectDigestTasks, getDigestWindow, renderDigestMarkdown } from "./services/digest.js";
+import { createScheduler } from "./services/scheduler.js";
+import { createApiKeyStore, hasScope, resolveExpiry } from "./services/apiKeyStore.js";
+import { createWebhookVerifier } from "./services/webhookSignature.js";
+import { createRateLimiter } from "./services/rateLimiter.js";
+import { GraphError } from "./services/graphRequest.js";
+import { decodeCursor, encodeCursor, queryFingerprint } from "./services/taskListQuery.js";
 import {
-  normalizePersonalTodoTask,
-  isPersonalCategory,
-  buildAppleEventPayload,
-  buildIdempotencyKey,
-  relayToApple
-} from "./services/personalTaskSync.js";
+  registry as metricsRegistry,
+  httpRequests,
+  httpRequestDuration,
+  idempotencyHits,
+  UNMATCHED_ROUTE
+} from "./services/bridgeMetrics.js";
 import { getOpenAiModelInfo } from "./config/aiModel.js";
+import { getCategoryConfigInfo } from "./config/categories.js";
+import { loadScheduleConfig } from "./config/schedules.js";
+import {
+  operations,
+  PromoteTaskRequest,
+  PromoteTasksRequest,
+  CaptureRequest,
+  CompleteTaskRequest,
+  UpdateTaskRequest,
+  TaskPathParameters,
+  StepPathParameters,
+  AddStepRequest,
+  UpdateStepRequest,
+  ListTasksParameters,
+  DigestParameters,
+  CreateListRequest,
+  CalendarFeedParameters,
+  IdempotencyKeyParameter,
+  CreateApiKeyRequest,
+  RotateApiKeyRequest,
+  ApiKeyPathParameters,
+  CATEGORY_VALUES,
+  DEFAULT_CATEGORY
+} from "./schemas/apiSchemas.js";
+import { buildOpenApiDocument, listExpressRoutes, renderOpenApiYaml } from "./services/openapi.js";
+import { validateObject, validateParameters } from "./utils/schemaValidation.js";
+import { acceptRequestId, newRequestId, REQUEST_ID_HEADER, runWithRequestId } from "./utils/requestContext.js";
 import logger from "./utils/logger.js";
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
-const API_SECRET = process.env.API_SECRET;
+const SERVICE_VERSION = "0.4.0";
 const startTime = Date.now();
 
+// Behind Cloudflare Tunnel every request comes from cloudflared on loopback, so
+// trust X-Forwarded-For from loopback by default; otherwise every client would
+// share 127.0.0.1 for rate limits and IP blocks. TRUST_PROXY=false turns it off.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || 'loopback'));
+
+function parseTrustProxy(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Routes marked public in the shared API schema skip the X-Assistant-Key check
+const PUBLIC_PATHS = Object.entries(operations)
+  .filter(([, op]) => op.public)
+  .map(([key]) => key.split(' ')[1]);
+
+// Routes that accept a ?token= feed token instead of X-Assistant-Key (calendar subscriptions)
+const FEED_TOKEN_PATTERNS = Object.entries(operations)
+  .filter(([, op]) => op.feedToken)
+  .map(([key]) => routePattern(key.split(' ')[1]));
+
+// Scope each protected route requires, e.g. { method: 'POST', pattern: /^\/promoteTask$/, scope: 'tasks:write' }
+const ROUTE_SCOPES = Object.entries(operations)
+  .filter(([, op]) => op.scope)
+  .map(([key, op]) => ({ method: key.split(' ')[0], pattern: routePattern(key.split(' ')[1]), scope: op.scope }));
+
+// Every documented route, to label requests that middleware answered before routing (401, 429)
+const DOCUMENTED_ROUTES = Object.keys(operations).map(key => {
+  const [method, path] = key.split(' ');
+  return { method, path, pattern: routePattern(path) };
+});
+
+// Routes that also take the key as Authorization: Bearer (e.g. GET /metrics for Prometheus)
+const BEARER_PATTERNS = Object.entries(operations)
+  .filter(([, op]) => op.security?.some(requirement => requirement.BearerAuth))
+  .map(([key]) => routePattern(key.split(' ')[1]));
+
+function routePattern(expressPath) {
+  return new RegExp('^' + expressPath.replace(/\./g, '\\.').replace(/:[A-Za-z0-9_]+/g, '[^/]+') + '$');
+}
+
+// Named, scoped X-Assistant-Key keys (API_KEYS_PATH), plus API_SECRET as a legacy all-scopes key
+const apiKeys = createApiKeyStore();
+
+// Optional HMAC signatures on inbound webhooks (WEBHOOK_SIGNING_SECRET)
+const webhookVerifier = createWebhookVerifier();
+
+// Token buckets per API key and per IP, plus temporary blocks after repeated auth failures
+const rateLimiter = createRateLimiter();
+
 // Centralized AI model config (for future OpenAI/ChatGPT integrations)
 const aiModelInfo = getOpenAiModelInfo();
 
+// POST /capture extractor: the configured model, or AI_CLIENT=fake for offline use
+const taskExtractor = createTaskExtractor();
+
 // Personal Task Sync (MS To Do -> Apple Calendar)
 const taskSyncStore = createTaskSyncStore();
+const calendarFeedStore = createCalendarFeedStore();
+
+// Feeds worth subscribing to: personal (written by the sync pipeline, even
+// before its first event) plus any other category that has events
+async function listFeedCategories() {
+  const populated = await calendarFeedStore.categories();
+  return CATEGORY_VALUES.filter(category => category === 'personal' || populated.includes(category));
+}
+
+// Failed relays are retried from disk; the idempotency store is only marked on delivery
+const relayQueue = createRelayQueue({
+  deliver: relayPersonalEvent,
+  onDelivered: async (job, result) => {
+    await taskSyncStore.mark(job.idempotencyKey, job.meta);
+    logger.info('RELAY_QUEUE', 'Queued relay delivered', {
+      jobId: job.id,
+      microsoftTaskId: job.meta?.microsoftTaskId,
+      httpStatus: result.httpStatus
+    });
+  },
+  onDeadLetter: (job) => {
+    logger.error('RELAY_QUEUE', 'Relay moved to dead-letter', {
+      jobId: job.id,
+      microsoftTaskId: job.meta?.microsoftTaskId,
+      attempts: job.attempts,
+      lastError: job.lastError
+    });
+  }
+});
+
+// Idempotency-Key / externalId dedupe for POST /promoteTask (client retries)
+const promoteIdempotencyStore = createIdempotencyStore();
+
+// One pipeline for every inbound source (webhook, delta poller, Graph notifications)
+const personalSync = createPersonalSyncPipeline({ taskSyncStore, calendarFeedStore, relayQueue, logger });
+
+// Optional built-in poller (Graph delta query) instead of / alongside Power Automate
+const deltaPoller = process.env.GRAPH_DELTA_POLL_ENABLED === 'true'
+  ? createGraphDeltaPoller({
+    // Each task gets its own correlation ID (there is no inbound request)
+    onTask: (task) => personalSync.process(task, { source: 'graph-delta' }),
+    onRemoved: (taskId) => personalSync.remove(taskId, { source: 'graph-delta' })
+  })
+  : null;
+
+// Optional Graph change notifications (POST /notifications/graph), auto-renewed
+const subscriptionManager = process.env.GRAPH_SUBSCRIPTIONS_ENABLED === 'true'
+  ? createGraphSubscriptionManager({
+    onTask: (task, { requestId }) => personalSync.process(task, {
+      requestId,
+      source: 'graph-notification'
+    }),
+    onRemoved: (taskId) => personalSync.remove(taskId, { source: 'graph-notification' })
+  })
+  : null;
+
+// Optional built-in scheduler (morning digest, due-soon alerts) from SCHEDULE_CONFIG_PATH
+const scheduleConfig = loadScheduleConfig();
+const scheduler = scheduleConfig ? createScheduler({ config: scheduleConfig }) : null;
+let schedulerRunning = false;
+
+// HTTP status for each pipeline outcome (relayed/duplicate_ignored → 200)
+const SYNC_OUTCOME_HTTP_STATUS = {
+  ignored: 202,
+  accepted: 202,
+  queued: 202,
+  error: 500
+};
 
-// Parse JSON bodies
-app.use(express.json());
+// Correlation ID: the caller's X-Request-Id or a new one, echoed on every response
+// (errors included) and carried through async context to logs, Graph and relays
+app.use((req, res, next) => {
+  req.requestId = acceptRequestId(req.get(REQUEST_ID_HEADER)) || newRequestId();
+  res.setHeader(REQUEST_ID_HEADER, req.requestId);
+  runWithRequestId(req.requestId, next);
+});
+
+// HTTP status for a failed Graph call by GraphError code (anything else is a 500).
+// Throttling and outages become 503/504 with Retry-After, not a bare 500.
+const GRAPH_ERROR_HTTP_STATUS = {
+  bad_request: 400,
+  not_found: 404,
+  conflict: 409,
+  network_error: 502,
+  throttled: 503,
+  unavailable: 503,
+  circuit_open: 503,
+  timeout: 504
+};
+
+// Error response for a route whose Graph call failed; `notFound` replaces the body on a 404
+function sendGraphError(res, error, { requestId, message, notFound = null, hint = null }) {
+  const graphError = error instanceof GraphError ? error : null;
+  const httpStatus = GRAPH_ERROR_HTTP_STATUS[graphError?.code] || 500;
+
+  if (httpStatus === 404 && notFound) {
+    return res.status(404).json({ status: 'error', requestId, ...notFound });
+  }
+
+  if (graphError?.retryAfterSeconds) {
+    res.setHeader('Retry-After', graphError.retryAfterSeconds);
+  }
+  return res.status(httpStatus).json({
+    status: 'error',
+    requestId,
+    message,
+    ...(graphError ? { code: graphError.code } : {}),
+    error: error.message,
+    ...(graphError?.retryAfterSeconds ? { retryAfterSeconds: graphError.retryAfterSeconds } : {}),
+    ...(hint ? { hint } : {})
+  });
+}
+
+// Request count and latency per route for /metrics (the route template, not the raw path)
+app.use((req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const documented = !req.route && DOCUMENTED_ROUTES.find(r => r.method === req.method && r.pattern.test(req.path));
+    const route = req.route ? req.baseUrl + req.route.path : documented ? documented.path : UNMATCHED_ROUTE;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    stopTimer({ method: req.method, route });
+  });
+  next();
+});
+
+// Store sizes, read on every scrape
+metricsRegistry.gauge('bridge_sync_store_entries', 'Unexpired entries in the task sync idempotency store.', [], () => taskSyncStore.size());
+metricsRegistry.gauge('bridge_relay_queue_jobs', 'Relay retry queue jobs by state.', ['state'], async () => {
+  const { pending, deadLetter } = await relayQueue.inspect();
+  return [
+    { labels: { state: 'pending' }, value: pending.length },
+    { labels: { state: 'dead_letter' }, value: deadLetter.length }
+  ];
+});
+metricsRegistry.gauge('bridge_uptime_seconds', 'Seconds since the server started.', [], () => Math.floor((Date.now() - startTime) / 1000));
+
+// Parse JSON bodies, keeping the raw bytes for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Helpful verification header for assistant clients and debugging.
 // This does not imply OpenAI is being called; it reflects the configured model name.
@@ -35,67 +288,240 @@ app.use((req, res, next) => {
   next();
 });
 
-// API Key Middleware - validates X-Assistant-Key header
-// Excludes / and /health for basic accessibility
+// Rate limit group for a request: webhooks, reads (GET) or writes
+function rateLimitGroup(req) {
+  const route = ROUTE_SCOPES.find(r => r.method === req.method && r.pattern.test(req.path));
+  if (route?.scope === 'sync:webhook' || (req.method === 'POST' && PUBLIC_PATHS.includes(req.path))) {
+    return 'webhooks';
+  }
+  return req.method === 'GET' || req.method === 'HEAD' ? 'reads' : 'writes';
+}
+
+// Sets RateLimit-* headers (IETF draft) from the tighter of the IP and key buckets;
+// returns false (after sending 429 + Retry-After) when the bucket is empty
+function applyRateLimit(req, res, result, details) {
+  const shown = res.locals.rateLimit;
+  if (!shown || !result.allowed || result.remaining < shown.remaining) {
+    res.locals.rateLimit = result;
+    res.setHeader('RateLimit-Limit', result.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', result.resetSeconds);
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+  }
+  if (result.allowed) {
+    return true;
+  }
+
+  logger.warn('RATE_LIMIT', 'Rate limit exceeded', { ...details, method: req.method, path: req.path });
+  res.setHeader('Retry-After', result.retryAfterSeconds);
+  res.status(429).json({
+    status: 'error',
+    message: 'Too many requests - slow down',
+    retryAfterSeconds: result.retryAfterSeconds,
+    requestId: req.requestId
+  });
+  return false;
+}
+
+// Count a failed X-Assistant-Key check; enough of them block the IP for a while
+function recordAuthFailure(req) {
+  if (!rateLimiter.enabled) return;
+  const result = rateLimiter.recordAuthFailure(req.ip);
+  if (result.blocked) {
+    logger.security('IP_BLOCKED', { ip: req.ip, failures: result.failures, blockSeconds: result.blockSeconds, path: req.path });
+  }
+}
+
+// Abuse Middleware - blocked IPs and per-IP rate limits, before any auth work
+const ipRateLimitMiddleware = (req, res, next) => {
+  if (!rateLimiter.enabled) {
+    return next();
+  }
+
+  const blockedSeconds = rateLimiter.blockedFor(req.ip);
+  if (blockedSeconds) {
+    res.setHeader('Retry-After', blockedSeconds);
+    return res.status(429).json({
+      status: 'error',
+      message: 'Too many failed authentication attempts - try again later',
+      retryAfterSeconds: blockedSeconds,
+      requestId: req.requestId
+    });
+  }
+
+  const group = rateLimitGroup(req);
+  if (applyRateLimit(req, res, rateLimiter.consume('ip', req.ip, group), { ip: req.ip, group })) {
+    next();
+  }
+};
+
+// Per-key rate limits (after apiKeyMiddleware has identified the client)
+const keyRateLimitMiddleware = (req, res, next) => {
+  if (!rateLimiter.enabled || !req.apiClient) {
+    return next();
+  }
+
+  const group = rateLimitGroup(req);
+  const result = rateLimiter.consume('key', req.apiClient.id, group);
+  if (applyRateLimit(req, res, result, { client: req.apiClient.name, group })) {
+    next();
+  }
+};
+
+// API Key Middleware - validates X-Assistant-Key header and the route's scope
+// Excludes public routes (/, /health, /openapi.*) for basic accessibility
 const apiKeyMiddleware = (req, res, next) => {
-  // Skip auth for root and health endpoints
-  if (req.path === '/' || req.path === '/health') {
+  // Skip auth for public endpoints
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  // Feed routes verify their own ?token= (calendar apps can't send headers)
+  if (req.query.token && !req.headers['x-assistant-key'] && FEED_TOKEN_PATTERNS.some(re => re.test(req.path))) {
     return next();
   }
 
-  // Check if API_SECRET is configured
-  if (!API_SECRET) {
-    logger.error('AUTH', 'API_SECRET not configured - rejecting request');
+  // Check that at least one key exists
+  if (!apiKeys.isConfigured()) {
+    logger.error('AUTH', 'No API keys configured - rejecting request');
     return res.status(500).json({
       status: 'error',
-      message: 'Server misconfiguration: API_SECRET not set'
+      message: 'Server misconfiguration: no API keys (set API_SECRET or run node src/api-keys.js create)',
+      requestId: req.requestId
     });
   }
 
-  const providedKey = req.headers['x-assistant-key'];
+  const bearer = BEARER_PATTERNS.some(re => re.test(req.path))
+    ? (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1]
+    : undefined;
+  const providedKey = req.headers['x-assistant-key'] || bearer;
 
   if (!providedKey) {
     logger.security('AUTH_FAILED', { reason: 'missing_key', ip: req.ip, path: req.path });
+    recordAuthFailure(req);
     return res.status(401).json({
       status: 'error',
-      message: 'Missing X-Assistant-Key header'
+      message: 'Missing X-Assistant-Key header',
+      requestId: req.requestId
+    });
+  }
+
+  const verified = apiKeys.verify(providedKey);
+  if (!verified.ok) {
+    logger.security('AUTH_FAILED', {
+      reason: `${verified.reason}_key`,
+      ...(verified.name ? { client: verified.name } : {}),
+      ip: req.ip,
+      path: req.path
+    });
+    recordAuthFailure(req);
+    return res.status(403).json({
+      status: 'error',
+      message: verified.reason === 'invalid' ? 'Invalid API key' : `API key ${verified.reason}`,
+      requestId: req.requestId
     });
   }
 
-  if (providedKey !== API_SECRET) {
-    logger.security('AUTH_FAILED', { reason: 'invalid_key', ip: req.ip, path: req.path });
+  const client = verified.client;
+  const route = ROUTE_SCOPES.find(r => r.method === req.method && r.pattern.test(req.path));
+  // Routes without a documented scope (unknown paths → 404) need admin
+  const requiredScope = route ? route.scope : 'admin';
+  if (!hasScope(client, requiredScope)) {
+    logger.security('AUTH_FORBIDDEN', { client: client.name, requiredScope, method: req.method, path: req.path });
     return res.status(403).json({
       status: 'error',
-      message: 'Invalid API key'
+      message: 'API key lacks the required scope',
+      requiredScope,
+      requestId: req.requestId
     });
   }
 
+  req.apiClient = client;
+  logger.audit('API_REQUEST', { client: client.name, keyId: client.id, method: req.method, path: req.path, ip: req.ip });
   next();
 };
 
-// Apply API key middleware to all routes
+// Apply rate limits and API key middleware to all routes
+app.use(ipRateLimitMiddleware);
 app.use(apiKeyMiddleware);
+app.use(keyRateLimitMiddleware);
+
+// Webhook signature middleware - checks X-Webhook-Signature when the verifier has a secret
+// Use on any inbound webhook route: app.post(path, requireWebhookSignature(verifier), handler)
+const requireWebhookSignature = (verifier) => (req, res, next) => {
+  if (!verifier.enabled) {
+    return next();
+  }
+
+  const result = verifier.verify({ headers: req.headers, rawBody: req.rawBody });
+  if (!result.ok) {
+    logger.security('WEBHOOK_SIGNATURE_FAILED', {
+      reason: result.reason,
+      client: req.apiClient?.name,
+      ip: req.ip,
+      path: req.path
+    });
+    // Validly signed, but there's no room to remember it: ask the sender to retry
+    if (result.retryAfterSeconds) {
+      res.setHeader('Retry-After', result.retryAfterSeconds);
+    }
+    return res.status(result.retryAfterSeconds ? 503 : 401).json({
+      status: 'error',
+      message: result.message,
+      reason: result.reason,
+      ...(result.retryAfterSeconds ? { retryAfterSeconds: result.retryAfterSeconds } : {}),
+      requestId: req.requestId
+    });
+  }
+
+  next();
+};
 
 // Root endpoint - info about available endpoints
 app.get("/", (req, res) => {
   res.json({
     service: "assistant-365-bridge",
-    version: "0.4.0",
+    version: SERVICE_VERSION,
     ai: {
       model: aiModelInfo.model
     },
     endpoints: {
       "GET /": "Service info (public)",
       "GET /health": "Server health check (public)",
+      "GET /openapi.json": "OpenAPI 3.1 spec for ChatGPT Actions (public)",
+      "GET /openapi.yaml": "OpenAPI 3.1 spec as YAML (public)",
       "GET /status": "Graph connectivity status (requires X-Assistant-Key)",
       "POST /promoteTask": "Create task in Microsoft To Do (requires X-Assistant-Key)",
+      "POST /promoteTasks": "Create up to 100 tasks in one call via Graph batching (requires X-Assistant-Key)",
+      "POST /capture": "Create a task from a plain-language note via the AI model (requires X-Assistant-Key)",
       "GET /tasks": "List tasks from To Do (requires X-Assistant-Key)",
+      "GET /digest": "Daily review across all lists, as JSON + markdown (requires X-Assistant-Key)",
+      "POST /tasks/:microsoftTaskId/steps": "Add a step to a task (requires X-Assistant-Key)",
+      "PATCH /tasks/:microsoftTaskId/steps/:stepId": "Check off or rename a step (requires X-Assistant-Key)",
+      "DELETE /tasks/:microsoftTaskId/steps/:stepId": "Remove a step (requires X-Assistant-Key)",
+      "GET /lists": "List To Do lists and their categories (requires X-Assistant-Key)",
+      "POST /lists": "Create a To Do list (requires X-Assistant-Key)",
       "POST /completeTask": "Mark a task as completed (requires X-Assistant-Key)",
+      "PATCH /tasks/:microsoftTaskId": "Edit or move a task (requires X-Assistant-Key)",
+      "DELETE /tasks/:microsoftTaskId": "Delete a task (requires X-Assistant-Key)",
       "GET /webhooks/powerAutomate/todo/sample": "Sample payload for Power Automate (requires X-Assistant-Key)",
-      "POST /webhooks/powerAutomate/todo": "Inbound webhook from Power Automate (requires X-Assistant-Key)"
+      "POST /webhooks/powerAutomate/todo": "Inbound webhook from Power Automate (requires X-Assistant-Key)",
+      "POST /notifications/graph": "Graph change notifications (public, verified by clientState)",
+      "GET /subscriptions": "Graph change-notification subscriptions (requires X-Assistant-Key)",
+      "GET /metrics": "Prometheus metrics (requires metrics scope; X-Assistant-Key or Bearer)",
+      "GET /schedules": "Scheduled digest / due-soon jobs with next and last runs (requires X-Assistant-Key)",
+      "GET /sync/deadletter": "Relays that exhausted their retries (requires X-Assistant-Key)",
+      "POST /sync/deadletter/:id/replay": "Resend a dead-lettered relay (requires X-Assistant-Key)",
+      "GET /calendar/feeds": "ICS feed subscription URLs (requires X-Assistant-Key)",
+      "GET /calendar/:category.ics": "ICS feed of synced tasks (X-Assistant-Key or ?token=)",
+      "GET /admin/keys": "List API keys (requires admin scope)",
+      "POST /admin/keys": "Create a scoped API key (requires admin scope)",
+      "POST /admin/keys/:id/rotate": "Issue a new secret for a key (requires admin scope)",
+      "DELETE /admin/keys/:id": "Revoke an API key (requires admin scope)"
     },
-    authentication: "Protected endpoints require X-Assistant-Key header",
-    categories: ["work", "personal"]
+    authentication: "Protected endpoints require an X-Assistant-Key header with the route's scope (tasks:read, tasks:write, sync:webhook, admin)",
+    categories: CATEGORY_VALUES,
+    defaultCategory: DEFAULT_CATEGORY
   });
 });
 
@@ -107,13 +533,29 @@ app.get("/health", async (req, res) => {
   res.json({
     status: "ok",
     service: "assistant-365-bridge",
-    version: "0.4.0",
+    version: SERVICE_VERSION,
     uptimeSeconds,
     graphStatus: authenticated ? "configured" : "not-configured",
     aiModel: aiModelInfo.model
   });
 });
 
+// OpenAPI spec - generated from the registered routes + shared schemas
+function currentOpenApiDocument() {
+  return buildOpenApiDocument({
+    routes: listExpressRoutes(app),
+    version: SERVICE_VERSION
+  }).document;
+}
+
+app.get("/openapi.json", (req, res) => {
+  res.json(currentOpenApiDocument());
+});
+
+app.get("/openapi.yaml", (req, res) => {
+  res.type('application/yaml').send(renderOpenApiYaml(currentOpenApiDocument()));
+});
+
 // Status endpoint - tests Graph connectivity (requires auth)
 app.get("/status", async (req, res) => {
   const uptimeSeconds = Math.floor((Date.now() - startTime) / 1000);
@@ -124,7 +566,7 @@ app.get("/status", async (req, res) => {
     res.json({
       status: "ok",
       service: "assistant-365-bridge",
-      version: "0.4.0",
+      version: SERVICE_VERSION,
       uptimeSeconds,
       graph: {
         status: "ok",
@@ -138,7 +580,7 @@ app.get("/status", async (req, res) => {
     res.status(503).json({
       status: "degraded",
       service: "assistant-365-bridge",
-      version: "0.4.0",
+      version: SERVICE_VERSION,
       uptimeSeconds,
       graph: {
         status: authenticated ? "error" : "authRequired",
@@ -151,63 +593,64 @@ app.get("/status", async (req, res) => {
   }
 });
 
-// Input validation helper
+// Input validation helper (rules live in src/schemas/apiSchemas.js)
 function validateTaskPayload(payload) {
-  const errors = [];
-  
-  // Title is required
-  if (!payload.title || typeof payload.title !== 'string') {
-    errors.push('title is required and must be a string');
-  } else if (payload.title.trim().length === 0) {
-    errors.push('title cannot be empty');
-  } else if (payload.title.length > 500) {
-    errors.push('title must be 500 characters or less');
-  }
-  
-  // Notes is optional but must be string if provided
-  if (payload.notes !== undefined && typeof payload.notes !== 'string') {
-    errors.push('notes must be a string');
-  }
-  
-  // Importance must be valid value
-  const validImportance = ['low', 'normal', 'high'];
-  if (payload.importance !== undefined && !validImportance.includes(payload.importance)) {
-    errors.push(`importance must be one of: ${validImportance.join(', ')}`);
-  }
-  
-  // Category must be valid value
-  const validCategories = ['work', 'personal'];
-  if (payload.category !== undefined && !validCategories.includes(payload.category)) {
-    errors.push(`category must be one of: ${validCategories.join(', ')}`);
+  const errors = validateObject(PromoteTaskRequest, payload);
+  if (errors.length) {
+    return errors;
   }
-  
-  // Due date must be valid ISO date string if provided
-  if (payload.dueDate !== undefined) {
-    if (typeof payload.dueDate !== 'string') {
-      errors.push('dueDate must be a string in YYYY-MM-DD format');
-    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(payload.dueDate)) {
-      errors.push('dueDate must be in YYYY-MM-DD format');
-    } else {
-      const date = new Date(payload.dueDate);
-      if (isNaN(date.getTime())) {
-        errors.push('dueDate is not a valid date');
-      }
-    }
+  errors.push(...validateTaskTimes(payload));
+  // Cross-field recurrence rules (needs a due date, endDate vs occurrences, ...)
+  if (!errors.length && payload.recurrence) {
+    errors.push(...validateRecurrence(payload.recurrence, resolveTaskTimes(payload).dueDate));
   }
-  
   return errors;
 }
 
 // Normalize task payload
 function normalizeTaskPayload(payload) {
+  const times = resolveTaskTimes(payload);
   return {
     title: payload.title.trim(),
     notes: payload.notes?.trim() || null,
     importance: payload.importance || 'normal',
-    category: payload.category || 'personal',
-    dueDate: payload.dueDate || null,
+    category: payload.category || DEFAULT_CATEGORY,
+    ...times,
+    recurrence: payload.recurrence ? completeRecurrence(payload.recurrence, times.dueDate) : null,
     source: payload.source || 'unknown',
-    externalId: payload.externalId || null
+    externalId: payload.externalId || null,
+    steps: (payload.steps || []).map(step => step.trim())
+  };
+}
+
+// PATCH /tasks changes: only the UpdateTaskRequest fields (never the rest of the
+// body), normalized like normalizeTaskPayload; category is handled by the route
+function normalizeTaskChanges(body) {
+  const changes = {};
+  if (body.title !== undefined) changes.title = body.title.trim();
+  if (body.notes !== undefined) changes.notes = body.notes === null ? null : body.notes.trim() || null;
+  for (const field of ['importance', 'dueDate', 'status']) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  return changes;
+}
+
+// Response fields for a created task (POST /promoteTask and each /promoteTasks item)
+function describeCreatedTask(normalized, microsoftTask) {
+  return {
+    microsoftTaskId: microsoftTask.id,
+    list: microsoftTask.listDisplayName,
+    title: microsoftTask.title,
+    importance: microsoftTask.importance,
+    dueDate: normalized.dueDate,
+    dueDateTime: normalized.dueDateTime,
+    reminderDateTime: normalized.reminderDateTime,
+    isReminderOn: normalized.isReminderOn,
+    timeZone: normalized.timeZone,
+    createdDateTime: microsoftTask.createdDateTime,
+    recurrence: normalized.recurrence,
+    ...(microsoftTask.steps ? { steps: microsoftTask.steps } : {}),
+    ...(microsoftTask.failedSteps?.length ? { failedSteps: microsoftTask.failedSteps } : {})
   };
 }
 
@@ -229,236 +672,1173 @@ app.get("/webhooks/powerAutomate/todo/sample", (req, res) => {
 });
 
 // POST /webhooks/powerAutomate/todo - inbound from Power Automate (Personal tasks)
-app.post("/webhooks/powerAutomate/todo", async (req, res) => {
+app.post("/webhooks/powerAutomate/todo", requireWebhookSignature(webhookVerifier), async (req, res) => {
   const raw = req.body || {};
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  const requestId = req.requestId;
 
-  const normalized = normalizePersonalTodoTask(raw);
+  try {
+    const { status, ...outcome } = await personalSync.process(raw, {
+      requestId,
+      force: req.query.force === 'true',
+      source: 'power-automate'
+    });
 
-  // Minimal validation
-  const errors = [];
-  if (!normalized.microsoftTaskId) errors.push('id (Microsoft task id) is required');
-  if (!normalized.title) errors.push('title is required');
-  if (errors.length) {
-    logger.warn('TASK_SYNC', `[${requestId}] Validation failed`, { errors });
-    return res.status(400).json({
+    if (status === 'invalid') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid webhook payload',
+        errors: outcome.errors,
+        requestId
+      });
+    }
+
+    res.status(SYNC_OUTCOME_HTTP_STATUS[status] || 200).json({ status, requestId, ...outcome });
+  } catch (error) {
+    logger.error('WEBHOOK', 'Personal task sync failed', { requestId, error: error.message });
+    res.status(500).json({
       status: 'error',
-      message: 'Invalid webhook payload',
-      errors,
-      requestId
+      requestId,
+      message: 'Failed to process webhook',
+      error: error.message
     });
   }
+});
 
-  // Safety check: only act on Personal category (Power Automate should filter too)
-  if (!isPersonalCategory(normalized)) {
-    logger.info('TASK_SYNC', `[${requestId}] Ignored (not Personal category)`, {
-      microsoftTaskId: normalized.microsoftTaskId,
-      categories: normalized.categories
-    });
-    return res.status(202).json({
-      status: 'ignored',
-      reason: 'not_personal_category',
-      requestId
+// POST /notifications/graph - Microsoft Graph change notifications (To Do tasks)
+// Public: Graph can't send X-Assistant-Key. Each notification is verified by clientState.
+app.post("/notifications/graph", async (req, res) => {
+  const requestId = req.requestId;
+
+  if (!subscriptionManager) {
+    return res.status(404).json({
+      status: 'error',
+      requestId,
+      message: 'Graph subscriptions are not enabled',
+      hint: 'Set GRAPH_SUBSCRIPTIONS_ENABLED=true'
     });
   }
 
-  const applePayload = buildAppleEventPayload(normalized);
-  if (!applePayload.startDateTime) {
-    logger.info('TASK_SYNC', `[${requestId}] Ignored (missing due date/time)`, {
-      microsoftTaskId: normalized.microsoftTaskId
-    });
-    return res.status(202).json({
-      status: 'ignored',
-      reason: 'missing_due_date',
+  // Subscription validation handshake: echo the token as plain text within 10s
+  if (typeof req.query.validationToken === 'string') {
+    logger.info('GRAPH_SUBSCRIPTIONS', 'Validation handshake');
+    res.set('X-Content-Type-Options', 'nosniff');
+    return res.status(200).type('text/plain').send(req.query.validationToken);
+  }
+
+  const notifications = req.body?.value;
+  if (!Array.isArray(notifications)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'value must be an array of notifications',
       requestId
     });
   }
 
-  const idempotencyKey = buildIdempotencyKey(normalized, applePayload);
-  const force = req.query.force === 'true';
+  try {
+    const { accepted, rejected, skipped, processing } = await subscriptionManager.receive(notifications, { requestId });
 
-  if (!force) {
-    const alreadyProcessed = await taskSyncStore.has(idempotencyKey);
-    if (alreadyProcessed) {
-      logger.info('TASK_SYNC', `[${requestId}] Duplicate ignored`, {
-        microsoftTaskId: normalized.microsoftTaskId,
-        idempotencyKey
-      });
-      return res.json({
-        status: 'duplicate_ignored',
+    if (rejected) {
+      logger.security('GRAPH_NOTIFICATION_REJECTED', {
         requestId,
-        idempotencyKey
+        rejected,
+        ip: req.ip
       });
     }
-  }
+    logger.info('GRAPH_SUBSCRIPTIONS', 'Notifications received', { accepted, rejected, skipped });
 
-  logger.request(requestId, 'TASK_SYNC', {
-    microsoftTaskId: normalized.microsoftTaskId,
-    title: normalized.title,
-    action: applePayload.action,
-    startDateTime: applePayload.startDateTime
-  });
+    // Answer Graph right away; fetching and relaying the tasks continues in the background
+    res.status(202).json({
+      status: 'accepted',
+      requestId,
+      accepted,
+      rejected,
+      skipped
+    });
 
-  const relayResult = await relayToApple({
-    url: process.env.APPLE_EVENT_WEBHOOK_URL,
-    authorization: process.env.APPLE_EVENT_WEBHOOK_AUTHORIZATION,
-    secret: process.env.APPLE_EVENT_WEBHOOK_SECRET,
-    payload: applePayload
-  });
+    processing.catch(error => {
+      logger.error('GRAPH_SUBSCRIPTIONS', 'Notification processing failed', { error: error.message });
+    });
+  } catch (error) {
+    logger.error('GRAPH_SUBSCRIPTIONS', 'Could not accept notifications', { requestId, error: error.message });
+    res.status(500).json({
+      status: 'error',
+      requestId,
+      message: 'Failed to accept notifications',
+      error: error.message
+    });
+  }
+});
 
-  if (relayResult.sent) {
-    await taskSyncStore.mark(idempotencyKey, {
-      microsoftTaskId: normalized.microsoftTaskId,
-      action: applePayload.action,
-      startDateTime: applePayload.startDateTime
+// GET /subscriptions - Graph change-notification subscriptions and their expiry
+app.get("/subscriptions", async (req, res) => {
+  const requestId = req.requestId;
+
+  if (!subscriptionManager) {
+    return res.json({
+      status: 'ok',
+      requestId,
+      enabled: false,
+      count: 0,
+      subscriptions: []
     });
+  }
 
-    logger.response(requestId, 'success', {
-      forwarded: true,
-      idempotencyKey,
-      httpStatus: relayResult.httpStatus
+  try {
+    const subscriptions = await subscriptionManager.list();
+
+    res.json({
+      status: 'ok',
+      requestId,
+      enabled: true,
+      notificationUrl: subscriptionManager.notificationUrl,
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    logger.error('GRAPH_SUBSCRIPTIONS', 'Could not read subscriptions', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      requestId,
+      message: 'Failed to read subscriptions',
+      error: error.message
     });
+  }
+});
+
+// GET /schedules - scheduled jobs with their next and last runs
+app.get("/schedules", (req, res) => {
+  const requestId = req.requestId;
 
+  if (!scheduler) {
     return res.json({
-      status: 'relayed',
+      status: 'ok',
       requestId,
-      idempotencyKey,
-      forwarded: true,
-      apple: {
-        httpStatus: relayResult.httpStatus
-      }
+      enabled: false,
+      running: false,
+      notifiers: [],
+      count: 0,
+      jobs: []
     });
   }
 
-  logger.warn('TASK_SYNC', `[${requestId}] Relay not sent`, {
-    status: relayResult.status,
-    httpStatus: relayResult.httpStatus
+  const jobs = scheduler.list();
+
+  res.json({
+    status: 'ok',
+    requestId,
+    enabled: true,
+    running: schedulerRunning,
+    notifiers: scheduler.notifiers,
+    count: jobs.length,
+    jobs
   });
+});
+
+// GET /admin/keys - API keys without their secrets
+app.get("/admin/keys", (req, res) => {
+  const requestId = req.requestId;
+  const keys = apiKeys.list();
 
-  return res.status(relayResult.status === 'not_configured' ? 202 : 502).json({
-    status: relayResult.status === 'not_configured' ? 'accepted' : 'error',
+  res.json({
+    status: 'ok',
     requestId,
-    forwarded: false,
-    reason: relayResult.status,
-    apple: {
-      httpStatus: relayResult.httpStatus,
-      responseText: relayResult.responseText
-    }
+    count: keys.length,
+    keys
   });
 });
 
-// promoteTask endpoint - creates task in Microsoft To Do
-app.post("/promoteTask", async (req, res) => {
-  const payload = req.body || {};
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+// POST /admin/keys - create a key; the secret is only in this response
+app.post("/admin/keys", (req, res) => {
+  const requestId = req.requestId;
 
-  // Input validation
-  const validationErrors = validateTaskPayload(payload);
-  if (validationErrors.length > 0) {
-    logger.warn('PROMOTE_TASK', `[${requestId}] Validation failed`, { errors: validationErrors });
+  const errors = validateObject(CreateApiKeyRequest, req.body);
+  const expiry = errors.length ? {} : resolveExpiry(req.body);
+  if (expiry.error) errors.push(expiry.error);
+  if (errors.length) {
     return res.status(400).json({
       status: 'error',
       message: 'Invalid request payload',
-      errors: validationErrors,
+      errors,
       requestId
     });
   }
 
-  // Normalize the payload
-  const normalized = normalizeTaskPayload(payload);
-
-  // Log incoming request
-  logger.request(requestId, 'PROMOTE_TASK', {
-    title: normalized.title,
-    importance: normalized.importance,
-    category: normalized.category,
-    dueDate: normalized.dueDate,
-    source: normalized.source
-  });
+  const { name, scopes } = req.body;
+  logger.request(requestId, 'CREATE_API_KEY', { name, scopes, expiresAt: expiry.expiresAt || null });
 
-  // Check if Microsoft Graph is configured
-  const authenticated = await isAuthenticated();
-  
-  if (authenticated) {
-    try {
-      // Create task in Microsoft To Do
-      const microsoftTask = await createMicrosoftTask({
-        title: normalized.title,
-        notes: normalized.notes,
-        importance: normalized.importance,
-        dueDate: normalized.dueDate,
-        category: normalized.category
+  try {
+    const { key, record } = apiKeys.create({ name: name.trim(), scopes, expiresAt: expiry.expiresAt || null });
+    logger.audit('API_KEY_CREATED', { by: req.apiClient.name, keyId: record.id, name: record.name, scopes: record.scopes });
+    logger.response(requestId, 'success', { keyId: record.id });
+    res.status(201).json({
+      status: 'created',
+      requestId,
+      key,
+      apiKey: record
+    });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_NAME') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message,
+        requestId
       });
+    }
+    logger.error('API_KEYS', 'Could not create key', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      message: 'Could not save the API key',
+      requestId
+    });
+  }
+});
 
-      logger.response(requestId, 'success', { 
-        microsoftTaskId: microsoftTask.id,
-        list: microsoftTask.listDisplayName,
-        title: microsoftTask.title 
-      });
+// POST /admin/keys/:id/rotate - new secret; the old one may keep working for graceMinutes
+app.post("/admin/keys/:id/rotate", (req, res) => {
+  const requestId = req.requestId;
 
-      res.json({
-        status: "created",
-        requestId,
-        microsoftTaskId: microsoftTask.id,
-        list: microsoftTask.listDisplayName,
-        title: microsoftTask.title,
-        importance: microsoftTask.importance,
-        dueDate: normalized.dueDate,
-        createdDateTime: microsoftTask.createdDateTime
-      });
-    } catch (error) {
-      logger.error('PROMOTE_TASK', `[${requestId}] Failed to create task`, { error: error.message });
+  const { values, errors: paramErrors } = validateParameters(ApiKeyPathParameters, { path: req.params });
+  const body = req.body || {};
+  const errors = [...paramErrors, ...validateObject(RotateApiKeyRequest, body)];
+  const expiry = errors.length ? {} : resolveExpiry(body);
+  if (expiry.error) errors.push(expiry.error);
+  if (!errors.length && values.id === apiKeys.legacyKeyId) {
+    errors.push('The API_SECRET key is rotated by changing API_SECRET in the environment');
+  }
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+
+  const graceMinutes = body.graceMinutes || 0;
+  logger.request(requestId, 'ROTATE_API_KEY', { keyId: values.id, graceMinutes });
+
+  try {
+    const rotated = apiKeys.rotate(values.id, {
+      graceMinutes,
+      ...(expiry.expiresAt ? { expiresAt: expiry.expiresAt } : {})
+    });
+    if (!rotated) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found or revoked',
+        requestId
+      });
+    }
+
+    logger.audit('API_KEY_ROTATED', { by: req.apiClient.name, keyId: rotated.record.id, name: rotated.record.name, graceMinutes });
+    logger.response(requestId, 'success', { keyId: rotated.record.id });
+    res.json({
+      status: 'rotated',
+      requestId,
+      key: rotated.key,
+      apiKey: rotated.record
+    });
+  } catch (error) {
+    logger.error('API_KEYS', 'Could not rotate key', { keyId: values.id, error: error.message });
+    res.status(500).json({
+      status: 'error',
+      message: 'Could not save the API key',
+      requestId
+    });
+  }
+});
+
+// DELETE /admin/keys/:id - revoke a key (kept in the list for the audit trail)
+app.delete("/admin/keys/:id", (req, res) => {
+  const requestId = req.requestId;
+
+  const { values, errors } = validateParameters(ApiKeyPathParameters, { path: req.params });
+  if (!errors.length && values.id === apiKeys.legacyKeyId) {
+    errors.push('The API_SECRET key is revoked by removing API_SECRET from the environment');
+  }
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+
+  logger.request(requestId, 'REVOKE_API_KEY', { keyId: values.id });
+
+  try {
+    const record = apiKeys.revoke(values.id);
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found',
+        requestId
+      });
+    }
+
+    logger.audit('API_KEY_REVOKED', { by: req.apiClient.name, keyId: record.id, name: record.name });
+    logger.response(requestId, 'success', { keyId: record.id });
+    res.json({
+      status: 'revoked',
+      requestId,
+      apiKey: record
+    });
+  } catch (error) {
+    logger.error('API_KEYS', 'Could not revoke key', { keyId: values.id, error: error.message });
+    res.status(500).json({
+      status: 'error',
+      message: 'Could not save the API key',
+      requestId
+    });
+  }
+});
+
+// GET /metrics - Prometheus scrape endpoint (metrics scope; X-Assistant-Key or Bearer)
+app.get("/metrics", async (req, res) => {
+  try {
+    const body = await metricsRegistry.render();
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(body);
+  } catch (error) {
+    logger.error('METRICS', 'Could not render metrics', { error: error.message });
+    res.status(500).type('text/plain').send('# metrics unavailable\n');
+  }
+});
+
+// GET /sync/deadletter - relays that exhausted their retries
+app.get("/sync/deadletter", async (req, res) => {
+  const requestId = req.requestId;
+
+  try {
+    const { pending, deadLetter } = await relayQueue.inspect();
+
+    res.json({
+      status: 'ok',
+      requestId,
+      count: deadLetter.length,
+      pendingCount: pending.length,
+      items: deadLetter
+    });
+  } catch (error) {
+    logger.error('RELAY_QUEUE', 'Could not read relay queue', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      requestId,
+      message: 'Failed to read relay queue',
+      error: error.message
+    });
+  }
+});
+
+// POST /sync/deadletter/:id/replay - resend a dead-lettered relay
+app.post("/sync/deadletter/:id/replay", async (req, res) => {
+  const requestId = req.requestId;
+  const { id } = req.params;
+
+  logger.request(requestId, 'RELAY_REPLAY', { jobId: id });
+
+  try {
+    const { found, result, job } = await relayQueue.replay(id);
+    if (!found) {
+      return res.status(404).json({
+        status: 'error',
+        requestId,
+        message: 'Dead-letter job not found'
+      });
+    }
+
+    if (result.sent) {
+      logger.response(requestId, 'success', { jobId: id, httpStatus: result.httpStatus });
+      return res.json({
+        status: 'relayed',
+        requestId,
+        jobId: id,
+        idempotencyKey: job.idempotencyKey,
+        apple: {
+          httpStatus: result.httpStatus
+        }
+      });
+    }
+
+    logger.warn('RELAY_REPLAY', 'Replay failed; re-queued', {
+      jobId: id,
+      status: result.status,
+      httpStatus: result.httpStatus
+    });
+
+    return res.status(502).json({
+      status: 'queued',
+      requestId,
+      jobId: id,
+      idempotencyKey: job.idempotencyKey,
+      reason: result.status,
+      attempts: job.attempts,
+      nextAttemptAt: job.nextAttemptAt,
+      apple: {
+        httpStatus: result.httpStatus,
+        responseText: result.responseText
+      }
+    });
+  } catch (error) {
+    logger.error('RELAY_REPLAY', 'Failed', { jobId: id, error: error.message });
+    res.status(500).json({
+      status: 'error',
+      requestId,
+      message: 'Failed to replay relay',
+      error: error.message
+    });
+  }
+});
+
+// GET /calendar/feeds - subscription URLs for the ICS feeds
+app.get("/calendar/feeds", async (req, res) => {
+  const requestId = req.requestId;
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  if (!buildFeedToken(CATEGORY_VALUES[0])) {
+    return res.status(500).json({
+      status: 'error',
+      message: 'Server misconfiguration: ICS_FEED_SECRET (or API_SECRET) not set',
+      requestId
+    });
+  }
+
+  try {
+    const categories = await listFeedCategories();
+    res.json({
+      status: 'ok',
+      requestId,
+      feeds: categories.map(category => {
+        const url = `${baseUrl}/calendar/${category}.ics?token=${buildFeedToken(category)}`;
+        return {
+          category,
+          url,
+          webcalUrl: url.replace(/^https?:/, 'webcal:')
+        };
+      })
+    });
+  } catch (error) {
+    logger.error('CALENDAR_FEED', 'Failed to list feeds', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      requestId,
+      message: 'Failed to list calendar feeds',
+      error: error.message
+    });
+  }
+});
+
+// GET /calendar/:category.ics - subscribable feed of synced tasks
+app.get("/calendar/:category.ics", async (req, res) => {
+  const requestId = req.requestId;
+
+  const { values, errors } = validateParameters(CalendarFeedParameters, { path: req.params });
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const { category } = values;
+
+  // A header was already checked by apiKeyMiddleware; otherwise the token must match this feed
+  if (!req.headers['x-assistant-key'] && !verifyFeedToken(category, req.query.token)) {
+    logger.security('AUTH_FAILED', { reason: 'invalid_feed_token', ip: req.ip, path: req.path });
+    return res.status(403).json({
+      status: 'error',
+      message: 'Invalid feed token',
+      requestId
+    });
+  }
+
+  try {
+    if (!(await listFeedCategories()).includes(category)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No calendar feed for category: ${category}`,
+        requestId
+      });
+    }
+    const entries = await calendarFeedStore.list(category);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${category}.ics"`);
+    res.send(renderFeed(category, entries));
+  } catch (error) {
+    logger.error('CALENDAR_FEED', 'Failed', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      requestId,
+      message: 'Failed to render calendar feed',
+      error: error.message
+    });
+  }
+});
+
+// promoteTask endpoint - creates task in Microsoft To Do
+app.post("/promoteTask", async (req, res) => {
+  const payload = req.body || {};
+  const requestId = req.requestId;
+
+  // Input validation
+  const validationErrors = validateTaskPayload(payload);
+  if (validationErrors.length > 0) {
+    logger.warn('PROMOTE_TASK', 'Validation failed', { errors: validationErrors });
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid request payload',
+      errors: validationErrors,
+      requestId
+    });
+  }
+
+  // Normalize the payload
+  const normalized = normalizeTaskPayload(payload);
+
+  // Idempotency-Key header, else externalId (see buildPromoteIdempotencyKey)
+  const { values: headers, errors: headerErrors } = validateParameters([IdempotencyKeyParameter], {
+    header: { 'Idempotency-Key': req.get('Idempotency-Key') }
+  });
+  if (headerErrors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: headerErrors[0],
+      errors: headerErrors,
+      requestId
+    });
+  }
+  const idempotencyKey = buildPromoteIdempotencyKey({
+    clientId: req.apiClient?.id,
+    headerKey: headers['Idempotency-Key'],
+    source: normalized.source,
+    externalId: normalized.externalId
+  });
+
+  // Log incoming request
+  logger.request(requestId, 'PROMOTE_TASK', {
+    title: normalized.title,
+    importance: normalized.importance,
+    category: normalized.category,
+    dueDate: normalized.dueDate,
+    dueDateTime: normalized.dueDateTime,
+    reminderDateTime: normalized.reminderDateTime,
+    timeZone: normalized.timeZone,
+    recurrence: normalized.recurrence?.frequency || null,
+    steps: normalized.steps.length,
+    source: normalized.source,
+    idempotencyKey
+  });
+
+  // Check if Microsoft Graph is configured
+  const authenticated = await isAuthenticated();
+  
+  if (authenticated) {
+    if (idempotencyKey) {
+      const previous = promoteIdempotencyStore.begin(idempotencyKey, hashRequest(normalized));
+
+      if (previous.state === 'completed') {
+        logger.info('PROMOTE_TASK', 'Idempotent replay', {
+          idempotencyKey,
+          microsoftTaskId: previous.body.microsoftTaskId
+        });
+        idempotencyHits.inc({ store: 'promote' });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previous.statusCode).json(previous.body);
+      }
+      if (previous.state === 'in_progress') {
+        logger.warn('PROMOTE_TASK', 'Concurrent request with the same key', { idempotencyKey });
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          status: 'error',
+          requestId,
+          message: 'A request with this idempotency key is still in progress',
+          hint: 'Retry shortly to get its result'
+        });
+      }
+      if (previous.state === 'mismatch') {
+        logger.warn('PROMOTE_TASK', 'Idempotency key reused for a different request', { idempotencyKey });
+        return res.status(422).json({
+          status: 'error',
+          requestId,
+          message: 'This idempotency key was already used for a different request',
+          hint: 'Send a new Idempotency-Key (or externalId) for a new task'
+        });
+      }
+    }
+
+    try {
+      // Create task in Microsoft To Do
+      const microsoftTask = await createMicrosoftTask({
+        title: normalized.title,
+        notes: normalized.notes,
+        importance: normalized.importance,
+        dueDate: normalized.dueDate,
+        dueDateTime: normalized.dueDateTime,
+        reminderDateTime: normalized.reminderDateTime,
+        isReminderOn: normalized.isReminderOn,
+        timeZone: normalized.timeZone,
+        category: normalized.category,
+        recurrence: normalized.recurrence,
+        steps: normalized.steps
+      });
+
+      logger.response(requestId, 'success', { 
+        microsoftTaskId: microsoftTask.id,
+        list: microsoftTask.listDisplayName,
+        title: microsoftTask.title 
+      });
+
+      const result = {
+        status: "created",
+        requestId,
+        ...describeCreatedTask(normalized, microsoftTask)
+      };
+
+      if (idempotencyKey) {
+        promoteIdempotencyStore.complete(idempotencyKey, 200, result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('PROMOTE_TASK', 'Failed to create task', { error: error.message });
+
+      // Nothing was stored, so a retry with the same key may try again
+      if (idempotencyKey) {
+        promoteIdempotencyStore.release(idempotencyKey);
+      }
       
-      res.status(500).json({
-        status: "error",
+      sendGraphError(res, error, {
+        requestId,
+        message: "Failed to create task in Microsoft 365",
+        hint: error.message.includes('refresh token') 
+          ? "Run: node src/auth-setup.js on the server to re-authenticate"
+          : "Check server logs for details"
+      });
+    }
+  } else {
+    logger.warn('PROMOTE_TASK', 'Graph not configured - stubbed response');
+    
+    res.json({
+      status: "stubbed",
+      requestId,
+      message: "Task accepted but not yet sent to Microsoft 365.",
+      hint: "To enable real task creation, run: node src/auth-setup.js",
+      echo: normalized
+    });
+  }
+});
+
+// POST /promoteTasks - Promote several tasks at once (Graph JSON batching)
+app.post("/promoteTasks", async (req, res) => {
+  const requestId = req.requestId;
+
+  const errors = validateObject(PromoteTasksRequest, req.body);
+  if (errors.length) {
+    logger.warn('PROMOTE_TASKS', 'Validation failed', { errors });
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid request payload',
+      errors,
+      requestId
+    });
+  }
+
+  // Each item goes through the same validation as POST /promoteTask
+  const items = req.body.tasks.map((payload, index) => {
+    const itemErrors = validateTaskPayload(payload || {});
+    return itemErrors.length
+      ? { index, errors: itemErrors }
+      : { index, normalized: normalizeTaskPayload(payload) };
+  });
+  const valid = items.filter(item => item.normalized);
+
+  logger.request(requestId, 'PROMOTE_TASKS', {
+    total: items.length,
+    valid: valid.length,
+    categories: [...new Set(valid.map(item => item.normalized.category))]
+  });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    logger.warn('PROMOTE_TASKS', 'Graph not configured - stubbed response');
+
+    return res.json({
+      status: 'stubbed',
+      requestId,
+      message: 'Tasks accepted but not yet sent to Microsoft 365.',
+      hint: 'To enable real task creation, run: node src/auth-setup.js',
+      summary: { total: items.length, created: 0, failed: 0, invalid: items.length - valid.length },
+      results: items.map(item => item.errors
+        ? { index: item.index, status: 'invalid', errors: item.errors }
+        : { index: item.index, status: 'stubbed', echo: item.normalized })
+    });
+  }
+
+  try {
+    const outcomes = valid.length
+      ? await createMicrosoftTasksBatch(valid.map(item => item.normalized))
+      : [];
+    const outcomeByIndex = new Map(valid.map((item, i) => [item.index, outcomes[i]]));
+
+    const results = items.map(item => {
+      if (item.errors) {
+        return { index: item.index, status: 'invalid', errors: item.errors };
+      }
+      const outcome = outcomeByIndex.get(item.index);
+      if (outcome.status === 'created') {
+        return { index: item.index, status: 'created', ...describeCreatedTask(item.normalized, outcome.task) };
+      }
+      return { index: item.index, status: 'failed', title: item.normalized.title, httpStatus: outcome.httpStatus, error: outcome.error };
+    });
+
+    const summary = {
+      total: results.length,
+      created: results.filter(result => result.status === 'created').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      invalid: results.filter(result => result.status === 'invalid').length
+    };
+    const status = summary.created === summary.total ? 'created' : summary.created ? 'partial' : 'failed';
+
+    if (summary.failed) {
+      logger.warn('PROMOTE_TASKS', 'Some tasks failed', {
+        failed: results.filter(result => result.status === 'failed').map(({ index, httpStatus, error }) => ({ index, httpStatus, error }))
+      });
+    }
+    logger.response(requestId, status, summary);
+
+    res.status(status === 'created' ? 200 : 207).json({
+      status,
+      requestId,
+      summary,
+      results
+    });
+  } catch (error) {
+    logger.error('PROMOTE_TASKS', 'Failed to create tasks', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to create tasks in Microsoft 365',
+      hint: error.message.includes('refresh token')
+        ? 'Run: node src/auth-setup.js on the server to re-authenticate'
+        : 'Check server logs for details'
+    });
+  }
+});
+
+// POST /capture - Natural-language task capture ("call the dentist next Tuesday, high priority")
+app.post("/capture", async (req, res) => {
+  const requestId = req.requestId;
+
+  const errors = validateObject(CaptureRequest, req.body);
+  if (errors.length) {
+    logger.warn('CAPTURE', 'Validation failed', { errors });
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid request payload',
+      errors,
+      requestId
+    });
+  }
+
+  const ai = { provider: taskExtractor.provider, model: taskExtractor.model };
+  if (!taskExtractor.isConfigured()) {
+    logger.warn('CAPTURE', 'AI model not configured', ai);
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'AI model not configured',
+      hint: 'Set OPENAI_API_KEY, or AI_CLIENT=fake to use the offline parser'
+    });
+  }
+
+  const text = req.body.text.trim();
+  const preview = req.body.preview === true;
+  logger.request(requestId, 'CAPTURE', { length: text.length, preview, ...ai });
+
+  let draft;
+  try {
+    draft = await taskExtractor.extract(text, buildCaptureContext());
+  } catch (error) {
+    logger.error('CAPTURE', 'AI extraction failed', { error: error.message, ...ai });
+    return res.status(502).json({
+      status: 'error',
+      requestId,
+      message: 'AI model request failed',
+      error: error.message
+    });
+  }
+
+  // The model's output gets exactly the checks a hand-written POST /promoteTask would
+  const payload = toTaskPayload(draft, { source: req.body.source || 'capture' });
+  const taskErrors = validateTaskPayload(payload);
+  if (taskErrors.length) {
+    logger.warn('CAPTURE', 'Extracted task is invalid', { errors: taskErrors, extracted: payload });
+    return res.status(422).json({
+      status: 'error',
+      requestId,
+      message: 'Could not extract a valid task from the text',
+      errors: taskErrors,
+      extracted: payload,
+      ai
+    });
+  }
+
+  const normalized = normalizeTaskPayload(payload);
+
+  if (preview) {
+    logger.response(requestId, 'preview', { title: normalized.title, category: normalized.category });
+    return res.json({ status: 'preview', requestId, ai, task: normalized });
+  }
+
+  const authenticated = await isAuthenticated();
+  if (!authenticated) {
+    logger.warn('CAPTURE', 'Graph not configured - stubbed response');
+    return res.json({
+      status: 'stubbed',
+      requestId,
+      ai,
+      message: 'Task extracted but not yet sent to Microsoft 365.',
+      hint: 'To enable real task creation, run: node src/auth-setup.js',
+      task: normalized
+    });
+  }
+
+  try {
+    const microsoftTask = await createMicrosoftTask(normalized);
+
+    logger.response(requestId, 'success', {
+      microsoftTaskId: microsoftTask.id,
+      list: microsoftTask.listDisplayName,
+      title: microsoftTask.title
+    });
+
+    res.json({
+      status: 'created',
+      requestId,
+      ai,
+      ...describeCreatedTask(normalized, microsoftTask)
+    });
+  } catch (error) {
+    logger.error('CAPTURE', 'Failed to create task', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to create task in Microsoft 365',
+      hint: error.message.includes('refresh token')
+        ? 'Run: node src/auth-setup.js on the server to re-authenticate'
+        : 'Check server logs for details'
+    });
+  }
+});
+
+// Shape a Graph todoTaskList for API responses
+function normalizeToDoList(list) {
+  return {
+    id: list.id,
+    displayName: list.displayName,
+    category: getCategoryForToDoList(list),
+    isOwner: list.isOwner,
+    isShared: list.isShared,
+    wellknownListName: list.wellknownListName
+  };
+}
+
+// POST /tasks/:microsoftTaskId/steps - Add a step (checklist item) to a task
+app.post("/tasks/:microsoftTaskId/steps", async (req, res) => {
+  const requestId = req.requestId;
+
+  const { values, errors: paramErrors } = validateParameters(TaskPathParameters, {
+    path: req.params,
+    query: req.query
+  });
+  const errors = [...paramErrors, ...validateObject(AddStepRequest, req.body)];
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const { microsoftTaskId, category } = values;
+  const displayName = req.body.displayName.trim();
+
+  logger.request(requestId, 'ADD_STEP', { microsoftTaskId, category, displayName });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    const step = await addTaskStep({
+      microsoftTaskId,
+      category,
+      displayName,
+      isChecked: req.body.isChecked === true
+    });
+
+    logger.response(requestId, 'added', { microsoftTaskId, stepId: step.stepId });
+
+    res.status(201).json({
+      status: 'added',
+      requestId,
+      microsoftTaskId,
+      step
+    });
+  } catch (error) {
+    logger.error('ADD_STEP', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to add step',
+      notFound: { message: 'Task not found', hint: 'The task may have been deleted or the category is incorrect' }
+    });
+  }
+});
+
+// PATCH /tasks/:microsoftTaskId/steps/:stepId - Check off, un-check or rename a step
+app.patch("/tasks/:microsoftTaskId/steps/:stepId", async (req, res) => {
+  const requestId = req.requestId;
+
+  const { values, errors: paramErrors } = validateParameters(StepPathParameters, {
+    path: req.params,
+    query: req.query
+  });
+  const errors = [...paramErrors, ...validateObject(UpdateStepRequest, req.body)];
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const { microsoftTaskId, stepId, category } = values;
+  const changes = {};
+  if (req.body.displayName !== undefined) changes.displayName = req.body.displayName.trim();
+  if (req.body.isChecked !== undefined) changes.isChecked = req.body.isChecked;
+
+  logger.request(requestId, 'UPDATE_STEP', { microsoftTaskId, stepId, category, ...changes });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    const step = await updateTaskStep({ microsoftTaskId, stepId, category, changes });
+
+    logger.response(requestId, 'updated', { microsoftTaskId, stepId, isChecked: step.isChecked });
+
+    res.json({
+      status: 'updated',
+      requestId,
+      microsoftTaskId,
+      step
+    });
+  } catch (error) {
+    logger.error('UPDATE_STEP', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to update step',
+      notFound: { message: 'Task or step not found', hint: 'The task or step may have been deleted or the category is incorrect' }
+    });
+  }
+});
+
+// DELETE /tasks/:microsoftTaskId/steps/:stepId - Remove a step
+app.delete("/tasks/:microsoftTaskId/steps/:stepId", async (req, res) => {
+  const requestId = req.requestId;
+
+  const { values, errors } = validateParameters(StepPathParameters, {
+    path: req.params,
+    query: req.query
+  });
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const { microsoftTaskId, stepId, category } = values;
+
+  logger.request(requestId, 'DELETE_STEP', { microsoftTaskId, stepId, category });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    await deleteTaskStep({ microsoftTaskId, stepId, category });
+
+    logger.response(requestId, 'deleted', { microsoftTaskId, stepId });
+
+    res.json({
+      status: 'deleted',
+      requestId,
+      microsoftTaskId,
+      stepId
+    });
+  } catch (error) {
+    logger.error('DELETE_STEP', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to delete step',
+      notFound: { message: 'Task or step not found', hint: 'The task or step may have been deleted or the category is incorrect' }
+    });
+  }
+});
+
+// GET /lists - List all To Do lists and the category mapped to each
+app.get("/lists", async (req, res) => {
+  const requestId = req.requestId;
+
+  logger.request(requestId, 'LIST_LISTS', {});
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    const lists = (await listAllToDoLists()).map(normalizeToDoList);
+
+    logger.response(requestId, 'success', { count: lists.length });
+
+    res.json({
+      status: 'ok',
+      requestId,
+      count: lists.length,
+      defaultCategory: DEFAULT_CATEGORY,
+      lists
+    });
+  } catch (error) {
+    logger.error('LIST_LISTS', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, { requestId, message: 'Failed to list To Do lists' });
+  }
+});
+
+// POST /lists - Create a To Do list
+app.post("/lists", async (req, res) => {
+  const requestId = req.requestId;
+
+  const errors = validateObject(CreateListRequest, req.body);
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const displayName = req.body.displayName.trim();
+
+  logger.request(requestId, 'CREATE_LIST', { displayName });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    // Graph allows duplicate list names; we don't, since lists are resolved by name
+    const existing = (await listAllToDoLists())
+      .find(list => list.displayName.toLowerCase() === displayName.toLowerCase());
+    if (existing) {
+      return res.status(409).json({
+        status: 'error',
         requestId,
-        message: "Failed to create task in Microsoft 365",
-        error: error.message,
-        hint: error.message.includes('refresh token') 
-          ? "Run: node src/auth-setup.js on the server to re-authenticate"
-          : "Check server logs for details"
+        message: `A list named "${existing.displayName}" already exists`,
+        hint: 'GET /lists shows existing lists'
       });
     }
-  } else {
-    logger.warn('PROMOTE_TASK', `[${requestId}] Graph not configured - stubbed response`);
-    
-    res.json({
-      status: "stubbed",
+
+    const list = normalizeToDoList(await createToDoList({ displayName }));
+
+    logger.response(requestId, 'created', { listId: list.id, displayName: list.displayName });
+
+    res.status(201).json({
+      status: 'created',
       requestId,
-      message: "Task accepted but not yet sent to Microsoft 365.",
-      hint: "To enable real task creation, run: node src/auth-setup.js",
-      echo: normalized
+      list
     });
+  } catch (error) {
+    logger.error('CREATE_LIST', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, { requestId, message: 'Failed to create To Do list' });
   }
 });
 
 // GET /tasks - List tasks from Microsoft To Do
 app.get("/tasks", async (req, res) => {
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-  const category = req.query.category || 'personal';
-  const top = parseInt(req.query.top) || 10;
-  const includeCompleted = req.query.includeCompleted === 'true';
-
-  // Validate category
-  const validCategories = ['work', 'personal'];
-  if (!validCategories.includes(category)) {
+  const requestId = req.requestId;
+
+  // Validate query (category, top, filters, sort, cursor)
+  const { values, errors } = validateParameters(ListTasksParameters, { query: req.query });
+  if (errors.length) {
     return res.status(400).json({
       status: 'error',
-      message: `category must be one of: ${validCategories.join(', ')}`,
+      message: errors[0],
+      errors,
       requestId
     });
   }
+  const { cursor, ...query } = values;
+  query.timeZone = query.timeZone || getDefaultTimeZone();
+  const { category, top, includeCompleted, expandSteps, timeZone } = query;
 
-  // Validate top
-  if (top < 1 || top > 100) {
+  // The cursor only continues the query it was issued for
+  const fingerprint = queryFingerprint(query);
+  const { position, error: cursorError } = cursor ? decodeCursor(cursor, fingerprint) : { position: null, error: null };
+  if (cursorError) {
     return res.status(400).json({
       status: 'error',
-      message: 'top must be between 1 and 100',
+      message: cursorError,
+      errors: [cursorError],
       requestId
     });
   }
 
-  logger.request(requestId, 'LIST_TASKS', { category, top, includeCompleted });
+  logger.request(requestId, 'LIST_TASKS', { category, top, includeCompleted, expandSteps, timeZone, cursor: Boolean(cursor) });
 
   const authenticated = await isAuthenticated();
   
@@ -472,53 +1852,109 @@ app.get("/tasks", async (req, res) => {
   }
 
   try {
-    const tasks = await listTasks({ category, top, includeCompleted });
+    const { tasks, next } = await listTasks({ ...query, position });
     
-    logger.response(requestId, 'success', { count: tasks.length });
+    logger.response(requestId, 'success', { count: tasks.length, hasMore: Boolean(next) });
 
     res.json({
       status: 'ok',
       requestId,
       category,
+      timeZone,
       count: tasks.length,
-      tasks
+      tasks,
+      nextCursor: next ? encodeCursor(next, fingerprint) : null
     });
   } catch (error) {
-    logger.error('LIST_TASKS', `[${requestId}] Failed`, { error: error.message });
+    logger.error('LIST_TASKS', 'Failed', { error: error.message });
     
-    res.status(500).json({
-      status: 'error',
-      requestId,
-      message: 'Failed to list tasks',
-      error: error.message
-    });
+    sendGraphError(res, error, { requestId, message: 'Failed to list tasks' });
   }
 });
 
-// POST /completeTask - Mark a task as completed
-app.post("/completeTask", async (req, res) => {
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-  const { microsoftTaskId, category } = req.body || {};
+// GET /digest - Daily review: overdue, today, this week, high priority, recently completed
+app.get("/digest", async (req, res) => {
+  const requestId = req.requestId;
 
-  // Validate microsoftTaskId
-  if (!microsoftTaskId || typeof microsoftTaskId !== 'string') {
+  const { values, errors } = validateParameters(DigestParameters, { query: req.query });
+  if (errors.length) {
     return res.status(400).json({
       status: 'error',
-      message: 'microsoftTaskId is required and must be a string',
+      message: errors[0],
+      errors,
       requestId
     });
   }
+  const { days, completedDays, format } = values;
+  const categories = values.category ? [values.category] : CATEGORY_VALUES;
+  const timeZone = values.timeZone || getDefaultTimeZone();
+
+  logger.request(requestId, 'DIGEST', { categories, days, completedDays, timeZone, format });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    const digestOptions = { timeZone, now: new Date(), days, completedDays };
+    const { completedSince } = getDigestWindow(digestOptions);
+    const { tasks, unavailable, truncated } = await collectDigestTasks({ categories, timeZone, completedSince });
+
+    if (unavailable.length === categories.length) {
+      throw new Error(unavailable.map(u => `${u.category}: ${u.error}`).join('; '));
+    }
+    if (unavailable.length) {
+      logger.warn('DIGEST', 'Some lists could not be read', { unavailable });
+    }
+
+    const digest = buildDigest(tasks, digestOptions);
+    const markdown = renderDigestMarkdown(digest, { unavailable });
+
+    logger.response(requestId, 'success', digest.counts);
+
+    if (format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(markdown);
+    }
+
+    res.json({
+      status: 'ok',
+      requestId,
+      ...digest,
+      categories: categories.filter(category => !unavailable.some(u => u.category === category)),
+      ...(unavailable.length ? { unavailable } : {}),
+      ...(truncated.length ? { truncated } : {}),
+      markdown
+    });
+  } catch (error) {
+    logger.error('DIGEST', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, { requestId, message: 'Failed to build digest' });
+  }
+});
+
+// POST /completeTask - Mark a task as completed
+app.post("/completeTask", async (req, res) => {
+  const requestId = req.requestId;
+  const { microsoftTaskId, category } = req.body || {};
 
-  // Validate category if provided
-  const validCategories = ['work', 'personal'];
-  const normalizedCategory = category || 'personal';
-  if (!validCategories.includes(normalizedCategory)) {
+  // Validate microsoftTaskId + category
+  const errors = validateObject(CompleteTaskRequest, req.body);
+  if (errors.length) {
     return res.status(400).json({
       status: 'error',
-      message: `category must be one of: ${validCategories.join(', ')}`,
+      message: errors[0],
+      errors,
       requestId
     });
   }
+  const normalizedCategory = category || DEFAULT_CATEGORY;
 
   logger.request(requestId, 'COMPLETE_TASK', { microsoftTaskId, category: normalizedCategory });
 
@@ -553,23 +1989,159 @@ app.post("/completeTask", async (req, res) => {
       completedDateTime: result.completedDateTime
     });
   } catch (error) {
-    logger.error('COMPLETE_TASK', `[${requestId}] Failed`, { error: error.message });
+    logger.error('COMPLETE_TASK', 'Failed', { error: error.message });
     
-    // Check for 404 (task not found)
-    if (error.message.includes('404')) {
-      return res.status(404).json({
-        status: 'error',
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to complete task',
+      notFound: { message: 'Task not found', hint: 'The task may have been deleted or the category is incorrect' }
+    });
+  }
+});
+
+// PATCH /tasks/:microsoftTaskId - Edit a task (or move it to another category)
+app.patch("/tasks/:microsoftTaskId", async (req, res) => {
+  const requestId = req.requestId;
+
+  // Validate path/query (microsoftTaskId, source category) and the changes
+  const { values, errors: paramErrors } = validateParameters(TaskPathParameters, {
+    path: req.params,
+    query: req.query
+  });
+  const errors = [...paramErrors, ...validateObject(UpdateTaskRequest, req.body)];
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const { microsoftTaskId, category } = values;
+  const targetCategory = req.body.category;
+  const changes = normalizeTaskChanges(req.body);
+  const isMove = Boolean(targetCategory && targetCategory !== category);
+
+  logger.request(requestId, 'UPDATE_TASK', {
+    microsoftTaskId,
+    category,
+    targetCategory: targetCategory || category,
+    fields: Object.keys(changes)
+  });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
+      status: 'error',
+      requestId,
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    if (isMove) {
+      const { previousMicrosoftTaskId, previousListDisplayName, sourceDeleted, ...task } = await moveTask({
+        microsoftTaskId,
+        fromCategory: category,
+        toCategory: targetCategory,
+        changes
+      });
+
+      if (!sourceDeleted) {
+        logger.warn('UPDATE_TASK', 'Moved task but source was not deleted', {
+          previousMicrosoftTaskId,
+          list: previousListDisplayName
+        });
+      }
+      logger.response(requestId, 'moved', {
+        microsoftTaskId: task.microsoftTaskId,
+        previousMicrosoftTaskId,
+        list: task.listDisplayName
+      });
+
+      return res.json({
+        status: 'moved',
         requestId,
-        message: 'Task not found',
-        hint: 'The task may have been deleted or the category is incorrect'
+        task,
+        previousMicrosoftTaskId,
+        sourceDeleted
       });
     }
-    
-    res.status(500).json({
+
+    const task = await updateTask({ microsoftTaskId, category, changes });
+
+    logger.response(requestId, 'updated', {
+      microsoftTaskId: task.microsoftTaskId,
+      title: task.title
+    });
+
+    res.json({
+      status: 'updated',
+      requestId,
+      task
+    });
+  } catch (error) {
+    logger.error('UPDATE_TASK', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to update task',
+      notFound: { message: 'Task not found', hint: 'The task may have been deleted or the category is incorrect' }
+    });
+  }
+});
+
+// DELETE /tasks/:microsoftTaskId - Delete a task
+app.delete("/tasks/:microsoftTaskId", async (req, res) => {
+  const requestId = req.requestId;
+
+  const { values, errors } = validateParameters(TaskPathParameters, {
+    path: req.params,
+    query: req.query
+  });
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'error',
+      message: errors[0],
+      errors,
+      requestId
+    });
+  }
+  const { microsoftTaskId, category } = values;
+
+  logger.request(requestId, 'DELETE_TASK', { microsoftTaskId, category });
+
+  const authenticated = await isAuthenticated();
+
+  if (!authenticated) {
+    return res.status(503).json({
       status: 'error',
       requestId,
-      message: 'Failed to complete task',
-      error: error.message
+      message: 'Microsoft Graph not configured',
+      hint: 'Run: node src/auth-setup.js'
+    });
+  }
+
+  try {
+    const result = await deleteTask({ microsoftTaskId, category });
+
+    logger.response(requestId, 'deleted', { microsoftTaskId, list: result.listDisplayName });
+
+    res.json({
+      status: 'deleted',
+      requestId,
+      microsoftTaskId,
+      list: result.listDisplayName
+    });
+  } catch (error) {
+    logger.error('DELETE_TASK', 'Failed', { error: error.message });
+
+    sendGraphError(res, error, {
+      requestId,
+      message: 'Failed to delete task',
+      notFound: { message: 'Task not found', hint: 'The task may have been deleted or the category is incorrect' }
     });
   }
 });
@@ -577,5 +2149,81 @@ app.post("/completeTask", async (req, res) => {
 // Start the server
 app.listen(port, () => {
   logger.info('SERVER', `assistant-365-bridge listening on port ${port}`);
+
+  const { undocumented } = buildOpenApiDocument({ routes: listExpressRoutes(app) });
+  if (undocumented.length) {
+    logger.warn('OPENAPI', 'Routes missing from src/schemas/apiSchemas.js (not in /openapi.json)', { undocumented });
+  }
   logger.info('AI', 'Active AI model configured', aiModelInfo);
+  if (!taskExtractor.isConfigured()) {
+    logger.warn('AI', 'OPENAI_API_KEY not set - POST /capture returns 503 (AI_CLIENT=fake for the offline parser)');
+  } else if (taskExtractor.provider !== 'openai') {
+    logger.info('AI', `POST /capture uses the ${taskExtractor.provider} extractor`);
+  }
+  const keyList = apiKeys.list();
+  if (!keyList.length) {
+    logger.warn('AUTH', 'No API keys - protected routes return 500 (set API_SECRET or run node src/api-keys.js create <name> admin)');
+  } else {
+    logger.info('AUTH', 'API keys loaded', {
+      file: apiKeys.filePath,
+      active: keyList.filter(key => key.status === 'active').map(key => key.name)
+    });
+  }
+  if (rateLimiter.enabled) {
+    logger.info('RATE_LIMIT', 'Rate limits (requests/seconds per bucket)', {
+      perKey: rateLimiter.limits.key,
+      perIp: rateLimiter.limits.ip,
+      trustProxy: app.get('trust proxy')
+    });
+  }
+  if (webhookVerifier.enabled) {
+    logger.info('WEBHOOKS', 'Inbound webhooks require an HMAC signature', { toleranceSeconds: webhookVerifier.toleranceSeconds });
+  }
+  logger.info('CATEGORIES', 'Category → To Do list mapping', getCategoryConfigInfo());
+  if (process.env.DEFAULT_TIME_ZONE && getDefaultTimeZone() !== process.env.DEFAULT_TIME_ZONE) {
+    logger.warn('TIME_ZONE', 'DEFAULT_TIME_ZONE is not a valid IANA time zone - using fallback', {
+      configured: process.env.DEFAULT_TIME_ZONE,
+      using: getDefaultTimeZone()
+    });
+  }
+
+  relayQueue.start(logger);
+
+  if (subscriptionManager) {
+    isAuthenticated().then(authenticated => {
+      if (!authenticated) {
+        logger.warn('GRAPH_SUBSCRIPTIONS', 'GRAPH_SUBSCRIPTIONS_ENABLED is set but Graph is not authenticated - not subscribing');
+        return;
+      }
+      // Graph validates notificationUrl while creating, so this must run after listen()
+      subscriptionManager.start(logger);
+      logger.info('GRAPH_SUBSCRIPTIONS', 'Subscription manager started', {
+        categories: subscriptionManager.categories,
+        notificationUrl: subscriptionManager.notificationUrl
+      });
+    });
+  }
+
+  if (scheduler) {
+    isAuthenticated().then(authenticated => {
+      if (!authenticated) {
+        logger.warn('SCHEDULER', 'SCHEDULE_CONFIG_PATH is set but Graph is not authenticated - scheduler not started');
+        return;
+      }
+      scheduler.start(logger);
+      schedulerRunning = true;
+      logger.info('SCHEDULER', 'Scheduler started', { jobs: scheduler.jobs, notifiers: scheduler.notifiers });
+    });
+  }
+
+  if (deltaPoller) {
+    isAuthenticated().then(authenticated => {
+      if (!authenticated) {
+        logger.warn('DELTA_POLL', 'GRAPH_DELTA_POLL_ENABLED is set but Graph is not authenticated - poller not started');
+        return;
+      }
+      deltaPoller.start(logger);
+      logger.info('DELTA_POLL', 'Graph delta poller started', { categories: deltaPoller.categories });
+    });
+  }
 });
@@ -0,0 +1,367 @@
+/**
+ * Named, scoped API keys for X-Assistant-Key (API_KEYS_PATH)
+ *
+ * Each client (ChatGPT, Shortcuts, Power Automate) gets its own key with only
+ * the scopes it needs. Keys are stored as SHA-256 hashes; the plaintext is
+ * shown once, when the key is created or rotated.
+ *
+ * - Scopes: tasks:read, tasks:write, sync:webhook, metrics, admin (admin implies all)
+ * - Optional expiry; revoked keys stay in the file for the audit trail
+ * - Rotation can keep the old secret valid for a grace period
+ * - Every lookup compares against every key in constant time
+ * - The file is re-read when it changes on disk (e.g. src/api-keys.js CLI),
+ *   so keys never need a restart, and every write starts from a fresh read,
+ *   so the periodic lastUsedAt flush can't undo a CLI change
+ *
+ * API_SECRET, if set, still works as a legacy key named "api-secret" with all
+ * scopes, so existing clients keep working while they move to their own keys.
+ */
+
+import crypto from 'crypto';
+import { mkdirSync, readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import path from 'path';
+
+export const API_KEY_SCOPES = ['tasks:read', 'tasks:write', 'sync:webhook', 'metrics', 'admin'];
+
+const DEFAULT_KEYS_PATH = './data/auth/api-keys.json';
+const KEY_PREFIX = 'a365_';
+const LEGACY_KEY_ID = 'env';
+const LEGACY_KEY_NAME = 'api-secret';
+
+// lastUsedAt is kept in memory and written at most this often
+const TOUCH_FLUSH_MS = 60 * 1000;
+// How often verify() checks the file for outside changes
+const RELOAD_CHECK_MS = 5 * 1000;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emptyState() {
+  return { version: 1, keys: [] };
+}
+
+/**
+ * @param {string} key - plaintext API key
+ * @returns {string} sha256 hex
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  if (!a || !b) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function loadState(filePath) {
+  try {
+    const parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (!parsed || !Array.isArray(parsed.keys)) return emptyState();
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT') return emptyState();
+    throw new Error(`Could not read API keys file ${filePath}: ${error.message}`);
+  }
+}
+
+function atomicWriteJson(filePath, data) {
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  renameSync(tmpPath, filePath);
+}
+
+function fileMtime(filePath) {
+  try {
+    return statSync(filePath).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Does a client hold a scope? admin holds every scope.
+ * @param {{scopes: string[]}} client
+ * @param {string} scope
+ * @returns {boolean}
+ */
+export function hasScope(client, scope) {
+  return Boolean(client?.scopes?.includes(scope) || client?.scopes?.includes('admin'));
+}
+
+/**
+ * Resolve an expiry from { expiresAt } or { expiresInDays }.
+ * @returns {{expiresAt?: string|null, error?: string}}
+ */
+export function resolveExpiry({ expiresAt, expiresInDays } = {}) {
+  if (expiresAt && expiresInDays) {
+    return { error: 'expiresAt and expiresInDays cannot both be set' };
+  }
+  if (expiresInDays) {
+    return { expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() };
+  }
+  if (expiresAt) {
+    const t = Date.parse(expiresAt);
+    if (!Number.isFinite(t) || t <= Date.now()) {
+      return { error: 'expiresAt must be in the future' };
+    }
+    return { expiresAt: new Date(t).toISOString() };
+  }
+  return {};
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.filePath] - defaults to API_KEYS_PATH
+ * @param {string} [options.legacySecret] - defaults to API_SECRET
+ */
+export function createApiKeyStore(options = {}) {
+  const filePath = options.filePath || process.env.API_KEYS_PATH || DEFAULT_KEYS_PATH;
+  const legacySecret = options.legacySecret ?? process.env.API_SECRET ?? null;
+  const legacyHash = legacySecret ? hashApiKey(legacySecret) : null;
+
+  let state = loadState(filePath);
+  let loadedMtime = fileMtime(filePath);
+  let lastReloadCheck = Date.now();
+  const lastUsed = new Map();
+  let flushTimer = null;
+
+  function reload() {
+    state = loadState(filePath);
+    loadedMtime = fileMtime(filePath);
+    lastReloadCheck = Date.now();
+  }
+
+  // Another process (the CLI, a second server) may have written the file since
+  // we read it: always start a write from what is on disk
+  function save(mutate = () => {}) {
+    reload();
+    const result = mutate(state);
+    for (const key of state.keys) {
+      const used = lastUsed.get(key.id);
+      if (used && !(key.lastUsedAt && key.lastUsedAt > used)) key.lastUsedAt = used;
+    }
+    atomicWriteJson(filePath, state);
+    loadedMtime = fileMtime(filePath);
+    return result;
+  }
+
+  function reloadIfChanged() {
+    const now = Date.now();
+    if (now - lastReloadCheck < RELOAD_CHECK_MS) return;
+    lastReloadCheck = now;
+    const mtime = fileMtime(filePath);
+    if (mtime !== loadedMtime) {
+      state = loadState(filePath);
+      loadedMtime = mtime;
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        save();
+      } catch {
+        // lastUsedAt is best-effort
+      }
+    }, TOUCH_FLUSH_MS);
+    flushTimer.unref?.();
+  }
+
+  function publicView(key) {
+    const now = Date.now();
+    const expired = Boolean(key.expiresAt && Date.parse(key.expiresAt) <= now);
+    return {
+      id: key.id,
+      name: key.name,
+      scopes: key.scopes,
+      source: 'file',
+      prefix: key.prefix,
+      status: key.revokedAt ? 'revoked' : expired ? 'expired' : 'active',
+      createdAt: key.createdAt,
+      expiresAt: key.expiresAt || null,
+      rotatedAt: key.rotatedAt || null,
+      previousValidUntil: key.previousHash && Date.parse(key.previousValidUntil) > now ? key.previousValidUntil : null,
+      revokedAt: key.revokedAt || null,
+      lastUsedAt: lastUsed.get(key.id) || key.lastUsedAt || null
+    };
+  }
+
+  function legacyView() {
+    return {
+      id: LEGACY_KEY_ID,
+      name: LEGACY_KEY_NAME,
+      scopes: [...API_KEY_SCOPES],
+      source: 'env',
+      status: 'active'
+    };
+  }
+
+  /**
+   * Look up the client for a presented key.
+   * @param {string} providedKey
+   * @returns {{ok: true, client: {id: string, name: string, scopes: string[], source: string}}
+   *   | {ok: false, reason: 'invalid'|'expired'|'revoked', name?: string}}
+   */
+  function verify(providedKey) {
+    reloadIfChanged();
+    const providedHash = hashApiKey(providedKey);
+    const now = Date.now();
+
+    // No early exit: every key is compared, so timing doesn't reveal which one matched
+    let match = null;
+    for (const key of state.keys) {
+      const current = hashesMatch(providedHash, key.hash);
+      const previous = Boolean(key.previousHash) &&
+        hashesMatch(providedHash, key.previousHash) &&
+        Date.parse(key.previousValidUntil) > now;
+      if ((current || previous) && !match) match = key;
+    }
+    const legacy = hashesMatch(providedHash, legacyHash);
+
+    if (match) {
+      if (match.revokedAt) return { ok: false, reason: 'revoked', name: match.name };
+      if (match.expiresAt && Date.parse(match.expiresAt) <= now) return { ok: false, reason: 'expired', name: match.name };
+      lastUsed.set(match.id, nowIso());
+      scheduleFlush();
+      return { ok: true, client: { id: match.id, name: match.name, scopes: match.scopes, source: 'file' } };
+    }
+    if (legacy) {
+      const { id, name, scopes, source } = legacyView();
+      return { ok: true, client: { id, name, scopes, source } };
+    }
+    return { ok: false, reason: 'invalid' };
+  }
+
+  /**
+   * @returns {boolean} whether any key could authenticate
+   */
+  function isConfigured() {
+    reloadIfChanged();
+    return Boolean(legacyHash) || state.keys.some(key => !key.revokedAt);
+  }
+
+  /**
+   * @returns {Array<Object>} every key (file keys, then the API_SECRET key), without hashes
+   */
+  function list() {
+    reloadIfChanged();
+    return [...state.keys.map(publicView), ...(legacyHash ? [legacyView()] : [])];
+  }
+
+  function findKey(id) {
+    reloadIfChanged();
+    return state.keys.find(key => key.id === id) || null;
+  }
+
+  /**
+   * @param {Object} input
+   * @param {string} input.name
+   * @param {string[]} input.scopes
+   * @param {string|null} [input.expiresAt] - ISO timestamp
+   * @returns {{key: string, record: Object}} plaintext key (shown once) + public view
+   * @throws {Error} with code 'DUPLICATE_NAME'
+   */
+  function create({ name, scopes, expiresAt = null }) {
+    const plaintext = generateKey();
+    const record = save(current => {
+      const taken = name === LEGACY_KEY_NAME ||
+        current.keys.some(key => !key.revokedAt && key.name.toLowerCase() === name.toLowerCase());
+      if (taken) {
+        const error = new Error(`An active key named "${name}" already exists`);
+        error.code = 'DUPLICATE_NAME';
+        throw error;
+      }
+
+      const added = {
+        id: 'key_' + crypto.randomBytes(6).toString('hex'),
+        name,
+        scopes: [...new Set(scopes)],
+        hash: hashApiKey(plaintext),
+        prefix: plaintext.slice(0, KEY_PREFIX.length + 4),
+        createdAt: nowIso(),
+        expiresAt,
+        revokedAt: null,
+        lastUsedAt: null
+      };
+      current.keys.push(added);
+      return added;
+    });
+    return { key: plaintext, record: publicView(record) };
+  }
+
+  /**
+   * Issue a new secret for a key. The old one keeps working for graceMinutes.
+   * @param {string} id
+   * @param {Object} [input]
+   * @param {number} [input.graceMinutes] - default 0 (old secret stops immediately)
+   * @param {string|null} [input.expiresAt] - new expiry; omitted keeps the current one
+   * @returns {{key: string, record: Object}|null} null if no such (unrevoked) key
+   */
+  function rotate(id, { graceMinutes = 0, expiresAt } = {}) {
+    const plaintext = generateKey();
+    // Reading and changing the key happen against a fresh copy of the file
+    const record = save(current => {
+      const found = current.keys.find(key => key.id === id);
+      if (!found || found.revokedAt) return null;
+
+      if (graceMinutes > 0) {
+        found.previousHash = found.hash;
+        found.previousValidUntil = new Date(Date.now() + graceMinutes * 60 * 1000).toISOString();
+      } else {
+        delete found.previousHash;
+        delete found.previousValidUntil;
+      }
+      found.hash = hashApiKey(plaintext);
+      found.prefix = plaintext.slice(0, KEY_PREFIX.length + 4);
+      found.rotatedAt = nowIso();
+      if (expiresAt !== undefined) found.expiresAt = expiresAt;
+      return found;
+    });
+    return record ? { key: plaintext, record: publicView(record) } : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} public view, or null if no such key
+   */
+  function revoke(id) {
+    reload();
+    const existing = state.keys.find(key => key.id === id);
+    if (!existing) return null;
+    if (existing.revokedAt) return publicView(existing);
+
+    const record = save(current => {
+      const found = current.keys.find(key => key.id === id);
+      if (found && !found.revokedAt) {
+        found.revokedAt = nowIso();
+        delete found.previousHash;
+        delete found.previousValidUntil;
+      }
+      return found || null;
+    });
+    return record ? publicView(record) : null;
+  }
+
+  return {
+    filePath,
+    legacyKeyId: LEGACY_KEY_ID,
+    verify,
+    isConfigured,
+    list,
+    get: id => {
+      const record = findKey(id);
+      return record ? publicView(record) : null;
+    },
+    create,
+    rotate,
+    revoke
+  };
+}
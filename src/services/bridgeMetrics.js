@@ -0,0 +1,77 @@
+/**
+ * The bridge's Prometheus metrics (served by GET /metrics)
+ *
+ * One process-wide registry; modules import the metric they update.
+ * Gauges that read a store (sync store size, relay queue) are added in
+ * server.js, where the store instances live.
+ */
+
+import { createMetricsRegistry } from '../utils/metrics.js';
+
+export const registry = createMetricsRegistry();
+
+// Route label for requests that matched no route (keeps label cardinality bounded)
+export const UNMATCHED_ROUTE = 'unmatched';
+
+export const httpRequests = registry.counter(
+  'bridge_http_requests_total',
+  'HTTP requests by method, Express route and status code.',
+  ['method', 'route', 'status']
+);
+
+export const httpRequestDuration = registry.histogram(
+  'bridge_http_request_duration_seconds',
+  'HTTP request latency by method and Express route.',
+  ['method', 'route']
+);
+
+export const graphRequests = registry.counter(
+  'bridge_graph_requests_total',
+  'Microsoft Graph call attempts by operation (method + path template) and HTTP status (timeout or network_error when no response).',
+  ['operation', 'status']
+);
+
+export const graphRequestDuration = registry.histogram(
+  'bridge_graph_request_duration_seconds',
+  'Microsoft Graph call latency by operation.',
+  ['operation']
+);
+
+export const relayOutcomes = registry.counter(
+  'bridge_relay_outcomes_total',
+  'Personal task sync outcomes (relayed, duplicate_ignored, ignored, queued, accepted, invalid, error) by source.',
+  ['status', 'source']
+);
+
+export const idempotencyHits = registry.counter(
+  'bridge_idempotency_hits_total',
+  'Requests answered from an idempotency store instead of doing the work again.',
+  ['store']
+);
+
+export const tokenRefreshes = registry.counter(
+  'bridge_token_refresh_total',
+  'Microsoft access token refreshes by method (silent, legacy_refresh_token) and result.',
+  ['method', 'result']
+);
+
+const GRAPH_ID_AFTER = new Set(['lists', 'tasks', 'checklistItems', 'linkedResources', 'attachments', 'subscriptions']);
+
+/**
+ * Operation label for a Graph URL: "GET /me/todo/lists/{id}/tasks".
+ * @param {string} method
+ * @param {string} url - absolute Graph URL (query string and @odata.nextLink tokens are dropped)
+ * @param {string} endpoint - GRAPH_API_ENDPOINT; its path (/v1.0) is stripped from the front
+ * @returns {string}
+ */
+export function graphOperation(method, url, endpoint) {
+  const { pathname } = new URL(url);
+  const base = new URL(endpoint).pathname.replace(/\/$/, '');
+  const segments = (pathname.startsWith(base) ? pathname.slice(base.length) : pathname).split('/');
+  const templated = segments.map((segment, index) => {
+    const previous = segments[index - 1];
+    const isId = GRAPH_ID_AFTER.has(previous) && segment && segment !== 'delta' && !segment.startsWith('$');
+    return isId ? '{id}' : segment;
+  });
+  return `${method.toUpperCase()} ${templated.join('/')}`;
+}
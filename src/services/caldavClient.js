@@ -0,0 +1,110 @@
+/**
+ * CalDAV destination for Personal Task Sync
+ *
+ * Writes the Apple event payload straight into a CalDAV calendar collection
+ * (iCloud, Fastmail, Nextcloud, Radicale, ...) so no Shortcut runner is needed.
+ *
+ * - upsert   → PUT <collection>/<uid>.ics (overwrites the previous version)
+ * - complete → CALDAV_COMPLETE_MODE=mark (default): PUT with a ✅ title
+ *              CALDAV_COMPLETE_MODE=delete:        DELETE the resource
+ *
+ * Returns the same result shape as relayToApple so callers can treat both
+ * destinations alike.
+ */
+
+import { buildCalendar, buildEventUid, buildVEventLines } from './icalendar.js';
+import { getRequestId, REQUEST_ID_HEADER } from '../utils/requestContext.js';
+
+const COMPLETE_MODES = ['mark', 'delete'];
+
+function basicAuthHeader(username, password) {
+  if (!username) return null;
+  const token = Buffer.from(`${username}:${password || ''}`, 'utf8').toString('base64');
+  return `Basic ${token}`;
+}
+
+/**
+ * Resource URL for a task's event inside the collection.
+ * @param {string} collectionUrl
+ * @param {string} microsoftTaskId
+ * @returns {string}
+ */
+export function buildEventResourceUrl(collectionUrl, microsoftTaskId) {
+  const base = collectionUrl.endsWith('/') ? collectionUrl : `${collectionUrl}/`;
+  const name = buildEventUid(microsoftTaskId).split('@')[0];
+  return new URL(`${encodeURIComponent(name)}.ics`, base).toString();
+}
+
+/**
+ * Send an event payload to a CalDAV collection.
+ * @param {Object} options
+ * @param {string} options.collectionUrl - Calendar collection URL (e.g. http://localhost:5232/me/personal/)
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {string} [options.completeMode] - "mark" | "delete"
+ * @param {Object} options.payload - Apple event payload (see buildAppleEventPayload)
+ * @returns {Promise<{sent: boolean, status: string, httpStatus?: number, responseText?: string}>}
+ */
+export async function relayToCalDav({ collectionUrl, username, password, completeMode, payload }) {
+  if (!collectionUrl) {
+    return {
+      sent: false,
+      status: 'not_configured'
+    };
+  }
+
+  const mode = COMPLETE_MODES.includes(completeMode) ? completeMode : 'mark';
+  const url = buildEventResourceUrl(collectionUrl, payload.microsoftTaskId);
+  const headers = {};
+  const authorization = basicAuthHeader(username, password);
+  if (authorization) {
+    headers['Authorization'] = authorization;
+  }
+  const requestId = getRequestId();
+  if (requestId) {
+    headers[REQUEST_ID_HEADER] = requestId;
+  }
+
+  let response;
+  if (payload.action === 'complete' && mode === 'delete') {
+    response = await fetch(url, { method: 'DELETE', headers });
+    // Already gone counts as done.
+    if (response.status === 404) {
+      return { sent: true, status: 'ok', httpStatus: 404, responseText: '' };
+    }
+  } else {
+    const ics = buildCalendar([
+      buildVEventLines(payload, { markCompleted: payload.action === 'complete' })
+    ]);
+
+    response = await fetch(url, {
+      method: 'PUT',
+      headers: {
+        ...headers,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Length': String(Buffer.byteLength(ics, 'utf8'))
+      },
+      body: ics
+    });
+  }
+
+  const responseText = await response.text().catch(() => '');
+
+  if (!response.ok) {
+    return {
+      sent: false,
+      status: 'error',
+      httpStatus: response.status,
+      responseText
+    };
+  }
+
+  return {
+    sent: true,
+    status: 'ok',
+    httpStatus: response.status,
+    responseText,
+    etag: response.headers.get('etag') || null
+  };
+}
+
@@ -0,0 +1,77 @@
+/**
+ * Subscribable ICS feed of synced personal tasks
+ *
+ * GET /calendar/:category.ics renders the open tasks recorded in the
+ * calendar feed store. Calendar apps can't send X-Assistant-Key, so each feed has its
+ * own token (?token=...) derived from ICS_FEED_SECRET (falls back to
+ * API_SECRET). Rotating the secret rotates every feed URL.
+ */
+
+import crypto from 'crypto';
+import { buildCalendar, buildVEventLines } from './icalendar.js';
+
+function getFeedSecret() {
+  return process.env.ICS_FEED_SECRET || process.env.API_SECRET || null;
+}
+
+function getRefreshMinutes() {
+  const v = Number(process.env.ICS_FEED_REFRESH_MINUTES || 15);
+  if (!Number.isFinite(v) || v <= 0) return 15;
+  return Math.round(v);
+}
+
+/**
+ * Token for a category feed (hex HMAC of the category name).
+ * @param {string} category
+ * @returns {string|null} null when no secret is configured
+ */
+export function buildFeedToken(category) {
+  const secret = getFeedSecret();
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`ics-feed:${category}`).digest('hex').slice(0, 40);
+}
+
+/**
+ * Constant-time check of a feed token.
+ * @param {string} category
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifyFeedToken(category, token) {
+  const expected = buildFeedToken(category);
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+/**
+ * Render a category feed.
+ * @param {string} category
+ * @param {Array<{payload: Object, sequence: number, updatedAt: string}>} entries
+ * @returns {string} text/calendar body
+ */
+export function renderFeed(category, entries) {
+  const events = [];
+  for (const entry of entries) {
+    // Stores written before completed tasks were removed may still hold some
+    if (entry.payload.action === 'complete') continue;
+    try {
+      events.push(buildVEventLines(entry.payload, {
+        sequence: entry.sequence,
+        dtstamp: new Date(entry.updatedAt)
+      }));
+    } catch {
+      // Entries without a usable start time are skipped rather than breaking the feed.
+    }
+  }
+
+  const calendarName = category === 'personal'
+    ? (process.env.APPLE_CALENDAR_NAME || 'Personal')
+    : `To Do (${category})`;
+
+  return buildCalendar(events, {
+    calendarName,
+    refreshMinutes: getRefreshMinutes()
+  });
+}
@@ -0,0 +1,160 @@
+/**
+ * File-backed store of synced events for the subscribable ICS feed.
+ *
+ * Every personal task that goes through the sync pipeline is recorded here
+ * (latest Apple event payload per Microsoft task ID). The feed route renders
+ * these as VEVENTs. SEQUENCE is bumped whenever the rendered content changes
+ * so calendar apps pick up edits. Completed, deleted and no-longer-scheduled
+ * tasks are removed, which drops them from subscribed calendars on refresh.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_STORE_PATH = './data/calendar-feed/events.json';
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emptyStore() {
+  return { version: 1, events: {} };
+}
+
+async function loadStore(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || typeof parsed.events !== 'object') {
+      return emptyStore();
+    }
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return emptyStore();
+    }
+    throw error;
+  }
+}
+
+async function atomicWriteJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmpPath, filePath);
+}
+
+// Fields that affect the rendered VEVENT; a change in any of them bumps SEQUENCE.
+function contentSignature(payload) {
+  return JSON.stringify([
+    payload.action,
+    payload.title,
+    payload.notes,
+    payload.startDateTime,
+    payload.durationMinutes,
+    payload.timeZone,
+    payload.rrule || null
+  ]);
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.storePath]
+ * @param {number} [options.maxEntries] - cap per store; oldest updates are dropped first
+ */
+export function createCalendarFeedStore(options = {}) {
+  const storePath = options.storePath || process.env.ICS_FEED_STORE_PATH || DEFAULT_STORE_PATH;
+  const maxEntries = Number(options.maxEntries || process.env.ICS_FEED_MAX_ENTRIES || 2000);
+
+  // Serialize read-modify-write cycles within this process.
+  let writeChain = Promise.resolve();
+  function withWriteLock(fn) {
+    const run = writeChain.then(fn, fn);
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Record the latest payload for a task.
+   * @param {string} category
+   * @param {Object} payload - Apple event payload (see buildAppleEventPayload)
+   * @returns {Promise<{sequence: number, changed: boolean}>}
+   */
+  function upsert(category, payload) {
+    return withWriteLock(async () => {
+      const store = await loadStore(storePath);
+      const key = payload.microsoftTaskId;
+      const existing = store.events[key];
+      const signature = contentSignature(payload);
+
+      if (existing && existing.signature === signature && existing.category === category) {
+        return { sequence: existing.sequence, changed: false };
+      }
+
+      const sequence = existing ? existing.sequence + 1 : 0;
+      store.events[key] = {
+        category,
+        payload,
+        signature,
+        sequence,
+        createdAt: existing?.createdAt || nowIso(),
+        updatedAt: nowIso()
+      };
+
+      const keys = Object.keys(store.events);
+      if (keys.length > maxEntries) {
+        keys
+          .sort((a, b) => (store.events[a].updatedAt < store.events[b].updatedAt ? -1 : 1))
+          .slice(0, keys.length - maxEntries)
+          .forEach(k => delete store.events[k]);
+      }
+
+      await atomicWriteJson(storePath, store);
+      return { sequence, changed: true };
+    });
+  }
+
+  /**
+   * Drop a task's event (no-op if it isn't in the feed).
+   * @param {string} microsoftTaskId
+   * @returns {Promise<boolean>} true if an event was removed
+   */
+  function remove(microsoftTaskId) {
+    return withWriteLock(async () => {
+      const store = await loadStore(storePath);
+      if (!microsoftTaskId || !store.events[microsoftTaskId]) {
+        return false;
+      }
+      delete store.events[microsoftTaskId];
+      await atomicWriteJson(storePath, store);
+      return true;
+    });
+  }
+
+  /**
+   * @returns {Promise<string[]>} categories that have at least one event
+   */
+  async function categories() {
+    const store = await loadStore(storePath);
+    return [...new Set(Object.values(store.events).map(e => e.category))].sort();
+  }
+
+  /**
+   * @param {string} category
+   * @returns {Promise<Array<{payload: Object, sequence: number, updatedAt: string}>>}
+   */
+  async function list(category) {
+    const store = await loadStore(storePath);
+    return Object.values(store.events)
+      .filter(e => e.category === category)
+      .sort((a, b) => (a.payload.startDateTime < b.payload.startDateTime ? -1 : 1));
+  }
+
+  return {
+    storePath,
+    upsert,
+    remove,
+    categories,
+    list
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Daily review digest (GET /digest)
+ *
+ * Reads open tasks, plus recently completed ones, from every configured
+ * category and sorts them into the buckets of the "daily 8am review":
+ *
+ * - overdue:      due before today
+ * - dueToday:     due today
+ * - dueThisWeek:  due after today, within `days` days counting today
+ * - highNoDate:   high importance, no due date
+ * - completed:    completed on or after today minus `completedDays`
+ *
+ * "Today" is the calendar date in the requested time zone. The same digest is
+ * rendered as markdown that an assistant or Shortcut can read out or post as is.
+ */
+
+import { listAllTasks } from './graphClient.js';
+import { CATEGORY_VALUES } from '../config/categories.js';
+import { formatInTimeZone, zonedDateTimeToUtc } from '../utils/timeZone.js';
+
+export const DIGEST_SECTIONS = [
+  { key: 'overdue', heading: 'Overdue' },
+  { key: 'dueToday', heading: 'Due today' },
+  { key: 'dueThisWeek', heading: 'Due this week' },
+  { key: 'highNoDate', heading: 'High priority, no date' },
+  { key: 'completed', heading: 'Recently completed' }
+];
+
+// Longer sections are cut off in the markdown (the JSON keeps everything)
+const MARKDOWN_SECTION_LIMIT = 10;
+
+const IMPORTANCE_RANK = { high: 0, normal: 1, low: 2 };
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function formatDate(date, options) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', ...options }).format(new Date(Date.UTC(y, m - 1, d)));
+}
+
+function compareBy(...keys) {
+  return (a, b) => {
+    for (const key of keys) {
+      const result = key(a, b);
+      if (result) return result;
+    }
+    return 0;
+  };
+}
+
+const byImportance = (a, b) => (IMPORTANCE_RANK[a.importance] ?? 1) - (IMPORTANCE_RANK[b.importance] ?? 1);
+const byField = (field, direction = 1) => (a, b) => String(a[field] || '').localeCompare(String(b[field] || '')) * direction;
+
+/**
+ * Fetch the tasks a digest needs from each category.
+ * A category whose list can't be read is reported in `unavailable` instead of failing the digest.
+ * @param {Object} options
+ * @param {string} options.timeZone
+ * @param {string} [options.completedSince] - YYYY-MM-DD (in timeZone); omit to skip completed tasks
+ * @param {string[]} [options.categories] - defaults to every configured category
+ * @param {Object} [options.graph] - override Graph calls (listAllTasks)
+ * @returns {Promise<{tasks: Array, unavailable: Array<{category: string, error: string}>, truncated: string[]}>}
+ */
+export async function collectDigestTasks({ timeZone, completedSince, categories = CATEGORY_VALUES, graph = {} }) {
+  const list = graph.listAllTasks || listAllTasks;
+  const since = completedSince ? zonedDateTimeToUtc(`${completedSince}T00:00:00`, timeZone).toISOString() : null;
+
+  const results = await Promise.allSettled(categories.map(async category => {
+    const [open, completed] = await Promise.all([
+      list({ category, timeZone, filter: "status ne 'completed'" }),
+      // completedDateTime can't be filtered on; lastModifiedDateTime narrows it, the date check below is exact
+      since
+        ? list({ category, timeZone, filter: `status eq 'completed' and lastModifiedDateTime ge ${since}` })
+        : { tasks: [], truncated: false }
+    ]);
+    return {
+      category,
+      truncated: open.truncated || completed.truncated,
+      tasks: [
+        ...open.tasks,
+        ...completed.tasks.filter(task => task.completedDateTime && task.completedDateTime.slice(0, 10) >= completedSince)
+      ].map(task => ({ ...task, category }))
+    };
+  }));
+
+  const tasks = [];
+  const unavailable = [];
+  const truncated = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      unavailable.push({ category: categories[index], error: result.reason?.message || String(result.reason) });
+      return;
+    }
+    tasks.push(...result.value.tasks);
+    if (result.value.truncated) truncated.push(result.value.category);
+  });
+
+  return { tasks, unavailable, truncated };
+}
+
+/**
+ * Date window of a digest, in timeZone.
+ * @param {Object} options
+ * @param {string} options.timeZone
+ * @param {Date} [options.now]
+ * @param {number} [options.days] - length of the "this week" window, counting today (default 7)
+ * @param {number} [options.completedDays] - how many days back "recently completed" goes (default 1)
+ * @returns {{today: string, dueThrough: string, completedSince: string}} YYYY-MM-DD dates
+ */
+export function getDigestWindow({ timeZone, now = new Date(), days = 7, completedDays = 1 }) {
+  const today = formatInTimeZone(now, timeZone).slice(0, 10);
+  return {
+    today,
+    dueThrough: addDays(today, days - 1),
+    completedSince: addDays(today, -completedDays)
+  };
+}
+
+/**
+ * Sort tasks into digest sections.
+ * @param {Array<Object>} tasks - normalized tasks (with category)
+ * @param {Object} options - see getDigestWindow()
+ * @returns {Object} { date, weekday, timeZone, dueThrough, completedSince, counts, sections }
+ */
+export function buildDigest(tasks, options) {
+  const { timeZone } = options;
+  const { today, dueThrough, completedSince } = getDigestWindow(options);
+
+  const sections = Object.fromEntries(DIGEST_SECTIONS.map(({ key }) => [key, []]));
+  for (const task of tasks) {
+    if (task.status === 'completed') {
+      if (task.completedDateTime && task.completedDateTime.slice(0, 10) >= completedSince) {
+        sections.completed.push(task);
+      }
+    } else if (!task.dueDate) {
+      if (task.importance === 'high') sections.highNoDate.push(task);
+    } else if (task.dueDate < today) {
+      sections.overdue.push(task);
+    } else if (task.dueDate === today) {
+      sections.dueToday.push(task);
+    } else if (task.dueDate <= dueThrough) {
+      sections.dueThisWeek.push(task);
+    }
+  }
+
+  sections.overdue.sort(compareBy(byField('dueDate'), byImportance));
+  sections.dueToday.sort(compareBy(byImportance, byField('dueDateTime')));
+  sections.dueThisWeek.sort(compareBy(byField('dueDate'), byImportance));
+  sections.highNoDate.sort(byField('createdDateTime'));
+  sections.completed.sort(byField('completedDateTime', -1));
+
+  return {
+    date: today,
+    weekday: formatDate(today, { weekday: 'long' }),
+    timeZone,
+    dueThrough,
+    completedSince,
+    counts: Object.fromEntries(DIGEST_SECTIONS.map(({ key }) => [key, sections[key].length])),
+    sections
+  };
+}
+
+function describeItem(key, task) {
+  const details = [];
+  if (key === 'overdue' || key === 'dueThisWeek') {
+    details.push(`due ${formatDate(task.dueDate, { weekday: 'short', month: 'short', day: 'numeric' })}`);
+  }
+  if (key === 'completed') {
+    details.push(`done ${formatDate(task.completedDateTime.slice(0, 10), { weekday: 'short', month: 'short', day: 'numeric' })}`);
+  }
+  details.push(task.category);
+  if (task.importance === 'high' && key !== 'highNoDate' && key !== 'completed') {
+    details.push('high priority');
+  }
+  return `- ${task.title} (${details.join(', ')})`;
+}
+
+/**
+ * Render a digest as markdown.
+ * @param {Object} digest - from buildDigest()
+ * @param {Object} [options]
+ * @param {Array<{category: string}>} [options.unavailable] - categories that couldn't be read
+ * @returns {string}
+ */
+export function renderDigestMarkdown(digest, { unavailable = [] } = {}) {
+  const { counts, sections } = digest;
+  const lines = [`# Daily review: ${formatDate(digest.date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}`, ''];
+
+  const summary = [
+    counts.overdue && `${counts.overdue} overdue`,
+    counts.dueToday && `${counts.dueToday} due today`,
+    counts.dueThisWeek && `${counts.dueThisWeek} due this week`,
+    counts.highNoDate && `${counts.highNoDate} high priority without a date`,
+    counts.completed && `${counts.completed} recently completed`
+  ].filter(Boolean);
+  lines.push(summary.length ? `${summary.join(', ')}.` : 'Nothing overdue or due this week.');
+
+  for (const { key, heading } of DIGEST_SECTIONS) {
+    const items = sections[key];
+    if (!items.length) continue;
+    lines.push('', `## ${heading} (${items.length})`, '');
+    for (const task of items.slice(0, MARKDOWN_SECTION_LIMIT)) {
+      lines.push(describeItem(key, task));
+    }
+    if (items.length > MARKDOWN_SECTION_LIMIT) {
+      lines.push(`- …and ${items.length - MARKDOWN_SECTION_LIMIT} more`);
+    }
+  }
+
+  if (unavailable.length) {
+    lines.push('', `_Could not read: ${unavailable.map(u => u.category).join(', ')}._`);
+  }
+
+  return lines.join('\n') + '\n';
+}
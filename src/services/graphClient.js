@@ -7,6 +7,19 @@
 
 import dotenv from 'dotenv';
 import { getAccessToken as getPersistentAccessToken, isAuthenticated as isPersistentlyAuthenticated } from './persistentAuth.js';
+import { DEFAULT_CATEGORY, getCategoryForList, getListNameForCategory } from '../config/categories.js';
+import { normalizeRecurrence, toGraphRecurrence } from './recurrence.js';
+import { DATE_ONLY_DUE_TIME, fromGraphDateTime, getDefaultTimeZone, readGraphDue } from './taskTimes.js';
+import logger from '../utils/logger.js';
+import { registry } from './bridgeMetrics.js';
+import { createGraphRequester } from './graphRequest.js';
+import {
+  FILTERED_PAGE_SIZE,
+  MAX_GRAPH_PAGES_PER_REQUEST,
+  buildGraphTaskQuery,
+  hasServerSideFilters,
+  matchesTaskFilters
+} from './taskListQuery.js';
 
 dotenv.config();
 
@@ -14,11 +27,24 @@ dotenv.config();
 const GRAPH_API_ENDPOINT = process.env.GRAPH_API_ENDPOINT || 'https://graph.microsoft.com/v1.0';
 let listIdCache = {}; // Cache list IDs by category
 
-// Category to list name mapping
-const CATEGORY_LIST_MAP = {
-  'work': 'Work',
-  'personal': 'Tasks'  // Default Tasks list
-};
+// JSON batching: Graph accepts at most 20 requests per $batch call
+const GRAPH_BATCH_LIMIT = 20;
+const GRAPH_BATCH_MAX_RETRIES = 2;
+const GRAPH_BATCH_MAX_RETRY_DELAY_MS = 30000;
+
+// Timeouts, retries (Retry-After aware) and a circuit breaker for every Graph call
+const graph = createGraphRequester({ endpoint: GRAPH_API_ENDPOINT });
+const graphRequest = graph.request;
+
+// $batch calls carry up to 20 requests; give them twice the per-call timeout
+const GRAPH_BATCH_TIMEOUT_MS = graph.timeoutMs * 2;
+
+registry.gauge(
+  'bridge_graph_circuit_open',
+  '1 while the Graph circuit breaker is open or half-open (calls fail fast), else 0.',
+  [],
+  () => (graph.circuit.state() === 'closed' ? 0 : 1)
+);
 
 /**
  * Get an access token for Microsoft Graph.
@@ -45,19 +71,12 @@ async function getListByName(accessToken, listName) {
   }
 
   try {
-    const response = await fetch(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
+    const data = await graphRequest(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
       }
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Graph API error: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
     const lists = data.value || [];
     
     // Find the list by name
@@ -68,8 +87,8 @@ async function getListByName(accessToken, listName) {
 
     // Create list if it doesn't exist (except for Tasks which should always exist)
     if (!targetList && listName !== 'Tasks') {
-      console.log(`📝 Creating new list: ${listName}`);
-      const createResponse = await fetch(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
+      logger.info('GRAPH', `Creating new list: ${listName}`);
+      targetList = await graphRequest(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${accessToken}`,
@@ -77,14 +96,7 @@ async function getListByName(accessToken, listName) {
         },
         body: JSON.stringify({ displayName: listName })
       });
-
-      if (!createResponse.ok) {
-        const errorText = await createResponse.text();
-        throw new Error(`Failed to create list: ${createResponse.status} ${errorText}`);
-      }
-
-      targetList = await createResponse.json();
-      console.log(`✅ Created list: ${targetList.displayName} (${targetList.id})`);
+      logger.info('GRAPH', `Created list: ${targetList.displayName} (${targetList.id})`);
     }
 
     if (!targetList) {
@@ -93,23 +105,26 @@ async function getListByName(accessToken, listName) {
 
     // Cache the list info
     listIdCache[listName] = { id: targetList.id, displayName: targetList.displayName };
-    console.log(`✅ Found list: ${targetList.displayName} (${targetList.id})`);
+    logger.info('GRAPH', `Found list: ${targetList.displayName} (${targetList.id})`);
     
     return listIdCache[listName];
   } catch (error) {
-    console.error(`❌ Error getting list "${listName}":`, error.message);
+    logger.error('GRAPH', `Error getting list "${listName}"`, { error: error.message });
     throw error;
   }
 }
 
 /**
  * Get the list ID for a category
- * @param {string} category - "work" | "personal" (defaults to personal)
+ * @param {string} [category] - A configured category (see src/config/categories.js)
  * @returns {Promise<{id: string, displayName: string}>} List info
  */
-async function getListByCategory(category = 'personal') {
+export async function getListByCategory(category = DEFAULT_CATEGORY) {
+  const listName = getListNameForCategory(category);
+  if (!listName) {
+    throw new Error(`Unknown category: ${category}`);
+  }
   const accessToken = await getAccessToken();
-  const listName = CATEGORY_LIST_MAP[category] || CATEGORY_LIST_MAP['personal'];
   return getListByName(accessToken, listName);
 }
 
@@ -123,15 +138,164 @@ async function getTasksListId(accessToken) {
   return listInfo.id;
 }
 
+/**
+ * Build a Graph todoTask request body from our task fields.
+ * With `partial`, only fields present in taskData are included and null
+ * clears notes/dueDate (used for PATCH).
+ * @param {Object} taskData - { title, notes, importance, dueDate, status, recurrence }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial]
+ * @returns {Object}
+ */
+function buildTaskRequestBody(taskData, { partial = false } = {}) {
+  const requestBody = {};
+
+  if (taskData.title !== undefined) {
+    requestBody.title = taskData.title;
+  }
+
+  if (taskData.importance !== undefined || !partial) {
+    requestBody.importance = taskData.importance || 'normal';
+  }
+
+  if (taskData.status !== undefined) {
+    requestBody.status = taskData.status;
+  }
+
+  // Add notes if provided
+  if (taskData.notes) {
+    requestBody.body = {
+      content: taskData.notes,
+      contentType: 'text'
+    };
+  } else if (partial && taskData.notes === null) {
+    requestBody.body = { content: '', contentType: 'text' };
+  }
+
+  // Due and reminder times are wall-clock in the task's IANA zone
+  const timeZone = taskData.timeZone || getDefaultTimeZone();
+  if (taskData.dueDateTime || taskData.dueDate) {
+    requestBody.dueDateTime = {
+      dateTime: taskData.dueDateTime || `${taskData.dueDate}T${DATE_ONLY_DUE_TIME}`,
+      timeZone
+    };
+  } else if (partial && taskData.dueDate === null) {
+    requestBody.dueDateTime = null;
+  }
+
+  if (taskData.reminderDateTime) {
+    requestBody.reminderDateTime = { dateTime: taskData.reminderDateTime, timeZone };
+  }
+  if (taskData.isReminderOn !== undefined) {
+    requestBody.isReminderOn = taskData.isReminderOn;
+  }
+
+  // Graph requires a due date on recurring tasks; it is the first occurrence
+  if (taskData.recurrence && taskData.dueDate) {
+    requestBody.recurrence = toGraphRecurrence(taskData.recurrence, taskData.dueDate);
+  }
+
+  return requestBody;
+}
+
+/**
+ * Ask Graph to return task times as wall-clock time in a zone, so a date-only
+ * due date comes back as midnight on its own date (see readGraphDue)
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} headers
+ */
+function preferTimeZone(timeZone) {
+  return { 'Prefer': `outlook.timezone="${timeZone}"` };
+}
+
+/**
+ * Normalize a Graph checklistItem (a task "step")
+ * @param {Object} item - Graph checklistItem
+ * @returns {Object}
+ */
+function normalizeStep(item) {
+  return {
+    stepId: item.id,
+    displayName: item.displayName,
+    isChecked: Boolean(item.isChecked),
+    checkedDateTime: item.checkedDateTime || null,
+    createdDateTime: item.createdDateTime
+  };
+}
+
+/**
+ * Normalize a Graph todoTask into the shape returned by this API
+ * @param {Object} task - Graph todoTask
+ * @param {{id: string, displayName: string}} listInfo
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA zone for dueDateTime/reminderDateTime
+ * @returns {Object}
+ */
+function normalizeTask(task, listInfo, { timeZone = getDefaultTimeZone() } = {}) {
+  // Date-only tasks have no due time to alert on or sort by
+  const { dueDate, dueDateTime } = readGraphDue(task.dueDateTime, timeZone);
+  return {
+    microsoftTaskId: task.id,
+    title: task.title,
+    importance: task.importance,
+    status: task.status,
+    createdDateTime: task.createdDateTime,
+    completedDateTime: fromGraphDateTime(task.completedDateTime, timeZone),
+    dueDate,
+    dueDateTime,
+    reminderDateTime: fromGraphDateTime(task.reminderDateTime, timeZone),
+    isReminderOn: Boolean(task.isReminderOn),
+    timeZone,
+    notes: task.body?.content || null,
+    recurrence: normalizeRecurrence(task.recurrence),
+    listId: listInfo.id,
+    listDisplayName: listInfo.displayName,
+    // Only present when checklistItems were expanded
+    ...(Array.isArray(task.checklistItems) ? { steps: task.checklistItems.map(normalizeStep) } : {})
+  };
+}
+
+/**
+ * Add one checklist item to a task
+ * @param {string} accessToken
+ * @param {string} listId
+ * @param {string} taskId
+ * @param {{displayName: string, isChecked?: boolean}} step
+ * @returns {Promise<Object>} Graph checklistItem
+ */
+async function postChecklistItem(accessToken, listId, taskId, step) {
+  return await graphRequest(
+    `${GRAPH_API_ENDPOINT}/me/todo/lists/${listId}/tasks/${taskId}/checklistItems`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        displayName: step.displayName,
+        isChecked: Boolean(step.isChecked)
+      })
+    }
+  );
+}
+
 /**
  * Create a task in Microsoft To Do
  * @param {Object} taskData - Task information
  * @param {string} taskData.title - Task title (required)
  * @param {string} [taskData.notes] - Task notes/description
  * @param {string} [taskData.importance] - "low" | "normal" | "high"
- * @param {string} [taskData.dueDate] - ISO date string (YYYY-MM-DD)
- * @param {string} [taskData.category] - "work" | "personal" (defaults to personal)
+ * @param {string} [taskData.dueDate] - ISO date string (YYYY-MM-DD); date-only (midnight in timeZone)
+ * @param {string} [taskData.dueDateTime] - Wall-clock due time in timeZone (YYYY-MM-DDTHH:mm:ss)
+ * @param {string} [taskData.reminderDateTime] - Wall-clock reminder time in timeZone
+ * @param {boolean} [taskData.isReminderOn]
+ * @param {string} [taskData.timeZone] - IANA zone (defaults to DEFAULT_TIME_ZONE)
+ * @param {string} [taskData.category] - A configured category (defaults to DEFAULT_CATEGORY)
+ * @param {Object} [taskData.recurrence] - Recurrence spec (see src/services/recurrence.js); needs dueDate
+ * @param {string[]} [taskData.steps] - Checklist items to add, in order
  * @returns {Promise<Object>} Created task from Microsoft Graph with list info
+ *   (plus normalized `steps` and `failedSteps` when steps were requested)
  */
 export async function createMicrosoftTask(taskData) {
   try {
@@ -142,29 +306,10 @@ export async function createMicrosoftTask(taskData) {
     const listInfo = await getListByCategory(taskData.category);
     
     // 3. Build request body
-    const requestBody = {
-      title: taskData.title,
-      importance: taskData.importance || 'normal',
-    };
-
-    // Add notes if provided
-    if (taskData.notes) {
-      requestBody.body = {
-        content: taskData.notes,
-        contentType: 'text'
-      };
-    }
-
-    // Add due date if provided
-    if (taskData.dueDate) {
-      requestBody.dueDateTime = {
-        dateTime: `${taskData.dueDate}T17:00:00`,
-        timeZone: 'America/Chicago'
-      };
-    }
+    const requestBody = buildTaskRequestBody(taskData);
 
     // 4. Create task via Graph API
-    const response = await fetch(
+    const createdTask = await graphRequest(
       `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks`,
       {
         method: 'POST',
@@ -175,23 +320,219 @@ export async function createMicrosoftTask(taskData) {
         body: JSON.stringify(requestBody)
       }
     );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Graph API error: ${response.status} ${errorText}`);
-    }
-
-    const createdTask = await response.json();
     
     // Add list info to response
     createdTask.listId = listInfo.id;
     createdTask.listDisplayName = listInfo.displayName;
+
+    // 5. Add steps one by one so they keep their order. The task already
+    // exists, so a failed step is reported rather than failing the request
+    // (a retry would create a duplicate task).
+    if (taskData.steps?.length) {
+      createdTask.steps = [];
+      createdTask.failedSteps = [];
+      for (const displayName of taskData.steps) {
+        try {
+          createdTask.steps.push(
+            normalizeStep(await postChecklistItem(accessToken, listInfo.id, createdTask.id, { displayName }))
+          );
+        } catch (error) {
+          logger.error('GRAPH', `Error adding step "${displayName}"`, { error: error.message });
+          createdTask.failedSteps.push(displayName);
+        }
+      }
+    }
     
-    console.log(`✅ Task created in "${listInfo.displayName}": "${createdTask.title}" (${createdTask.id})`);
+    logger.info('GRAPH', `Task created in "${listInfo.displayName}": "${createdTask.title}" (${createdTask.id})`);
     
     return createdTask;
   } catch (error) {
-    console.error('❌ Error creating Microsoft task:', error.message);
+    logger.error('GRAPH', 'Error creating Microsoft task', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Send requests through Graph JSON batching ($batch), GRAPH_BATCH_LIMIT per call.
+ *
+ * - Chunks run one after another, so requests keep their relative order across
+ *   chunks; dependsOn only applies within a chunk (references to earlier chunks
+ *   are dropped - those requests have already finished).
+ * - Throttled (429) or unavailable (503) requests are retried after their
+ *   Retry-After, along with anything that failed only because they did (424).
+ * - A failed $batch call fails the requests of that chunk, not the whole run.
+ *
+ * @param {string} accessToken
+ * @param {Array<Object>} requests - { id, method, url, body?, dependsOn? }; url is relative to the API version
+ * @returns {Promise<Map<string, {id: string, status: number, headers?: Object, body?: Object}>>} responses by id
+ */
+async function sendBatch(accessToken, requests) {
+  const responses = new Map();
+
+  for (let start = 0; start < requests.length; start += GRAPH_BATCH_LIMIT) {
+    let pending = requests.slice(start, start + GRAPH_BATCH_LIMIT);
+
+    for (let attempt = 0; pending.length; attempt++) {
+      const ids = new Set(pending.map(request => request.id));
+      const chunk = pending.map(({ dependsOn, ...request }) => {
+        const inChunk = (dependsOn || []).filter(id => ids.has(id));
+        return {
+          ...request,
+          ...(request.body ? { headers: { 'Content-Type': 'application/json' } } : {}),
+          ...(inChunk.length ? { dependsOn: inChunk } : {})
+        };
+      });
+
+      let items;
+      try {
+        const batch = await graphRequest(`${GRAPH_API_ENDPOINT}/$batch`, {
+          method: 'POST',
+          timeoutMs: GRAPH_BATCH_TIMEOUT_MS,
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ requests: chunk })
+        });
+        items = batch?.responses || [];
+      } catch (error) {
+        logger.error('GRAPH', 'Error sending batch', { error: error.message });
+        items = chunk.map(request => ({ id: request.id, status: 0, body: { error: { message: error.message } } }));
+      }
+
+      const retry = new Set();
+      let retryAfterMs = 1000;
+      if (attempt < GRAPH_BATCH_MAX_RETRIES) {
+        for (const item of items) {
+          if (item.status === 429 || item.status === 503) {
+            retry.add(item.id);
+            retryAfterMs = Math.max(retryAfterMs, (Number(item.headers?.['Retry-After']) || 1) * 1000);
+          }
+        }
+        // A 424 (failed dependency) is worth retrying when what it waited on is
+        let grew = retry.size > 0;
+        while (grew) {
+          grew = false;
+          for (const request of chunk) {
+            const item = items.find(i => i.id === request.id);
+            if (item?.status === 424 && !retry.has(request.id) && request.dependsOn?.some(id => retry.has(id))) {
+              retry.add(request.id);
+              grew = true;
+            }
+          }
+        }
+      }
+
+      for (const item of items) {
+        if (!retry.has(item.id)) responses.set(item.id, item);
+      }
+
+      pending = pending.filter(request => retry.has(request.id));
+      if (pending.length) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(retryAfterMs, GRAPH_BATCH_MAX_RETRY_DELAY_MS)));
+      }
+    }
+  }
+
+  return responses;
+}
+
+function isBatchSuccess(item) {
+  return Boolean(item) && item.status >= 200 && item.status < 300;
+}
+
+function batchErrorMessage(item) {
+  if (!item) return 'No response for this request in the batch';
+  const detail = item.body?.error?.message || item.body?.error?.code || '';
+  return `Graph API error: ${item.status} ${detail}`.trim();
+}
+
+/**
+ * Create several tasks through Graph JSON batching.
+ *
+ * Tasks are created first (20 per $batch call); steps for the created tasks go
+ * in a second round, chained with dependsOn so they keep their order.
+ *
+ * @param {Array<Object>} tasksData - same fields as createMicrosoftTask
+ * @returns {Promise<Array<Object>>} one result per input, in input order:
+ *   { status: 'created', task } - task as createMicrosoftTask returns it (with steps/failedSteps)
+ *   { status: 'failed', httpStatus, error }
+ */
+export async function createMicrosoftTasksBatch(tasksData) {
+  try {
+    const accessToken = await getAccessToken();
+
+    const lists = new Map();
+    for (const taskData of tasksData) {
+      const category = taskData.category || DEFAULT_CATEGORY;
+      if (!lists.has(category)) {
+        lists.set(category, await getListByCategory(category));
+      }
+    }
+    const listFor = taskData => lists.get(taskData.category || DEFAULT_CATEGORY);
+
+    // 1. Tasks
+    const taskResponses = await sendBatch(accessToken, tasksData.map((taskData, index) => ({
+      id: String(index),
+      method: 'POST',
+      url: `/me/todo/lists/${listFor(taskData).id}/tasks`,
+      body: buildTaskRequestBody(taskData)
+    })));
+
+    const results = tasksData.map((taskData, index) => {
+      const item = taskResponses.get(String(index));
+      if (!isBatchSuccess(item)) {
+        return { status: 'failed', httpStatus: item?.status || null, error: batchErrorMessage(item) };
+      }
+      const listInfo = listFor(taskData);
+      return {
+        status: 'created',
+        task: { ...item.body, listId: listInfo.id, listDisplayName: listInfo.displayName }
+      };
+    });
+
+    // 2. Steps, only for tasks that exist
+    const stepRequests = [];
+    tasksData.forEach((taskData, index) => {
+      const result = results[index];
+      if (result.status !== 'created' || !taskData.steps?.length) return;
+
+      result.task.steps = [];
+      result.task.failedSteps = [];
+      taskData.steps.forEach((displayName, stepIndex) => {
+        stepRequests.push({
+          id: `${index}-${stepIndex}`,
+          method: 'POST',
+          url: `/me/todo/lists/${result.task.listId}/tasks/${result.task.id}/checklistItems`,
+          body: { displayName, isChecked: false },
+          ...(stepIndex > 0 ? { dependsOn: [`${index}-${stepIndex - 1}`] } : {})
+        });
+      });
+    });
+
+    if (stepRequests.length) {
+      const stepResponses = await sendBatch(accessToken, stepRequests);
+      tasksData.forEach((taskData, index) => {
+        const task = results[index].task;
+        if (!task?.steps) return;
+        taskData.steps.forEach((displayName, stepIndex) => {
+          const item = stepResponses.get(`${index}-${stepIndex}`);
+          if (isBatchSuccess(item)) {
+            task.steps.push(normalizeStep(item.body));
+          } else {
+            logger.error('GRAPH', `Error adding step "${displayName}"`, { error: batchErrorMessage(item) });
+            task.failedSteps.push(displayName);
+          }
+        });
+      });
+    }
+
+    const created = results.filter(result => result.status === 'created').length;
+    logger.info('GRAPH', `Batch created ${created}/${tasksData.length} tasks`);
+
+    return results;
+  } catch (error) {
+    logger.error('GRAPH', 'Error creating Microsoft tasks (batch)', { error: error.message });
     throw error;
   }
 }
@@ -204,78 +545,174 @@ export async function listAllToDoLists() {
   try {
     const accessToken = await getAccessToken();
     
-    const response = await fetch(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
+    const data = await graphRequest(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
       }
     });
+    return data.value || [];
+  } catch (error) {
+    logger.error('GRAPH', 'Error listing To Do lists', { error: error.message });
+    throw error;
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Graph API error: ${response.status} ${errorText}`);
-    }
+/**
+ * Create a To Do list
+ * @param {Object} options
+ * @param {string} options.displayName - Name of the new list
+ * @returns {Promise<Object>} Created Graph todoTaskList
+ */
+export async function createToDoList(options) {
+  try {
+    const accessToken = await getAccessToken();
 
-    const data = await response.json();
-    return data.value || [];
+    const list = await graphRequest(`${GRAPH_API_ENDPOINT}/me/todo/lists`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ displayName: options.displayName })
+    });
+    listIdCache[list.displayName] = { id: list.id, displayName: list.displayName };
+    logger.info('GRAPH', `Created list: ${list.displayName} (${list.id})`);
+
+    return list;
   } catch (error) {
-    console.error('❌ Error listing To Do lists:', error.message);
+    logger.error('GRAPH', 'Error creating To Do list', { error: error.message });
     throw error;
   }
 }
 
 /**
- * List tasks from a category
+ * Category a Graph list is mapped to, if any.
+ * The default "Tasks" list matches by wellknownListName, since it may be localized.
+ * @param {Object} list - Graph todoTaskList
+ * @returns {string|null}
+ */
+export function getCategoryForToDoList(list) {
+  if (list.wellknownListName === 'defaultList') {
+    return getCategoryForList('Tasks') || getCategoryForList(list.displayName);
+  }
+  return getCategoryForList(list.displayName);
+}
+
+/**
+ * List tasks from a category, one page at a time
+ *
+ * Reads Graph pages (following @odata.nextLink) until `top` tasks match or
+ * MAX_GRAPH_PAGES_PER_REQUEST pages were read. See taskListQuery.js for which
+ * filters Graph applies and which are checked here.
  * @param {Object} options - Query options
- * @param {string} [options.category] - "work" | "personal" (defaults to personal)
+ * @param {string} [options.category] - A configured category (defaults to DEFAULT_CATEGORY)
  * @param {number} [options.top] - Max number of tasks to return (default 10)
- * @param {boolean} [options.includeCompleted] - Include completed tasks (default false)
- * @returns {Promise<Array>} List of tasks
+ * @param {boolean} [options.includeCompleted] - Include completed tasks (default false; ignored when status is set)
+ * @param {boolean} [options.expandSteps] - Include checklist items as `steps` (default false)
+ * @param {string} [options.timeZone] - IANA zone for due/reminder times (default DEFAULT_TIME_ZONE)
+ * @param {string[]} [options.status] - Only these statuses
+ * @param {string[]} [options.importance] - Only these importances
+ * @param {string} [options.dueBefore] - Due strictly before this date (YYYY-MM-DD, in timeZone)
+ * @param {string} [options.dueAfter] - Due strictly after this date
+ * @param {boolean} [options.hasDueDate] - Only tasks with (true) or without (false) a due date
+ * @param {string} [options.contains] - Case-insensitive text in the title or notes
+ * @param {string} [options.sort] - "createdDateTime" (default) | "dueDateTime" | "importance"
+ * @param {string} [options.order] - "asc" | "desc" (default depends on sort)
+ * @param {{query: string, skip: number}} [options.position] - Where the previous page stopped
+ * @returns {Promise<{tasks: Array, next: {query: string, skip: number}|null}>}
+ *   next is null when the list has been read to the end
  */
 export async function listTasks(options = {}) {
   try {
     const accessToken = await getAccessToken();
     const listInfo = await getListByCategory(options.category);
     const top = options.top || 10;
-    
-    // Build query params
-    let queryParams = `$top=${top}&$orderby=createdDateTime desc`;
-    if (!options.includeCompleted) {
-      queryParams += `&$filter=status ne 'completed'`;
-    }
-    
-    const response = await fetch(
-      `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks?${queryParams}`,
-      {
+    const timeZone = options.timeZone || getDefaultTimeZone();
+    const filterHere = hasServerSideFilters(options);
+    const tasksUrl = `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks`;
+
+    const tasks = [];
+    let pageQuery = options.position?.query || buildGraphTaskQuery(options, filterHere ? FILTERED_PAGE_SIZE : top);
+    let skip = options.position?.skip || 0;
+
+    for (let pagesRead = 0; pageQuery && pagesRead < MAX_GRAPH_PAGES_PER_REQUEST; pagesRead++) {
+      const data = await graphRequest(`${tasksUrl}?${pageQuery}`, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...preferTimeZone(timeZone)
+        }
+      });
+      const page = data.value || [];
+
+      let index = skip;
+      for (; index < page.length && tasks.length < top; index++) {
+        const task = normalizeTask(page[index], listInfo, { timeZone });
+        if (!filterHere || matchesTaskFilters(task, options)) {
+          tasks.push(task);
         }
       }
-    );
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Graph API error: ${response.status} ${errorText}`);
+      // Stopped inside this page: the next request re-reads it from here
+      if (index < page.length) {
+        return { tasks, next: { query: pageQuery, skip: index } };
+      }
+
+      const nextLink = data['@odata.nextLink'];
+      pageQuery = nextLink ? new URL(nextLink).search.slice(1) : null;
+      skip = 0;
+      if (tasks.length >= top) break;
     }
 
-    const data = await response.json();
-    const tasks = data.value || [];
-    
-    // Normalize response
-    return tasks.map(task => ({
-      microsoftTaskId: task.id,
-      title: task.title,
-      importance: task.importance,
-      status: task.status,
-      createdDateTime: task.createdDateTime,
-      dueDate: task.dueDateTime?.dateTime?.split('T')[0] || null,
-      notes: task.body?.content || null,
-      listId: listInfo.id,
-      listDisplayName: listInfo.displayName
-    }));
+    return { tasks, next: pageQuery ? { query: pageQuery, skip: 0 } : null };
   } catch (error) {
-    console.error('❌ Error listing tasks:', error.message);
+    logger.error('GRAPH', 'Error listing tasks', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Every task in a category's list matching a filter, following @odata.nextLink
+ * @param {Object} options - Query options
+ * @param {string} [options.category] - A configured category (defaults to DEFAULT_CATEGORY)
+ * @param {string} [options.filter] - OData $filter, e.g. "status ne 'completed'"
+ * @param {number} [options.maxTasks] - Stop after this many tasks (default 1000)
+ * @param {string} [options.timeZone] - IANA zone for due/reminder times (default DEFAULT_TIME_ZONE)
+ * @returns {Promise<{tasks: Array, truncated: boolean}>}
+ */
+export async function listAllTasks(options = {}) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+    const maxTasks = options.maxTasks || 1000;
+    const timeZone = options.timeZone || getDefaultTimeZone();
+
+    let queryParams = '$top=100';
+    if (options.filter) {
+      queryParams += `&$filter=${encodeURIComponent(options.filter)}`;
+    }
+
+    const tasks = [];
+    let url = `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks?${queryParams}`;
+    while (url && tasks.length < maxTasks) {
+      const data = await graphRequest(url, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          ...preferTimeZone(timeZone)
+        }
+      });
+      tasks.push(...(data.value || []));
+      url = data['@odata.nextLink'] || null;
+    }
+
+    return {
+      tasks: tasks.slice(0, maxTasks).map(task => normalizeTask(task, listInfo, { timeZone })),
+      truncated: Boolean(url) || tasks.length > maxTasks
+    };
+  } catch (error) {
+    logger.error('GRAPH', 'Error listing all tasks', { error: error.message });
     throw error;
   }
 }
@@ -284,7 +721,7 @@ export async function listTasks(options = {}) {
  * Mark a task as completed
  * @param {Object} options
  * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
- * @param {string} [options.category] - "work" | "personal" to identify the list
+ * @param {string} [options.category] - A configured category to identify the list
  * @param {string} [options.listId] - Direct list ID (alternative to category)
  * @returns {Promise<Object>} Updated task
  */
@@ -302,7 +739,7 @@ export async function completeTask(options) {
       listDisplayName = listInfo.displayName;
     }
     
-    const response = await fetch(
+    const updatedTask = await graphRequest(
       `${GRAPH_API_ENDPOINT}/me/todo/lists/${listId}/tasks/${options.microsoftTaskId}`,
       {
         method: 'PATCH',
@@ -315,15 +752,8 @@ export async function completeTask(options) {
         })
       }
     );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Graph API error: ${response.status} ${errorText}`);
-    }
-
-    const updatedTask = await response.json();
     
-    console.log(`✅ Task marked complete: "${updatedTask.title}" (${updatedTask.id})`);
+    logger.info('GRAPH', `Task marked complete: "${updatedTask.title}" (${updatedTask.id})`);
     
     return {
       microsoftTaskId: updatedTask.id,
@@ -334,7 +764,415 @@ export async function completeTask(options) {
       listDisplayName
     };
   } catch (error) {
-    console.error('❌ Error completing task:', error.message);
+    logger.error('GRAPH', 'Error completing task', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Add a step (checklist item) to a task
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
+ * @param {string} [options.category] - A configured category to identify the list
+ * @param {string} options.displayName - Step text
+ * @param {boolean} [options.isChecked]
+ * @returns {Promise<Object>} Normalized step
+ */
+export async function addTaskStep(options) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+    const item = await postChecklistItem(accessToken, listInfo.id, options.microsoftTaskId, options);
+
+    logger.info('GRAPH', `Step added to task ${options.microsoftTaskId}: "${item.displayName}"`);
+
+    return normalizeStep(item);
+  } catch (error) {
+    logger.error('GRAPH', 'Error adding step', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Update a step: check it off, un-check it or rename it
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
+ * @param {string} options.stepId - The checklist item ID
+ * @param {string} [options.category] - A configured category to identify the list
+ * @param {Object} options.changes - { displayName, isChecked }
+ * @returns {Promise<Object>} Normalized step
+ */
+export async function updateTaskStep(options) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+
+    const item = await graphRequest(
+      `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks/${options.microsoftTaskId}/checklistItems/${options.stepId}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(options.changes)
+      }
+    );
+
+    return normalizeStep(item);
+  } catch (error) {
+    logger.error('GRAPH', 'Error updating step', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Remove a step from a task
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
+ * @param {string} options.stepId - The checklist item ID
+ * @param {string} [options.category] - A configured category to identify the list
+ */
+export async function deleteTaskStep(options) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+
+    await graphRequest(
+      `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks/${options.microsoftTaskId}/checklistItems/${options.stepId}`,
+      {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      }
+    );
+  } catch (error) {
+    logger.error('GRAPH', 'Error deleting step', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get a single task
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
+ * @param {string} [options.category] - A configured category to identify the list
+ * @param {string} [options.listId] - List ID, instead of category (e.g. from a change notification)
+ * @param {boolean} [options.expandSteps] - Include checklistItems
+ * @returns {Promise<Object>} Raw Graph todoTask with listId/listDisplayName added
+ */
+export async function getTask(options) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = options.listId
+      ? { id: options.listId, displayName: null }
+      : await getListByCategory(options.category);
+    const expand = options.expandSteps ? '?$expand=checklistItems' : '';
+
+    const task = await graphRequest(
+      `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks/${options.microsoftTaskId}${expand}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    task.listId = listInfo.id;
+    task.listDisplayName = listInfo.displayName;
+    return task;
+  } catch (error) {
+    logger.error('GRAPH', 'Error getting task', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Update fields on a task (rename, re-prioritize, change due date, reopen)
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
+ * @param {string} [options.category] - A configured category to identify the list
+ * @param {Object} options.changes - { title, notes, importance, dueDate, status }; null clears notes/dueDate
+ * @returns {Promise<Object>} Normalized updated task
+ */
+export async function updateTask(options) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+    const requestBody = buildTaskRequestBody(options.changes || {}, { partial: true });
+
+    const updatedTask = await graphRequest(
+      `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks/${options.microsoftTaskId}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          ...preferTimeZone(getDefaultTimeZone())
+        },
+        body: JSON.stringify(requestBody)
+      }
+    );
+
+    logger.info('GRAPH', `Task updated: "${updatedTask.title}" (${updatedTask.id})`);
+
+    return normalizeTask(updatedTask, listInfo);
+  } catch (error) {
+    logger.error('GRAPH', 'Error updating task', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Delete a task
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - The Microsoft Graph task ID
+ * @param {string} [options.category] - A configured category to identify the list
+ * @returns {Promise<{microsoftTaskId: string, listId: string, listDisplayName: string}>}
+ */
+export async function deleteTask(options) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+
+    await graphRequest(
+      `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks/${options.microsoftTaskId}`,
+      {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      }
+    );
+
+    logger.info('GRAPH', `Task deleted from "${listInfo.displayName}" (${options.microsoftTaskId})`);
+
+    return {
+      microsoftTaskId: options.microsoftTaskId,
+      listId: listInfo.id,
+      listDisplayName: listInfo.displayName
+    };
+  } catch (error) {
+    logger.error('GRAPH', 'Error deleting task', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Move a task to another category's list.
+ *
+ * Graph has no "move" for To Do tasks, so this creates a copy in the target
+ * list (with any changes applied), copies its steps, and then deletes the
+ * source task. The new task gets a new ID. If a step can't be copied the copy
+ * is deleted again and the error is thrown; the source is left as it was.
+ *
+ * @param {Object} options
+ * @param {string} options.microsoftTaskId - Source task ID
+ * @param {string} options.fromCategory - Category the task lives in now
+ * @param {string} options.toCategory - Category to move it to
+ * @param {Object} [options.changes] - Field changes to apply while moving
+ * @returns {Promise<Object>} Normalized new task plus previousMicrosoftTaskId and sourceDeleted
+ */
+export async function moveTask(options) {
+  const source = await getTask({
+    microsoftTaskId: options.microsoftTaskId,
+    category: options.fromCategory,
+    expandSteps: true
+  });
+
+  try {
+    const accessToken = await getAccessToken();
+    const targetList = await getListByCategory(options.toCategory);
+
+    // Carry over the writable fields, then apply the requested changes on top
+    const requestBody = {
+      title: source.title,
+      importance: source.importance,
+      status: source.status
+    };
+    if (source.body?.content) requestBody.body = { content: source.body.content, contentType: source.body.contentType || 'text' };
+    if (source.dueDateTime) requestBody.dueDateTime = source.dueDateTime;
+    if (source.reminderDateTime) requestBody.reminderDateTime = source.reminderDateTime;
+    if (source.isReminderOn !== undefined) requestBody.isReminderOn = source.isReminderOn;
+    if (source.categories?.length) requestBody.categories = source.categories;
+    if (source.recurrence) requestBody.recurrence = source.recurrence;
+    Object.assign(requestBody, buildTaskRequestBody(options.changes || {}, { partial: true }));
+    if (requestBody.body?.content === '') delete requestBody.body;
+    if (requestBody.dueDateTime === null) delete requestBody.dueDateTime;
+
+    const createdTask = await graphRequest(
+      `${GRAPH_API_ENDPOINT}/me/todo/lists/${targetList.id}/tasks`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          ...preferTimeZone(getDefaultTimeZone())
+        },
+        body: JSON.stringify(requestBody)
+      }
+    );
+    logger.info('GRAPH', `Task copied to "${targetList.displayName}": "${createdTask.title}" (${createdTask.id})`);
+
+    // Steps are a separate collection; copy them before the source goes away.
+    // If one can't be copied, undo the copy so the task isn't left in both lists.
+    createdTask.checklistItems = [];
+    try {
+      for (const item of source.checklistItems || []) {
+        createdTask.checklistItems.push(await postChecklistItem(accessToken, targetList.id, createdTask.id, item));
+      }
+    } catch (error) {
+      try {
+        await deleteTask({ microsoftTaskId: createdTask.id, category: options.toCategory });
+      } catch (cleanupError) {
+        logger.error('GRAPH', 'Failed to remove partial copy of moved task', {
+          microsoftTaskId: createdTask.id,
+          error: cleanupError.message
+        });
+      }
+      throw error;
+    }
+
+    // Delete the source; if that fails the task exists twice, which is
+    // recoverable, so report it instead of throwing away the new ID.
+    let sourceDeleted = true;
+    try {
+      await deleteTask({ microsoftTaskId: options.microsoftTaskId, category: options.fromCategory });
+    } catch (error) {
+      sourceDeleted = false;
+      logger.error('GRAPH', 'Moved task but failed to delete source', { error: error.message });
+    }
+
+    return {
+      ...normalizeTask(createdTask, targetList),
+      previousMicrosoftTaskId: options.microsoftTaskId,
+      previousListDisplayName: source.listDisplayName,
+      sourceDeleted
+    };
+  } catch (error) {
+    logger.error('GRAPH', 'Error moving task', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Fetch one page of the delta query for a category's list.
+ *
+ * Start without `url` for a full initial sync, then follow `nextLink` until a
+ * page returns `deltaLink`; keep that and pass it as `url` next time to get
+ * only what changed. Deleted tasks come back as `{ id, '@removed': {...} }`.
+ *
+ * @param {Object} options
+ * @param {string} [options.category] - A configured category (defaults to DEFAULT_CATEGORY)
+ * @param {string} [options.url] - nextLink or deltaLink from a previous page
+ * @returns {Promise<{tasks: Array, nextLink: string|null, deltaLink: string|null, listId: string}>}
+ */
+export async function getTaskDeltaPage(options = {}) {
+  try {
+    const accessToken = await getAccessToken();
+    const listInfo = await getListByCategory(options.category);
+    const url = options.url || `${GRAPH_API_ENDPOINT}/me/todo/lists/${listInfo.id}/tasks/delta`;
+
+    const data = await graphRequest(url, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    return {
+      tasks: data.value || [],
+      nextLink: data['@odata.nextLink'] || null,
+      deltaLink: data['@odata.deltaLink'] || null,
+      listId: listInfo.id
+    };
+  } catch (error) {
+    logger.error('GRAPH', 'Error fetching task delta', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Create a change-notification subscription
+ * @param {Object} options
+ * @param {string} options.resource - e.g. /me/todo/lists/{id}/tasks
+ * @param {string} options.notificationUrl - Public HTTPS URL Graph will POST to
+ * @param {string} options.clientState - Secret echoed back in every notification
+ * @param {string} options.expirationDateTime - ISO timestamp
+ * @param {string} [options.changeType] - Default "created,updated,deleted"
+ * @returns {Promise<Object>} Graph subscription
+ */
+export async function createSubscription(options) {
+  try {
+    const accessToken = await getAccessToken();
+
+    const subscription = await graphRequest(`${GRAPH_API_ENDPOINT}/subscriptions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        changeType: options.changeType || 'created,updated,deleted',
+        notificationUrl: options.notificationUrl,
+        resource: options.resource,
+        expirationDateTime: options.expirationDateTime,
+        clientState: options.clientState
+      })
+    });
+    logger.info('GRAPH', `Subscription created for ${options.resource} (${subscription.id})`);
+
+    return subscription;
+  } catch (error) {
+    logger.error('GRAPH', 'Error creating subscription', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Extend a subscription's expiration
+ * @param {Object} options
+ * @param {string} options.id - Subscription ID
+ * @param {string} options.expirationDateTime - New ISO expiration
+ * @returns {Promise<Object>} Updated Graph subscription
+ */
+export async function renewSubscription(options) {
+  try {
+    const accessToken = await getAccessToken();
+
+    return await graphRequest(`${GRAPH_API_ENDPOINT}/subscriptions/${options.id}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ expirationDateTime: options.expirationDateTime })
+    });
+  } catch (error) {
+    logger.error('GRAPH', 'Error renewing subscription', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Delete a subscription
+ * @param {Object} options
+ * @param {string} options.id - Subscription ID
+ */
+export async function deleteSubscription(options) {
+  try {
+    const accessToken = await getAccessToken();
+
+    await graphRequest(`${GRAPH_API_ENDPOINT}/subscriptions/${options.id}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+  } catch (error) {
+    // Already gone counts as deleted
+    if (error.code === 'not_found') return;
+    logger.error('GRAPH', 'Error deleting subscription', { error: error.message });
     throw error;
   }
 }
@@ -354,17 +1192,10 @@ export async function isAuthenticated() {
 export async function testGraphConnection() {
   const accessToken = await getAccessToken();
   
-  const response = await fetch(`${GRAPH_API_ENDPOINT}/me`, {
+  return await graphRequest(`${GRAPH_API_ENDPOINT}/me`, {
     headers: {
       'Authorization': `Bearer ${accessToken}`,
       'Content-Type': 'application/json'
     }
   });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Graph API error: ${response.status} ${errorText}`);
-  }
-
-  return await response.json();
 }
@@ -0,0 +1,247 @@
+/**
+ * Graph delta-query poller (optional alternative to Power Automate)
+ *
+ * Calls /me/todo/lists/{id}/tasks/delta on an interval for each configured
+ * category and feeds every changed task to `onTask` (the personal sync
+ * pipeline). The deltaLink for each list is persisted so a restart only picks
+ * up what changed since the last completed round.
+ *
+ * - First run: the delta query returns every task in the list. By default
+ *   those are skipped (only the deltaLink is kept) so enabling the poller
+ *   doesn't replay old tasks; set GRAPH_DELTA_INITIAL_SYNC=process to relay them.
+ * - Deleted tasks (@removed) are counted and passed to `onRemoved` (if set),
+ *   which drops them from the ICS feed.
+ * - A 410 Gone (expired sync state) drops the deltaLink and starts over.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getTaskDeltaPage } from './graphClient.js';
+import { CATEGORY_VALUES, DEFAULT_CATEGORY } from '../config/categories.js';
+
+const DEFAULT_STATE_PATH = './data/task-sync/delta-state.json';
+const INITIAL_SYNC_MODES = ['skip', 'process'];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emptyState() {
+  return { version: 1, lists: {} };
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+async function loadState(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || typeof parsed.lists !== 'object') {
+      return emptyState();
+    }
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return emptyState();
+    }
+    throw error;
+  }
+}
+
+async function atomicWriteJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmpPath, filePath);
+}
+
+function defaultCategories() {
+  const raw = process.env.GRAPH_DELTA_CATEGORIES;
+  if (raw) {
+    return raw.split(',').map(c => c.trim()).filter(Boolean);
+  }
+  return [CATEGORY_VALUES.includes('personal') ? 'personal' : DEFAULT_CATEGORY];
+}
+
+/**
+ * @param {object} options
+ * @param {(task: Object, context: {category: string}) => Promise<Object>} options.onTask
+ * @param {(microsoftTaskId: string, context: {category: string}) => Promise<Object>} [options.onRemoved]
+ * @param {(options: {category: string, url?: string}) => Promise<Object>} [options.fetchPage]
+ *   one delta page; defaults to graphClient.getTaskDeltaPage (swap for a mock Graph server)
+ * @param {string[]} [options.categories]
+ * @param {string} [options.statePath]
+ * @param {number} [options.intervalMs]
+ * @param {'skip'|'process'} [options.initialSync]
+ * @param {number} [options.maxPages] - safety cap per category per round
+ * @param {Object} [options.logger]
+ */
+export function createGraphDeltaPoller(options = {}) {
+  const statePath = options.statePath || process.env.GRAPH_DELTA_STATE_PATH || DEFAULT_STATE_PATH;
+  const intervalMs = numberOr(options.intervalMs || process.env.GRAPH_DELTA_POLL_INTERVAL_MS, 300000);
+  const maxPages = numberOr(options.maxPages, 50);
+  const categories = options.categories || defaultCategories();
+  const initialSync = options.initialSync || process.env.GRAPH_DELTA_INITIAL_SYNC || 'skip';
+  const fetchPage = options.fetchPage || getTaskDeltaPage;
+  const onTask = options.onTask;
+  const onRemoved = options.onRemoved || null;
+  let log = options.logger || null;
+
+  const unknown = categories.filter(c => !CATEGORY_VALUES.includes(c));
+  if (unknown.length) {
+    throw new Error(`GRAPH_DELTA_CATEGORIES: unknown categories: ${unknown.join(', ')}`);
+  }
+  if (!INITIAL_SYNC_MODES.includes(initialSync)) {
+    throw new Error(`GRAPH_DELTA_INITIAL_SYNC must be one of: ${INITIAL_SYNC_MODES.join(', ')}`);
+  }
+
+  async function saveListState(category, listState) {
+    const state = await loadState(statePath);
+    state.lists[category] = listState;
+    await atomicWriteJson(statePath, state);
+  }
+
+  /**
+   * Run one delta round for a category.
+   * @param {string} category
+   * @returns {Promise<{category: string, initial: boolean, processed: number, skipped: number, removed: number, failed: number}>}
+   */
+  async function pollCategory(category) {
+    const state = await loadState(statePath);
+    const previous = state.lists[category] || {};
+    const summary = { category, initial: !previous.deltaLink, processed: 0, skipped: 0, removed: 0, failed: 0 };
+
+    let url = previous.deltaLink || null;
+    let listId = previous.listId || null;
+
+    try {
+      for (let pageCount = 0; pageCount < maxPages; pageCount++) {
+        const page = await fetchPage({ category, url });
+
+        // Category now points at a different list: the old deltaLink is meaningless
+        if (!summary.initial && pageCount === 0 && listId && page.listId && page.listId !== listId) {
+          await saveListState(category, { listId: page.listId, deltaLink: null, resetAt: nowIso(), resetReason: 'list_changed' });
+          return pollCategory(category);
+        }
+        listId = page.listId || listId;
+
+        for (const task of page.tasks) {
+          if (task['@removed']) {
+            summary.removed += 1;
+            try {
+              await onRemoved?.(task.id, { category });
+            } catch (error) {
+              log?.error('DELTA_POLL', 'Task removal failed', { category, taskId: task.id, error: error.message });
+            }
+          } else if (summary.initial && initialSync === 'skip') {
+            summary.skipped += 1;
+          } else {
+            try {
+              await onTask(task, { category });
+              summary.processed += 1;
+            } catch (error) {
+              // One bad task shouldn't stall the list; the deltaLink still advances
+              summary.failed += 1;
+              log?.error('DELTA_POLL', 'Task processing failed', { category, taskId: task.id, error: error.message });
+            }
+          }
+        }
+
+        if (page.nextLink) {
+          url = page.nextLink;
+          continue;
+        }
+
+        if (page.deltaLink) {
+          await saveListState(category, {
+            listId,
+            deltaLink: page.deltaLink,
+            lastSyncAt: nowIso(),
+            lastSummary: summary
+          });
+        }
+        return summary;
+      }
+
+      throw new Error(`Delta query exceeded ${maxPages} pages`);
+    } catch (error) {
+      const expired = error.code === 'gone' || error.graphCode === 'syncStateNotFound';
+      await saveListState(category, {
+        ...previous,
+        ...(expired ? { deltaLink: null, resetAt: nowIso(), resetReason: 'sync_state_expired' } : {}),
+        lastError: error.message,
+        lastErrorAt: nowIso()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Poll every configured category once.
+   * @returns {Promise<Array<Object>>} per-category summaries ({category, error} on failure)
+   */
+  async function pollOnce() {
+    const results = [];
+    for (const category of categories) {
+      try {
+        results.push(await pollCategory(category));
+      } catch (error) {
+        results.push({ category, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * @returns {Promise<Object>} persisted per-category state
+   */
+  async function inspect() {
+    const state = await loadState(statePath);
+    return { categories, intervalMs, initialSync, lists: state.lists };
+  }
+
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      for (const result of await pollOnce()) {
+        if (result.error) {
+          log?.warn('DELTA_POLL', 'Delta poll failed', result);
+        } else if (result.processed || result.skipped || result.removed || result.failed) {
+          log?.info('DELTA_POLL', 'Delta poll completed', result);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start(logger = null) {
+    if (timer) return;
+    log = log || logger;
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    statePath,
+    categories,
+    pollCategory,
+    pollOnce,
+    inspect,
+    start,
+    stop
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Resilient Microsoft Graph requests
+ *
+ * Every Graph call in graphClient.js goes through graphRequest():
+ *
+ * - Timeout per call (GRAPH_TIMEOUT_MS, default 15s); a hung connection
+ *   fails with code `timeout` instead of hanging the HTTP request.
+ * - Retries (GRAPH_MAX_RETRIES, default 3) for 429, 502, 503, 504, timeouts
+ *   and network errors. Only idempotent calls (GET, PUT, PATCH, DELETE) are
+ *   retried on server errors - a POST may already have created the task.
+ *   A 429 is always retried: Graph throttles before doing any work.
+ * - Waits Retry-After when Graph sends it, otherwise exponential backoff with
+ *   jitter (GRAPH_RETRY_BASE_MS). A Retry-After longer than
+ *   GRAPH_RETRY_MAX_WAIT_SECONDS (default 10) is not waited out; the error
+ *   carries it as retryAfterSeconds instead.
+ * - Circuit breaker: GRAPH_CIRCUIT_THRESHOLD (default 5) failed attempts in a
+ *   row (5xx, timeouts, network errors) open the circuit for
+ *   GRAPH_CIRCUIT_COOLDOWN_SECONDS (default 30). While open, calls fail fast
+ *   with code `circuit_open`; then one trial call decides whether it closes.
+ *
+ * Failures throw a GraphError with a `code` from GRAPH_ERROR_CODES, so callers
+ * branch on `error.code === 'not_found'` instead of parsing messages.
+ */
+
+import { graphOperation, graphRequestDuration, graphRequests } from './bridgeMetrics.js';
+import { getRequestId } from '../utils/requestContext.js';
+import logger from '../utils/logger.js';
+
+export const GRAPH_ERROR_CODES = [
+  'bad_request',
+  'unauthorized',
+  'forbidden',
+  'not_found',
+  'conflict',
+  'gone',
+  'throttled',
+  'unavailable',
+  'timeout',
+  'network_error',
+  'circuit_open',
+  'graph_error'
+];
+
+const CODE_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  412: 'conflict',
+  429: 'throttled',
+  502: 'unavailable',
+  503: 'unavailable',
+  504: 'timeout'
+};
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE']);
+
+// Longest Graph error text kept in the message when the body isn't Graph's JSON
+const MAX_ERROR_TEXT = 500;
+
+/**
+ * A failed Graph call.
+ *
+ * - code: one of GRAPH_ERROR_CODES
+ * - httpStatus: Graph's status (null when no response: timeout, network, circuit)
+ * - graphCode: Graph's own error code, e.g. "syncStateNotFound"
+ * - retryAfterSeconds: when Graph (or the open circuit) says to try again
+ * - graphRequestId: Graph's request-id header, for support cases
+ */
+export class GraphError extends Error {
+  constructor(message, { code, httpStatus = null, graphCode = null, retryAfterSeconds = null, graphRequestId = null } = {}) {
+    super(message);
+    this.name = 'GraphError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.graphCode = graphCode;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.graphRequestId = graphRequestId;
+  }
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After as seconds (delta-seconds or an HTTP date), or null.
+ * @param {string|null} value
+ * @param {number} now - ms
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim());
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+async function errorFromResponse(response) {
+  const text = await response.text().catch(() => '');
+  let graphCode = null;
+  let detail = text.slice(0, MAX_ERROR_TEXT);
+  try {
+    const { error } = JSON.parse(text);
+    if (error?.code || error?.message) {
+      graphCode = error.code || null;
+      detail = [error.code, error.message].filter(Boolean).join(': ');
+    }
+  } catch {
+    // Not JSON; keep the raw text
+  }
+
+  return new GraphError(`Graph API error: ${response.status} ${detail}`.trim(), {
+    code: CODE_BY_STATUS[response.status] || 'graph_error',
+    httpStatus: response.status,
+    graphCode,
+    retryAfterSeconds: parseRetryAfter(response.headers.get('retry-after')),
+    graphRequestId: response.headers.get('request-id')
+  });
+}
+
+function errorFromException(error, timeoutMs) {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return new GraphError(`Graph API timeout after ${timeoutMs}ms`, { code: 'timeout' });
+  }
+  return new GraphError(`Graph API network error: ${error.cause?.message || error.message}`, { code: 'network_error' });
+}
+
+/**
+ * Consecutive-failure circuit breaker: closed → open (fail fast) → half-open
+ * (one trial call) → closed or open again.
+ * @param {object} options
+ * @param {number} options.threshold - failures in a row that open it
+ * @param {number} options.cooldownMs - how long it stays open
+ * @param {() => number} [options.now]
+ */
+export function createCircuitBreaker({ threshold, cooldownMs, now = Date.now }) {
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function state() {
+    if (openedAt === null) return 'closed';
+    return now() - openedAt >= cooldownMs ? 'half_open' : 'open';
+  }
+
+  /**
+   * @returns {{allowed: boolean, retryAfterSeconds?: number}}
+   */
+  function allow() {
+    const current = state();
+    if (current === 'closed') return { allowed: true };
+    if (current === 'half_open' && !probing) {
+      probing = true;
+      return { allowed: true };
+    }
+    const remainingMs = Math.max(0, openedAt + cooldownMs - now());
+    return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(remainingMs / 1000)) };
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    openedAt = null;
+    probing = false;
+  }
+
+  /**
+   * @returns {boolean} true when this failure opened the circuit
+   */
+  function recordFailure() {
+    failures += 1;
+    const reopening = probing;
+    probing = false;
+    if (reopening || (openedAt === null && failures >= threshold)) {
+      openedAt = now();
+      return true;
+    }
+    return false;
+  }
+
+  return { state, allow, recordSuccess, recordFailure, get failures() { return failures; } };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} options.endpoint - GRAPH_API_ENDPOINT (for metric operation labels)
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.retryBaseMs]
+ * @param {number} [options.maxRetryWaitSeconds]
+ * @param {number} [options.circuitThreshold]
+ * @param {number} [options.circuitCooldownSeconds]
+ * @param {typeof fetch} [options.fetchImpl]
+ * @returns {{request: Function, circuit: Object, timeoutMs: number}}
+ */
+export function createGraphRequester(options = {}) {
+  const endpoint = options.endpoint;
+  const timeoutMs = numberOr(options.timeoutMs ?? process.env.GRAPH_TIMEOUT_MS, 15000) || 15000;
+  const maxRetries = numberOr(options.maxRetries ?? process.env.GRAPH_MAX_RETRIES, 3);
+  const retryBaseMs = numberOr(options.retryBaseMs ?? process.env.GRAPH_RETRY_BASE_MS, 500);
+  const maxRetryWaitSeconds = numberOr(options.maxRetryWaitSeconds ?? process.env.GRAPH_RETRY_MAX_WAIT_SECONDS, 10);
+  const fetchImpl = options.fetchImpl || fetch;
+  const circuit = createCircuitBreaker({
+    threshold: Math.max(1, numberOr(options.circuitThreshold ?? process.env.GRAPH_CIRCUIT_THRESHOLD, 5)),
+    cooldownMs: numberOr(options.circuitCooldownSeconds ?? process.env.GRAPH_CIRCUIT_COOLDOWN_SECONDS, 30) * 1000
+  });
+
+  function backoffMs(attempt) {
+    // Full jitter between half and all of base * 2^attempt
+    const exp = retryBaseMs * 2 ** attempt;
+    return Math.round(exp / 2 + Math.random() * exp / 2);
+  }
+
+  // One fetch, counted and timed for /metrics; resolves to the Response or a GraphError
+  async function attempt(url, init, operation, callTimeoutMs) {
+    const stopTimer = graphRequestDuration.startTimer({ operation });
+    try {
+      const response = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(callTimeoutMs) });
+      graphRequests.inc({ operation, status: response.status });
+      if (!response.ok) {
+        return { ok: false, error: await errorFromResponse(response) };
+      }
+      // Read the body under the same timeout, so a stalled body is a timeout too
+      const text = await response.text();
+      try {
+        return { ok: true, body: text ? JSON.parse(text) : null };
+      } catch {
+        return { ok: false, error: new GraphError(`Graph API error: ${response.status} response is not JSON`, { code: 'graph_error', httpStatus: response.status }) };
+      }
+    } catch (error) {
+      const graphError = errorFromException(error, callTimeoutMs);
+      graphRequests.inc({ operation, status: graphError.code });
+      return { ok: false, error: graphError };
+    } finally {
+      stopTimer();
+    }
+  }
+
+  function isRetryable(error, idempotent) {
+    if (error.code === 'throttled') return true;
+    if (!idempotent) return false;
+    return error.code === 'timeout' || error.code === 'network_error' || RETRYABLE_STATUSES.has(error.httpStatus);
+  }
+
+  // Graph is down or unreachable (opens the circuit); 4xx and 429 mean it is answering
+  function isOutage(error) {
+    return error.code === 'timeout' || error.code === 'network_error' || (error.httpStatus !== null && error.httpStatus >= 500);
+  }
+
+  /**
+   * Call Graph and return the parsed JSON body (null for 204 / empty).
+   * @param {string} url - absolute Graph URL
+   * @param {object} [init] - fetch options (method, headers, body)
+   * @param {number} [init.timeoutMs] - this call's timeout
+   * @param {boolean} [init.idempotent] - override the method-based retry rule
+   * @returns {Promise<Object|null>}
+   * @throws {GraphError}
+   */
+  async function request(url, init = {}) {
+    const { timeoutMs: callTimeoutMs = timeoutMs, idempotent: idempotentOption, ...fetchInit } = init;
+    const method = (fetchInit.method || 'GET').toUpperCase();
+    const idempotent = idempotentOption ?? IDEMPOTENT_METHODS.has(method);
+    const operation = graphOperation(method, url, endpoint);
+
+    // Graph echoes client-request-id and records it for support cases
+    const requestId = getRequestId();
+    if (requestId) {
+      fetchInit.headers = { ...fetchInit.headers, 'client-request-id': requestId };
+    }
+
+    for (let attemptIndex = 0; ; attemptIndex += 1) {
+      const gate = circuit.allow();
+      if (!gate.allowed) {
+        throw new GraphError('Microsoft Graph is failing - circuit open, not calling it for now', {
+          code: 'circuit_open',
+          retryAfterSeconds: gate.retryAfterSeconds
+        });
+      }
+
+      const result = await attempt(url, fetchInit, operation, callTimeoutMs);
+      if (result.ok) {
+        circuit.recordSuccess();
+        return result.body;
+      }
+
+      const { error } = result;
+      if (isOutage(error)) {
+        if (circuit.recordFailure()) {
+          logger.error('GRAPH', 'Circuit opened after repeated Graph failures', {
+            operation,
+            failures: circuit.failures,
+            lastError: error.message
+          });
+          // No point retrying into an open circuit; report what actually failed
+          throw error;
+        }
+      } else {
+        circuit.recordSuccess();
+      }
+
+      if (attemptIndex >= maxRetries || !isRetryable(error, idempotent)) {
+        throw error;
+      }
+
+      const delayMs = error.retryAfterSeconds !== null
+        ? error.retryAfterSeconds * 1000 + Math.round(Math.random() * 250)
+        : backoffMs(attemptIndex);
+      if (delayMs > maxRetryWaitSeconds * 1000) {
+        throw error;
+      }
+
+      logger.warn('GRAPH', 'Retrying Graph call', {
+        operation,
+        attempt: attemptIndex + 1,
+        code: error.code,
+        httpStatus: error.httpStatus,
+        delayMs
+      });
+      await sleep(delayMs);
+    }
+  }
+
+  return { request, circuit, timeoutMs };
+}
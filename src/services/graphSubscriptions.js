@@ -0,0 +1,378 @@
+/**
+ * Microsoft Graph change-notification subscriptions for To Do lists
+ *
+ * Alternative to the delta poller and Power Automate: Graph POSTs to
+ * /notifications/graph when a task in a subscribed list changes, and the
+ * changed task is fetched and run through the personal sync pipeline.
+ *
+ * - One subscription per configured category (list), persisted with its
+ *   clientState in GRAPH_SUBSCRIPTION_STATE_PATH so restarts reuse it.
+ * - To Do subscriptions expire after ~3 days; a periodic check renews any that
+ *   expire within GRAPH_SUBSCRIPTION_RENEW_BEFORE_MS and recreates any that are
+ *   gone, point at a different list, or use a different notification URL.
+ * - Every notification must carry the clientState we generated for its
+ *   subscription; anything else is rejected.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  getListByCategory,
+  createSubscription,
+  renewSubscription,
+  deleteSubscription,
+  getTask
+} from './graphClient.js';
+import { CATEGORY_VALUES, DEFAULT_CATEGORY } from '../config/categories.js';
+
+const DEFAULT_STATE_PATH = './data/task-sync/subscriptions.json';
+const DEFAULT_PUBLIC_BASE_URL = 'https://assistant.yancmo.xyz';
+
+// Graph's maximum lifetime for todoTask subscriptions
+const MAX_LIFETIME_MINUTES = 4230;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emptyState() {
+  return { version: 1, subscriptions: {} };
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+async function loadState(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || typeof parsed.subscriptions !== 'object') {
+      return emptyState();
+    }
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return emptyState();
+    }
+    throw error;
+  }
+}
+
+async function atomicWriteJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmpPath, filePath);
+}
+
+function defaultCategories() {
+  const raw = process.env.GRAPH_SUBSCRIPTION_CATEGORIES;
+  if (raw) {
+    return raw.split(',').map(c => c.trim()).filter(Boolean);
+  }
+  return [CATEGORY_VALUES.includes('personal') ? 'personal' : DEFAULT_CATEGORY];
+}
+
+function defaultNotificationUrl() {
+  if (process.env.GRAPH_NOTIFICATION_URL) return process.env.GRAPH_NOTIFICATION_URL;
+  const base = (process.env.PUBLIC_BASE_URL || DEFAULT_PUBLIC_BASE_URL).replace(/\/+$/, '');
+  return `${base}/notifications/graph`;
+}
+
+function clientStateMatches(expected, received) {
+  if (typeof expected !== 'string' || typeof received !== 'string' || expected.length !== received.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+/**
+ * @param {object} options
+ * @param {(task: Object, context: {category: string}) => Promise<Object>} options.onTask
+ * @param {(microsoftTaskId: string, context: {category: string}) => Promise<Object>} [options.onRemoved]
+ *   deleted tasks; without it deletions are skipped
+ * @param {string} [options.notificationUrl]
+ * @param {string[]} [options.categories]
+ * @param {string} [options.statePath]
+ * @param {number} [options.lifetimeMinutes]
+ * @param {number} [options.renewBeforeMs]
+ * @param {number} [options.checkIntervalMs]
+ * @param {Object} [options.graph] - override Graph calls (getListByCategory, createSubscription,
+ *   renewSubscription, deleteSubscription, getTask), e.g. for a mock Graph server
+ * @param {Object} [options.logger]
+ */
+export function createGraphSubscriptionManager(options = {}) {
+  const statePath = options.statePath || process.env.GRAPH_SUBSCRIPTION_STATE_PATH || DEFAULT_STATE_PATH;
+  const notificationUrl = options.notificationUrl || defaultNotificationUrl();
+  const categories = options.categories || defaultCategories();
+  const lifetimeMinutes = Math.min(
+    MAX_LIFETIME_MINUTES,
+    numberOr(options.lifetimeMinutes || process.env.GRAPH_SUBSCRIPTION_MINUTES, 4200)
+  );
+  const renewBeforeMs = numberOr(options.renewBeforeMs || process.env.GRAPH_SUBSCRIPTION_RENEW_BEFORE_MS, 12 * 60 * 60 * 1000);
+  const checkIntervalMs = numberOr(options.checkIntervalMs || process.env.GRAPH_SUBSCRIPTION_CHECK_MS, 30 * 60 * 1000);
+  const graph = {
+    getListByCategory,
+    createSubscription,
+    renewSubscription,
+    deleteSubscription,
+    getTask,
+    ...options.graph
+  };
+  const onTask = options.onTask;
+  const onRemoved = options.onRemoved || null;
+  let log = options.logger || null;
+
+  const unknown = categories.filter(c => !CATEGORY_VALUES.includes(c));
+  if (unknown.length) {
+    throw new Error(`GRAPH_SUBSCRIPTION_CATEGORIES: unknown categories: ${unknown.join(', ')}`);
+  }
+
+  let writeChain = Promise.resolve();
+  function withWriteLock(fn) {
+    const run = writeChain.then(fn, fn);
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  function updateSubscription(category, changes) {
+    return withWriteLock(async () => {
+      const state = await loadState(statePath);
+      state.subscriptions[category] = { ...(state.subscriptions[category] || {}), ...changes };
+      await atomicWriteJson(statePath, state);
+      return state.subscriptions[category];
+    });
+  }
+
+  function newExpiration() {
+    return new Date(Date.now() + lifetimeMinutes * 60 * 1000).toISOString();
+  }
+
+  async function create(category, listId) {
+    const resource = `/me/todo/lists/${listId}/tasks`;
+    const clientState = crypto.randomBytes(32).toString('hex');
+    const subscription = await graph.createSubscription({
+      resource,
+      notificationUrl,
+      clientState,
+      expirationDateTime: newExpiration()
+    });
+
+    return updateSubscription(category, {
+      id: subscription.id,
+      category,
+      listId,
+      resource,
+      notificationUrl,
+      clientState,
+      expirationDateTime: subscription.expirationDateTime,
+      createdAt: nowIso(),
+      renewedAt: null,
+      lastError: null,
+      lastErrorAt: null
+    });
+  }
+
+  /**
+   * Make sure one category has a live subscription; renew or recreate as needed.
+   * @param {string} category
+   * @returns {Promise<'kept'|'renewed'|'created'>}
+   */
+  async function ensureCategory(category) {
+    const state = await loadState(statePath);
+    const current = state.subscriptions[category];
+    const listInfo = await graph.getListByCategory(category);
+    const now = Date.now();
+    const expiresAt = current ? Date.parse(current.expirationDateTime) : 0;
+
+    const reusable = current &&
+      current.listId === listInfo.id &&
+      current.notificationUrl === notificationUrl &&
+      expiresAt > now;
+
+    if (reusable && expiresAt - now > renewBeforeMs) {
+      return 'kept';
+    }
+
+    if (reusable) {
+      try {
+        const renewed = await graph.renewSubscription({ id: current.id, expirationDateTime: newExpiration() });
+        await updateSubscription(category, {
+          expirationDateTime: renewed.expirationDateTime,
+          renewedAt: nowIso(),
+          lastError: null,
+          lastErrorAt: null
+        });
+        return 'renewed';
+      } catch (error) {
+        // 404 = Graph already dropped it; anything else, try a fresh one anyway
+        log?.warn('GRAPH_SUBSCRIPTIONS', 'Renewal failed - recreating', { category, id: current.id, error: error.message });
+      }
+    }
+
+    if (current?.id) {
+      await graph.deleteSubscription({ id: current.id }).catch(() => {});
+    }
+    await create(category, listInfo.id);
+    return 'created';
+  }
+
+  /**
+   * Ensure every configured category is subscribed.
+   * @returns {Promise<Array<{category: string, result?: string, error?: string}>>}
+   */
+  async function ensureAll() {
+    const results = [];
+    for (const category of categories) {
+      try {
+        results.push({ category, result: await ensureCategory(category) });
+      } catch (error) {
+        results.push({ category, error: error.message });
+        // Recording the error is best-effort; it must not stop the other categories
+        await updateSubscription(category, { lastError: error.message, lastErrorAt: nowIso() }).catch(stateError => {
+          log?.warn('GRAPH_SUBSCRIPTIONS', 'Could not record subscription error', { category, error: stateError.message });
+        });
+      }
+    }
+    return results;
+  }
+
+  async function processChanges(changes, requestId) {
+    for (const { category, listId, taskId, deleted } of changes) {
+      try {
+        if (deleted) {
+          await onRemoved(taskId, { category, requestId });
+          continue;
+        }
+        const task = await graph.getTask({ listId, microsoftTaskId: taskId });
+        await onTask(task, { category, requestId });
+      } catch (error) {
+        log?.error('GRAPH_SUBSCRIPTIONS', 'Failed to process notification', {
+          category,
+          taskId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Verify a batch of change notifications and process the accepted ones.
+   * Verification is synchronous with the request; fetching and relaying the
+   * changed tasks happens in `processing` so the route can answer Graph quickly.
+   * @param {Array<Object>} notifications - the `value` array Graph POSTs
+   * @param {Object} [context]
+   * @param {string} [context.requestId]
+   * @returns {Promise<{accepted: number, rejected: number, skipped: number, processing: Promise<void>}>}
+   */
+  async function receive(notifications, { requestId = '-' } = {}) {
+    const state = await loadState(statePath);
+    const byId = new Map(
+      Object.values(state.subscriptions).map(sub => [sub.id, sub])
+    );
+
+    const changes = new Map();
+    const touched = new Set();
+    let rejected = 0;
+    let skipped = 0;
+
+    for (const notification of notifications) {
+      const sub = byId.get(notification?.subscriptionId);
+      if (!sub || !clientStateMatches(sub.clientState, notification.clientState)) {
+        rejected += 1;
+        continue;
+      }
+      touched.add(sub.category);
+
+      const taskId = notification.resourceData?.id || String(notification.resource || '').split('/').pop();
+      const deleted = notification.changeType === 'deleted';
+      if (!taskId || (deleted && !onRemoved)) {
+        skipped += 1;
+        continue;
+      }
+
+      // Graph often sends created+updated for one edit; handle each task once, as its latest change
+      // (deleted tasks have nothing to fetch)
+      changes.set(`${sub.listId}:${taskId}`, { category: sub.category, listId: sub.listId, taskId, deleted });
+    }
+
+    for (const category of touched) {
+      await updateSubscription(category, { lastNotificationAt: nowIso() });
+    }
+
+    return {
+      accepted: changes.size,
+      rejected,
+      skipped,
+      processing: processChanges([...changes.values()], requestId)
+    };
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} persisted subscriptions (clientState omitted)
+   */
+  async function list() {
+    const state = await loadState(statePath);
+    const now = Date.now();
+    return Object.values(state.subscriptions)
+      .map(({ clientState, ...sub }) => ({
+        ...sub,
+        active: Boolean(sub.id) && Date.parse(sub.expirationDateTime) > now
+      }));
+  }
+
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      for (const result of await ensureAll()) {
+        if (result.error) {
+          log?.error('GRAPH_SUBSCRIPTIONS', 'Subscription check failed', result);
+        } else if (result.result !== 'kept') {
+          log?.info('GRAPH_SUBSCRIPTIONS', `Subscription ${result.result}`, result);
+        }
+      }
+    } catch (error) {
+      log?.error('GRAPH_SUBSCRIPTIONS', 'Subscription check failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  // A failed check must never become an unhandled rejection (it would stop the process)
+  function runTick() {
+    tick().catch(error => {
+      log?.error('GRAPH_SUBSCRIPTIONS', 'Subscription check failed', { error: error.message });
+    });
+  }
+
+  function start(logger = null) {
+    if (timer) return;
+    log = log || logger;
+    runTick();
+    timer = setInterval(runTick, checkIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    statePath,
+    notificationUrl,
+    categories,
+    ensureAll,
+    receive,
+    list,
+    start,
+    stop
+  };
+}
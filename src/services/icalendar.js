@@ -0,0 +1,316 @@
+/**
+ * iCalendar (RFC 5545) rendering for synced To Do tasks.
+ *
+ * Turns the Apple event payload produced by buildAppleEventPayload into a
+ * VEVENT. Used by the CalDAV destination (one VCALENDAR per PUT) and by the
+ * subscribable ICS feed (one VCALENDAR per category).
+ *
+ * Times:
+ * - startDateTime with Z/offset → emitted in UTC
+ * - startDateTime + timeZone   → converted to UTC
+ * - recurring (rrule) + timeZone → DTSTART;TZID=<zone> local time, with a
+ *   VTIMEZONE in the calendar, so occurrences keep their wall-clock time (and
+ *   weekday) across DST changes instead of being expanded in UTC
+ * - startDateTime alone        → floating local time
+ */
+
+import crypto from 'crypto';
+import {
+  addMinutesToLocal,
+  formatInTimeZone,
+  getUtcOffsetMinutes,
+  isValidTimeZone,
+  resolveDateTime
+} from '../utils/timeZone.js';
+
+const PRODID = '-//assistant-365-bridge//Personal Task Sync//EN';
+const UID_DOMAIN = 'assistant-365-bridge';
+
+/**
+ * Stable UID for a Microsoft To Do task.
+ * Graph IDs contain characters (=, /, +) that are awkward in resource names,
+ * so the UID is a hash of the ID.
+ * @param {string} microsoftTaskId
+ * @returns {string}
+ */
+export function buildEventUid(microsoftTaskId) {
+  const hash = crypto.createHash('sha256').update(String(microsoftTaskId)).digest('hex').slice(0, 32);
+  return `mstodo-${hash}@${UID_DOMAIN}`;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never splitting a UTF-8 sequence.
+ */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Back off to a UTF-8 character boundary.
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+  return chunks.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatFloating(localDateTime) {
+  return localDateTime.slice(0, 19).replace(/[-:]/g, '');
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Compute DTSTART/DTEND property values for an event payload.
+ * `tzid` is set when the values are wall-clock times in that zone.
+ * @returns {{ start: string, end: string, tzid?: string }|null}
+ */
+export function buildEventTimes({ startDateTime, durationMinutes, timeZone, rrule }) {
+  if (!startDateTime) return null;
+  const minutes = Number(durationMinutes) || 30;
+  const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : null;
+
+  const isFloating = !zone && !/(Z|[+-]\d{2}:?\d{2})$/i.test(startDateTime);
+  if (isFloating) {
+    const end = addMinutesToLocal(startDateTime, minutes);
+    if (!end) return null;
+    return { start: formatFloating(startDateTime), end: formatFloating(end) };
+  }
+
+  const start = resolveDateTime(startDateTime, zone);
+  if (!start) return null;
+  const end = new Date(start.getTime() + minutes * 60000);
+
+  if (rrule && zone) {
+    return {
+      start: formatFloating(formatInTimeZone(start, zone)),
+      end: formatFloating(formatInTimeZone(end, zone)),
+      tzid: zone
+    };
+  }
+  return { start: formatUtc(start), end: formatUtc(end) };
+}
+
+// --- VTIMEZONE -------------------------------------------------------------
+// Built from the runtime's zone data (Intl): each DST transition becomes a
+// STANDARD/DAYLIGHT observance with a yearly "nth weekday of the month" rule.
+// Zones whose rule isn't of that shape get one observance per transition.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Years of explicit transitions emitted when no yearly rule fits
+const EXPLICIT_TRANSITION_YEARS = 12;
+
+const vtimezoneCache = new Map();
+
+function findTransitions(timeZone, year) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let offset = getUtcOffsetMinutes(new Date(Date.UTC(year, 0, 1)), timeZone);
+
+  for (let t = Date.UTC(year, 0, 1); t < end; t += DAY_MS) {
+    const next = getUtcOffsetMinutes(new Date(t + DAY_MS), timeZone);
+    if (next === offset) continue;
+
+    // Narrow the change down to the minute
+    let lo = t;
+    let hi = t + DAY_MS;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.max(60000, Math.floor((hi - lo) / 120000) * 60000);
+      if (getUtcOffsetMinutes(new Date(mid), timeZone) === offset) lo = mid;
+      else hi = mid;
+    }
+    // DTSTART of an observance is the local time just before it takes effect
+    const local = new Date(hi + offset * 60000).toISOString().slice(0, 19);
+    transitions.push({ local, from: offset, to: next });
+    offset = next;
+  }
+  return transitions;
+}
+
+function yearlyRule(local) {
+  const [year, month, day] = local.slice(0, 10).split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+  return { month, weekday, week, time: local.slice(10) };
+}
+
+function ruleDate(rule, year) {
+  const daysInMonth = new Date(Date.UTC(year, rule.month, 0)).getUTCDate();
+  const firstWeekday = new Date(Date.UTC(year, rule.month - 1, 1)).getUTCDay();
+  const first = 1 + ((rule.weekday - firstWeekday + 7) % 7);
+  let day = rule.week === -1 ? first + 7 * Math.floor((daysInMonth - first) / 7) : first + 7 * (rule.week - 1);
+  if (day > daysInMonth) day -= 7;
+  return `${year}-${String(rule.month).padStart(2, '0')}-${String(day).padStart(2, '0')}${rule.time}`;
+}
+
+function observanceLines({ local, from, to }, rrule = null) {
+  const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+  return [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatFloating(local)}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${kind}`
+  ];
+}
+
+/**
+ * VTIMEZONE lines for a zone, valid for events from `fromYear` on.
+ * @param {string} timeZone - IANA zone
+ * @param {number} fromYear - year of the earliest DTSTART using the zone
+ * @returns {string[]}
+ */
+export function buildVTimezoneLines(timeZone, fromYear) {
+  const cacheKey = `${timeZone}|${fromYear}`;
+  if (vtimezoneCache.has(cacheKey)) return vtimezoneCache.get(cacheKey);
+
+  // Start a year early so the observance in effect at the first DTSTART is defined
+  const first = fromYear - 1;
+  const sample = [first, first + 1, first + 2].map(year => findTransitions(timeZone, year));
+  const observances = [];
+
+  if (sample.every(transitions => !transitions.length)) {
+    const offset = getUtcOffsetMinutes(new Date(Date.UTC(fromYear, 0, 1)), timeZone);
+    observances.push(...observanceLines({ local: '1970-01-01T00:00:00', from: offset, to: offset }));
+  } else {
+    // One yearly rule per transition, if the next two years follow it exactly
+    const rules = sample[0].map(transition => ({ transition, rule: yearlyRule(transition.local) }));
+    const fits = sample.every(transitions => transitions.length === rules.length) &&
+      [1, 2].every(i => rules.every(({ rule }, index) => sample[i][index].local === ruleDate(rule, first + i)));
+
+    if (fits) {
+      for (const { transition, rule } of rules) {
+        const byDay = `${rule.week}${RRULE_WEEKDAYS[rule.weekday]}`;
+        observances.push(...observanceLines(transition, `FREQ=YEARLY;BYMONTH=${rule.month};BYDAY=${byDay}`));
+      }
+    } else {
+      for (let year = first; year < first + EXPLICIT_TRANSITION_YEARS; year++) {
+        for (const transition of findTransitions(timeZone, year)) {
+          observances.push(...observanceLines(transition));
+        }
+      }
+    }
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observances, 'END:VTIMEZONE'];
+  vtimezoneCache.set(cacheKey, lines);
+  return lines;
+}
+
+/**
+ * Render a VEVENT (lines, without the VCALENDAR wrapper).
+ * @param {Object} payload - Apple event payload (see buildAppleEventPayload)
+ * @param {Object} [options]
+ * @param {number} [options.sequence]
+ * @param {Date} [options.dtstamp]
+ * @param {boolean} [options.markCompleted] - prefix the summary with ✅
+ * @returns {string[]}
+ */
+export function buildVEventLines(payload, options = {}) {
+  const times = buildEventTimes(payload);
+  if (!times) {
+    throw new Error('Cannot render VEVENT without a valid startDateTime');
+  }
+
+  const dtstamp = formatUtc(options.dtstamp || new Date());
+  const summary = options.markCompleted ? `✅ ${payload.title}` : payload.title;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${buildEventUid(payload.microsoftTaskId)}`,
+    `DTSTAMP:${dtstamp}`,
+    `LAST-MODIFIED:${dtstamp}`,
+    `SEQUENCE:${options.sequence || 0}`,
+    `DTSTART${times.tzid ? `;TZID=${times.tzid}` : ''}:${times.start}`,
+    `DTEND${times.tzid ? `;TZID=${times.tzid}` : ''}:${times.end}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  // Completing a recurring To Do task creates the next occurrence as a new task,
+  // so a completed event stands alone rather than repeating
+  if (payload.rrule && payload.action !== 'complete') {
+    lines.push(`RRULE:${payload.rrule}`);
+  }
+
+  if (payload.notes) {
+    lines.push(`DESCRIPTION:${escapeText(payload.notes)}`);
+  }
+
+  lines.push(`X-MS-TODO-TASK-ID:${escapeText(payload.microsoftTaskId)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap VEVENT lines into a VCALENDAR document (CRLF, folded).
+ * @param {string[][]} events - arrays of VEVENT lines
+ * @param {Object} [options]
+ * @param {string} [options.calendarName]
+ * @param {number} [options.refreshMinutes] - suggested polling interval for subscribers
+ * @returns {string}
+ */
+export function buildCalendar(events, options = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (options.calendarName) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.calendarName)}`);
+  }
+
+  if (options.refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${options.refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${options.refreshMinutes}M`);
+  }
+
+  // One VTIMEZONE per zone referenced by a TZID, from its earliest year
+  const zoneYears = new Map();
+  for (const event of events) {
+    for (const line of event) {
+      const match = /^DTSTART;TZID=([^:]+):(\d{4})/.exec(line);
+      if (match && !(zoneYears.get(match[1]) <= Number(match[2]))) {
+        zoneYears.set(match[1], Number(match[2]));
+      }
+    }
+  }
+  for (const [timeZone, year] of zoneYears) {
+    lines.push(...buildVTimezoneLines(timeZone, year));
+  }
+
+  for (const event of events) {
+    lines.push(...event);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,190 @@
+/**
+ * SQLite-backed Idempotency-Key store for POST /promoteTask.
+ *
+ * Goal: a client retry (ChatGPT Actions, Shortcuts) must not create a second
+ * To Do task. The first request with a key claims it; once the task is
+ * created its response is stored and every repeat within the window gets that
+ * same response back instead of calling Graph again.
+ *
+ * - begin():    atomic claim; tells the caller whether to proceed, replay,
+ *               or reject (in progress / key reused with a different request)
+ * - complete(): store the response to replay (kept for PROMOTE_IDEMPOTENCY_TTL_HOURS)
+ * - release():  drop a claim whose request failed, so a retry can run again
+ */
+
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+const DEFAULT_DB_PATH = './data/idempotency/promote-task.sqlite';
+
+const HOUR_MS = 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = HOUR_MS;
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function openDatabase(dbPath) {
+  mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT PRIMARY KEY,
+      state TEXT NOT NULL CHECK (state IN ('pending', 'completed')),
+      fingerprint TEXT NOT NULL,
+      status_code INTEGER,
+      response TEXT,
+      created_at INTEGER NOT NULL,
+      completed_at INTEGER,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at ON idempotency_keys (expires_at);
+  `);
+  return db;
+}
+
+/**
+ * Fingerprint a (normalized) request so a key reused for a different request is caught.
+ * @param {Object} value
+ * @returns {string} sha256 hex
+ */
+export function hashRequest(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Store key for a /promoteTask request: the Idempotency-Key header, else the
+ * externalId scoped by source. Both are scoped by API key, so one client can't
+ * replay (or block) another's requests.
+ * @param {Object} request
+ * @param {string} [request.clientId] - API key ID
+ * @param {string} [request.headerKey] - Idempotency-Key header
+ * @param {string} [request.source]
+ * @param {string} [request.externalId]
+ * @returns {string|null} null when the request carries neither
+ */
+export function buildPromoteIdempotencyKey({ clientId, headerKey, source, externalId }) {
+  const clientScope = clientId || 'anonymous';
+  if (headerKey) return `${clientScope}:key:${headerKey}`;
+  return externalId ? `${clientScope}:externalId:${source}:${externalId}` : null;
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.dbPath]
+ * @param {number} [options.ttlHours] - how long a completed key replays its response
+ * @param {number} [options.leaseMs] - how long an in-flight claim blocks others (crash safety)
+ */
+export function createIdempotencyStore(options = {}) {
+  const dbPath = options.dbPath || process.env.PROMOTE_IDEMPOTENCY_DB_PATH || DEFAULT_DB_PATH;
+  const ttlMs = numberOr(options.ttlHours || process.env.PROMOTE_IDEMPOTENCY_TTL_HOURS, 24) * HOUR_MS;
+  const leaseMs = numberOr(options.leaseMs || process.env.PROMOTE_IDEMPOTENCY_LEASE_MS, 120000);
+
+  const db = openDatabase(dbPath);
+  const statements = {
+    get: db.prepare('SELECT state, fingerprint, status_code, response, expires_at FROM idempotency_keys WHERE key = ?'),
+    claim: db.prepare(`
+      INSERT INTO idempotency_keys (key, state, fingerprint, created_at, expires_at)
+      VALUES (@key, 'pending', @fingerprint, @now, @expiresAt)
+      ON CONFLICT (key) DO UPDATE SET
+        state = 'pending',
+        fingerprint = excluded.fingerprint,
+        status_code = NULL,
+        response = NULL,
+        created_at = excluded.created_at,
+        completed_at = NULL,
+        expires_at = excluded.expires_at
+      WHERE idempotency_keys.expires_at <= @now
+    `),
+    complete: db.prepare(`
+      UPDATE idempotency_keys
+      SET state = 'completed', status_code = @statusCode, response = @response,
+          completed_at = @now, expires_at = @expiresAt
+      WHERE key = @key
+    `),
+    release: db.prepare(`DELETE FROM idempotency_keys WHERE key = ? AND state = 'pending'`),
+    purge: db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?'),
+    count: db.prepare('SELECT COUNT(*) AS n FROM idempotency_keys WHERE expires_at > ?')
+  };
+
+  let lastPurgeAt = 0;
+  function purgeIfDue(now) {
+    if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+    lastPurgeAt = now;
+    statements.purge.run(now);
+  }
+
+  /**
+   * Claim a key before doing the work.
+   * @param {string} key
+   * @param {string} fingerprint - hash of the request, to catch a key reused for a different one
+   * @returns {{state: 'claimed'|'in_progress'|'mismatch'|'completed', statusCode?: number, body?: Object}}
+   *   'completed' carries the stored response to replay
+   */
+  function begin(key, fingerprint) {
+    const now = Date.now();
+    purgeIfDue(now);
+
+    // better-sqlite3 is synchronous, so claim + read can't interleave with another request
+    const result = statements.claim.run({ key, fingerprint, now, expiresAt: now + leaseMs });
+    if (result.changes === 1) {
+      return { state: 'claimed' };
+    }
+
+    const row = statements.get.get(key);
+    if (row.fingerprint !== fingerprint) {
+      return { state: 'mismatch' };
+    }
+    if (row.state === 'pending') {
+      return { state: 'in_progress' };
+    }
+    return { state: 'completed', statusCode: row.status_code, body: JSON.parse(row.response) };
+  }
+
+  /**
+   * Store the response for a claimed key.
+   * @param {string} key
+   * @param {number} statusCode
+   * @param {Object} body
+   */
+  function complete(key, statusCode, body) {
+    const now = Date.now();
+    statements.complete.run({
+      key,
+      statusCode,
+      response: JSON.stringify(body),
+      now,
+      expiresAt: now + ttlMs
+    });
+  }
+
+  /**
+   * Drop an in-flight claim (the request failed or was not sent to Graph).
+   * Completed keys are left alone.
+   * @param {string} key
+   */
+  function release(key) {
+    statements.release.run(key);
+  }
+
+  /**
+   * @returns {number} live (unexpired) keys
+   */
+  function size() {
+    return statements.count.get(Date.now()).n;
+  }
+
+  return {
+    dbPath,
+    ttlMs,
+    begin,
+    complete,
+    release,
+    size
+  };
+}
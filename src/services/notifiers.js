@@ -0,0 +1,124 @@
+/**
+ * Outbound notifiers for scheduled jobs (digest, due-soon alerts)
+ *
+ * Every notifier takes the same message and resolves to the relay result
+ * shape used elsewhere ({ sent, status, httpStatus, responseText }); network
+ * errors resolve to status 'error' rather than throwing.
+ *
+ * - apple-webhook: the Apple runner (Pushcut / Shortcut) that personal events
+ *   go to, with `type: 'notification'` so the Shortcut can branch on it.
+ *   Defaults to APPLE_EVENT_WEBHOOK_URL / _AUTHORIZATION / _SECRET.
+ * - webhook: POST the message as JSON to any URL (Slack relay, Home Assistant, n8n).
+ * - ntfy: publish to an ntfy topic (https://ntfy.sh or self-hosted), JSON API.
+ */
+
+import { relayToApple } from './personalTaskSync.js';
+
+export const NOTIFIER_TYPES = ['apple-webhook', 'webhook', 'ntfy'];
+
+const DEFAULT_NTFY_SERVER = 'https://ntfy.sh';
+
+// ntfy priorities are 1 (min) to 5 (max)
+const NTFY_PRIORITY = { low: 2, default: 3, high: 4 };
+
+/**
+ * Check one notifier's config.
+ * @param {string} name
+ * @param {Object} config
+ * @returns {string[]} errors
+ */
+export function validateNotifierConfig(name, config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') {
+    return [`notifier "${name}" must be an object`];
+  }
+  if (!NOTIFIER_TYPES.includes(config.type)) {
+    return [`notifier "${name}" type must be one of: ${NOTIFIER_TYPES.join(', ')}`];
+  }
+  if (config.type === 'webhook' && !config.url) {
+    errors.push(`notifier "${name}" (webhook) requires url`);
+  }
+  if (config.type === 'ntfy' && !config.topic) {
+    errors.push(`notifier "${name}" (ntfy) requires topic`);
+  }
+  if (config.type === 'apple-webhook' && !config.url && !process.env.APPLE_EVENT_WEBHOOK_URL) {
+    errors.push(`notifier "${name}" (apple-webhook) requires url or APPLE_EVENT_WEBHOOK_URL`);
+  }
+  if (config.headers !== undefined && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+    errors.push(`notifier "${name}" headers must be an object`);
+  }
+  return errors;
+}
+
+async function postJson(url, headers, payload) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(15000)
+    });
+    const responseText = await response.text().catch(() => '');
+    return {
+      sent: response.ok,
+      status: response.ok ? 'ok' : 'error',
+      httpStatus: response.status,
+      responseText
+    };
+  } catch (error) {
+    return { sent: false, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * @param {string} name - name used in job `notify` lists
+ * @param {Object} config - { type, ... } (see validateNotifierConfig)
+ * @returns {{name: string, type: string, send: (message: Object) => Promise<Object>}}
+ *   message: { event, title, body (markdown), priority?: 'low'|'default'|'high', data? }
+ */
+export function createNotifier(name, config) {
+  const errors = validateNotifierConfig(name, config);
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+
+  const send = {
+    'apple-webhook': async (message) => {
+      try {
+        return await relayToApple({
+          url: config.url || process.env.APPLE_EVENT_WEBHOOK_URL,
+          authorization: config.authorization || process.env.APPLE_EVENT_WEBHOOK_AUTHORIZATION,
+          secret: config.secret || process.env.APPLE_EVENT_WEBHOOK_SECRET,
+          payload: { type: 'notification', ...message, sentAt: new Date().toISOString() }
+        });
+      } catch (error) {
+        return { sent: false, status: 'error', error: error.message };
+      }
+    },
+
+    webhook: (message) => postJson(
+      config.url,
+      {
+        ...(config.authorization ? { 'Authorization': config.authorization } : {}),
+        ...config.headers
+      },
+      { ...message, sentAt: new Date().toISOString() }
+    ),
+
+    ntfy: (message) => postJson(
+      (config.server || DEFAULT_NTFY_SERVER).replace(/\/+$/, ''),
+      config.token ? { 'Authorization': `Bearer ${config.token}` } : {},
+      {
+        topic: config.topic,
+        title: message.title,
+        message: message.body,
+        markdown: true,
+        priority: NTFY_PRIORITY[message.priority] || NTFY_PRIORITY.default,
+        tags: message.event === 'due-soon' ? ['alarm_clock'] : ['clipboard'],
+        ...(config.click ? { click: config.click } : {})
+      }
+    )
+  }[config.type];
+
+  return { name, type: config.type, send };
+}
@@ -0,0 +1,92 @@
+/**
+ * Minimal OpenAI client (Chat Completions with structured output) over fetch.
+ *
+ * The repo doesn't ship the OpenAI SDK; this covers the one call the server
+ * needs: send instructions + input and get back JSON matching a schema. The
+ * model comes from src/config/aiModel.js so everything uses the same one.
+ *
+ * OPENAI_BASE_URL points it at any compatible endpoint (Azure OpenAI proxy,
+ * a local server).
+ */
+
+import { OPENAI_MODEL } from '../config/aiModel.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - defaults to OPENAI_API_KEY
+ * @param {string} [options.model] - defaults to the configured OPENAI_MODEL
+ * @param {string} [options.baseUrl] - defaults to OPENAI_BASE_URL or api.openai.com
+ * @param {number} [options.timeoutMs] - defaults to OPENAI_TIMEOUT_MS or 30s
+ */
+export function createOpenAiClient(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+  const model = options.model || OPENAI_MODEL;
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const timeoutMs = numberOr(options.timeoutMs || process.env.OPENAI_TIMEOUT_MS, 30000);
+
+  /**
+   * Ask the model for a JSON object matching `schema` (strict structured output).
+   * @param {Object} request
+   * @param {string} request.name - schema name reported to the API
+   * @param {string} request.instructions - system prompt
+   * @param {string} request.input - user message
+   * @param {Object} request.schema - JSON Schema (strict: every property required, no extras)
+   * @returns {Promise<Object>}
+   */
+  async function generateJson({ name, instructions, input, schema }) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is not set');
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: instructions },
+          { role: 'user', content: input }
+        ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name, strict: true, schema }
+        }
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`OpenAI API error: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message;
+    if (message?.refusal) {
+      throw new Error(`Model refused: ${message.refusal}`);
+    }
+
+    try {
+      return JSON.parse(message?.content || '');
+    } catch {
+      throw new Error('Model returned invalid JSON');
+    }
+  }
+
+  return {
+    provider: 'openai',
+    model,
+    isConfigured: () => Boolean(apiKey),
+    generateJson
+  };
+}
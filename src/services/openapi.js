@@ -0,0 +1,146 @@
+/**
+ * OpenAPI 3.1 document builder
+ *
+ * Builds the spec served at /openapi.json and /openapi.yaml from the routes
+ * actually registered on the Express app plus the shared schema definitions
+ * in src/schemas/apiSchemas.js. Import the JSON/YAML into the Custom GPT
+ * (Actions → Import from URL) instead of maintaining a hand-written copy.
+ */
+
+import { componentSchemas, operations } from '../schemas/apiSchemas.js';
+import { toYaml } from '../utils/yaml.js';
+
+const DEFAULT_SERVER_URL = 'https://assistant.yancmo.xyz';
+
+// Keys in `operations` that are ours, not OpenAPI's.
+const INTERNAL_OPERATION_KEYS = ['public', 'feedToken', 'scope'];
+
+/**
+ * List routes registered on an Express 4 app.
+ * @param {import('express').Express} app
+ * @returns {Array<{method: string, path: string}>}
+ */
+export function listExpressRoutes(app) {
+  const stack = app._router?.stack || [];
+  const routes = [];
+
+  for (const layer of stack) {
+    if (!layer.route || typeof layer.route.path !== 'string') continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({ method: method.toUpperCase(), path: layer.route.path });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Convert an Express path (/tasks/:id) to an OpenAPI path (/tasks/{id}).
+ */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function pathParameters(expressPath) {
+  return [...expressPath.matchAll(/:([A-Za-z0-9_]+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+}
+
+function buildOperation(doc, expressPath) {
+  const operation = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (!INTERNAL_OPERATION_KEYS.includes(key)) operation[key] = value;
+  }
+
+  const declared = new Set((doc.parameters || []).map(p => `${p.in}:${p.name}`));
+  const implicit = pathParameters(expressPath).filter(p => !declared.has(`path:${p.name}`));
+  if (implicit.length) {
+    operation.parameters = [...implicit, ...(doc.parameters || [])];
+  }
+
+  operation.security = doc.security || (doc.public ? [] : [{ ApiKeyAuth: [] }]);
+  if (doc.scope) operation['x-required-scope'] = doc.scope;
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document for the registered routes.
+ *
+ * Routes without an entry in `operations` are reported back as `undocumented`
+ * so the server can warn at startup instead of silently shipping a stale spec.
+ *
+ * @param {Object} options
+ * @param {Array<{method: string, path: string}>} options.routes
+ * @param {string} [options.serverUrl]
+ * @param {string} [options.version]
+ * @returns {{ document: Object, undocumented: string[] }}
+ */
+export function buildOpenApiDocument({ routes, serverUrl, version = '0.0.0' }) {
+  const paths = {};
+  const undocumented = [];
+
+  for (const { method, path } of routes) {
+    const key = `${method} ${path}`;
+    const doc = operations[key];
+    if (!doc) {
+      undocumented.push(key);
+      continue;
+    }
+
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method.toLowerCase()] = buildOperation(doc, path);
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Assistant 365 Bridge',
+      version,
+      description:
+        'HTTP API that lets an AI assistant create, list and complete tasks in Microsoft To Do ' +
+        'on behalf of a single user, and relays Personal tasks to Apple Calendar. ' +
+        'Protected endpoints require the X-Assistant-Key header; each one names the key scope ' +
+        'it needs in x-required-scope.'
+    },
+    servers: [{ url: serverUrl || process.env.PUBLIC_BASE_URL || DEFAULT_SERVER_URL }],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Assistant-Key'
+        },
+        FeedToken: {
+          type: 'apiKey',
+          in: 'query',
+          name: 'token',
+          description: 'Per-feed token for calendar subscriptions (see GET /calendar/feeds).'
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'An API key as a bearer token, for scrapers that cannot set X-Assistant-Key (GET /metrics).'
+        }
+      },
+      schemas: componentSchemas
+    },
+    security: [{ ApiKeyAuth: [] }],
+    paths
+  };
+
+  return { document, undocumented };
+}
+
+/**
+ * Render an OpenAPI document as YAML.
+ * @param {Object} document
+ * @returns {string}
+ */
+export function renderOpenApiYaml(document) {
+  return toYaml(document);
+}
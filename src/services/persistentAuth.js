@@ -20,6 +20,8 @@ import * as msal from '@azure/msal-node';
 import { promises as fs } from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import { tokenRefreshes } from './bridgeMetrics.js';
 
 dotenv.config();
 
@@ -158,13 +160,17 @@ async function tryAcquireTokenSilent(scopes = DEFAULT_GRAPH_SCOPES) {
   if (!account) return null;
 
   try {
-    return await app.acquireTokenSilent({
+    const result = await app.acquireTokenSilent({
       account,
       scopes
     });
+    // fromCache=false: MSAL had to redeem the refresh token
+    if (!result?.fromCache) tokenRefreshes.inc({ method: 'silent', result: 'success' });
+    return result;
   } catch (error) {
     // If silent acquisition fails, caller can fall back to interactive.
     // Typical reasons: first run, token expired and refresh token invalid, consent needed.
+    tokenRefreshes.inc({ method: 'silent', result: 'failure' });
     return null;
   }
 }
@@ -191,11 +197,14 @@ async function tryAcquireTokenByLegacyRefreshToken(scopes = DEFAULT_GRAPH_SCOPES
 
   try {
     // This will populate the MSAL cache via the cache plugin.
-    return await app.acquireTokenByRefreshToken({
+    const result = await app.acquireTokenByRefreshToken({
       refreshToken,
       scopes
     });
+    tokenRefreshes.inc({ method: 'legacy_refresh_token', result: 'success' });
+    return result;
   } catch {
+    tokenRefreshes.inc({ method: 'legacy_refresh_token', result: 'failure' });
     return null;
   }
 }
@@ -206,14 +215,11 @@ export async function acquireTokenInteractive(scopes = DEFAULT_GRAPH_SCOPES) {
   const deviceCodeRequest = {
     scopes,
     deviceCodeCallback: (response) => {
-      console.log('\n' + '='.repeat(60));
-      console.log('🔐 MICROSOFT AUTHENTICATION REQUIRED');
-      console.log('='.repeat(60));
-      console.log('To authorize this application:');
-      console.log(`  1) Open: ${response.verificationUri}`);
-      console.log(`  2) Enter code: ${response.userCode}`);
-      console.log('Waiting for authentication...');
-      console.log('='.repeat(60) + '\n');
+      logger.warn('AUTH', `Microsoft authentication required: open ${response.verificationUri} and enter code ${response.userCode}`, {
+        verificationUri: response.verificationUri,
+        userCode: response.userCode,
+        expiresIn: response.expiresIn
+      });
     }
   };
 
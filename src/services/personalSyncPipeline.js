@@ -0,0 +1,262 @@
+/**
+ * Personal Task Sync pipeline (one To Do task → Apple destination)
+ *
+ * Shared by every inbound source - the Power Automate webhook, the Graph
+ * delta poller and Graph change notifications - so they all filter, dedupe,
+ * relay and queue the same way:
+ *
+ *   normalizePersonalTodoTask → isPersonalCategory → buildAppleEventPayload
+ *   → calendar feed → idempotency claim → relay (or retry queue)
+ *
+ * process() returns an outcome object rather than writing a response; the
+ * webhook route turns it into JSON, the background sources just log it.
+ * remove() handles deletions (Graph sources only; Power Automate sends none).
+ */
+
+import {
+  normalizePersonalTodoTask,
+  isPersonalCategory,
+  buildAppleEventPayload,
+  buildIdempotencyKey,
+  getRelayDestination,
+  relayPersonalEvent
+} from './personalTaskSync.js';
+import { attemptDelivery } from './relayQueue.js';
+import { idempotencyHits, relayOutcomes } from './bridgeMetrics.js';
+import { getRequestId, newRequestId, runWithRequestId } from '../utils/requestContext.js';
+
+/**
+ * @param {object} options
+ * @param {Object} options.taskSyncStore - from createTaskSyncStore()
+ * @param {Object} options.calendarFeedStore - from createCalendarFeedStore()
+ * @param {Object} options.relayQueue - from createRelayQueue()
+ * @param {Object} options.logger
+ */
+export function createPersonalSyncPipeline({ taskSyncStore, calendarFeedStore, relayQueue, logger }) {
+  /**
+   * Run one raw To Do task (Power Automate or Graph shape) through the pipeline.
+   * @param {Object} raw
+   * @param {Object} [options]
+   * @param {string} [options.requestId] - correlation ID for logs and the relay
+   *   (default: the current request's, or a new one for background sources)
+   * @param {boolean} [options.force] - bypass the idempotency check
+   * @param {string} [options.source] - e.g. 'power-automate', 'graph-delta'
+   * @returns {Promise<Object>} outcome; `status` is one of
+   *   invalid | ignored | duplicate_ignored | relayed | accepted | queued | error
+   */
+  async function process(raw = {}, options = {}) {
+    const requestId = options.requestId || getRequestId() || newRequestId();
+    const outcome = await runWithRequestId(requestId, () => run(raw, { ...options, requestId }));
+    relayOutcomes.inc({ status: outcome.status, source: options.source || 'power-automate' });
+    if (outcome.status === 'duplicate_ignored') idempotencyHits.inc({ store: 'task_sync' });
+    return outcome;
+  }
+
+  async function run(raw, { requestId, force = false, source = 'power-automate' } = {}) {
+    const normalized = normalizePersonalTodoTask(raw);
+
+    // Minimal validation
+    const errors = [];
+    if (!normalized.microsoftTaskId) errors.push('id (Microsoft task id) is required');
+    if (!normalized.title) errors.push('title is required');
+    if (normalized.recurrenceError) errors.push(normalized.recurrenceError);
+    if (errors.length) {
+      logger.warn('TASK_SYNC', 'Validation failed', { errors, source });
+      return { status: 'invalid', errors };
+    }
+
+    // Safety check: only act on Personal category (Power Automate should filter too)
+    if (!isPersonalCategory(normalized)) {
+      logger.info('TASK_SYNC', 'Ignored (not Personal category)', {
+        microsoftTaskId: normalized.microsoftTaskId,
+        categories: normalized.categories,
+        source
+      });
+      await dropFromFeed(normalized.microsoftTaskId);
+      return { status: 'ignored', reason: 'not_personal_category' };
+    }
+
+    const applePayload = buildAppleEventPayload(normalized);
+    if (!applePayload.startDateTime) {
+      logger.info('TASK_SYNC', 'Ignored (missing due date/time)', {
+        microsoftTaskId: normalized.microsoftTaskId,
+        source
+      });
+      await dropFromFeed(normalized.microsoftTaskId);
+      return { status: 'ignored', reason: 'missing_due_date' };
+    }
+
+    // Keep the ICS feed current regardless of relay outcome; it lists open tasks only
+    if (applePayload.action === 'complete') {
+      await dropFromFeed(normalized.microsoftTaskId);
+    } else {
+      try {
+        await calendarFeedStore.upsert('personal', applePayload);
+      } catch (error) {
+        logger.warn('TASK_SYNC', 'Calendar feed update failed', { error: error.message });
+      }
+    }
+
+    const idempotencyKey = buildIdempotencyKey(normalized, applePayload);
+
+    const syncMeta = {
+      microsoftTaskId: normalized.microsoftTaskId,
+      action: applePayload.action,
+      startDateTime: applePayload.startDateTime,
+      source
+    };
+
+    if (!force) {
+      // Atomic check-and-set: concurrent retries of the same event can't both relay
+      const { claimed, state } = await taskSyncStore.claim(idempotencyKey, syncMeta);
+      if (!claimed) {
+        logger.info('TASK_SYNC', 'Duplicate ignored', {
+          microsoftTaskId: normalized.microsoftTaskId,
+          idempotencyKey,
+          state,
+          source
+        });
+        return {
+          status: 'duplicate_ignored',
+          idempotencyKey,
+          ...(state === 'pending' ? { reason: 'in_flight' } : {})
+        };
+      }
+
+      // Already waiting in the retry queue - let the worker deliver it
+      const queued = await relayQueue.findPending(idempotencyKey);
+      if (queued) {
+        await taskSyncStore.release(idempotencyKey);
+        logger.info('TASK_SYNC', 'Already queued for retry', {
+          microsoftTaskId: normalized.microsoftTaskId,
+          jobId: queued.id
+        });
+        return {
+          status: 'queued',
+          idempotencyKey,
+          forwarded: false,
+          jobId: queued.id,
+          attempts: queued.attempts,
+          nextAttemptAt: queued.nextAttemptAt
+        };
+      }
+    }
+
+    logger.request(requestId, 'TASK_SYNC', {
+      microsoftTaskId: normalized.microsoftTaskId,
+      title: normalized.title,
+      action: applePayload.action,
+      startDateTime: applePayload.startDateTime,
+      source
+    });
+
+    const relayResult = await attemptDelivery(relayPersonalEvent, applePayload);
+
+    if (relayResult.sent) {
+      await taskSyncStore.mark(idempotencyKey, syncMeta);
+
+      // Older versions of this task still waiting for a retry must not overwrite it
+      try {
+        const dropped = await relayQueue.supersede(normalized.microsoftTaskId);
+        if (dropped) {
+          logger.info('TASK_SYNC', 'Dropped superseded queued relays', { microsoftTaskId: normalized.microsoftTaskId, dropped });
+        }
+      } catch (error) {
+        logger.warn('TASK_SYNC', 'Could not drop superseded queued relays', { error: error.message });
+      }
+
+      logger.response(requestId, 'success', {
+        forwarded: true,
+        idempotencyKey,
+        httpStatus: relayResult.httpStatus
+      });
+
+      return {
+        status: 'relayed',
+        idempotencyKey,
+        forwarded: true,
+        destination: getRelayDestination(),
+        apple: {
+          httpStatus: relayResult.httpStatus
+        }
+      };
+    }
+
+    logger.warn('TASK_SYNC', 'Relay not sent', {
+      status: relayResult.status,
+      httpStatus: relayResult.httpStatus,
+      error: relayResult.error
+    });
+
+    if (relayResult.status === 'not_configured') {
+      if (!force) await taskSyncStore.release(idempotencyKey);
+      return {
+        status: 'accepted',
+        forwarded: false,
+        reason: relayResult.status
+      };
+    }
+
+    try {
+      const job = await relayQueue.enqueue({
+        idempotencyKey,
+        payload: applePayload,
+        meta: syncMeta,
+        firstResult: relayResult
+      });
+
+      // The queue owns delivery now; later duplicates find the pending job instead
+      if (!force) await taskSyncStore.release(idempotencyKey);
+
+      logger.response(requestId, 'queued', { jobId: job.id, nextAttemptAt: job.nextAttemptAt });
+
+      return {
+        status: 'queued',
+        idempotencyKey,
+        forwarded: false,
+        reason: relayResult.status,
+        jobId: job.id,
+        attempts: job.attempts,
+        nextAttemptAt: job.nextAttemptAt,
+        apple: {
+          httpStatus: relayResult.httpStatus,
+          responseText: relayResult.responseText
+        }
+      };
+    } catch (error) {
+      logger.error('TASK_SYNC', 'Failed to queue relay', { error: error.message });
+      if (!force) await taskSyncStore.release(idempotencyKey);
+      return {
+        status: 'error',
+        message: 'Relay failed and could not be queued for retry',
+        error: error.message
+      };
+    }
+  }
+
+  async function dropFromFeed(microsoftTaskId) {
+    try {
+      return await calendarFeedStore.remove(microsoftTaskId);
+    } catch (error) {
+      logger.warn('TASK_SYNC', 'Calendar feed update failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * A task was deleted in To Do: take it out of the ICS feed.
+   * @param {string} microsoftTaskId
+   * @param {Object} [options]
+   * @param {string} [options.source]
+   * @returns {Promise<{status: 'removed'|'not_found'}>}
+   */
+  async function remove(microsoftTaskId, { source = 'power-automate' } = {}) {
+    const removed = await dropFromFeed(microsoftTaskId);
+    if (removed) {
+      logger.info('TASK_SYNC', 'Removed deleted task from calendar feed', { microsoftTaskId, source });
+    }
+    return { status: removed ? 'removed' : 'not_found' };
+  }
+
+  return { process, remove };
+}
@@ -2,10 +2,18 @@
  * Personal Task Sync (Microsoft To Do -> Apple Calendar)
  *
  * This module normalizes the inbound payload (typically from Power Automate)
- * and relays a JSON request to an Apple-side automation receiver (e.g. Pushcut).
+ * and relays it to Apple Calendar, either as a JSON request to an Apple-side
+ * automation receiver (e.g. Pushcut) or directly via CalDAV.
  */
 
 import crypto from 'crypto';
+import { relayToCalDav } from './caldavClient.js';
+import { normalizeRecurrence, buildRRule } from './recurrence.js';
+import { getDefaultTimeZone } from './taskTimes.js';
+import { getRequestId, REQUEST_ID_HEADER } from '../utils/requestContext.js';
+import { isValidTimeZone } from '../utils/timeZone.js';
+
+const DESTINATIONS = ['webhook', 'caldav'];
 
 function asNonEmptyString(value) {
   if (typeof value !== 'string') return null;
@@ -105,6 +113,15 @@ export function normalizePersonalTodoTask(raw = {}) {
 
   const due = normalizeDue(raw);
 
+  // A rule we can't read fully is rejected rather than relayed with parts missing
+  let recurrence = null;
+  let recurrenceError = null;
+  try {
+    recurrence = normalizeRecurrence(pickFirst(raw.recurrence, raw.Recurrence));
+  } catch (error) {
+    recurrenceError = error.message;
+  }
+
   return {
     microsoftTaskId,
     title,
@@ -112,7 +129,9 @@ export function normalizePersonalTodoTask(raw = {}) {
     categories,
     status,
     lastModifiedDateTime,
-    due
+    due,
+    recurrence,
+    recurrenceError
   };
 }
 
@@ -136,6 +155,12 @@ export function buildAppleEventPayload(normalized) {
     dueDateTime: normalized.due.dueDateTime
   });
 
+  // Without a usable zone the time would float (or an unknown zone be read as UTC);
+  // the default zone pins it, and gives recurring events a TZID and VTIMEZONE
+  const timeZone = isValidTimeZone(normalized.due.timeZone) ? normalized.due.timeZone : getDefaultTimeZone();
+
+  const recurrence = normalized.recurrence || null;
+
   return {
     action,
     calendarName,
@@ -143,11 +168,10 @@ export function buildAppleEventPayload(normalized) {
     notes: notesWithTrace,
     startDateTime,
     durationMinutes,
-    timeZone:
-      normalized.due.timeZone ||
-      asNonEmptyString(process.env.DEFAULT_TIME_ZONE) ||
-      asNonEmptyString(process.env.TIMEZONE) ||
-      null,
+    timeZone,
+    recurrence,
+    // iCalendar RRULE value (no "RRULE:" prefix) for destinations that create recurring events
+    rrule: recurrence && startDateTime ? buildRRule(recurrence, { startDateTime, timeZone }) : null,
     microsoftTaskId: normalized.microsoftTaskId
   };
 }
@@ -193,6 +217,12 @@ export async function relayToApple({ url, authorization, secret, payload }) {
     headers['x-webhook-secret'] = secret;
   }
 
+  // Lets the Shortcut / receiver log the same ID as the bridge
+  const requestId = getRequestId();
+  if (requestId) {
+    headers[REQUEST_ID_HEADER] = requestId;
+  }
+
   const response = await fetch(url, {
     method: 'POST',
     headers,
@@ -217,3 +247,35 @@ export async function relayToApple({ url, authorization, secret, payload }) {
     responseText
   };
 }
+
+/**
+ * Which destination personal events are relayed to.
+ * APPLE_SYNC_DESTINATION=webhook (default) | caldav
+ */
+export function getRelayDestination() {
+  const v = (asNonEmptyString(process.env.APPLE_SYNC_DESTINATION) || 'webhook').toLowerCase();
+  return DESTINATIONS.includes(v) ? v : 'webhook';
+}
+
+/**
+ * Relay an Apple event payload to the configured destination.
+ * Both destinations resolve to { sent, status, httpStatus, responseText }.
+ */
+export async function relayPersonalEvent(payload) {
+  if (getRelayDestination() === 'caldav') {
+    return relayToCalDav({
+      collectionUrl: process.env.CALDAV_CALENDAR_URL,
+      username: process.env.CALDAV_USERNAME,
+      password: process.env.CALDAV_PASSWORD,
+      completeMode: process.env.CALDAV_COMPLETE_MODE,
+      payload
+    });
+  }
+
+  return relayToApple({
+    url: process.env.APPLE_EVENT_WEBHOOK_URL,
+    authorization: process.env.APPLE_EVENT_WEBHOOK_AUTHORIZATION,
+    secret: process.env.APPLE_EVENT_WEBHOOK_SECRET,
+    payload
+  });
+}
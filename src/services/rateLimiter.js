@@ -0,0 +1,186 @@
+/**
+ * Token-bucket rate limits and temporary IP blocks
+ *
+ * Requests are grouped (reads, writes, webhooks) and each group has a bucket
+ * per API key and a looser one per client IP:
+ *
+ *   RATE_LIMITS="reads=120/60,writes=30/60,webhooks=60/60"          (per key)
+ *   RATE_LIMITS_PER_IP="reads=240/60,writes=60/60,webhooks=120/60"  (per IP)
+ *
+ * "30/60" is a bucket of 30 requests that refills completely over 60 seconds,
+ * so short bursts are fine but a loop is cut off after 30.
+ *
+ * Repeated auth failures from one IP (AUTH_BLOCK_THRESHOLD within
+ * AUTH_BLOCK_WINDOW_MINUTES) block that IP for AUTH_BLOCK_MINUTES.
+ *
+ * State is in memory: limits reset on restart.
+ */
+
+export const RATE_LIMIT_GROUPS = ['reads', 'writes', 'webhooks'];
+
+const DEFAULT_KEY_LIMITS = 'reads=120/60,writes=30/60,webhooks=60/60';
+const DEFAULT_IP_LIMITS = 'reads=240/60,writes=60/60,webhooks=120/60';
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Parse "reads=120/60,writes=30/60" into { reads: { capacity: 120, windowSeconds: 60 }, ... }.
+ * @param {string} spec
+ * @returns {{limits: Object, errors: string[]}}
+ */
+export function parseRateLimits(spec) {
+  const limits = {};
+  const errors = [];
+  for (const part of String(spec || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^([a-z]+)=(\d+)\/(\d+)$/);
+    if (!match || !RATE_LIMIT_GROUPS.includes(match[1]) || Number(match[2]) < 1 || Number(match[3]) < 1) {
+      errors.push(`"${part}" must look like <${RATE_LIMIT_GROUPS.join('|')}>=<requests>/<seconds>`);
+      continue;
+    }
+    limits[match[1]] = { capacity: Number(match[2]), windowSeconds: Number(match[3]) };
+  }
+  return { limits, errors };
+}
+
+function resolveLimits(spec, fallback) {
+  const defaults = parseRateLimits(fallback).limits;
+  const { limits, errors } = parseRateLimits(spec);
+  if (errors.length) {
+    throw new Error(`Invalid rate limit configuration: ${errors.join('; ')}`);
+  }
+  return { ...defaults, ...limits };
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.enabled] - defaults to RATE_LIMIT_ENABLED !== 'false'
+ * @param {string} [options.keyLimits] - defaults to RATE_LIMITS
+ * @param {string} [options.ipLimits] - defaults to RATE_LIMITS_PER_IP
+ * @param {number} [options.blockThreshold] - auth failures before a block (AUTH_BLOCK_THRESHOLD, default 10)
+ * @param {number} [options.blockWindowMinutes] - AUTH_BLOCK_WINDOW_MINUTES, default 10
+ * @param {number} [options.blockMinutes] - AUTH_BLOCK_MINUTES, default 15
+ * @param {() => number} [options.now] - ms clock, for tests
+ * @throws {Error} when a limit spec is invalid
+ */
+export function createRateLimiter(options = {}) {
+  const enabled = options.enabled ?? process.env.RATE_LIMIT_ENABLED !== 'false';
+  const limitsByScope = {
+    key: resolveLimits(options.keyLimits ?? process.env.RATE_LIMITS, DEFAULT_KEY_LIMITS),
+    ip: resolveLimits(options.ipLimits ?? process.env.RATE_LIMITS_PER_IP, DEFAULT_IP_LIMITS)
+  };
+  const blockThreshold = numberOr(options.blockThreshold ?? process.env.AUTH_BLOCK_THRESHOLD, 10);
+  const blockWindowMs = numberOr(options.blockWindowMinutes ?? process.env.AUTH_BLOCK_WINDOW_MINUTES, 10) * 60 * 1000;
+  const blockMs = numberOr(options.blockMinutes ?? process.env.AUTH_BLOCK_MINUTES, 15) * 60 * 1000;
+  const now = options.now || Date.now;
+
+  // "key:<id>:<group>" / "ip:<ip>:<group>" → { scope, group, tokens, updatedAt }
+  const buckets = new Map();
+  // ip → timestamps of recent auth failures
+  const authFailures = new Map();
+  // ip → ms when the block ends
+  const blocked = new Map();
+  let lastPruneAt = now();
+
+  function prune(at) {
+    if (at - lastPruneAt < PRUNE_INTERVAL_MS) return;
+    lastPruneAt = at;
+    for (const [id, bucket] of buckets) {
+      const limit = limitsByScope[bucket.scope][bucket.group];
+      if (refill(bucket, limit, at) >= limit.capacity) buckets.delete(id);
+    }
+    for (const [ip, until] of blocked) {
+      if (until <= at) blocked.delete(ip);
+    }
+    for (const [ip, times] of authFailures) {
+      if (!times.some(t => at - t < blockWindowMs)) authFailures.delete(ip);
+    }
+  }
+
+  function refill(bucket, limit, at) {
+    const perMs = limit.capacity / (limit.windowSeconds * 1000);
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (at - bucket.updatedAt) * perMs);
+    bucket.updatedAt = at;
+    return bucket.tokens;
+  }
+
+  /**
+   * Take one token from the bucket for (scope, id, group).
+   * @param {'key'|'ip'} scope
+   * @param {string} id - API key id or client IP
+   * @param {string} group - one of RATE_LIMIT_GROUPS
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetSeconds: number,
+   *   retryAfterSeconds: number, windowSeconds: number}}
+   */
+  function consume(scope, id, group) {
+    const at = now();
+    prune(at);
+    const limit = limitsByScope[scope][group];
+    const bucketId = `${scope}:${id}:${group}`;
+    let bucket = buckets.get(bucketId);
+    if (!bucket) {
+      bucket = { scope, group, tokens: limit.capacity, updatedAt: at };
+      buckets.set(bucketId, bucket);
+    }
+
+    refill(bucket, limit, at);
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    const msPerToken = (limit.windowSeconds * 1000) / limit.capacity;
+    return {
+      allowed,
+      limit: limit.capacity,
+      remaining: Math.floor(bucket.tokens),
+      windowSeconds: limit.windowSeconds,
+      // Until the bucket is full again
+      resetSeconds: Math.ceil(((limit.capacity - bucket.tokens) * msPerToken) / 1000),
+      // Until the next token
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil(((1 - bucket.tokens) * msPerToken) / 1000))
+    };
+  }
+
+  /**
+   * @param {string} ip
+   * @returns {number} seconds left on the block, 0 if not blocked
+   */
+  function blockedFor(ip) {
+    const until = blocked.get(ip);
+    if (!until) return 0;
+    const left = until - now();
+    if (left <= 0) {
+      blocked.delete(ip);
+      return 0;
+    }
+    return Math.ceil(left / 1000);
+  }
+
+  /**
+   * Count an auth failure; blocks the IP once it reaches the threshold.
+   * @param {string} ip
+   * @returns {{blocked: boolean, failures: number, blockSeconds?: number}} blocked is true only on the failure that starts the block
+   */
+  function recordAuthFailure(ip) {
+    const at = now();
+    const recent = (authFailures.get(ip) || []).filter(t => at - t < blockWindowMs);
+    recent.push(at);
+    if (recent.length >= blockThreshold) {
+      authFailures.delete(ip);
+      blocked.set(ip, at + blockMs);
+      return { blocked: true, failures: recent.length, blockSeconds: blockMs / 1000 };
+    }
+    authFailures.set(ip, recent);
+    return { blocked: false, failures: recent.length };
+  }
+
+  return {
+    enabled,
+    limits: limitsByScope,
+    consume,
+    blockedFor,
+    recordAuthFailure
+  };
+}
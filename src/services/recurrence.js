@@ -0,0 +1,254 @@
+/**
+ * Task recurrence: our API shape ↔ Graph patternedRecurrence ↔ iCalendar RRULE
+ *
+ * API shape (POST /promoteTask `recurrence`):
+ *   { frequency: 'daily'|'weekly'|'monthly'|'yearly', interval?, daysOfWeek?,
+ *     dayOfMonth?, month?, endDate?, occurrences? }
+ *
+ * - weekly defaults daysOfWeek to the due date's weekday
+ * - monthly/yearly default dayOfMonth (and month) to the due date's
+ * - endDate / occurrences are mutually exclusive; neither means no end
+ *
+ * Graph "relative" patterns (e.g. second Tuesday) are read as `weekIndex` +
+ * daysOfWeek so synced tasks keep their rule, but can't be created through the API.
+ */
+
+import { isValidTimeZone, resolveDateTime } from '../utils/timeZone.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+export const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+export const WEEK_INDEXES = ['first', 'second', 'third', 'fourth', 'last'];
+
+const RRULE_DAYS = { sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA' };
+const RRULE_WEEK_INDEX = { first: '1', second: '2', third: '3', fourth: '4', last: '-1' };
+
+const GRAPH_PATTERN_TYPES = {
+  daily: 'daily',
+  weekly: 'weekly',
+  absoluteMonthly: 'monthly',
+  relativeMonthly: 'monthly',
+  absoluteYearly: 'yearly',
+  relativeYearly: 'yearly'
+};
+
+/**
+ * @param {Array} daysOfWeek
+ * @throws {Error} if any value isn't one of DAYS_OF_WEEK (case-insensitive)
+ * @returns {string[]} lower-case day names
+ */
+function checkDaysOfWeek(daysOfWeek) {
+  const days = (daysOfWeek || []).map(day => String(day).toLowerCase());
+  const unknown = days.filter(day => !DAYS_OF_WEEK.includes(day));
+  if (unknown.length) {
+    throw new Error(`recurrence.daysOfWeek has unrecognized values: ${unknown.join(', ')}`);
+  }
+  return days;
+}
+
+function dateParts(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  return { year: y, month: m, day: d, weekday: new Date(Date.UTC(y, m - 1, d)).getUTCDay() };
+}
+
+/**
+ * Cross-field checks the schema can't express.
+ * @param {Object} spec - validated against the RecurrenceSpec schema
+ * @param {string|null} dueDate - YYYY-MM-DD
+ * @returns {string[]} errors
+ */
+export function validateRecurrence(spec, dueDate) {
+  const errors = [];
+  if (!dueDate) {
+    errors.push('recurrence requires dueDate (the first occurrence)');
+  }
+  if (spec.endDate && spec.occurrences) {
+    errors.push('recurrence.endDate and recurrence.occurrences cannot both be set');
+  }
+  if (spec.endDate && dueDate && spec.endDate < dueDate) {
+    errors.push('recurrence.endDate must be on or after dueDate');
+  }
+  if (spec.daysOfWeek && spec.frequency !== 'weekly') {
+    errors.push('recurrence.daysOfWeek only applies to weekly recurrence');
+  }
+  if (spec.month && spec.frequency !== 'yearly') {
+    errors.push('recurrence.month only applies to yearly recurrence');
+  }
+  if (spec.dayOfMonth && !['monthly', 'yearly'].includes(spec.frequency)) {
+    errors.push('recurrence.dayOfMonth only applies to monthly or yearly recurrence');
+  }
+  return errors;
+}
+
+/**
+ * Fill in defaults from the first occurrence.
+ * @param {Object} spec
+ * @param {string} [startDate] - YYYY-MM-DD of the first occurrence
+ * @returns {Object} complete spec
+ */
+export function completeRecurrence(spec, startDate) {
+  const parts = dateParts(startDate);
+  const complete = {
+    frequency: spec.frequency,
+    interval: spec.interval || 1
+  };
+
+  if (spec.frequency === 'weekly') {
+    complete.daysOfWeek = spec.daysOfWeek?.length
+      ? [...new Set(spec.daysOfWeek)]
+      : (parts ? [DAYS_OF_WEEK[parts.weekday]] : []);
+  }
+  if (spec.weekIndex) {
+    complete.weekIndex = spec.weekIndex;
+    complete.daysOfWeek = spec.daysOfWeek || [];
+  } else if (spec.frequency === 'monthly' || spec.frequency === 'yearly') {
+    complete.dayOfMonth = spec.dayOfMonth || parts?.day;
+  }
+  if (spec.frequency === 'yearly') {
+    complete.month = spec.month || parts?.month;
+  }
+  if (spec.endDate) complete.endDate = spec.endDate;
+  if (spec.occurrences) complete.occurrences = spec.occurrences;
+
+  return complete;
+}
+
+/**
+ * Map an API recurrence spec onto a Graph patternedRecurrence.
+ * @param {Object} spec
+ * @param {string} startDate - YYYY-MM-DD of the first occurrence (the due date)
+ * @returns {Object} { pattern, range }
+ */
+export function toGraphRecurrence(spec, startDate) {
+  const complete = completeRecurrence(spec, startDate);
+  const pattern = { interval: complete.interval };
+
+  switch (complete.frequency) {
+    case 'daily':
+      pattern.type = 'daily';
+      break;
+    case 'weekly':
+      pattern.type = 'weekly';
+      pattern.daysOfWeek = complete.daysOfWeek;
+      pattern.firstDayOfWeek = 'sunday';
+      break;
+    case 'monthly':
+      pattern.type = 'absoluteMonthly';
+      pattern.dayOfMonth = complete.dayOfMonth;
+      break;
+    case 'yearly':
+      pattern.type = 'absoluteYearly';
+      pattern.dayOfMonth = complete.dayOfMonth;
+      pattern.month = complete.month;
+      break;
+  }
+
+  const range = { startDate };
+  if (complete.endDate) {
+    range.type = 'endDate';
+    range.endDate = complete.endDate;
+  } else if (complete.occurrences) {
+    range.type = 'numbered';
+    range.numberOfOccurrences = complete.occurrences;
+  } else {
+    range.type = 'noEnd';
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Read a recurrence from an inbound payload: either our API shape or a Graph
+ * patternedRecurrence (as sent by Power Automate, delta queries and GET task).
+ * @param {Object} raw
+ * @returns {Object|null} complete spec, or null if absent/unrecognized
+ * @throws {Error} if daysOfWeek holds a value that isn't a day name
+ */
+export function normalizeRecurrence(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  if (RECURRENCE_FREQUENCIES.includes(raw.frequency)) {
+    return completeRecurrence({ ...raw, ...(raw.daysOfWeek ? { daysOfWeek: checkDaysOfWeek(raw.daysOfWeek) } : {}) }, raw.startDate);
+  }
+
+  const pattern = raw.pattern;
+  const frequency = GRAPH_PATTERN_TYPES[pattern?.type];
+  if (!frequency) return null;
+
+  const range = raw.range || {};
+  const spec = {
+    frequency,
+    interval: Number(pattern.interval) || 1
+  };
+
+  const daysOfWeek = checkDaysOfWeek(pattern.daysOfWeek);
+  if (frequency === 'weekly' || pattern.type.startsWith('relative')) {
+    spec.daysOfWeek = daysOfWeek;
+  }
+  if (pattern.type.startsWith('relative')) {
+    spec.weekIndex = WEEK_INDEXES.includes(pattern.index) ? pattern.index : 'first';
+  }
+  if (pattern.dayOfMonth) spec.dayOfMonth = Number(pattern.dayOfMonth);
+  if (pattern.month) spec.month = Number(pattern.month);
+
+  if (range.type === 'endDate' && range.endDate) {
+    spec.endDate = range.endDate;
+  } else if (range.type === 'numbered' && range.numberOfOccurrences) {
+    spec.occurrences = Number(range.numberOfOccurrences);
+  }
+
+  return completeRecurrence(spec, range.startDate);
+}
+
+function formatUntil(endDate, { startDateTime, timeZone }) {
+  const date = endDate.replace(/-/g, '');
+  const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : null;
+  const isFloating = !zone && !/(Z|[+-]\d{2}:?\d{2})$/i.test(startDateTime || '');
+  if (isFloating) return `${date}T235959`;
+
+  // DTSTART is UTC or carries a TZID, and either way UNTIL must be UTC: end of endDate in the event's zone
+  const offset = /(Z|[+-]\d{2}:?\d{2})$/i.exec(startDateTime || '')?.[1] || '';
+  const until = resolveDateTime(`${endDate}T23:59:59${zone ? '' : offset}`, zone);
+  return until ? until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '') : `${date}T235959Z`;
+}
+
+/**
+ * Build an RRULE value (without the "RRULE:" prefix).
+ * UNTIL follows the DTSTART form used by icalendar.js (UTC unless floating).
+ * @throws {Error} if daysOfWeek holds a value that isn't a day name
+ * @param {Object} spec - complete spec (see completeRecurrence / normalizeRecurrence)
+ * @param {Object} [event]
+ * @param {string} [event.startDateTime]
+ * @param {string} [event.timeZone]
+ * @returns {string}
+ */
+export function buildRRule(spec, event = {}) {
+  const parts = [`FREQ=${spec.frequency.toUpperCase()}`];
+
+  if (spec.interval && spec.interval > 1) {
+    parts.push(`INTERVAL=${spec.interval}`);
+  }
+
+  const days = checkDaysOfWeek(spec.daysOfWeek).map(d => RRULE_DAYS[d]);
+  if (spec.weekIndex && days.length) {
+    parts.push(`BYDAY=${days.map(d => RRULE_WEEK_INDEX[spec.weekIndex] + d).join(',')}`);
+  } else if (spec.frequency === 'weekly' && days.length) {
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+
+  if (spec.frequency === 'yearly' && spec.month) {
+    parts.push(`BYMONTH=${spec.month}`);
+  }
+  if (!spec.weekIndex && spec.dayOfMonth && (spec.frequency === 'monthly' || spec.frequency === 'yearly')) {
+    parts.push(`BYMONTHDAY=${spec.dayOfMonth}`);
+  }
+
+  if (spec.occurrences) {
+    parts.push(`COUNT=${spec.occurrences}`);
+  } else if (spec.endDate) {
+    parts.push(`UNTIL=${formatUntil(spec.endDate, event)}`);
+  }
+
+  return parts.join(';');
+}
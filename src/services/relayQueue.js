@@ -0,0 +1,367 @@
+/**
+ * Durable outbound relay queue (Personal Task Sync → Apple destination)
+ *
+ * Failed relays (non-2xx or network error) are persisted to disk and retried
+ * with exponential backoff. After `maxAttempts` a job moves to the dead-letter
+ * list, where an operator can inspect it (GET /sync/deadletter) and replay it
+ * (POST /sync/deadletter/:id/replay).
+ *
+ * The queue does not know about idempotency; callers pass an `onDelivered`
+ * callback so the idempotency store is only marked once delivery succeeds.
+ * It does know task identity: only the newest pending job per
+ * payload.microsoftTaskId is kept, so an old retry can't overwrite a newer event.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getRequestId, newRequestId, runWithRequestId } from '../utils/requestContext.js';
+
+const DEFAULT_QUEUE_PATH = './data/task-sync/relay-queue.json';
+
+// How long a replayed job is held back from the worker while its attempt runs
+const REPLAY_LEASE_MS = 10 * 60 * 1000;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emptyQueue() {
+  return { version: 1, pending: [], deadLetter: [] };
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+async function loadQueue(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') return emptyQueue();
+    parsed.pending = Array.isArray(parsed.pending) ? parsed.pending : [];
+    parsed.deadLetter = Array.isArray(parsed.deadLetter) ? parsed.deadLetter : [];
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return emptyQueue();
+    }
+    throw error;
+  }
+}
+
+async function atomicWriteJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Run a delivery function, turning thrown errors (DNS, refused connection,
+ * TLS) into a failed result so they are retried like a non-2xx.
+ * @param {(payload: Object) => Promise<Object>} deliver
+ * @param {Object} payload
+ * @returns {Promise<{sent: boolean, status: string, httpStatus?: number, responseText?: string, error?: string}>}
+ */
+export async function attemptDelivery(deliver, payload) {
+  try {
+    return await deliver(payload);
+  } catch (error) {
+    return {
+      sent: false,
+      status: 'network_error',
+      error: error.message
+    };
+  }
+}
+
+function describeFailure(result) {
+  if (result.error) return result.error;
+  if (result.httpStatus) return `HTTP ${result.httpStatus}${result.responseText ? `: ${String(result.responseText).slice(0, 200)}` : ''}`;
+  return result.status || 'unknown';
+}
+
+/**
+ * @param {object} options
+ * @param {(payload: Object) => Promise<Object>} options.deliver - relay function (relayPersonalEvent)
+ * @param {(job: Object, result: Object) => Promise<void>} [options.onDelivered]
+ * @param {(job: Object) => void} [options.onDeadLetter]
+ * @param {string} [options.queuePath]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.maxDeadLetter]
+ */
+export function createRelayQueue(options = {}) {
+  const queuePath = options.queuePath || process.env.RELAY_QUEUE_PATH || DEFAULT_QUEUE_PATH;
+  const maxAttempts = numberOr(options.maxAttempts || process.env.RELAY_MAX_ATTEMPTS, 8);
+  const baseDelayMs = numberOr(options.baseDelayMs || process.env.RELAY_RETRY_BASE_MS, 30000);
+  const maxDelayMs = numberOr(options.maxDelayMs || process.env.RELAY_RETRY_MAX_MS, 3600000);
+  const pollIntervalMs = numberOr(options.pollIntervalMs || process.env.RELAY_QUEUE_POLL_MS, 5000);
+  const maxDeadLetter = numberOr(options.maxDeadLetter || process.env.RELAY_DEADLETTER_MAX, 500);
+  const deliver = options.deliver;
+  const onDelivered = options.onDelivered || (async () => {});
+  const onDeadLetter = options.onDeadLetter || (() => {});
+
+  let writeChain = Promise.resolve();
+  function withWriteLock(fn) {
+    const run = writeChain.then(fn, fn);
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  function backoffMs(attempts) {
+    const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    // ±20% jitter so a burst of failures doesn't retry in lockstep.
+    const jitter = exp * 0.2 * (Math.random() * 2 - 1);
+    return Math.max(1000, Math.round(exp + jitter));
+  }
+
+  function recordFailure(queue, job, result) {
+    job.attempts += 1;
+    job.lastError = describeFailure(result);
+    job.lastAttemptAt = nowIso();
+
+    if (job.attempts >= maxAttempts) {
+      queue.pending = queue.pending.filter(j => j.id !== job.id);
+      job.deadLetteredAt = nowIso();
+      delete job.nextAttemptAt;
+      queue.deadLetter.push(job);
+      if (queue.deadLetter.length > maxDeadLetter) {
+        queue.deadLetter.splice(0, queue.deadLetter.length - maxDeadLetter);
+      }
+      onDeadLetter(job);
+      return 'dead_lettered';
+    }
+
+    job.nextAttemptAt = new Date(Date.now() + backoffMs(job.attempts)).toISOString();
+    return 'retry_scheduled';
+  }
+
+  // A newer event for the same To Do task makes older pending jobs obsolete:
+  // retrying one later would overwrite the newer event at the destination.
+  function dropSuperseded(queue, microsoftTaskId, createdBefore = null) {
+    if (!microsoftTaskId) return 0;
+    const before = queue.pending.length;
+    queue.pending = queue.pending.filter(j =>
+      j.payload?.microsoftTaskId !== microsoftTaskId || (createdBefore && j.createdAt >= createdBefore)
+    );
+    return before - queue.pending.length;
+  }
+
+  /**
+   * Queue a payload after a failed first attempt.
+   * If a job with the same idempotency key is already pending it is reused;
+   * other pending jobs for the same microsoftTaskId are dropped (this one is newer).
+   * @param {Object} entry
+   * @param {string} entry.idempotencyKey
+   * @param {Object} entry.payload - Apple event payload
+   * @param {Object} [entry.meta] - stored with the idempotency mark on success
+   * @param {Object} [entry.firstResult] - result of the failed inline attempt
+   * @returns {Promise<Object>} the job
+   */
+  function enqueue({ idempotencyKey, payload, meta = {}, firstResult = null }) {
+    return withWriteLock(async () => {
+      const queue = await loadQueue(queuePath);
+      const existing = queue.pending.find(j => j.idempotencyKey === idempotencyKey);
+      if (existing) return existing;
+
+      dropSuperseded(queue, payload?.microsoftTaskId);
+
+      const job = {
+        id: crypto.randomUUID(),
+        idempotencyKey,
+        payload,
+        meta,
+        requestId: getRequestId(),
+        attempts: 0,
+        createdAt: nowIso()
+      };
+      queue.pending.push(job);
+
+      if (firstResult) {
+        recordFailure(queue, job, firstResult);
+      } else {
+        job.nextAttemptAt = nowIso();
+      }
+
+      await atomicWriteJson(queuePath, queue);
+      return job;
+    });
+  }
+
+  /**
+   * @param {string} idempotencyKey
+   * @returns {Promise<Object|null>} pending job for the key, if any
+   */
+  async function findPending(idempotencyKey) {
+    const queue = await loadQueue(queuePath);
+    return queue.pending.find(j => j.idempotencyKey === idempotencyKey) || null;
+  }
+
+  /**
+   * Drop pending jobs for a task whose newer event was just relayed directly.
+   * @param {string} microsoftTaskId
+   * @returns {Promise<number>} jobs dropped
+   */
+  function supersede(microsoftTaskId) {
+    return withWriteLock(async () => {
+      const queue = await loadQueue(queuePath);
+      const dropped = dropSuperseded(queue, microsoftTaskId);
+      if (dropped) await atomicWriteJson(queuePath, queue);
+      return dropped;
+    });
+  }
+
+  async function processJob(dueJob, summary) {
+    // Skip jobs superseded since the snapshot was taken
+    const current = await loadQueue(queuePath);
+    if (!current.pending.some(j => j.id === dueJob.id)) return;
+
+    const result = await attemptDelivery(deliver, dueJob.payload);
+
+    if (result.sent) {
+      await onDelivered(dueJob, result);
+    }
+
+    await withWriteLock(async () => {
+      const queue = await loadQueue(queuePath);
+      const job = queue.pending.find(j => j.id === dueJob.id);
+      if (!job) return;
+
+      if (result.sent) {
+        queue.pending = queue.pending.filter(j => j.id !== job.id);
+        dropSuperseded(queue, job.payload?.microsoftTaskId, job.createdAt);
+        summary.delivered += 1;
+      } else if (recordFailure(queue, job, result) === 'dead_lettered') {
+        summary.deadLettered += 1;
+      } else {
+        summary.failed += 1;
+      }
+
+      await atomicWriteJson(queuePath, queue);
+    });
+  }
+
+  /**
+   * Attempt every pending job whose nextAttemptAt has passed.
+   * @returns {Promise<{delivered: number, failed: number, deadLettered: number}>}
+   */
+  async function processDue() {
+    const now = new Date().toISOString();
+    const snapshot = await loadQueue(queuePath);
+    const due = snapshot.pending.filter(j => !j.nextAttemptAt || j.nextAttemptAt <= now);
+    const summary = { delivered: 0, failed: 0, deadLettered: 0 };
+
+    for (const dueJob of due) {
+      // Retries log and relay under the ID of the request that queued the job
+      await runWithRequestId(dueJob.requestId || newRequestId(), () => processJob(dueJob, summary));
+    }
+
+    return summary;
+  }
+
+  /**
+   * @returns {Promise<{pending: Object[], deadLetter: Object[]}>}
+   */
+  async function inspect() {
+    const queue = await loadQueue(queuePath);
+    return { pending: queue.pending, deadLetter: queue.deadLetter };
+  }
+
+  /**
+   * Replay a dead-lettered job now. On failure it goes back to pending with a
+   * fresh attempt budget.
+   *
+   * The job is claimed under the write lock first: it moves to pending with a
+   * lease (nextAttemptAt = now + REPLAY_LEASE_MS), so a second replay finds
+   * nothing, processDue leaves it alone while the attempt runs, and a crash
+   * mid-attempt leaves it queued rather than lost.
+   * @param {string} id
+   * @returns {Promise<{found: boolean, result?: Object, job?: Object}>}
+   */
+  async function replay(id) {
+    const job = await withWriteLock(async () => {
+      const queue = await loadQueue(queuePath);
+      const dead = queue.deadLetter.find(j => j.id === id);
+      if (!dead) return null;
+
+      queue.deadLetter = queue.deadLetter.filter(j => j.id !== id);
+      dead.attempts = 0;
+      dead.replayedAt = nowIso();
+      delete dead.deadLetteredAt;
+      dead.nextAttemptAt = new Date(Date.now() + REPLAY_LEASE_MS).toISOString();
+      queue.pending.push(dead);
+
+      await atomicWriteJson(queuePath, queue);
+      return dead;
+    });
+    if (!job) return { found: false };
+
+    const result = await attemptDelivery(deliver, job.payload);
+    if (result.sent) {
+      await onDelivered(job, result);
+    }
+
+    const updated = await withWriteLock(async () => {
+      const queue = await loadQueue(queuePath);
+      const current = queue.pending.find(j => j.id === id);
+      if (!current) return null;
+
+      if (result.sent) {
+        queue.pending = queue.pending.filter(j => j.id !== id);
+      } else {
+        recordFailure(queue, current, result);
+      }
+
+      await atomicWriteJson(queuePath, queue);
+      return current;
+    });
+
+    return { found: true, result, job: updated || job };
+  }
+
+  let timer = null;
+  let running = false;
+
+  function start(logger = null) {
+    if (timer) return;
+    timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        const summary = await processDue();
+        if (logger && (summary.delivered || summary.failed || summary.deadLettered)) {
+          logger.info('RELAY_QUEUE', 'Processed due relays', summary);
+        }
+      } catch (error) {
+        logger?.error('RELAY_QUEUE', 'Queue processing failed', { error: error.message });
+      } finally {
+        running = false;
+      }
+    }, pollIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    queuePath,
+    maxAttempts,
+    enqueue,
+    findPending,
+    supersede,
+    processDue,
+    inspect,
+    replay,
+    start,
+    stop
+  };
+}
+
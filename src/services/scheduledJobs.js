@@ -0,0 +1,115 @@
+/**
+ * What each scheduled job type does when it fires (see src/config/schedules.js)
+ *
+ * - digest:   build the GET /digest review and send its markdown to the job's notifiers
+ * - due-soon: alert once per task whose due time falls within the next
+ *             `withinMinutes` (default 30). Date-only tasks (no dueDateTime,
+ *             see readGraphDue) are skipped.
+ *
+ * A run fails (and is recorded as failed) when every notifier failed; partial
+ * delivery counts as success, with the per-notifier outcome in the result.
+ */
+
+import { buildDigest, collectDigestTasks, getDigestWindow, renderDigestMarkdown } from './digest.js';
+import { CATEGORY_VALUES } from '../config/categories.js';
+import { zonedDateTimeToUtc } from '../utils/timeZone.js';
+
+const DEFAULT_WITHIN_MINUTES = 30;
+
+async function notifyAll(notifiers, message) {
+  const deliveries = await Promise.all(notifiers.map(async notifier => {
+    const result = await notifier.send(message);
+    return {
+      notifier: notifier.name,
+      sent: result.sent,
+      status: result.status,
+      ...(result.httpStatus ? { httpStatus: result.httpStatus } : {}),
+      ...(result.error ? { error: result.error } : {})
+    };
+  }));
+  return { deliveries, sent: deliveries.some(delivery => delivery.sent) };
+}
+
+function categoriesFor(job) {
+  return job.category ? [job.category] : CATEGORY_VALUES;
+}
+
+async function runDigest(job, { now, timeZone, notifiers, graph }) {
+  const options = { timeZone, now, days: job.days, completedDays: job.completedDays };
+  const { completedSince } = getDigestWindow(options);
+  const { tasks, unavailable } = await collectDigestTasks({ categories: categoriesFor(job), timeZone, completedSince, graph });
+  if (unavailable.length === categoriesFor(job).length) {
+    throw new Error(unavailable.map(u => `${u.category}: ${u.error}`).join('; '));
+  }
+
+  const digest = buildDigest(tasks, options);
+  const total = Object.values(digest.counts).reduce((sum, n) => sum + n, 0);
+  if (job.skipEmpty && total === 0) {
+    return { counts: digest.counts, skipped: 'empty' };
+  }
+
+  const { deliveries, sent } = await notifyAll(notifiers, {
+    event: 'digest',
+    title: `Daily review: ${digest.weekday}`,
+    body: renderDigestMarkdown(digest, { unavailable }),
+    priority: digest.counts.overdue ? 'high' : 'default',
+    data: { date: digest.date, counts: digest.counts }
+  });
+  if (!sent) {
+    throw new Error(`No notifier delivered the digest: ${JSON.stringify(deliveries)}`);
+  }
+  return { counts: digest.counts, deliveries };
+}
+
+async function runDueSoon(job, { now, timeZone, notifiers, graph, claimOnce, releaseClaim }) {
+  const withinMs = (job.withinMinutes || DEFAULT_WITHIN_MINUTES) * 60 * 1000;
+  const { tasks, unavailable } = await collectDigestTasks({ categories: categoriesFor(job), timeZone, graph });
+  if (unavailable.length === categoriesFor(job).length) {
+    throw new Error(unavailable.map(u => `${u.category}: ${u.error}`).join('; '));
+  }
+
+  const dueSoon = tasks
+    .filter(task => task.dueDateTime)
+    .map(task => ({ task, dueAt: zonedDateTimeToUtc(task.dueDateTime, timeZone) }))
+    .filter(({ dueAt }) => dueAt > now && dueAt - now <= withinMs)
+    .sort((a, b) => a.dueAt - b.dueAt);
+
+  let alerted = 0;
+  let failed = 0;
+  for (const { task, dueAt } of dueSoon) {
+    // Keyed by due time too, so a task moved to a later time alerts again
+    const key = `${task.microsoftTaskId}:${task.dueDateTime}`;
+    if (!claimOnce(key)) continue;
+
+    const minutes = Math.max(1, Math.round((dueAt - now) / 60000));
+    const { sent } = await notifyAll(notifiers, {
+      event: 'due-soon',
+      title: `Due in ${minutes} min: ${task.title}`,
+      body: `**${task.title}** is due at ${task.dueDateTime.slice(11, 16)} (${task.category}).`,
+      priority: 'high',
+      data: {
+        microsoftTaskId: task.microsoftTaskId,
+        category: task.category,
+        dueDateTime: task.dueDateTime,
+        timeZone
+      }
+    });
+    if (sent) {
+      alerted += 1;
+    } else {
+      // Let the next run try again
+      releaseClaim(key);
+      failed += 1;
+    }
+  }
+
+  if (failed && !alerted) {
+    throw new Error(`No notifier delivered ${failed} due-soon alert(s)`);
+  }
+  return { checked: tasks.length, dueSoon: dueSoon.length, alerted, failed };
+}
+
+export const JOB_HANDLERS = {
+  digest: runDigest,
+  'due-soon': runDueSoon
+};
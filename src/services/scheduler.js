@@ -0,0 +1,290 @@
+/**
+ * Built-in job scheduler (morning digest, due-soon alerts)
+ *
+ * Jobs come from SCHEDULE_CONFIG_PATH (src/config/schedules.js); each has a
+ * cron expression evaluated in its time zone. Runs are persisted in SQLite
+ * (SCHEDULER_DB_PATH) so a restart neither double-sends nor silently skips:
+ *
+ * - Each job keeps a cursor (the last slot it handled). On every tick the
+ *   slots between the cursor and now are due; only the latest one runs, the
+ *   older ones are coalesced into it.
+ * - A slot older than SCHEDULER_CATCHUP_MINUTES (server was down) is recorded
+ *   as 'missed' instead of sending a stale digest.
+ * - A run is claimed (row per job + slot) before it starts. A run that was
+ *   in flight when the process died is marked 'interrupted' and not repeated,
+ *   since its notifications may already have gone out.
+ * - due-soon alerts are remembered per task, so each task alerts once.
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import { createNotifier } from './notifiers.js';
+import { JOB_HANDLERS } from './scheduledJobs.js';
+import { getDefaultTimeZone } from './taskTimes.js';
+import { cronTimesBetween, nextCronTime, parseCron } from '../utils/cron.js';
+
+const DEFAULT_DB_PATH = './data/scheduler/scheduler.sqlite';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const HISTORY_DAYS = 30;
+const RECENT_RUNS = 5;
+const MAX_SLOTS_PER_TICK = 1000;
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function openDatabase(dbPath) {
+  mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      job TEXT NOT NULL,
+      scheduled_for INTEGER NOT NULL,
+      state TEXT NOT NULL CHECK (state IN ('running', 'succeeded', 'failed', 'missed', 'interrupted')),
+      started_at INTEGER,
+      finished_at INTEGER,
+      result TEXT,
+      error TEXT,
+      PRIMARY KEY (job, scheduled_for)
+    );
+    CREATE TABLE IF NOT EXISTS job_cursors (
+      job TEXT PRIMARY KEY,
+      handled_through INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS job_notifications (
+      job TEXT NOT NULL,
+      key TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (job, key)
+    );
+  `);
+  return db;
+}
+
+function describeRun(row) {
+  if (!row) return null;
+  return {
+    scheduledFor: toIso(row.scheduled_for),
+    state: row.state,
+    startedAt: toIso(row.started_at),
+    finishedAt: toIso(row.finished_at),
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error || null
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {Object} options.config - from loadScheduleConfig()
+ * @param {string} [options.dbPath]
+ * @param {number} [options.tickMs] - how often due jobs are checked (default 30s)
+ * @param {number} [options.catchUpMinutes] - how late a slot may still run (default 60)
+ * @param {Object} [options.handlers] - job type → async (job, context) => result
+ * @param {Object} [options.graph] - override Graph calls (listAllTasks), e.g. for a mock Graph server
+ * @param {Object} [options.logger]
+ */
+export function createScheduler(options) {
+  const { config } = options;
+  const dbPath = options.dbPath || process.env.SCHEDULER_DB_PATH || DEFAULT_DB_PATH;
+  const tickMs = numberOr(options.tickMs || process.env.SCHEDULER_TICK_MS, 30000);
+  const catchUpMs = numberOr(options.catchUpMinutes || process.env.SCHEDULER_CATCHUP_MINUTES, 60) * 60 * 1000;
+  const handlers = options.handlers || JOB_HANDLERS;
+  let log = options.logger || null;
+
+  const notifiers = Object.fromEntries(
+    Object.entries(config.notifiers).map(([name, notifierConfig]) => [name, createNotifier(name, notifierConfig)])
+  );
+  const jobs = config.jobs.map(job => ({
+    ...job,
+    timeZone: job.timeZone || config.timeZone || getDefaultTimeZone(),
+    parsedCron: parseCron(job.cron)
+  }));
+
+  const db = openDatabase(dbPath);
+  const statements = {
+    getCursor: db.prepare('SELECT handled_through FROM job_cursors WHERE job = ?'),
+    setCursor: db.prepare(`
+      INSERT INTO job_cursors (job, handled_through) VALUES (?, ?)
+      ON CONFLICT (job) DO UPDATE SET handled_through = excluded.handled_through
+    `),
+    claimRun: db.prepare(`
+      INSERT INTO job_runs (job, scheduled_for, state, started_at)
+      VALUES (?, ?, 'running', ?)
+      ON CONFLICT (job, scheduled_for) DO NOTHING
+    `),
+    recordMissed: db.prepare(`
+      INSERT INTO job_runs (job, scheduled_for, state, finished_at, result)
+      VALUES (?, ?, 'missed', ?, ?)
+      ON CONFLICT (job, scheduled_for) DO NOTHING
+    `),
+    finishRun: db.prepare(`
+      UPDATE job_runs SET state = @state, finished_at = @now, result = @result, error = @error
+      WHERE job = @job AND scheduled_for = @scheduledFor
+    `),
+    interruptRunning: db.prepare(`
+      UPDATE job_runs SET state = 'interrupted', finished_at = ?, error = 'Server stopped during the run'
+      WHERE state = 'running'
+    `),
+    recentRuns: db.prepare('SELECT * FROM job_runs WHERE job = ? ORDER BY scheduled_for DESC LIMIT ?'),
+    lastSuccess: db.prepare(`SELECT MAX(finished_at) AS at FROM job_runs WHERE job = ? AND state = 'succeeded'`),
+    claimNotification: db.prepare(`
+      INSERT INTO job_notifications (job, key, created_at) VALUES (?, ?, ?)
+      ON CONFLICT (job, key) DO NOTHING
+    `),
+    releaseNotification: db.prepare('DELETE FROM job_notifications WHERE job = ? AND key = ?'),
+    purgeRuns: db.prepare('DELETE FROM job_runs WHERE scheduled_for < ?'),
+    purgeNotifications: db.prepare('DELETE FROM job_notifications WHERE created_at < ?')
+  };
+
+  // Nothing else writes these; a 'running' row at startup is from a process that died
+  statements.interruptRunning.run(Date.now());
+
+  let lastPurgeAt = 0;
+  function purgeIfDue(now) {
+    if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+    lastPurgeAt = now;
+    statements.purgeRuns.run(now - HISTORY_DAYS * DAY_MS);
+    statements.purgeNotifications.run(now - HISTORY_DAYS * DAY_MS);
+  }
+
+  async function runJob(job, scheduledFor, coalesced) {
+    const startedAt = Date.now();
+    const claimed = statements.claimRun.run(job.name, scheduledFor.getTime(), startedAt).changes === 1;
+    // Advance before running: a crash mid-run must not send it again
+    statements.setCursor.run(job.name, scheduledFor.getTime());
+    if (!claimed) return;
+
+    const handler = handlers[job.type];
+    const finish = (state, result, error) => statements.finishRun.run({
+      job: job.name,
+      scheduledFor: scheduledFor.getTime(),
+      state,
+      now: Date.now(),
+      result: result ? JSON.stringify(result) : null,
+      error: error || null
+    });
+
+    try {
+      const result = await handler(job, {
+        now: new Date(),
+        scheduledFor,
+        timeZone: job.timeZone,
+        notifiers: job.notify.map(name => notifiers[name]),
+        graph: options.graph,
+        claimOnce: key => statements.claimNotification.run(job.name, key, Date.now()).changes === 1,
+        releaseClaim: key => statements.releaseNotification.run(job.name, key),
+        logger: log
+      });
+      finish('succeeded', { ...result, ...(coalesced ? { coalesced } : {}) });
+      log?.info('SCHEDULER', `Job ${job.name} ran`, { scheduledFor: scheduledFor.toISOString(), durationMs: Date.now() - startedAt });
+    } catch (error) {
+      finish('failed', coalesced ? { coalesced } : null, error.message);
+      log?.error('SCHEDULER', `Job ${job.name} failed`, { scheduledFor: scheduledFor.toISOString(), error: error.message });
+    }
+  }
+
+  async function checkJob(job, now) {
+    const cursor = statements.getCursor.get(job.name);
+    if (!cursor) {
+      // First time this job is seen: start from now rather than replaying history
+      statements.setCursor.run(job.name, now.getTime());
+      return;
+    }
+
+    const slots = cronTimesBetween(job.parsedCron, new Date(cursor.handled_through), now, job.timeZone, MAX_SLOTS_PER_TICK);
+    if (!slots.length) return;
+
+    const latest = slots[slots.length - 1];
+    if (now - latest > catchUpMs) {
+      statements.recordMissed.run(job.name, latest.getTime(), now.getTime(), JSON.stringify({ missedSlots: slots.length }));
+      statements.setCursor.run(job.name, latest.getTime());
+      log?.warn('SCHEDULER', `Job ${job.name} missed ${slots.length} run(s) while the server was down - not catching up`, {
+        latest: latest.toISOString()
+      });
+      return;
+    }
+
+    await runJob(job, latest, slots.length - 1);
+  }
+
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const now = new Date();
+      try {
+        purgeIfDue(now.getTime());
+      } catch (error) {
+        log?.error('SCHEDULER', 'Could not purge old run history', { error: error.message });
+      }
+      for (const job of jobs) {
+        if (!job.enabled) continue;
+        try {
+          await checkJob(job, now);
+        } catch (error) {
+          log?.error('SCHEDULER', `Could not check job ${job.name}`, { error: error.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * @returns {Array<Object>} each job with its next run and recent runs
+   */
+  function list() {
+    const now = new Date();
+    return jobs.map(job => {
+      const recentRuns = statements.recentRuns.all(job.name, RECENT_RUNS).map(describeRun);
+      return {
+        name: job.name,
+        type: job.type,
+        cron: job.cron,
+        timeZone: job.timeZone,
+        enabled: job.enabled,
+        notify: job.notify,
+        nextRunAt: job.enabled ? toIso(nextCronTime(job.parsedCron, now, job.timeZone)?.getTime()) : null,
+        lastRun: recentRuns[0] || null,
+        lastSuccessAt: toIso(statements.lastSuccess.get(job.name).at),
+        recentRuns
+      };
+    });
+  }
+
+  function start(logger = null) {
+    if (timer) return;
+    log = log || logger;
+    tick();
+    timer = setInterval(tick, tickMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    dbPath,
+    jobs: jobs.map(job => job.name),
+    notifiers: Object.keys(notifiers),
+    tick,
+    list,
+    start,
+    stop
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Natural-language task capture (POST /capture)
+ *
+ * Turns free text like "call the dentist next Tuesday, high priority, personal"
+ * into a PromoteTaskRequest payload. Two interchangeable extractors:
+ *
+ * - openai: the configured model (src/config/aiModel.js) with structured output
+ * - fake:   a small rule-based parser, so capture works offline and in dev
+ *
+ * AI_CLIENT selects one (default openai). Both return the same draft shape;
+ * the route validates it with the normal promoteTask rules before using it.
+ */
+
+import { CATEGORY_LIST_MAP, CATEGORY_VALUES, DEFAULT_CATEGORY } from '../config/categories.js';
+import { createOpenAiClient } from './openaiClient.js';
+import { getDefaultTimeZone } from './taskTimes.js';
+import { formatInTimeZone } from '../utils/timeZone.js';
+import { IMPORTANCE_VALUES } from '../schemas/apiSchemas.js';
+
+export const AI_CLIENTS = ['openai', 'fake'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Strict structured-output schema: every property required, null for "not mentioned"
+const CAPTURED_TASK_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'notes', 'dueDate', 'importance', 'category'],
+  properties: {
+    title: { type: 'string', description: 'Short imperative task title, without the date/priority/category words.' },
+    notes: { type: ['string', 'null'], description: 'Extra detail from the text, or null.' },
+    dueDate: { type: ['string', 'null'], description: 'Due date as YYYY-MM-DD, or null if none is mentioned.' },
+    importance: { type: 'string', enum: IMPORTANCE_VALUES },
+    category: { type: 'string', enum: CATEGORY_VALUES }
+  }
+};
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * What the extractor needs to resolve relative dates and categories.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timeZone]
+ * @returns {{today: string, weekday: string, timeZone: string, categories: Object, defaultCategory: string}}
+ */
+export function buildCaptureContext({ now = new Date(), timeZone = getDefaultTimeZone() } = {}) {
+  const today = formatInTimeZone(now, timeZone).slice(0, 10);
+  return {
+    today,
+    weekday: WEEKDAYS[weekdayOf(today)],
+    timeZone,
+    categories: { ...CATEGORY_LIST_MAP },
+    defaultCategory: DEFAULT_CATEGORY
+  };
+}
+
+function buildInstructions(context) {
+  const categories = Object.entries(context.categories)
+    .map(([category, list]) => `${category} (To Do list "${list}")`)
+    .join(', ');
+  return [
+    'You turn a short note into one Microsoft To Do task.',
+    `Today is ${context.weekday} ${context.today} (${context.timeZone}). Resolve relative dates ` +
+      '("tomorrow", "next Tuesday") against it; "next <weekday>" means the first such day after today.',
+    `Categories: ${categories}. Use ${context.defaultCategory} unless the text clearly says otherwise.`,
+    'importance is high only when the text says so (urgent, high priority, ASAP), low when it says low priority, otherwise normal.',
+    'Keep the title short and imperative; do not include the date, priority or category in it.',
+    'Put any remaining detail in notes, or null.'
+  ].join('\n');
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.client] - from createOpenAiClient() (or anything with generateJson)
+ */
+export function createOpenAiTaskExtractor({ client = createOpenAiClient() } = {}) {
+  return {
+    provider: client.provider,
+    model: client.model,
+    isConfigured: client.isConfigured,
+    /**
+     * @param {string} text
+     * @param {Object} context - from buildCaptureContext()
+     * @returns {Promise<Object>} draft { title, notes, dueDate, importance, category }
+     */
+    extract(text, context) {
+      return client.generateJson({
+        name: 'captured_task',
+        instructions: buildInstructions(context),
+        input: text,
+        schema: CAPTURED_TASK_SCHEMA
+      });
+    }
+  };
+}
+
+/**
+ * Rule-based stand-in for the model: importance words, a category name,
+ * today/tomorrow/[next] <weekday>/in N days/YYYY-MM-DD. Everything else is the title.
+ */
+export function createFakeTaskExtractor() {
+  async function extract(text, context) {
+    let rest = ` ${text} `;
+    const take = (pattern) => {
+      const match = pattern.exec(rest);
+      if (match) rest = rest.replace(match[0], ' ');
+      return match;
+    };
+
+    let importance = 'normal';
+    if (take(/[\s,]*\b(high priority|urgent|asap|important)\b/i)) importance = 'high';
+    else if (take(/[\s,]*\blow priority\b/i)) importance = 'low';
+
+    let category = context.defaultCategory;
+    for (const candidate of Object.keys(context.categories)) {
+      if (take(new RegExp(`[\\s,]*\\b(?:for\\s+)?${candidate}\\b`, 'i'))) {
+        category = candidate;
+        break;
+      }
+    }
+
+    let dueDate = null;
+    let match;
+    if ((match = take(/[\s,]*\b(?:on\s+|by\s+)?(\d{4}-\d{2}-\d{2})\b/i))) {
+      dueDate = match[1];
+    } else if (take(/[\s,]*\btoday\b/i)) {
+      dueDate = context.today;
+    } else if (take(/[\s,]*\btomorrow\b/i)) {
+      dueDate = addDays(context.today, 1);
+    } else if ((match = take(/[\s,]*\bin\s+(\d{1,3})\s+days?\b/i))) {
+      dueDate = addDays(context.today, Number(match[1]));
+    } else if ((match = take(new RegExp(`[\\s,]*\\b(?:on\\s+|by\\s+)?(next\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i')))) {
+      const target = WEEKDAYS.indexOf(match[2].toLowerCase());
+      const ahead = ((target - weekdayOf(context.today) + 7) % 7) || 7;
+      dueDate = addDays(context.today, ahead);
+    }
+
+    const title = rest.replace(/\s+/g, ' ').replace(/^[\s,.;-]+|[\s,.;-]+$/g, '');
+    return {
+      title: title.charAt(0).toUpperCase() + title.slice(1),
+      notes: null,
+      dueDate,
+      importance,
+      category
+    };
+  }
+
+  return {
+    provider: 'fake',
+    model: 'rules',
+    isConfigured: () => true,
+    extract
+  };
+}
+
+/**
+ * @param {string} [kind] - 'openai' | 'fake' (defaults to AI_CLIENT, then openai)
+ */
+export function createTaskExtractor(kind = process.env.AI_CLIENT || 'openai') {
+  switch (kind) {
+    case 'openai':
+      return createOpenAiTaskExtractor();
+    case 'fake':
+      return createFakeTaskExtractor();
+    default:
+      throw new Error(`AI_CLIENT must be one of: ${AI_CLIENTS.join(', ')}`);
+  }
+}
+
+/**
+ * Turn an extracted draft into a PromoteTaskRequest payload (nulls dropped).
+ * @param {Object} draft
+ * @param {Object} [extra] - e.g. { source }
+ * @returns {Object}
+ */
+export function toTaskPayload(draft, extra = {}) {
+  const payload = { ...extra };
+  for (const key of ['title', 'notes', 'dueDate', 'importance', 'category']) {
+    if (draft?.[key] !== null && draft?.[key] !== undefined && draft[key] !== '') {
+      payload[key] = draft[key];
+    }
+  }
+  return payload;
+}
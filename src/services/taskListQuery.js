@@ -0,0 +1,205 @@
+/**
+ * GET /tasks filters, sorting and cursors
+ *
+ * Filters go to Graph as $filter where To Do supports them (status,
+ * importance, a due-date range); the rest (hasDueDate, contains, and the
+ * exact due-date bounds in the caller's time zone) are checked here on the
+ * normalized tasks. Because of that a page can hold fewer than `top` tasks
+ * even when more follow: only a missing nextCursor means the end.
+ *
+ * A cursor is opaque to clients: base64url JSON holding the Graph page query
+ * (the query string of @odata.nextLink, never a URL), how many of that
+ * page's tasks were already read, and a fingerprint of the filters it was
+ * made for, followed by an HMAC of that JSON. The page query goes to Graph as
+ * is, so only cursors this server signed are accepted. The key is
+ * CURSOR_SECRET, else API_SECRET, else random per process (cursors then don't
+ * survive a restart).
+ */
+
+import crypto from 'crypto';
+
+export const TASK_SORT_FIELDS = ['createdDateTime', 'dueDateTime', 'importance'];
+
+// Direction used when `order` isn't given: newest, soonest due, most important first
+export const DEFAULT_SORT_ORDER = { createdDateTime: 'desc', dueDateTime: 'asc', importance: 'desc' };
+
+const GRAPH_ORDER_BY = {
+  createdDateTime: 'createdDateTime',
+  dueDateTime: 'dueDateTime/dateTime',
+  importance: 'importance'
+};
+
+// Page size asked of Graph when tasks are also filtered here (fewer round trips)
+export const FILTERED_PAGE_SIZE = 100;
+
+// Graph pages read per request before handing back a cursor with what was found
+export const MAX_GRAPH_PAGES_PER_REQUEST = 10;
+
+const CURSOR_VERSION = 1;
+
+let processCursorSecret = null;
+
+function getCursorSecret() {
+  const configured = process.env.CURSOR_SECRET || process.env.API_SECRET;
+  if (configured) return configured;
+  processCursorSecret ||= crypto.randomBytes(32).toString('hex');
+  return processCursorSecret;
+}
+
+function signCursor(encodedPayload) {
+  return crypto.createHmac('sha256', getCursorSecret()).update(`tasks-cursor:${encodedPayload}`).digest('base64url');
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * @param {Object} options - listTasks options
+ * @returns {boolean} whether some filter has to be checked on this side
+ */
+export function hasServerSideFilters(options) {
+  return Boolean(options.dueBefore || options.dueAfter || options.hasDueDate !== undefined || options.contains);
+}
+
+/**
+ * OData $filter for the parts of the query Graph can evaluate.
+ * The due-date range is widened by a day each way (Graph compares the stored
+ * UTC time, the caller means dates in their time zone) and narrowed again by
+ * matchesTaskFilters().
+ * @param {Object} options - listTasks options
+ * @returns {string|null}
+ */
+export function buildGraphFilter(options) {
+  const clauses = [];
+
+  if (options.status?.length) {
+    clauses.push(options.status.map(status => `status eq ${quote(status)}`).join(' or '));
+  } else if (!options.includeCompleted) {
+    clauses.push("status ne 'completed'");
+  }
+  if (options.importance?.length) {
+    clauses.push(options.importance.map(importance => `importance eq ${quote(importance)}`).join(' or '));
+  }
+  if (options.dueAfter) {
+    clauses.push(`dueDateTime/dateTime ge ${quote(`${options.dueAfter}T00:00:00`)}`);
+  }
+  if (options.dueBefore) {
+    clauses.push(`dueDateTime/dateTime lt ${quote(`${addDays(options.dueBefore, 1)}T00:00:00`)}`);
+  }
+
+  if (!clauses.length) return null;
+  return clauses.length === 1 ? clauses[0] : clauses.map(clause => `(${clause})`).join(' and ');
+}
+
+/**
+ * Query string for the first Graph page of a task list.
+ * @param {Object} options - listTasks options
+ * @param {number} pageSize
+ * @returns {string}
+ */
+export function buildGraphTaskQuery(options, pageSize) {
+  const sort = options.sort || 'createdDateTime';
+  const order = options.order || DEFAULT_SORT_ORDER[sort];
+
+  let queryParams = `$top=${pageSize}&$orderby=${encodeURIComponent(`${GRAPH_ORDER_BY[sort]} ${order}`)}`;
+  const filter = buildGraphFilter(options);
+  if (filter) {
+    queryParams += `&$filter=${encodeURIComponent(filter)}`;
+  }
+  if (options.expandSteps) {
+    queryParams += '&$expand=checklistItems';
+  }
+  return queryParams;
+}
+
+/**
+ * Check a normalized task against the filters Graph couldn't apply exactly.
+ * dueBefore/dueAfter are strict and compare task.dueDate (in the requested time zone).
+ * @param {Object} task - normalizeTask() output
+ * @param {Object} options - listTasks options
+ * @returns {boolean}
+ */
+export function matchesTaskFilters(task, options) {
+  if (options.hasDueDate !== undefined && Boolean(task.dueDate) !== options.hasDueDate) return false;
+  if (options.dueBefore && !(task.dueDate && task.dueDate < options.dueBefore)) return false;
+  if (options.dueAfter && !(task.dueDate && task.dueDate > options.dueAfter)) return false;
+  if (options.contains) {
+    const needle = options.contains.toLowerCase();
+    const haystack = `${task.title || ''}\n${task.notes || ''}`.toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+  return true;
+}
+
+/**
+ * Fingerprint of everything that shapes the result set except `top`, so a
+ * cursor can't be replayed against a different query.
+ * @param {Object} query - validated GET /tasks parameters
+ * @returns {string}
+ */
+export function queryFingerprint(query) {
+  const shape = [
+    query.category,
+    query.includeCompleted,
+    query.expandSteps,
+    query.timeZone,
+    [...(query.status || [])].sort(),
+    [...(query.importance || [])].sort(),
+    query.dueBefore,
+    query.dueAfter,
+    query.hasDueDate,
+    query.contains,
+    query.sort,
+    query.order
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(shape)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * @param {{query: string, skip: number}} position - Graph page query and tasks already read from it
+ * @param {string} fingerprint - queryFingerprint() of the request
+ * @returns {string}
+ */
+export function encodeCursor(position, fingerprint) {
+  const payload = { v: CURSOR_VERSION, f: fingerprint, q: position.query, s: position.skip };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${signCursor(encoded)}`;
+}
+
+/**
+ * @param {string} cursor
+ * @param {string} fingerprint - queryFingerprint() of the request
+ * @returns {{position: {query: string, skip: number}|null, error: string|null}}
+ */
+export function decodeCursor(cursor, fingerprint) {
+  const [encoded, signature, ...rest] = String(cursor).split('.');
+  const expected = Buffer.from(signCursor(encoded));
+  const provided = Buffer.from(signature || '');
+  if (rest.length || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { position: null, error: 'cursor is not valid' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+
+  const valid = payload?.v === CURSOR_VERSION &&
+    typeof payload.q === 'string' &&
+    Number.isInteger(payload.s) && payload.s >= 0;
+  if (!valid) {
+    return { position: null, error: 'cursor is not valid' };
+  }
+  if (payload.f !== fingerprint) {
+    return { position: null, error: 'cursor was issued for a different query; repeat the same filters and sort' };
+  }
+  return { position: { query: payload.q, skip: payload.s }, error: null };
+}
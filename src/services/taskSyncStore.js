@@ -1,108 +1,237 @@
 /**
- * File-backed idempotency store for inbound webhooks.
+ * SQLite-backed idempotency store for inbound webhooks.
  *
  * Goal: prevent duplicate downstream Apple Calendar event creation when
  * Power Automate retries or triggers multiple times.
+ *
+ * - claim(): atomic check-and-set, so two concurrent retries can't both relay
+ * - mark():  record a successful delivery (kept for TASK_SYNC_STORE_TTL_DAYS)
+ * - expiry is TTL-based; expired rows are ignored and purged periodically
+ *
+ * On first start, entries from the legacy processed.json (TASK_SYNC_STORE_PATH)
+ * are imported and the file is renamed to processed.json.migrated.
  */
 
-import { promises as fs } from 'fs';
+import Database from 'better-sqlite3';
+import { promises as fs, mkdirSync } from 'fs';
 import path from 'path';
+import logger from '../utils/logger.js';
 
-const DEFAULT_STORE_PATH = './data/task-sync/processed.json';
+const DEFAULT_DB_PATH = './data/task-sync/processed.sqlite';
+const LEGACY_STORE_PATH = './data/task-sync/processed.json';
 
-function nowIso() {
-  return new Date().toISOString();
-}
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
-function safeJsonParse(text, fallback) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return fallback;
-  }
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
-async function ensureDirExists(filePath) {
-  const dir = path.dirname(filePath);
-  await fs.mkdir(dir, { recursive: true });
+function openDatabase(dbPath) {
+  mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS processed (
+      key TEXT PRIMARY KEY,
+      state TEXT NOT NULL CHECK (state IN ('pending', 'delivered')),
+      meta TEXT,
+      first_seen_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS processed_expires_at ON processed (expires_at);
+  `);
+  return db;
 }
 
-async function atomicWriteJson(filePath, data) {
-  await ensureDirExists(filePath);
-  const tmpPath = `${filePath}.tmp`;
-  const json = JSON.stringify(data, null, 2);
-  await fs.writeFile(tmpPath, json, { mode: 0o600 });
-  await fs.rename(tmpPath, filePath);
+function parseTime(value, fallback) {
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? t : fallback;
 }
 
-async function loadStore(filePath) {
+/**
+ * Import entries from the legacy JSON store (version 1 format).
+ * @returns {Promise<number>} number of imported entries (0 if no legacy file)
+ */
+async function migrateLegacyJson(db, legacyPath, ttlMs) {
+  let raw;
   try {
-    const raw = await fs.readFile(filePath, 'utf8');
-    const parsed = safeJsonParse(raw, null);
-
-    if (!parsed || typeof parsed !== 'object') {
-      return { version: 1, processed: {} };
-    }
+    raw = await fs.readFile(legacyPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
 
-    if (!parsed.processed || typeof parsed.processed !== 'object') {
-      parsed.processed = {};
-    }
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    // Unreadable legacy file: nothing to import, but still move it aside.
+  }
 
-    if (!parsed.version) {
-      parsed.version = 1;
+  const entries = Object.entries(parsed?.processed || {});
+  const now = Date.now();
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO processed (key, state, meta, first_seen_at, last_seen_at, expires_at)
+    VALUES (?, 'delivered', ?, ?, ?, ?)
+  `);
+
+  const importAll = db.transaction(rows => {
+    let count = 0;
+    for (const [key, entry] of rows) {
+      const lastSeen = parseTime(entry?.lastSeenAt, now);
+      const expiresAt = lastSeen + ttlMs;
+      if (expiresAt <= now) continue;
+      insert.run(key, JSON.stringify(entry?.meta || {}), parseTime(entry?.firstSeenAt, lastSeen), lastSeen, expiresAt);
+      count++;
     }
+    return count;
+  });
 
-    return parsed;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return { version: 1, processed: {} };
-    }
-    throw error;
-  }
+  const imported = importAll(entries);
+  await fs.rename(legacyPath, `${legacyPath}.migrated`);
+  return imported;
 }
 
 /**
  * @param {object} options
- * @param {string} [options.storePath]
- * @param {number} [options.maxEntries] - simple cap to keep file from growing forever
+ * @param {string} [options.dbPath]
+ * @param {string} [options.legacyStorePath] - processed.json to migrate from
+ * @param {number} [options.ttlDays] - how long a delivered key suppresses duplicates
+ * @param {number} [options.claimLeaseMs] - how long an in-flight claim blocks others
  */
 export function createTaskSyncStore(options = {}) {
-  const storePath = options.storePath || process.env.TASK_SYNC_STORE_PATH || DEFAULT_STORE_PATH;
-  const maxEntries = Number(options.maxEntries || process.env.TASK_SYNC_STORE_MAX_ENTRIES || 5000);
+  const dbPath = options.dbPath || process.env.TASK_SYNC_DB_PATH || DEFAULT_DB_PATH;
+  const legacyStorePath = options.legacyStorePath || process.env.TASK_SYNC_STORE_PATH || LEGACY_STORE_PATH;
+  const ttlMs = numberOr(options.ttlDays || process.env.TASK_SYNC_STORE_TTL_DAYS, 30) * DAY_MS;
+  const claimLeaseMs = numberOr(options.claimLeaseMs || process.env.TASK_SYNC_CLAIM_LEASE_MS, 120000);
+
+  const db = openDatabase(dbPath);
+  const statements = {
+    get: db.prepare('SELECT state, expires_at FROM processed WHERE key = ?'),
+    claim: db.prepare(`
+      INSERT INTO processed (key, state, meta, first_seen_at, last_seen_at, expires_at)
+      VALUES (@key, 'pending', @meta, @now, @now, @expiresAt)
+      ON CONFLICT (key) DO UPDATE SET
+        state = 'pending',
+        meta = excluded.meta,
+        last_seen_at = excluded.last_seen_at,
+        expires_at = excluded.expires_at
+      WHERE processed.expires_at <= @now
+    `),
+    mark: db.prepare(`
+      INSERT INTO processed (key, state, meta, first_seen_at, last_seen_at, expires_at)
+      VALUES (@key, 'delivered', @meta, @now, @now, @expiresAt)
+      ON CONFLICT (key) DO UPDATE SET
+        state = 'delivered',
+        meta = excluded.meta,
+        last_seen_at = excluded.last_seen_at,
+        expires_at = excluded.expires_at
+    `),
+    release: db.prepare(`DELETE FROM processed WHERE key = ? AND state = 'pending'`),
+    purge: db.prepare('DELETE FROM processed WHERE expires_at <= ?'),
+    count: db.prepare('SELECT COUNT(*) AS n FROM processed WHERE expires_at > ?')
+  };
 
-  async function has(key) {
-    const store = await loadStore(storePath);
-    return Boolean(store.processed[key]);
+  let lastPurgeAt = 0;
+  function purgeIfDue(now) {
+    if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+    lastPurgeAt = now;
+    statements.purge.run(now);
   }
 
-  async function mark(key, meta = {}) {
-    const store = await loadStore(storePath);
-
-    store.processed[key] = {
-      firstSeenAt: store.processed[key]?.firstSeenAt || nowIso(),
-      lastSeenAt: nowIso(),
-      meta
-    };
-
-    // crude cap: drop oldest by lastSeenAt
-    const keys = Object.keys(store.processed);
-    if (keys.length > maxEntries) {
-      const sorted = keys
-        .map(k => ({ k, t: store.processed[k]?.lastSeenAt || store.processed[k]?.firstSeenAt || '' }))
-        .sort((a, b) => (a.t < b.t ? -1 : a.t > b.t ? 1 : 0));
-
-      const toRemoveCount = keys.length - maxEntries;
-      for (let i = 0; i < toRemoveCount; i++) {
-        delete store.processed[sorted[i].k];
+  const ready = migrateLegacyJson(db, legacyStorePath, ttlMs)
+    .then(count => {
+      if (count) {
+        logger.info('TASK_SYNC', `Migrated ${count} idempotency keys from ${legacyStorePath} to ${dbPath}`);
       }
+    })
+    .catch(error => {
+      // Keep serving; the legacy file stays in place so the next start can retry.
+      logger.error('TASK_SYNC', `Failed to migrate ${legacyStorePath}`, { error: error.message });
+    });
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} true if the key was delivered and hasn't expired
+   */
+  async function has(key) {
+    await ready;
+    const row = statements.get.get(key);
+    return Boolean(row && row.state === 'delivered' && row.expires_at > Date.now());
+  }
+
+  /**
+   * Atomically claim a key before relaying.
+   * @param {string} key
+   * @param {Object} [meta]
+   * @returns {Promise<{claimed: boolean, state: 'pending'|'delivered'|null}>}
+   *   claimed=false means someone else delivered it (state 'delivered') or is
+   *   relaying it right now (state 'pending').
+   */
+  async function claim(key, meta = {}) {
+    await ready;
+    const now = Date.now();
+    purgeIfDue(now);
+
+    const result = statements.claim.run({
+      key,
+      meta: JSON.stringify(meta),
+      now,
+      expiresAt: now + claimLeaseMs
+    });
+    if (result.changes === 1) {
+      return { claimed: true, state: null };
     }
 
-    await atomicWriteJson(storePath, store);
+    const row = statements.get.get(key);
+    return { claimed: false, state: row?.state || null };
+  }
+
+  /**
+   * Record a successful delivery.
+   * @param {string} key
+   * @param {Object} [meta]
+   */
+  async function mark(key, meta = {}) {
+    await ready;
+    const now = Date.now();
+    purgeIfDue(now);
+    statements.mark.run({
+      key,
+      meta: JSON.stringify(meta),
+      now,
+      expiresAt: now + ttlMs
+    });
+  }
+
+  /**
+   * Drop an in-flight claim (relay not attempted, or handed to the retry queue).
+   * Delivered keys are left alone.
+   * @param {string} key
+   */
+  async function release(key) {
+    await ready;
+    statements.release.run(key);
+  }
+
+  /**
+   * @returns {Promise<number>} live (unexpired) entries
+   */
+  async function size() {
+    await ready;
+    return statements.count.get(Date.now()).n;
   }
 
   return {
-    storePath,
+    dbPath,
     has,
-    mark
+    claim,
+    mark,
+    release,
+    size
   };
 }
@@ -0,0 +1,101 @@
+/**
+ * Task due dates, due times and reminders
+ *
+ * Callers send date-times either as wall-clock time (YYYY-MM-DDTHH:mm[:ss]) in
+ * `timeZone`, or with a Z/offset; Graph wants a dateTimeTimeZone object
+ * (wall-clock + zone). Everything is resolved to wall-clock time in the task's
+ * IANA zone, so a 09:00 reminder stays at 09:00 on both sides of a DST change
+ * and To Do shows the due date the caller meant.
+ *
+ * - timeZone defaults to DEFAULT_TIME_ZONE (then TIMEZONE, then America/Chicago)
+ * - dueDate alone is due at midnight in the zone, the way To Do stores a due
+ *   date without a time; tasks are read back in the caller's zone
+ *   (Prefer: outlook.timezone) and a midnight due time reads as date-only
+ * - reminderDateTime turns the reminder on unless isReminderOn is false
+ */
+
+import { isValidTimeZone, resolveDateTime, formatInTimeZone, toZonedWallClock } from '../utils/timeZone.js';
+
+const FALLBACK_TIME_ZONE = 'America/Chicago';
+
+// Time of day To Do uses for a due date without a time
+export const DATE_ONLY_DUE_TIME = '00:00:00';
+
+/**
+ * @returns {string} IANA zone for requests that don't name one
+ */
+export function getDefaultTimeZone() {
+  for (const candidate of [process.env.DEFAULT_TIME_ZONE, process.env.TIMEZONE]) {
+    if (isValidTimeZone(candidate)) return candidate;
+  }
+  return FALLBACK_TIME_ZONE;
+}
+
+/**
+ * Cross-field checks the schema can't express.
+ * @param {Object} payload - validated against PromoteTaskRequest
+ * @returns {string[]} errors
+ */
+export function validateTaskTimes(payload) {
+  const errors = [];
+  if (payload.dueDate && payload.dueDateTime) {
+    errors.push('send either dueDate or dueDateTime, not both');
+  }
+  if (payload.isReminderOn === true && !payload.reminderDateTime) {
+    errors.push('isReminderOn requires reminderDateTime');
+  }
+  return errors;
+}
+
+/**
+ * Resolve the due/reminder fields of a validated payload into the task's zone.
+ * @param {Object} payload
+ * @returns {{timeZone: string, dueDate: string|null, dueDateTime: string|null,
+ *   reminderDateTime: string|null, isReminderOn: boolean}}
+ *   dueDateTime/reminderDateTime are YYYY-MM-DDTHH:mm:ss in timeZone
+ */
+export function resolveTaskTimes(payload) {
+  const timeZone = payload.timeZone || getDefaultTimeZone();
+  const dueDateTime = payload.dueDateTime ? toZonedWallClock(payload.dueDateTime, timeZone) : null;
+  const reminderDateTime = payload.reminderDateTime ? toZonedWallClock(payload.reminderDateTime, timeZone) : null;
+
+  return {
+    timeZone,
+    dueDate: dueDateTime ? dueDateTime.slice(0, 10) : payload.dueDate || null,
+    dueDateTime,
+    reminderDateTime,
+    isReminderOn: Boolean(reminderDateTime) && payload.isReminderOn !== false
+  };
+}
+
+/**
+ * Read a Graph dateTimeTimeZone as wall-clock time in another zone.
+ * Graph returns UTC unless asked otherwise; unknown (e.g. Windows) zone names
+ * are read as UTC.
+ * @param {{dateTime: string, timeZone: string}|null} value
+ * @param {string} timeZone - zone to express the result in
+ * @returns {string|null} YYYY-MM-DDTHH:mm:ss
+ */
+export function fromGraphDateTime(value, timeZone) {
+  if (!value?.dateTime) return null;
+  const sourceZone = isValidTimeZone(value.timeZone) ? value.timeZone : null;
+  const instant = resolveDateTime(value.dateTime, sourceZone);
+  return instant ? formatInTimeZone(instant, timeZone) : null;
+}
+
+/**
+ * Read a Graph due dateTimeTimeZone in the caller's zone. Midnight there means
+ * a date-only due date, which has no dueDateTime.
+ * @param {{dateTime: string, timeZone: string}|null} value - as returned with
+ *   Prefer: outlook.timezone set to timeZone (other zones are converted first)
+ * @param {string} timeZone
+ * @returns {{dueDate: string|null, dueDateTime: string|null}}
+ */
+export function readGraphDue(value, timeZone) {
+  const wallClock = fromGraphDateTime(value, timeZone);
+  if (!wallClock) return { dueDate: null, dueDateTime: null };
+  return {
+    dueDate: wallClock.slice(0, 10),
+    dueDateTime: wallClock.slice(11) === DATE_ONLY_DUE_TIME ? null : wallClock
+  };
+}
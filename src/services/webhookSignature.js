@@ -0,0 +1,135 @@
+/**
+ * HMAC signatures for inbound webhooks (replay-protected)
+ *
+ * The sender signs `<timestamp>.<raw body>` with HMAC-SHA256 and sends:
+ *
+ *   X-Webhook-Timestamp: 1760889600            (unix seconds)
+ *   X-Webhook-Signature: sha256=<hex digest>
+ *
+ * A request is rejected when the timestamp is outside the allowed clock skew,
+ * the signature doesn't match (compared in constant time), or the same
+ * signature was already accepted (nonce cache). Nonces only need to outlive
+ * the skew window: an older replay already fails the timestamp check. The
+ * cache is in memory, so it does not survive a restart. It holds at most
+ * MAX_NONCES live signatures; when full, new requests are turned away until
+ * one expires (evicting a live one would let its request be replayed).
+ *
+ * One verifier per route (or per secret); see requireWebhookSignature in
+ * server.js for the Express side.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+const SIGNATURE_PREFIX = 'sha256=';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MAX_NONCES = 10000;
+
+// reason → message returned with the 401
+export const SIGNATURE_FAILURES = {
+  missing_signature: 'Missing X-Webhook-Signature header',
+  missing_timestamp: 'Missing X-Webhook-Timestamp header',
+  invalid_timestamp: 'X-Webhook-Timestamp must be unix time in seconds',
+  timestamp_out_of_range: 'Signature timestamp is outside the allowed clock skew',
+  invalid_signature: 'Signature does not match the request body',
+  replayed: 'This signed request was already received',
+  nonce_cache_full: 'Too many signed requests in the replay window; retry shortly'
+};
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Compute the signature header value for a payload.
+ * @param {string} secret
+ * @param {number|string} timestamp - unix seconds
+ * @param {string|Buffer} rawBody
+ * @returns {string} "sha256=<hex>"
+ */
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+  return SIGNATURE_PREFIX + digest;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.secret] - defaults to WEBHOOK_SIGNING_SECRET; no secret disables verification
+ * @param {number} [options.toleranceSeconds] - allowed clock skew (WEBHOOK_SIGNATURE_TOLERANCE_SECONDS, default 300)
+ * @param {() => number} [options.now] - ms clock, for tests
+ */
+export function createWebhookVerifier(options = {}) {
+  const secret = options.secret ?? process.env.WEBHOOK_SIGNING_SECRET ?? null;
+  const toleranceMs = numberOr(options.toleranceSeconds ?? process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS, DEFAULT_TOLERANCE_SECONDS) * 1000;
+  const now = options.now || Date.now;
+
+  // signature → ms after which it can be forgotten (Map keeps insertion order)
+  const nonces = new Map();
+
+  // Entries are roughly in expiry order, so stop at the first live one; when
+  // the cache is full, sweep all of it before giving up
+  function pruneNonces(at) {
+    for (const [nonce, expiresAt] of nonces) {
+      if (expiresAt > at) {
+        if (nonces.size < MAX_NONCES) break;
+        continue;
+      }
+      nonces.delete(nonce);
+    }
+  }
+
+  function secondsUntilNextExpiry(at) {
+    let next = Infinity;
+    for (const expiresAt of nonces.values()) next = Math.min(next, expiresAt);
+    return Math.max(1, Math.ceil((next - at) / 1000));
+  }
+
+  /**
+   * @param {Object} request
+   * @param {Object} request.headers - lower-cased header names (as in Express)
+   * @param {string|Buffer} request.rawBody - the body exactly as received
+   * @returns {{ok: true}|{ok: false, reason: string, message: string, retryAfterSeconds?: number}}
+   *   retryAfterSeconds is set when the request is valid but the nonce cache is full
+   */
+  function verify({ headers = {}, rawBody }) {
+    const fail = reason => ({ ok: false, reason, message: SIGNATURE_FAILURES[reason] });
+
+    const signature = String(headers[SIGNATURE_HEADER] || '').trim().toLowerCase();
+    const timestamp = String(headers[TIMESTAMP_HEADER] || '').trim();
+    if (!signature) return fail('missing_signature');
+    if (!timestamp) return fail('missing_timestamp');
+    if (!/^\d{1,12}$/.test(timestamp)) return fail('invalid_timestamp');
+
+    const at = now();
+    const sentAt = Number(timestamp) * 1000;
+    if (Math.abs(at - sentAt) > toleranceMs) return fail('timestamp_out_of_range');
+
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return fail('invalid_signature');
+    }
+
+    pruneNonces(at);
+    if (nonces.has(signature)) return fail('replayed');
+    if (nonces.size >= MAX_NONCES) {
+      return { ...fail('nonce_cache_full'), retryAfterSeconds: secondsUntilNextExpiry(at) };
+    }
+    // Out of range once now > sentAt + tolerance, so forget it then
+    nonces.set(signature, sentAt + toleranceMs);
+
+    return { ok: true };
+  }
+
+  return {
+    enabled: Boolean(secret),
+    toleranceSeconds: toleranceMs / 1000,
+    verify
+  };
+}
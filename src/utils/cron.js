@@ -0,0 +1,200 @@
+/**
+ * Cron expressions (5 fields) evaluated in an IANA time zone.
+ *
+ *   minute hour day-of-month month day-of-week
+ *
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/15, 8-18/2), month and
+ * weekday names (JAN, MON; 0 and 7 are both Sunday) and the shortcuts @hourly,
+ * @daily, @weekly, @monthly, @yearly. As in classic cron, when both
+ * day-of-month and day-of-week are restricted a day matching either counts.
+ *
+ * Times are wall-clock times in the zone: a time skipped by a DST change
+ * (e.g. 02:30 on spring-forward day) doesn't run that day; a repeated one
+ * (fall-back) runs once, at the first occurrence.
+ */
+
+import { formatInTimeZone, zonedDateTimeToUtc } from './timeZone.js';
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// How far ahead nextCronTime looks before giving up (e.g. "0 0 30 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+  if (nameIndex !== -1) return nameIndex + field.nameOffset;
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`invalid ${field.name} value "${raw}"`);
+  }
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+function parseField(raw, field) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid ${field.name} step "${stepRaw}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`${field.name} range "${range}" is backwards`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepRaw === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression
+ * @returns {{expression: string, minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>,
+ *   months: Set<number>, daysOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}}
+ * @throws {Error} with a message naming the bad field
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const expanded = SHORTCUTS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron expression "${source}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * @param {string} expression
+ * @returns {string|null} error message, or null if valid
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function dayMatches(cron, year, month, day) {
+  if (!cron.months.has(month)) return false;
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domMatch = cron.daysOfMonth.has(day);
+  const dowMatch = cron.daysOfWeek.has(weekday);
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * First time strictly after `after` that matches the expression in `timeZone`.
+ * @param {Object|string} cron - from parseCron(), or an expression
+ * @param {Date} after
+ * @param {string} timeZone - IANA zone
+ * @returns {Date|null} null if nothing matches within five years
+ */
+export function nextCronTime(cron, after, timeZone) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = formatInTimeZone(after, timeZone);
+  const [y, m, d] = start.slice(0, 10).split('-').map(Number);
+  const hours = [...parsed.hours].sort((a, b) => a - b);
+  const minutes = [...parsed.minutes].sort((a, b) => a - b);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(y, m - 1, d + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!dayMatches(parsed, year, month, day)) continue;
+
+    const datePart = `${year}-${pad(month)}-${pad(day)}`;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const local = `${datePart}T${pad(hour)}:${pad(minute)}:00`;
+        const instant = zonedDateTimeToUtc(local, timeZone);
+        // Skip times that don't exist in the zone (DST gap) and anything not after `after`
+        if (instant <= after || formatInTimeZone(instant, timeZone) !== local) continue;
+        return instant;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Every match in (after, until], oldest first, capped at `limit`.
+ * @param {Object|string} cron
+ * @param {Date} after
+ * @param {Date} until
+ * @param {string} timeZone
+ * @param {number} [limit]
+ * @returns {Date[]}
+ */
+export function cronTimesBetween(cron, after, until, timeZone, limit = 1000) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const times = [];
+  let cursor = after;
+  while (times.length < limit) {
+    const next = nextCronTime(parsed, cursor, timeZone);
+    if (!next || next > until) break;
+    times.push(next);
+    cursor = next;
+  }
+  return times;
+}
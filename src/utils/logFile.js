@@ -0,0 +1,136 @@
+/**
+ * Rotating log file sink (LOG_FILE)
+ *
+ * Appends one line per entry. Rotation, when configured:
+ *
+ * - size:  LOG_FILE_MAX_BYTES - app.log → app.log.1 → app.log.2 ...
+ * - daily: LOG_FILE_ROTATE=daily - at the first write of a new (UTC) day,
+ *          app.log → app.log.2026-10-18
+ *
+ * LOG_FILE_MAX_FILES rotated files are kept (default 5); older ones are
+ * deleted. Renaming is safe while the previous stream is still flushing:
+ * it keeps writing into the renamed file.
+ */
+
+import { createWriteStream, mkdirSync, openSync, readdirSync, renameSync, statSync, unlinkSync } from 'fs';
+import path from 'path';
+
+const DEFAULT_MAX_FILES = 5;
+
+function utcDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function fileSize(filePath) {
+  try {
+    return statSync(filePath).size;
+  } catch {
+    return 0;
+  }
+}
+
+function fileDate(filePath) {
+  try {
+    return utcDate(statSync(filePath).mtimeMs);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath
+ * @param {number} [options.maxBytes] - rotate by size (0 or unset: never)
+ * @param {'daily'|null} [options.rotate] - rotate by date
+ * @param {number} [options.maxFiles] - rotated files to keep (default 5)
+ * @param {(error: Error) => void} [options.onError] - write/rotation failures (the logger can't log its own)
+ */
+export function createRotatingFileSink(options) {
+  const { filePath } = options;
+  const maxBytes = Number(options.maxBytes) > 0 ? Number(options.maxBytes) : 0;
+  const daily = options.rotate === 'daily';
+  const maxFiles = Number(options.maxFiles) > 0 ? Number(options.maxFiles) : DEFAULT_MAX_FILES;
+  const onError = options.onError || (() => {});
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let bytes = fileSize(filePath);
+  let day = fileDate(filePath) || utcDate(Date.now());
+  let stream = open();
+
+  function open() {
+    // Opened synchronously so a rename right after always moves the file this stream writes to
+    const fd = openSync(filePath, 'a', 0o600);
+    const next = createWriteStream(null, { fd });
+    next.on('error', onError);
+    return next;
+  }
+
+  function rotatedFiles() {
+    const base = path.basename(filePath);
+    return readdirSync(path.dirname(filePath))
+      .filter(name => name.startsWith(`${base}.`))
+      .map(name => path.join(path.dirname(filePath), name));
+  }
+
+  function rotateBySize() {
+    // app.log.4 → app.log.5 ... app.log → app.log.1; anything past maxFiles is dropped
+    for (let i = maxFiles; i >= 1; i -= 1) {
+      const from = i === 1 ? filePath : `${filePath}.${i - 1}`;
+      try {
+        renameSync(from, `${filePath}.${i}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  function rotateByDate() {
+    try {
+      renameSync(filePath, `${filePath}.${day}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const dated = rotatedFiles()
+      .filter(name => /\.\d{4}-\d{2}-\d{2}$/.test(name))
+      .sort();
+    for (const old of dated.slice(0, Math.max(0, dated.length - maxFiles))) {
+      unlinkSync(old);
+    }
+  }
+
+  function rotateIfNeeded(lineBytes, now) {
+    const today = utcDate(now);
+    const dateRollover = daily && today !== day;
+    const sizeRollover = maxBytes && bytes > 0 && bytes + lineBytes > maxBytes;
+    if (!dateRollover && !sizeRollover) return;
+
+    stream.end();
+    try {
+      if (dateRollover) rotateByDate();
+      else rotateBySize();
+    } catch (error) {
+      onError(error);
+    }
+    stream = open();
+    bytes = 0;
+    day = today;
+  }
+
+  /**
+   * @param {string} line - without the trailing newline
+   */
+  function write(line) {
+    const data = line + '\n';
+    const lineBytes = Buffer.byteLength(data);
+    rotateIfNeeded(lineBytes, Date.now());
+    stream.write(data);
+    bytes += lineBytes;
+  }
+
+  function close() {
+    stream.end();
+  }
+
+  return { filePath, write, close };
+}
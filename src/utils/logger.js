@@ -1,8 +1,29 @@
 /**
  * Structured Logger Utility
  * Provides consistent logging format across the application
+ *
+ * - LOG_FORMAT=text (default): emoji-prefixed lines for a terminal
+ * - LOG_FORMAT=json: one JSON object per line for a log shipper
+ *   {"timestamp","level","component","message","requestId"?,"data"?}
+ * - LOG_FILE: also append JSON lines to this file, rotated by size
+ *   (LOG_FILE_MAX_BYTES) or by day (LOG_FILE_ROTATE=daily), keeping
+ *   LOG_FILE_MAX_FILES old files (see src/utils/logFile.js)
+ *
+ * Every entry carries the current request's correlation ID (X-Request-Id,
+ * see src/utils/requestContext.js) when it runs inside one.
+ *
+ * Messages and data are redacted (tokens, API keys, Authorization headers)
+ * before they are written anywhere; see src/utils/redact.js.
  */
 
+import dotenv from 'dotenv';
+import { createRotatingFileSink } from './logFile.js';
+import { redact, redactString } from './redact.js';
+import { getRequestId } from './requestContext.js';
+
+// Imported before server.js loads .env, and LOG_* are read once here
+dotenv.config();
+
 const LOG_LEVELS = {
   error: 0,
   warn: 1,
@@ -11,71 +32,99 @@ const LOG_LEVELS = {
 };
 
 const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL || 'info'];
+const jsonFormat = process.env.LOG_FORMAT === 'json';
+
+const fileSink = process.env.LOG_FILE
+  ? createRotatingFileSink({
+    filePath: process.env.LOG_FILE,
+    maxBytes: process.env.LOG_FILE_MAX_BYTES,
+    rotate: process.env.LOG_FILE_ROTATE === 'daily' ? 'daily' : null,
+    maxFiles: process.env.LOG_FILE_MAX_FILES,
+    onError: (error) => console.error(`❌ [${formatTimestamp()}] [LOGGER] Log file write failed: ${error.message}`)
+  })
+  : null;
 
 function formatTimestamp() {
   return new Date().toISOString();
 }
 
-function formatMessage(level, component, message, data = null) {
+function formatMessage(level, component, message, data = null, requestId = null) {
   const base = {
     timestamp: formatTimestamp(),
-    level: level.toUpperCase(),
+    level,
     component,
-    message
+    message: redactString(String(message))
   };
-  
-  if (data) {
-    base.data = data;
+
+  const correlationId = requestId || getRequestId();
+  if (correlationId) {
+    base.requestId = correlationId;
+  }
+
+  if (data && (typeof data !== 'object' || Object.keys(data).length)) {
+    base.data = redact(data);
   }
-  
+
   return base;
 }
 
+function emit(prefix, entry) {
+  const write = entry.level === 'error' ? console.error : entry.level === 'warn' ? console.warn : console.log;
+
+  if (jsonFormat) {
+    write(JSON.stringify(entry));
+  } else {
+    const scope = entry.requestId ? `[${entry.requestId}] ` : '';
+    write(`${prefix} [${entry.timestamp}] [${entry.component}] ${scope}${entry.message}`, entry.data ? JSON.stringify(entry.data) : '');
+  }
+
+  fileSink?.write(JSON.stringify(entry));
+}
+
 export const logger = {
   error(component, message, data = null) {
     if (currentLevel >= LOG_LEVELS.error) {
-      const formatted = formatMessage('error', component, message, data);
-      console.error(`❌ [${formatted.timestamp}] [${component}] ${message}`, data ? JSON.stringify(data) : '');
+      emit('❌', formatMessage('error', component, message, data));
     }
   },
-  
+
   warn(component, message, data = null) {
     if (currentLevel >= LOG_LEVELS.warn) {
-      const formatted = formatMessage('warn', component, message, data);
-      console.warn(`⚠️  [${formatted.timestamp}] [${component}] ${message}`, data ? JSON.stringify(data) : '');
+      emit('⚠️ ', formatMessage('warn', component, message, data));
     }
   },
-  
+
   info(component, message, data = null) {
     if (currentLevel >= LOG_LEVELS.info) {
-      const formatted = formatMessage('info', component, message, data);
-      console.log(`ℹ️  [${formatted.timestamp}] [${component}] ${message}`, data ? JSON.stringify(data) : '');
+      emit('ℹ️ ', formatMessage('info', component, message, data));
     }
   },
-  
+
   debug(component, message, data = null) {
     if (currentLevel >= LOG_LEVELS.debug) {
-      const formatted = formatMessage('debug', component, message, data);
-      console.log(`🔍 [${formatted.timestamp}] [${component}] ${message}`, data ? JSON.stringify(data) : '');
+      emit('🔍', formatMessage('debug', component, message, data));
     }
   },
-  
+
   // Special method for request logging
   request(requestId, action, details = {}) {
-    const message = `[${requestId}] ${action}`;
-    console.log(`📥 [${formatTimestamp()}] [REQUEST] ${message}`, Object.keys(details).length ? JSON.stringify(details) : '');
+    emit('📥', formatMessage('info', 'REQUEST', action, details, requestId));
   },
-  
+
   // Special method for response logging
   response(requestId, status, details = {}) {
     const emoji = status === 'success' ? '✅' : status === 'error' ? '❌' : '📤';
-    const message = `[${requestId}] ${status.toUpperCase()}`;
-    console.log(`${emoji} [${formatTimestamp()}] [RESPONSE] ${message}`, Object.keys(details).length ? JSON.stringify(details) : '');
+    emit(emoji, formatMessage('info', 'RESPONSE', status.toUpperCase(), details, requestId));
   },
-  
+
   // Security logging
   security(action, details = {}) {
-    console.log(`🔒 [${formatTimestamp()}] [SECURITY] ${action}`, Object.keys(details).length ? JSON.stringify(details) : '');
+    emit('🔒', formatMessage('warn', 'SECURITY', action, details));
+  },
+
+  // Audit trail: who (API key client name) did what
+  audit(action, details = {}) {
+    emit('📝', formatMessage('info', 'AUDIT', action, details));
   }
 };
 
@@ -0,0 +1,179 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4)
+ *
+ * Counters, gauges and histograms with labels, kept in memory and rendered
+ * by GET /metrics. Gauges can be computed at scrape time with collect().
+ *
+ *   const requests = registry.counter('bridge_http_requests_total', 'HTTP requests', ['method', 'route', 'status']);
+ *   requests.inc({ method: 'GET', route: '/tasks', status: 200 });
+ */
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return '{' + entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createMetric(type, name, help, labelNames) {
+  // label values joined → { labels, value } (or histogram state)
+  const series = new Map();
+
+  function seriesFor(labels = {}) {
+    const picked = {};
+    for (const labelName of labelNames) {
+      picked[labelName] = labels[labelName] ?? '';
+    }
+    const id = labelNames.map(labelName => picked[labelName]).join('\u0000');
+    let entry = series.get(id);
+    if (!entry) {
+      entry = { labels: picked, value: 0 };
+      series.set(id, entry);
+    }
+    return entry;
+  }
+
+  return { type, name, help, labelNames, series, seriesFor };
+}
+
+/**
+ * @returns {{counter: Function, gauge: Function, histogram: Function, render: () => Promise<string>}}
+ */
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  function counter(name, help, labelNames = []) {
+    const metric = register(createMetric('counter', name, help, labelNames));
+    return {
+      inc(labels = {}, amount = 1) {
+        metric.seriesFor(labels).value += amount;
+      }
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {() => (number|Promise<number>|Array<{labels: Object, value: number}>|Promise<Array>)} [collect]
+   *   called on every scrape; a number sets the unlabelled value
+   */
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = register(createMetric('gauge', name, help, labelNames));
+    metric.collect = collect;
+    return {
+      set(labels = {}, value) {
+        metric.seriesFor(labels).value = value;
+      }
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets] - upper bounds in seconds
+   */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register(createMetric('histogram', name, help, labelNames));
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+
+    function observe(labels = {}, value) {
+      const entry = metric.seriesFor(labels);
+      if (!entry.counts) {
+        entry.counts = metric.buckets.map(() => 0);
+        entry.sum = 0;
+        entry.count = 0;
+      }
+      metric.buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    }
+
+    return {
+      observe,
+      /**
+       * @returns {(labels?: Object) => number} call when done; records and returns seconds elapsed
+       */
+      startTimer(startLabels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe({ ...startLabels, ...endLabels }, seconds);
+          return seconds;
+        };
+      }
+    };
+  }
+
+  async function collectGauge(metric) {
+    if (!metric.collect) return;
+    const collected = await metric.collect();
+    if (typeof collected === 'number') {
+      metric.seriesFor({}).value = collected;
+    } else if (Array.isArray(collected)) {
+      metric.series.clear();
+      for (const { labels, value } of collected) {
+        metric.seriesFor(labels).value = value;
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} every metric in Prometheus text format
+   */
+  async function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      try {
+        await collectGauge(metric);
+      } catch {
+        // A failing collector leaves the last value; the rest of the scrape still works
+      }
+
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const entry of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
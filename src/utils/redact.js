@@ -0,0 +1,65 @@
+/**
+ * Secret redaction for log output
+ *
+ * Applied by the logger to every message and data object, so a token that
+ * ends up in an error message or a logged payload never reaches the console
+ * or the log file.
+ *
+ * - Values under sensitive keys (token, secret, password, authorization,
+ *   apiKey, X-Assistant-Key, cookie, signature, clientState, ...) are replaced.
+ * - Inside any string: Bearer/Basic credentials, JWTs, our a365_ API keys,
+ *   OpenAI-style sk- keys and token=/key=/secret= query parameters.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEY = /(token|secret|password|passwd|authorization|api[-_]?key|assistant[-_]?key|cookie|signature|client[-_]?state|credential|private[-_]?key)/i;
+
+const SENSITIVE_PATTERNS = [
+  // Authorization header values
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  // JWTs (access/id tokens)
+  [/\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, REDACTED],
+  // X-Assistant-Key keys (src/services/apiKeyStore.js)
+  [/\ba365_[A-Za-z0-9_-]{8,}/g, `a365_${REDACTED}`],
+  // OpenAI-style keys
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, `sk-${REDACTED}`],
+  // Secrets in URLs (feed tokens, webhook keys)
+  [/([?&](?:token|access_token|key|api_key|secret|sig|code)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+const MAX_DEPTH = 8;
+
+/**
+ * @param {string} text
+ * @returns {string} text with credentials masked
+ */
+export function redactString(text) {
+  let result = text;
+  for (const [pattern, replacement] of SENSITIVE_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Deep-copy a value with secrets masked. Errors become { name, message }.
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (value instanceof Error) return { name: value.name, message: redactString(value.message) };
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return result;
+}
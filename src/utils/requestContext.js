@@ -0,0 +1,54 @@
+/**
+ * Request correlation IDs (X-Request-Id)
+ *
+ * Each HTTP request gets an ID - the caller's X-Request-Id when it is a
+ * sane token, otherwise a new UUID - held in AsyncLocalStorage for
+ * everything that request awaits. The logger, Graph client (client-request-id)
+ * and Apple relay read it from here, so it never has to be passed around.
+ *
+ * Background work (delta poller, relay retries) runs under its own ID with
+ * runWithRequestId().
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Keeps caller-supplied IDs safe to log and forward as a header
+const ACCEPTED_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @returns {string} a new ID (UUID, the format Graph expects in client-request-id)
+ */
+export function newRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * @param {string|undefined} value - incoming X-Request-Id header
+ * @returns {string|null} the value if usable as an ID, otherwise null
+ */
+export function acceptRequestId(value) {
+  return typeof value === 'string' && ACCEPTED_REQUEST_ID.test(value) ? value : null;
+}
+
+/**
+ * Run fn (and everything it awaits) with requestId as the current ID.
+ * @template T
+ * @param {string} requestId
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithRequestId(requestId, fn) {
+  return storage.run({ requestId }, fn);
+}
+
+/**
+ * @returns {string|null} the current request's ID, if any
+ */
+export function getRequestId() {
+  return storage.getStore()?.requestId ?? null;
+}
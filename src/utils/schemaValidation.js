@@ -0,0 +1,261 @@
+/**
+ * Minimal JSON-Schema subset validator.
+ *
+ * The API request schemas in src/schemas/apiSchemas.js are plain OpenAPI 3.1
+ * (JSON Schema) objects. This module enforces the subset of keywords we use so
+ * the published spec and the server-side checks cannot drift apart.
+ *
+ * Supported keywords: type (including ['string', 'null'] unions), required,
+ * properties, minProperties, enum, minLength (measured on the trimmed value),
+ * maxLength, pattern, format ('date', 'date-time', 'time-zone'), minimum, maximum, items, minItems, maxItems.
+ *
+ * Error messages keep the short "<field> must ..." style clients already rely on.
+ */
+
+import { isValidTimeZone, resolveDateTime } from './timeZone.js';
+
+const FORMATS = {
+  date: {
+    label: 'YYYY-MM-DD',
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    isValid: value => !isNaN(new Date(value).getTime())
+  },
+  // The offset is optional: without one the value is a wall-clock time in the
+  // request's timeZone
+  'date-time': {
+    label: 'YYYY-MM-DDTHH:mm:ss',
+    pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i,
+    isValid: value => resolveDateTime(value, null) !== null
+  },
+  'time-zone': {
+    label: 'IANA time zone',
+    pattern: /^[A-Za-z][A-Za-z0-9_+\-/]*$/,
+    isValid: isValidTimeZone
+  }
+};
+
+function typeLabel(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => typeLabel({ ...schema, type })).join(' or ');
+  }
+  const format = schema.format && FORMATS[schema.format];
+  if (schema.type === 'string' && format) return `a string in ${format.label} format`;
+  if (schema.type === 'integer') return 'an integer';
+  if (schema.type === 'array') return 'an array';
+  if (schema.type === 'object') return 'an object';
+  if (schema.type === 'null') return 'null';
+  return `a ${schema.type}`;
+}
+
+function matchesType(schema, value) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.some(type => matchesType({ type }, value));
+  }
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a single value against a property schema.
+ * @param {string} name - Field name used in error messages
+ * @param {Object} schema
+ * @param {*} value
+ * @param {boolean} [required]
+ * @returns {string[]} errors
+ */
+export function validateValue(name, schema, value, required = false) {
+  const errors = [];
+
+  if (!matchesType(schema, value) || (required && schema.type === 'string' && !value)) {
+    errors.push(required
+      ? `${name} is required and must be ${typeLabel(schema)}`
+      : `${name} must be ${typeLabel(schema)}`);
+    return errors;
+  }
+
+  // An allowed null (e.g. "clear this field") has nothing further to check
+  if (value === null) {
+    return errors;
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => matchesType({ type: t }, value)) : schema.type;
+  schema = { ...schema, type };
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1
+        ? `${name} cannot be empty`
+        : `${name} must be at least ${schema.minLength} characters`);
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be ${schema.maxLength} characters or less`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} has an invalid format`);
+    }
+
+    const format = schema.format && FORMATS[schema.format];
+    if (format) {
+      if (!format.pattern.test(value)) {
+        errors.push(`${name} must be in ${format.label} format`);
+      } else if (!format.isValid(value)) {
+        errors.push(`${name} is not a valid ${schema.format}`);
+      }
+    }
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const hasMin = schema.minimum !== undefined;
+    const hasMax = schema.maximum !== undefined;
+    if ((hasMin && value < schema.minimum) || (hasMax && value > schema.maximum)) {
+      if (hasMin && hasMax) {
+        errors.push(`${name} must be between ${schema.minimum} and ${schema.maximum}`);
+      } else if (hasMin) {
+        errors.push(`${name} must be at least ${schema.minimum}`);
+      } else {
+        errors.push(`${name} must be at most ${schema.maximum}`);
+      }
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'array' && schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(`${name} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    return errors;
+  }
+
+  if (schema.type === 'array' && schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${name} must have ${schema.maxItems} items or fewer`);
+    return errors;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(`${name}[${index}]`, schema.items, item, false));
+    });
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    errors.push(...validateObject(schema, value, `${name}.`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an object against an object schema.
+ * Unknown properties are ignored (clients may send extra metadata).
+ * @param {Object} schema - { type: 'object', required, properties }
+ * @param {Object} payload
+ * @param {string} [prefix] - Prefix for nested field names
+ * @returns {string[]} errors
+ */
+export function validateObject(schema, payload, prefix = '') {
+  const errors = [];
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const required = schema.required || [];
+
+  if (schema.minProperties) {
+    const provided = Object.keys(schema.properties || {}).filter(key => body[key] !== undefined);
+    if (provided.length < schema.minProperties) {
+      errors.push(`${prefix || 'request body '}must include at least one of: ${Object.keys(schema.properties).join(', ')}`);
+      return errors;
+    }
+  }
+
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    const value = body[key];
+    const isRequired = required.includes(key);
+
+    if (value === undefined) {
+      if (isRequired) {
+        errors.push(`${prefix}${key} is required and must be ${typeLabel(propSchema)}`);
+      }
+      continue;
+    }
+
+    errors.push(...validateValue(`${prefix}${key}`, propSchema, value, isRequired));
+  }
+
+  return errors;
+}
+
+function coerceQueryValue(schema, raw) {
+  // Arrays are comma-separated (style: form, explode: false); repeating the parameter also works
+  if (schema.type === 'array') {
+    return [raw].flat().flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  }
+  if (Array.isArray(raw)) raw = raw[raw.length - 1];
+  if (typeof raw !== 'string') return raw;
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case 'number': {
+      const n = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(n) ? n : raw;
+    }
+    case 'boolean':
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Validate and coerce request parameters (OpenAPI parameter objects).
+ * Query strings are coerced to the declared type (arrays from comma-separated
+ * values) and defaults are applied.
+ * @param {Array<Object>} parameters - OpenAPI parameter objects ({ name, in, required, schema })
+ * @param {Object} sources - { query, path }
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateParameters(parameters, sources = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const param of parameters) {
+    const source = sources[param.in] || {};
+    const raw = source[param.name];
+
+    if (raw === undefined || raw === '') {
+      if (param.required) {
+        errors.push(`${param.name} is required and must be ${typeLabel(param.schema)}`);
+      } else if (param.schema.default !== undefined) {
+        values[param.name] = param.schema.default;
+      }
+      continue;
+    }
+
+    const value = coerceQueryValue(param.schema, raw);
+    const paramErrors = validateValue(param.name, param.schema, value, Boolean(param.required));
+    if (paramErrors.length) {
+      errors.push(...paramErrors);
+    } else {
+      values[param.name] = value;
+    }
+  }
+
+  return { values, errors };
+}
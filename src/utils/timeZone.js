@@ -0,0 +1,190 @@
+/**
+ * Time zone helpers (IANA zones via Intl, no external dependencies).
+ *
+ * Graph and the Apple payload carry "wall clock" date-times
+ * (YYYY-MM-DDTHH:mm:ss) plus a separate IANA time zone. These helpers convert
+ * between that representation and absolute instants, DST included.
+ */
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} true if Intl recognizes the IANA zone name
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number}}
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC offset of a zone at an instant.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} minutes east of UTC (e.g. -300 for America/Chicago in summer)
+ */
+export function getUtcOffsetMinutes(date, timeZone) {
+  return Math.round(offsetMs(date, timeZone) / 60000);
+}
+
+/**
+ * Parse a local date-time string into numeric parts.
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDTHH:mm[:ss[.fff]]
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number}|null}
+ */
+export function parseLocalDateTime(value) {
+  const m = typeof value === 'string' ? LOCAL_DATE_TIME.exec(value) : null;
+  if (!m) return null;
+  return {
+    year: Number(m[1]),
+    month: Number(m[2]),
+    day: Number(m[3]),
+    hour: Number(m[4] || 0),
+    minute: Number(m[5] || 0),
+    second: Number(m[6] || 0)
+  };
+}
+
+/**
+ * Convert a wall-clock date-time in `timeZone` to an absolute Date.
+ *
+ * Nonexistent local times (spring-forward gap) resolve forward by the gap;
+ * ambiguous times (fall-back overlap) resolve to the earlier instant.
+ *
+ * @param {string} localDateTime - e.g. 2025-03-09T02:30:00
+ * @param {string} timeZone - IANA zone, e.g. America/Chicago
+ * @returns {Date|null}
+ */
+export function zonedDateTimeToUtc(localDateTime, timeZone) {
+  const p = parseLocalDateTime(localDateTime);
+  if (!p) return null;
+
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const firstGuess = wallAsUtc - offsetMs(new Date(wallAsUtc), timeZone);
+  const candidates = [...new Set([
+    wallAsUtc - offsetMs(new Date(firstGuess), timeZone),
+    wallAsUtc - offsetMs(new Date(firstGuess - 3600000), timeZone),
+    wallAsUtc - offsetMs(new Date(firstGuess + 3600000), timeZone)
+  ])].sort((a, b) => a - b);
+
+  // Keep the candidates that really show this wall-clock time in the zone.
+  const matches = candidates.filter(t => {
+    const z = getZonedParts(new Date(t), timeZone);
+    return Date.UTC(z.year, z.month - 1, z.day, z.hour, z.minute, z.second) === wallAsUtc;
+  });
+
+  // Overlap: earliest match. Gap: none match, so move forward past it.
+  const result = matches.length ? matches[0] : candidates[candidates.length - 1];
+
+  return new Date(result);
+}
+
+/**
+ * Resolve a date-time string to an absolute Date.
+ * Strings with Z/offset are parsed as-is; local strings use `timeZone`
+ * (or are treated as UTC when no zone is known).
+ * @param {string} value
+ * @param {string|null} timeZone
+ * @returns {Date|null}
+ */
+export function resolveDateTime(value, timeZone) {
+  if (typeof value !== 'string' || !value) return null;
+  if (HAS_OFFSET.test(value)) {
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  if (timeZone && isValidTimeZone(timeZone)) {
+    return zonedDateTimeToUtc(value, timeZone);
+  }
+  const d = new Date(`${value}Z`);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Format an instant as a wall-clock string in `timeZone` (YYYY-MM-DDTHH:mm:ss).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatInTimeZone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Express a date-time as a wall-clock string in `timeZone`.
+ * Strings with Z/offset are converted; local strings are taken as wall-clock
+ * time in the zone (a time inside a spring-forward gap moves forward).
+ * @param {string} value
+ * @param {string} timeZone
+ * @returns {string|null} YYYY-MM-DDTHH:mm:ss
+ */
+export function toZonedWallClock(value, timeZone) {
+  const instant = resolveDateTime(value, timeZone);
+  return instant ? formatInTimeZone(instant, timeZone) : null;
+}
+
+/**
+ * Add minutes to a wall-clock date-time without involving any zone.
+ * @param {string} localDateTime
+ * @param {number} minutes
+ * @returns {string|null} YYYY-MM-DDTHH:mm:ss
+ */
+export function addMinutesToLocal(localDateTime, minutes) {
+  const p = parseLocalDateTime(localDateTime);
+  if (!p) return null;
+  const d = new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute + minutes, p.second));
+  return d.toISOString().slice(0, 19);
+}
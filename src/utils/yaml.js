@@ -0,0 +1,84 @@
+/**
+ * Tiny YAML serializer for JSON-compatible values.
+ *
+ * Only used to render the OpenAPI document at /openapi.yaml, so it covers
+ * plain objects, arrays, strings, numbers, booleans and null. Strings are
+ * emitted double-quoted (JSON escaping is valid YAML) unless they are
+ * obviously safe as plain scalars.
+ */
+
+const PLAIN_KEY = /^[A-Za-z_/$][A-Za-z0-9_./$-]*$/;
+const PLAIN_STRING = /^[A-Za-z][A-Za-z0-9 _./()-]*$/;
+const RESERVED = /^(true|false|yes|no|on|off|null|y|n|~)$/i;
+
+function formatKey(key) {
+  return PLAIN_KEY.test(key) && !RESERVED.test(key) ? key : JSON.stringify(key);
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') {
+    return PLAIN_STRING.test(value) && !RESERVED.test(value) && !value.endsWith(' ')
+      ? value
+      : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmptyCollection(value) {
+  return (Array.isArray(value) && value.length === 0) ||
+    (isPlainObject(value) && Object.keys(value).length === 0);
+}
+
+function renderCollection(value, indent) {
+  if (Array.isArray(value)) return value.length ? `\n${renderArray(value, indent)}` : ' []';
+  return Object.keys(value).length ? `\n${renderObject(value, indent)}` : ' {}';
+}
+
+function renderObject(obj, indent) {
+  const pad = '  '.repeat(indent);
+  return Object.entries(obj)
+    .filter(([, v]) => v !== undefined)
+    .map(([key, v]) => {
+      if (isPlainObject(v) || Array.isArray(v)) {
+        return `${pad}${formatKey(key)}:${renderCollection(v, indent + 1)}`;
+      }
+      return `${pad}${formatKey(key)}: ${formatScalar(v)}`;
+    })
+    .join('\n');
+}
+
+function renderArray(arr, indent) {
+  const pad = '  '.repeat(indent);
+  return arr
+    .map(item => {
+      if (isEmptyCollection(item)) {
+        return `${pad}-${renderCollection(item, indent + 1)}`;
+      }
+      if (isPlainObject(item)) {
+        // First key sits on the dash line; the rest align under it.
+        const nested = renderObject(item, indent + 1);
+        return `${pad}- ${nested.slice(pad.length + 2)}`;
+      }
+      if (Array.isArray(item)) {
+        return `${pad}-\n${renderArray(item, indent + 1)}`;
+      }
+      return `${pad}- ${formatScalar(item)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Serialize a JSON-compatible value to a YAML document.
+ * @param {*} value
+ * @returns {string}
+ */
+export function toYaml(value) {
+  if (isPlainObject(value)) return `${renderObject(value, 0)}\n`;
+  if (Array.isArray(value)) return `${renderArray(value, 0)}\n`;
+  return `${formatScalar(value)}\n`;
+}
@@ -0,0 +1,122 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApiKeyStore, hasScope, resolveExpiry } from '../src/services/apiKeyStore.js';
+
+const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'api-key-store-test-'));
+after(() => rmSync(tmpDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+
+function keysPath() {
+  return path.join(tmpDir, `keys-${++fileCount}.json`);
+}
+
+function store(options = {}) {
+  return createApiKeyStore({ filePath: keysPath(), legacySecret: '', ...options });
+}
+
+describe('hasScope', () => {
+  it('grants every scope to admin', () => {
+    assert.equal(hasScope({ scopes: ['tasks:read'] }, 'tasks:read'), true);
+    assert.equal(hasScope({ scopes: ['tasks:read'] }, 'tasks:write'), false);
+    assert.equal(hasScope({ scopes: ['admin'] }, 'metrics'), true);
+    assert.equal(hasScope(null, 'tasks:read'), false);
+  });
+});
+
+describe('resolveExpiry', () => {
+  it('takes expiresAt or expiresInDays, not both, and only in the future', () => {
+    assert.deepEqual(resolveExpiry({}), {});
+    assert.match(resolveExpiry({ expiresInDays: 30 }).expiresAt, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(resolveExpiry({ expiresAt: '2099-01-01T00:00:00Z' }), { expiresAt: '2099-01-01T00:00:00.000Z' });
+    assert.match(resolveExpiry({ expiresAt: '2000-01-01T00:00:00Z' }).error, /future/);
+    assert.match(resolveExpiry({ expiresAt: '2099-01-01', expiresInDays: 1 }).error, /cannot both/);
+  });
+});
+
+describe('API key store', () => {
+  it('creates a key that verifies with its scopes and is stored only as a hash', () => {
+    const keys = store();
+    assert.equal(keys.isConfigured(), false);
+
+    const { key, record } = keys.create({ name: 'shortcuts', scopes: ['tasks:read', 'tasks:read'] });
+    assert.match(key, /^a365_/);
+    assert.equal(record.status, 'active');
+    assert.deepEqual(record.scopes, ['tasks:read']);
+    assert.equal(keys.isConfigured(), true);
+    assert.ok(!readFileSync(keys.filePath, 'utf8').includes(key));
+
+    const result = keys.verify(key);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.client, { id: record.id, name: 'shortcuts', scopes: ['tasks:read'], source: 'file' });
+    assert.deepEqual(keys.verify('a365_wrong'), { ok: false, reason: 'invalid' });
+  });
+
+  it('rejects a second active key with the same name, in any case', () => {
+    const keys = store();
+    keys.create({ name: 'ChatGPT', scopes: ['tasks:read'] });
+    assert.throws(() => keys.create({ name: 'chatgpt', scopes: ['tasks:read'] }), { code: 'DUPLICATE_NAME' });
+    assert.throws(() => keys.create({ name: 'api-secret', scopes: ['admin'] }), { code: 'DUPLICATE_NAME' });
+  });
+
+  it('accepts API_SECRET as the legacy admin key and lists it last', () => {
+    const keys = store({ legacySecret: 'legacy-secret' });
+    keys.create({ name: 'metrics', scopes: ['metrics'] });
+
+    const result = keys.verify('legacy-secret');
+    assert.equal(result.ok, true);
+    assert.equal(result.client.name, 'api-secret');
+    assert.ok(result.client.scopes.includes('admin'));
+    assert.deepEqual(keys.list().map(k => k.source), ['file', 'env']);
+  });
+
+  it('rotates a key, keeping the old secret only for the grace period', () => {
+    const keys = store();
+    const { key: first, record } = keys.create({ name: 'power-automate', scopes: ['sync:webhook'] });
+
+    const graceful = keys.rotate(record.id, { graceMinutes: 60 });
+    assert.equal(keys.verify(first).ok, true);
+    assert.equal(keys.verify(graceful.key).ok, true);
+    assert.ok(graceful.record.previousValidUntil);
+
+    const immediate = keys.rotate(record.id);
+    assert.equal(keys.verify(first).ok, false);
+    assert.equal(keys.verify(graceful.key).ok, false);
+    assert.equal(keys.verify(immediate.key).ok, true);
+    assert.equal(keys.rotate('key_missing'), null);
+  });
+
+  it('revokes a key but keeps it listed', () => {
+    const keys = store();
+    const { key, record } = keys.create({ name: 'old-client', scopes: ['tasks:read'] });
+
+    assert.equal(keys.revoke(record.id).status, 'revoked');
+    assert.deepEqual(keys.verify(key), { ok: false, reason: 'revoked', name: 'old-client' });
+    assert.equal(keys.list()[0].status, 'revoked');
+    assert.equal(keys.rotate(record.id), null);
+    assert.equal(keys.revoke('key_missing'), null);
+    assert.equal(keys.isConfigured(), false);
+  });
+
+  it('reports an expired key as expired', () => {
+    const keys = store();
+    const { key } = keys.create({ name: 'temp', scopes: ['tasks:read'], expiresAt: '2000-01-01T00:00:00.000Z' });
+    assert.deepEqual(keys.verify(key), { ok: false, reason: 'expired', name: 'temp' });
+  });
+
+  it('starts every write from the file, so it keeps keys added by another process', () => {
+    const filePath = keysPath();
+    const server = createApiKeyStore({ filePath, legacySecret: '' });
+    const cli = createApiKeyStore({ filePath, legacySecret: '' });
+
+    const { record } = server.create({ name: 'server-key', scopes: ['tasks:read'] });
+    cli.create({ name: 'cli-key', scopes: ['metrics'] });
+    server.revoke(record.id);
+
+    const onDisk = JSON.parse(readFileSync(filePath, 'utf8')).keys;
+    assert.deepEqual(onDisk.map(k => [k.name, Boolean(k.revokedAt)]), [['server-key', true], ['cli-key', false]]);
+  });
+});
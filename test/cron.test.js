@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cronTimesBetween, nextCronTime, parseCron, validateCron } from '../src/utils/cron.js';
+
+const CHICAGO = 'America/Chicago';
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const cron = parseCron('*/15 8-18/2 1,15 * *');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [8, 10, 12, 14, 16, 18]);
+    assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+    assert.equal(cron.months.size, 12);
+    assert.equal(cron.anyDayOfMonth, false);
+    assert.equal(cron.anyDayOfWeek, true);
+  });
+
+  it('accepts month and weekday names, and 7 as Sunday', () => {
+    const cron = parseCron('0 9 * JAN,dec SUN,7,MON-WED');
+    assert.deepEqual([...cron.months].sort((a, b) => a - b), [1, 12]);
+    assert.deepEqual([...cron.daysOfWeek].sort((a, b) => a - b), [0, 1, 2, 3]);
+  });
+
+  it('expands the @ shortcuts', () => {
+    const cron = parseCron('@daily');
+    assert.equal(cron.expression, '@daily');
+    assert.deepEqual([...cron.minutes], [0]);
+    assert.deepEqual([...cron.hours], [0]);
+    assert.deepEqual([...parseCron('@weekly').daysOfWeek], [0]);
+  });
+
+  it('rejects malformed expressions with a message naming the problem', () => {
+    assert.match(validateCron('* * * *'), /must have 5 fields/);
+    assert.match(validateCron('60 * * * *'), /minute/);
+    assert.match(validateCron('0 18-8 * * *'), /backwards/);
+    assert.match(validateCron('*/0 * * * *'), /step/);
+    assert.match(validateCron('0 9 * * FUNDAY'), /day-of-week|FUNDAY/);
+    assert.equal(validateCron('30 7 * * MON-FRI'), null);
+  });
+});
+
+describe('nextCronTime', () => {
+  it('finds the next match in the zone, strictly after the given time', () => {
+    const after = new Date('2026-10-19T12:00:00Z'); // 07:00 CDT, a Monday
+    assert.equal(nextCronTime('0 7 * * *', after, CHICAGO).toISOString(), '2026-10-20T12:00:00.000Z');
+    assert.equal(nextCronTime('30 7 * * *', after, CHICAGO).toISOString(), '2026-10-19T12:30:00.000Z');
+    assert.equal(nextCronTime('0 7 * * *', after, 'Europe/London').toISOString(), '2026-10-20T06:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 1st of the month or any Friday
+    const cron = parseCron('0 12 1 * FRI');
+    const times = cronTimesBetween(cron, new Date('2026-10-19T00:00:00Z'), new Date('2026-11-08T00:00:00Z'), 'UTC');
+    assert.deepEqual(times.map(t => t.toISOString().slice(0, 10)), ['2026-10-23', '2026-10-30', '2026-11-01', '2026-11-06']);
+  });
+
+  it('skips a time that does not exist on spring-forward day', () => {
+    const after = new Date('2026-03-07T00:00:00Z');
+    const times = cronTimesBetween('30 2 * * *', after, new Date('2026-03-10T00:00:00Z'), CHICAGO);
+    assert.deepEqual(times.map(t => t.toISOString()), ['2026-03-07T08:30:00.000Z', '2026-03-09T07:30:00.000Z']);
+  });
+
+  it('runs a repeated fall-back time once, at the first occurrence', () => {
+    const times = cronTimesBetween('30 1 * * *', new Date('2026-11-01T00:00:00Z'), new Date('2026-11-02T00:00:00Z'), CHICAGO);
+    assert.deepEqual(times.map(t => t.toISOString()), ['2026-11-01T06:30:00.000Z']);
+  });
+
+  it('returns null when nothing can match', () => {
+    assert.equal(nextCronTime('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'), 'UTC'), null);
+  });
+});
+
+describe('cronTimesBetween', () => {
+  it('lists matches oldest first and honours the limit', () => {
+    const after = new Date('2026-10-19T00:00:00Z');
+    const until = new Date('2026-10-19T02:00:00Z');
+    const times = cronTimesBetween('*/30 * * * *', after, until, 'UTC');
+    assert.deepEqual(times.map(t => t.toISOString().slice(11, 16)), ['00:30', '01:00', '01:30', '02:00']);
+    assert.equal(cronTimesBetween('* * * * *', after, until, 'UTC', 5).length, 5);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker, createGraphRequester, parseRetryAfter } from '../src/services/graphRequest.js';
+
+const URL = 'https://graph.test/v1.0/me/todo/lists';
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(status === 204 ? null : JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+// fetch stand-in that answers from a script and records each call
+function scriptedFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses[Math.min(calls.length, responses.length) - 1];
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next(init) : next.clone();
+  };
+  return { fetchImpl, calls };
+}
+
+function requester(fetchImpl, options = {}) {
+  return createGraphRequester({
+    endpoint: 'https://graph.test/v1.0',
+    fetchImpl,
+    retryBaseMs: 1,
+    maxRetries: 3,
+    maxRetryWaitSeconds: 10,
+    circuitThreshold: 100,
+    circuitCooldownSeconds: 30,
+    ...options
+  });
+}
+
+describe('parseRetryAfter', () => {
+  it('reads delta-seconds and HTTP dates', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    assert.equal(parseRetryAfter('7', now), 7);
+    assert.equal(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now), 30);
+    assert.equal(parseRetryAfter('Mon, 19 Oct 2026 11:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(null, now), null);
+  });
+});
+
+describe('graphRequest retries', () => {
+  it('returns the parsed body, and null for 204', async () => {
+    const { fetchImpl } = scriptedFetch([jsonResponse(200, { value: [1] }), jsonResponse(204)]);
+    const { request } = requester(fetchImpl);
+    assert.deepEqual(await request(URL), { value: [1] });
+    assert.equal(await request(URL, { method: 'DELETE' }), null);
+  });
+
+  it('retries idempotent calls on 503 until they succeed', async () => {
+    const { fetchImpl, calls } = scriptedFetch([
+      jsonResponse(503, { error: { code: 'serviceUnavailable' } }),
+      jsonResponse(503, { error: { code: 'serviceUnavailable' } }),
+      jsonResponse(200, { ok: true })
+    ]);
+    const { request } = requester(fetchImpl);
+    assert.deepEqual(await request(URL), { ok: true });
+    assert.equal(calls.length, 3);
+  });
+
+  it('gives up after maxRetries with the last error', async () => {
+    const { fetchImpl, calls } = scriptedFetch([jsonResponse(502, { error: { code: 'badGateway', message: 'down' } })]);
+    const { request } = requester(fetchImpl, { maxRetries: 2 });
+    await assert.rejects(request(URL), { name: 'GraphError', code: 'unavailable', httpStatus: 502, graphCode: 'badGateway' });
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry a POST on a server error, but does on 429', async () => {
+    const failing = scriptedFetch([jsonResponse(503, {})]);
+    await assert.rejects(requester(failing.fetchImpl).request(URL, { method: 'POST' }), { code: 'unavailable' });
+    assert.equal(failing.calls.length, 1);
+
+    const throttled = scriptedFetch([jsonResponse(429, {}, { 'retry-after': '0' }), jsonResponse(201, { id: 'T1' })]);
+    assert.deepEqual(await requester(throttled.fetchImpl).request(URL, { method: 'POST' }), { id: 'T1' });
+    assert.equal(throttled.calls.length, 2);
+  });
+
+  it('does not retry client errors', async () => {
+    const { fetchImpl, calls } = scriptedFetch([jsonResponse(404, { error: { code: 'ErrorItemNotFound', message: 'nope' } })]);
+    await assert.rejects(requester(fetchImpl).request(URL), {
+      code: 'not_found',
+      httpStatus: 404,
+      message: 'Graph API error: 404 ErrorItemNotFound: nope'
+    });
+    assert.equal(calls.length, 1);
+  });
+
+  it('retries network errors on idempotent calls', async () => {
+    const { fetchImpl, calls } = scriptedFetch([new TypeError('fetch failed'), jsonResponse(200, { ok: 1 })]);
+    assert.deepEqual(await requester(fetchImpl).request(URL), { ok: 1 });
+    assert.equal(calls.length, 2);
+  });
+
+  it('hands back a Retry-After longer than maxRetryWaitSeconds instead of waiting', async () => {
+    const { fetchImpl, calls } = scriptedFetch([jsonResponse(429, {}, { 'retry-after': '60' })]);
+    await assert.rejects(requester(fetchImpl, { maxRetryWaitSeconds: 5 }).request(URL), {
+      code: 'throttled',
+      retryAfterSeconds: 60
+    });
+    assert.equal(calls.length, 1);
+  });
+
+  it('backs off exponentially and stops when the backoff exceeds the wait cap', async () => {
+    const { fetchImpl, calls } = scriptedFetch([jsonResponse(503, {}), jsonResponse(503, {}), jsonResponse(200, {})]);
+    const started = Date.now();
+    await requester(fetchImpl, { retryBaseMs: 20 }).request(URL);
+    // Waits of 10-20ms then 20-40ms
+    assert.ok(Date.now() - started >= 30);
+    assert.equal(calls.length, 3);
+
+    const capped = scriptedFetch([jsonResponse(503, {})]);
+    await assert.rejects(requester(capped.fetchImpl, { retryBaseMs: 5000, maxRetryWaitSeconds: 1 }).request(URL), { code: 'unavailable' });
+    assert.equal(capped.calls.length, 1);
+  });
+
+  it('times out a hung call', async () => {
+    // AbortSignal.timeout() doesn't keep the process alive; this timer does
+    const hang = (init) => new Promise((resolve, reject) => {
+      const keepAlive = setTimeout(() => {}, 5000);
+      init.signal.addEventListener('abort', () => {
+        clearTimeout(keepAlive);
+        reject(init.signal.reason);
+      });
+    });
+    const { fetchImpl, calls } = scriptedFetch([hang]);
+    await assert.rejects(requester(fetchImpl, { maxRetries: 1 }).request(URL, { timeoutMs: 20 }), {
+      code: 'timeout',
+      message: 'Graph API timeout after 20ms'
+    });
+    assert.equal(calls.length, 2);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('opens after the threshold, fails fast, then lets one trial call through', () => {
+    let now = 0;
+    const circuit = createCircuitBreaker({ threshold: 3, cooldownMs: 10000, now: () => now });
+
+    assert.equal(circuit.recordFailure(), false);
+    assert.equal(circuit.recordFailure(), false);
+    assert.equal(circuit.recordFailure(), true);
+    assert.equal(circuit.state(), 'open');
+    assert.deepEqual(circuit.allow(), { allowed: false, retryAfterSeconds: 10 });
+
+    now = 10000;
+    assert.equal(circuit.state(), 'half_open');
+    assert.deepEqual(circuit.allow(), { allowed: true });
+    // Only one trial at a time
+    assert.equal(circuit.allow().allowed, false);
+
+    // A failed trial reopens it for another cooldown
+    assert.equal(circuit.recordFailure(), true);
+    assert.equal(circuit.state(), 'open');
+
+    now = 20000;
+    assert.equal(circuit.allow().allowed, true);
+    circuit.recordSuccess();
+    assert.equal(circuit.state(), 'closed');
+    assert.equal(circuit.failures, 0);
+  });
+
+  it('a success resets the failure count', () => {
+    const circuit = createCircuitBreaker({ threshold: 2, cooldownMs: 1000 });
+    circuit.recordFailure();
+    circuit.recordSuccess();
+    assert.equal(circuit.recordFailure(), false);
+    assert.equal(circuit.state(), 'closed');
+  });
+
+  it('makes graphRequest fail fast with circuit_open once Graph keeps failing', async () => {
+    const { fetchImpl, calls } = scriptedFetch([jsonResponse(500, {})]);
+    const { request, circuit } = requester(fetchImpl, { maxRetries: 0, circuitThreshold: 2 });
+
+    await assert.rejects(request(URL), { code: 'graph_error', httpStatus: 500 });
+    await assert.rejects(request(URL), { code: 'graph_error', httpStatus: 500 });
+    assert.equal(circuit.state(), 'open');
+
+    await assert.rejects(request(URL), { code: 'circuit_open', retryAfterSeconds: 30 });
+    assert.equal(calls.length, 2);
+  });
+
+  it('does not count 4xx answers as outages', async () => {
+    const { fetchImpl } = scriptedFetch([jsonResponse(404, {})]);
+    const { request, circuit } = requester(fetchImpl, { maxRetries: 0, circuitThreshold: 1 });
+    await assert.rejects(request(URL), { code: 'not_found' });
+    assert.equal(circuit.state(), 'closed');
+  });
+});
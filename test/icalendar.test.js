@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCalendar,
+  buildEventTimes,
+  buildVEventLines,
+  buildVTimezoneLines,
+  foldLine
+} from '../src/services/icalendar.js';
+import { buildAppleEventPayload, normalizePersonalTodoTask } from '../src/services/personalTaskSync.js';
+
+const CHICAGO = 'America/Chicago';
+const DTSTAMP = new Date('2026-10-19T12:00:00Z');
+
+function event(overrides = {}) {
+  return {
+    action: 'upsert',
+    title: 'Water the plants',
+    startDateTime: '2026-10-20T17:00:00',
+    durationMinutes: 30,
+    timeZone: CHICAGO,
+    rrule: null,
+    microsoftTaskId: 'AAMk-task-1',
+    ...overrides
+  };
+}
+
+describe('buildEventTimes', () => {
+  it('converts a zoned one-off time to UTC', () => {
+    assert.deepEqual(buildEventTimes(event()), { start: '20261020T220000Z', end: '20261020T223000Z' });
+  });
+
+  it('keeps a recurring event in wall-clock time with its TZID', () => {
+    assert.deepEqual(buildEventTimes(event({ rrule: 'FREQ=WEEKLY;BYDAY=TU' })), {
+      start: '20261020T170000',
+      end: '20261020T173000',
+      tzid: CHICAGO
+    });
+  });
+
+  it('leaves a time without any zone floating', () => {
+    assert.deepEqual(buildEventTimes(event({ timeZone: null })), { start: '20261020T170000', end: '20261020T173000' });
+    assert.equal(buildEventTimes(event({ startDateTime: null })), null);
+  });
+});
+
+describe('buildVTimezoneLines', () => {
+  it('describes a DST zone with yearly rules', () => {
+    assert.deepEqual(buildVTimezoneLines(CHICAGO, 2026), [
+      'BEGIN:VTIMEZONE',
+      `TZID:${CHICAGO}`,
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20250309T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+      'TZOFFSETFROM:-0600',
+      'TZOFFSETTO:-0500',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20251102T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0600',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+  });
+
+  it('uses last-week rules where the transition falls on the last weekday', () => {
+    const lines = buildVTimezoneLines('Europe/London', 2026);
+    assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+    assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+  });
+
+  it('gives a zone without DST a single observance', () => {
+    const lines = buildVTimezoneLines('Asia/Tokyo', 2026);
+    assert.deepEqual(lines.filter(line => line.startsWith('TZOFFSET')), ['TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900']);
+    assert.ok(!lines.some(line => line.startsWith('RRULE')));
+  });
+});
+
+describe('buildVEventLines', () => {
+  it('writes DTSTART;TZID and the RRULE for a recurring event', () => {
+    const lines = buildVEventLines(event({ rrule: 'FREQ=WEEKLY;BYDAY=TU' }), { sequence: 2, dtstamp: DTSTAMP });
+    assert.ok(lines.includes(`DTSTART;TZID=${CHICAGO}:20261020T170000`));
+    assert.ok(lines.includes(`DTEND;TZID=${CHICAGO}:20261020T173000`));
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=TU'));
+    assert.ok(lines.includes('SEQUENCE:2'));
+    assert.ok(lines.includes('DTSTAMP:20261019T120000Z'));
+  });
+
+  it('drops the RRULE once the task is completed', () => {
+    const lines = buildVEventLines(event({ action: 'complete', rrule: 'FREQ=DAILY' }), { markCompleted: true });
+    assert.ok(!lines.some(line => line.startsWith('RRULE')));
+    assert.ok(lines.includes('SUMMARY:✅ Water the plants'));
+  });
+
+  it('refuses an event without a start', () => {
+    assert.throws(() => buildVEventLines(event({ startDateTime: null })), /startDateTime/);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('adds one VTIMEZONE per TZID, from its earliest year, before the events', () => {
+    const recurring = buildVEventLines(event({ rrule: 'FREQ=DAILY' }), { dtstamp: DTSTAMP });
+    const earlier = buildVEventLines(
+      event({ microsoftTaskId: 'AAMk-task-2', startDateTime: '2025-06-01T09:00:00', rrule: 'FREQ=YEARLY' }),
+      { dtstamp: DTSTAMP }
+    );
+    const oneOff = buildVEventLines(event({ microsoftTaskId: 'AAMk-task-3' }), { dtstamp: DTSTAMP });
+    const ics = buildCalendar([recurring, earlier, oneOff], { calendarName: 'Personal', refreshMinutes: 15 });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines.filter(line => line === 'BEGIN:VTIMEZONE').length, 1);
+    assert.ok(lines.includes('DTSTART:20240310T020000'));
+    assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+    assert.ok(lines.includes('X-WR-CALNAME:Personal'));
+    assert.ok(lines.includes('REFRESH-INTERVAL;VALUE=DURATION:PT15M'));
+  });
+
+  it('leaves VTIMEZONE out when no event uses a TZID', () => {
+    const ics = buildCalendar([buildVEventLines(event(), { dtstamp: DTSTAMP })]);
+    assert.ok(!ics.includes('VTIMEZONE'));
+  });
+});
+
+describe('foldLine', () => {
+  it('folds at 75 octets without splitting a character', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    for (const line of folded.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ''), `SUMMARY:${'é'.repeat(60)}`);
+  });
+});
+
+describe('events from synced tasks', () => {
+  it('fall back to the default zone when the task zone is unknown', () => {
+    const saved = process.env.DEFAULT_TIME_ZONE;
+    process.env.DEFAULT_TIME_ZONE = 'Europe/London';
+    try {
+      const normalized = normalizePersonalTodoTask({
+        id: 'AAMk-task-4',
+        title: 'Bins out',
+        dueDateTime: { dateTime: '2026-10-20T19:00:00', timeZone: 'Central Standard Time' },
+        recurrence: { frequency: 'weekly', daysOfWeek: ['tuesday'] }
+      });
+      const payload = buildAppleEventPayload(normalized);
+      assert.equal(payload.timeZone, 'Europe/London');
+
+      const ics = buildCalendar([buildVEventLines(payload, { dtstamp: DTSTAMP })]);
+      assert.ok(ics.includes('DTSTART;TZID=Europe/London:20261020T190000'));
+      assert.ok(ics.includes('TZID:Europe/London'));
+    } finally {
+      if (saved === undefined) delete process.env.DEFAULT_TIME_ZONE;
+      else process.env.DEFAULT_TIME_ZONE = saved;
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { buildPromoteIdempotencyKey, createIdempotencyStore, hashRequest } from '../src/services/idempotencyStore.js';
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'idempotency-store-test-'));
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+let storeCount = 0;
+
+function store(options = {}) {
+  return createIdempotencyStore({ dbPath: path.join(tmpDir, `keys-${++storeCount}.sqlite`), ...options });
+}
+
+const request = hashRequest({ title: 'Call the dentist', category: 'Personal' });
+const otherRequest = hashRequest({ title: 'Call the vet', category: 'Personal' });
+
+describe('hashRequest', () => {
+  it('fingerprints equal requests alike and different ones apart', () => {
+    assert.equal(hashRequest({ title: 'a' }), hashRequest({ title: 'a' }));
+    assert.notEqual(hashRequest({ title: 'a' }), hashRequest({ title: 'b' }));
+  });
+});
+
+describe('buildPromoteIdempotencyKey', () => {
+  it('prefers the Idempotency-Key header, then externalId by source', () => {
+    assert.equal(
+      buildPromoteIdempotencyKey({ clientId: 'key_1', headerKey: 'retry-1', source: 'chatgpt', externalId: 'ext-1' }),
+      'key_1:key:retry-1'
+    );
+    assert.equal(
+      buildPromoteIdempotencyKey({ clientId: 'key_1', source: 'chatgpt', externalId: 'ext-1' }),
+      'key_1:externalId:chatgpt:ext-1'
+    );
+    assert.equal(buildPromoteIdempotencyKey({ clientId: 'key_1', source: 'chatgpt' }), null);
+  });
+
+  it('scopes the key by API key, so two clients never share one', () => {
+    const first = buildPromoteIdempotencyKey({ clientId: 'key_1', headerKey: 'same' });
+    const second = buildPromoteIdempotencyKey({ clientId: 'key_2', headerKey: 'same' });
+    assert.notEqual(first, second);
+    assert.equal(buildPromoteIdempotencyKey({ headerKey: 'same' }), 'anonymous:key:same');
+
+    const keys = store();
+    assert.equal(keys.begin(first, request).state, 'claimed');
+    assert.equal(keys.begin(second, otherRequest).state, 'claimed');
+  });
+});
+
+describe('idempotency store', () => {
+  it('replays the stored response for a completed key', () => {
+    const keys = store();
+    assert.deepEqual(keys.begin('k1', request), { state: 'claimed' });
+    assert.deepEqual(keys.begin('k1', request), { state: 'in_progress' });
+
+    keys.complete('k1', 200, { status: 'created', taskId: 'T1' });
+    assert.deepEqual(keys.begin('k1', request), { state: 'completed', statusCode: 200, body: { status: 'created', taskId: 'T1' } });
+    assert.equal(keys.size(), 1);
+  });
+
+  it('rejects a key reused for a different request', () => {
+    const keys = store();
+    keys.begin('k1', request);
+    assert.deepEqual(keys.begin('k1', otherRequest), { state: 'mismatch' });
+    keys.complete('k1', 200, {});
+    assert.deepEqual(keys.begin('k1', otherRequest), { state: 'mismatch' });
+  });
+
+  it('frees a released claim but never a completed one', () => {
+    const keys = store();
+    keys.begin('k1', request);
+    keys.release('k1');
+    assert.deepEqual(keys.begin('k1', otherRequest), { state: 'claimed' });
+
+    keys.complete('k1', 200, { ok: true });
+    keys.release('k1');
+    assert.equal(keys.begin('k1', otherRequest).state, 'completed');
+  });
+
+  it('lets a claim be taken over once its lease has run out', async () => {
+    const keys = store({ leaseMs: 1 });
+    keys.begin('k1', request);
+    await sleep(5);
+    assert.deepEqual(keys.begin('k1', otherRequest), { state: 'claimed' });
+  });
+});
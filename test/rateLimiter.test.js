@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, parseRateLimits } from '../src/services/rateLimiter.js';
+
+function limiter(options = {}) {
+  const clock = { now: 0 };
+  const rateLimiter = createRateLimiter({
+    enabled: true,
+    keyLimits: 'writes=3/60',
+    ipLimits: 'writes=5/60',
+    blockThreshold: 3,
+    blockWindowMinutes: 10,
+    blockMinutes: 15,
+    now: () => clock.now,
+    ...options
+  });
+  return { rateLimiter, clock };
+}
+
+describe('parseRateLimits', () => {
+  it('parses group=requests/seconds pairs', () => {
+    assert.deepEqual(parseRateLimits('reads=120/60, writes=30/60'), {
+      limits: { reads: { capacity: 120, windowSeconds: 60 }, writes: { capacity: 30, windowSeconds: 60 } },
+      errors: []
+    });
+  });
+
+  it('reports bad entries', () => {
+    const { limits, errors } = parseRateLimits('reads=0/60,uploads=5/60,writes=ten');
+    assert.deepEqual(limits, {});
+    assert.equal(errors.length, 3);
+  });
+
+  it('refuses to start with an invalid spec', () => {
+    assert.throws(() => createRateLimiter({ keyLimits: 'writes=fast' }), /Invalid rate limit configuration/);
+  });
+});
+
+describe('token buckets', () => {
+  it('allows a burst up to capacity, then reports when to retry', () => {
+    const { rateLimiter } = limiter();
+    const results = [1, 2, 3, 4].map(() => rateLimiter.consume('key', 'k1', 'writes'));
+
+    assert.deepEqual(results.map(r => r.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(r => r.remaining), [2, 1, 0, 0]);
+    assert.equal(results[3].limit, 3);
+    // One token every 20s; the bucket is full again after 60s
+    assert.equal(results[3].retryAfterSeconds, 20);
+    assert.equal(results[3].resetSeconds, 60);
+  });
+
+  it('refills over the window', () => {
+    const { rateLimiter, clock } = limiter();
+    for (let i = 0; i < 3; i++) rateLimiter.consume('key', 'k1', 'writes');
+
+    clock.now = 19000;
+    assert.equal(rateLimiter.consume('key', 'k1', 'writes').allowed, false);
+    clock.now = 40000;
+    assert.equal(rateLimiter.consume('key', 'k1', 'writes').allowed, true);
+  });
+
+  it('keeps separate buckets per scope and id', () => {
+    const { rateLimiter } = limiter();
+    for (let i = 0; i < 3; i++) rateLimiter.consume('key', 'k1', 'writes');
+
+    assert.equal(rateLimiter.consume('key', 'k1', 'writes').allowed, false);
+    assert.equal(rateLimiter.consume('key', 'k2', 'writes').allowed, true);
+    const ip = rateLimiter.consume('ip', '10.0.0.1', 'writes');
+    assert.equal(ip.allowed, true);
+    assert.equal(ip.limit, 5);
+  });
+
+  it('uses the defaults for groups that aren\'t configured', () => {
+    const { rateLimiter } = limiter();
+    assert.equal(rateLimiter.consume('key', 'k1', 'reads').limit, 120);
+  });
+});
+
+describe('auth failure blocks', () => {
+  it('blocks an IP once failures reach the threshold within the window', () => {
+    const { rateLimiter, clock } = limiter();
+
+    assert.deepEqual(rateLimiter.recordAuthFailure('10.0.0.9'), { blocked: false, failures: 1 });
+    clock.now = 60 * 1000;
+    assert.deepEqual(rateLimiter.recordAuthFailure('10.0.0.9'), { blocked: false, failures: 2 });
+    assert.deepEqual(rateLimiter.recordAuthFailure('10.0.0.9'), { blocked: true, failures: 3, blockSeconds: 900 });
+
+    assert.equal(rateLimiter.blockedFor('10.0.0.9'), 900);
+    assert.equal(rateLimiter.blockedFor('10.0.0.10'), 0);
+
+    clock.now += 900 * 1000;
+    assert.equal(rateLimiter.blockedFor('10.0.0.9'), 0);
+  });
+
+  it('forgets failures older than the window', () => {
+    const { rateLimiter, clock } = limiter();
+    rateLimiter.recordAuthFailure('10.0.0.9');
+    rateLimiter.recordAuthFailure('10.0.0.9');
+
+    clock.now = 10 * 60 * 1000;
+    assert.deepEqual(rateLimiter.recordAuthFailure('10.0.0.9'), { blocked: false, failures: 1 });
+  });
+});
@@ -0,0 +1,109 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { attemptDelivery, createRelayQueue } from '../src/services/relayQueue.js';
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'relay-queue-test-'));
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+let queueCount = 0;
+
+// Queue in its own file whose deliver() answers with `relay.next` and records payloads
+function queue(options = {}) {
+  const relay = { next: { sent: true, status: 'relayed' }, payloads: [], delivered: [] };
+  relay.queue = createRelayQueue({
+    queuePath: path.join(tmpDir, `queue-${++queueCount}.json`),
+    deliver: async (payload) => {
+      relay.payloads.push(payload);
+      if (relay.next instanceof Error) throw relay.next;
+      return relay.next;
+    },
+    onDelivered: async (job) => { relay.delivered.push(job.idempotencyKey); },
+    ...options
+  });
+  return relay;
+}
+
+const failed = { sent: false, status: 'relay_failed', httpStatus: 500, responseText: 'boom' };
+
+describe('attemptDelivery', () => {
+  it('turns a thrown error into a network_error result', async () => {
+    const result = await attemptDelivery(async () => { throw new Error('ECONNREFUSED'); }, {});
+    assert.deepEqual(result, { sent: false, status: 'network_error', error: 'ECONNREFUSED' });
+  });
+});
+
+describe('relay queue', () => {
+  it('holds a job that failed inline until its backoff has passed', async () => {
+    const relay = queue();
+    const job = await relay.queue.enqueue({ idempotencyKey: 'k1', payload: { microsoftTaskId: 'T1' }, firstResult: failed });
+
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, 'HTTP 500: boom');
+    assert.ok(job.nextAttemptAt > new Date().toISOString());
+    assert.deepEqual(await relay.queue.processDue(), { delivered: 0, failed: 0, deadLettered: 0 });
+    assert.equal((await relay.queue.findPending('k1')).id, job.id);
+  });
+
+  it('delivers due jobs and marks them delivered', async () => {
+    const relay = queue();
+    await relay.queue.enqueue({ idempotencyKey: 'k1', payload: { microsoftTaskId: 'T1' } });
+
+    assert.deepEqual(await relay.queue.processDue(), { delivered: 1, failed: 0, deadLettered: 0 });
+    assert.deepEqual(relay.delivered, ['k1']);
+    assert.deepEqual(await relay.queue.inspect(), { pending: [], deadLetter: [] });
+  });
+
+  it('reuses a pending job with the same key and drops older jobs for the same task', async () => {
+    const relay = queue();
+    const first = await relay.queue.enqueue({ idempotencyKey: 'k1', payload: { microsoftTaskId: 'T1', title: 'old' } });
+    const again = await relay.queue.enqueue({ idempotencyKey: 'k1', payload: { microsoftTaskId: 'T1', title: 'old' } });
+    assert.equal(again.id, first.id);
+
+    await relay.queue.enqueue({ idempotencyKey: 'k2', payload: { microsoftTaskId: 'T1', title: 'new' } });
+    await relay.queue.enqueue({ idempotencyKey: 'k3', payload: { microsoftTaskId: 'T2' } });
+    const { pending } = await relay.queue.inspect();
+    assert.deepEqual(pending.map(j => j.idempotencyKey), ['k2', 'k3']);
+
+    assert.equal(await relay.queue.supersede('T1'), 1);
+    assert.deepEqual((await relay.queue.inspect()).pending.map(j => j.idempotencyKey), ['k3']);
+  });
+
+  it('dead-letters a job after maxAttempts and replays it on request', async () => {
+    const deadLettered = [];
+    const relay = queue({ maxAttempts: 1, onDeadLetter: (job) => deadLettered.push(job.id) });
+    const job = await relay.queue.enqueue({ idempotencyKey: 'k1', payload: { microsoftTaskId: 'T1' } });
+
+    relay.next = new Error('getaddrinfo ENOTFOUND');
+    assert.deepEqual(await relay.queue.processDue(), { delivered: 0, failed: 0, deadLettered: 1 });
+    assert.deepEqual(deadLettered, [job.id]);
+    const { pending, deadLetter } = await relay.queue.inspect();
+    assert.equal(pending.length, 0);
+    assert.equal(deadLetter[0].lastError, 'getaddrinfo ENOTFOUND');
+
+    assert.deepEqual(await relay.queue.replay('missing'), { found: false });
+
+    relay.next = { sent: true, status: 'relayed' };
+    const replayed = await relay.queue.replay(job.id);
+    assert.equal(replayed.found, true);
+    assert.equal(replayed.result.sent, true);
+    assert.deepEqual(relay.delivered, ['k1']);
+    assert.deepEqual(await relay.queue.inspect(), { pending: [], deadLetter: [] });
+  });
+
+  it('puts a failed replay back under the retry rules', async () => {
+    const relay = queue({ maxAttempts: 1 });
+    const job = await relay.queue.enqueue({ idempotencyKey: 'k1', payload: { microsoftTaskId: 'T1' } });
+    relay.next = failed;
+    await relay.queue.processDue();
+
+    const replayed = await relay.queue.replay(job.id);
+    assert.equal(replayed.result.sent, false);
+    assert.equal(replayed.job.attempts, 1);
+    assert.equal((await relay.queue.inspect()).deadLetter.length, 1);
+    // The first attempt plus the replay
+    assert.equal(relay.payloads.length, 2);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildGraphFilter,
+  buildGraphTaskQuery,
+  decodeCursor,
+  encodeCursor,
+  matchesTaskFilters,
+  queryFingerprint
+} from '../src/services/taskListQuery.js';
+
+const QUERY = { category: 'work', includeCompleted: false, timeZone: 'America/Chicago', status: ['notStarted', 'inProgress'], sort: 'dueDateTime' };
+
+describe('cursor codec', () => {
+  it('round-trips a position for the same query', () => {
+    const fingerprint = queryFingerprint(QUERY);
+    const position = { query: '$top=100&$skiptoken=abc', skip: 7 };
+    const cursor = encodeCursor(position, fingerprint);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor, fingerprint), { position, error: null });
+  });
+
+  it('rejects a cursor made for different filters', () => {
+    const cursor = encodeCursor({ query: '$top=10', skip: 0 }, queryFingerprint(QUERY));
+    const other = queryFingerprint({ ...QUERY, category: 'personal' });
+    const { position, error } = decodeCursor(cursor, other);
+    assert.equal(position, null);
+    assert.match(error, /different query/);
+  });
+
+  it('rejects garbage, unsigned and forged cursors', () => {
+    const fingerprint = queryFingerprint(QUERY);
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const genuine = encodeCursor({ query: '$top=10', skip: 0 }, fingerprint);
+    const signature = genuine.split('.')[1];
+    // A well-formed payload for this query, asking Graph for something else
+    const forged = encode({ v: 1, f: fingerprint, q: '$top=999&$expand=attachments', s: 0 });
+
+    for (const cursor of [
+      'not-a-cursor',
+      forged,
+      `${forged}.${signature}`,
+      `${forged}.`,
+      `${genuine}.extra`,
+      genuine.slice(0, -1)
+    ]) {
+      assert.deepEqual(decodeCursor(cursor, fingerprint), { position: null, error: 'cursor is not valid' });
+    }
+  });
+
+  it('fingerprints ignore the order of list filters but not their values', () => {
+    const reordered = { ...QUERY, status: ['inProgress', 'notStarted'] };
+    assert.equal(queryFingerprint(reordered), queryFingerprint(QUERY));
+    assert.notEqual(queryFingerprint({ ...QUERY, status: ['notStarted'] }), queryFingerprint(QUERY));
+    assert.notEqual(queryFingerprint({ ...QUERY, order: 'desc' }), queryFingerprint(QUERY));
+  });
+});
+
+describe('Graph query', () => {
+  it('hides completed tasks unless asked', () => {
+    assert.equal(buildGraphFilter({}), "status ne 'completed'");
+    assert.equal(buildGraphFilter({ includeCompleted: true }), null);
+  });
+
+  it('widens the due-date range by a day each way and quotes values', () => {
+    const filter = buildGraphFilter({ importance: ['high'], dueAfter: '2026-10-19', dueBefore: '2026-10-25' });
+    assert.equal(filter, [
+      "(status ne 'completed')",
+      "(importance eq 'high')",
+      "(dueDateTime/dateTime ge '2026-10-19T00:00:00')",
+      "(dueDateTime/dateTime lt '2026-10-26T00:00:00')"
+    ].join(' and '));
+    assert.equal(buildGraphFilter({ status: ["it's"] }), "status eq 'it''s'");
+  });
+
+  it('builds the first page query with the default sort order', () => {
+    const query = new URLSearchParams(buildGraphTaskQuery({ sort: 'dueDateTime', expandSteps: true }, 25));
+    assert.equal(query.get('$top'), '25');
+    assert.equal(query.get('$orderby'), 'dueDateTime/dateTime asc');
+    assert.equal(query.get('$filter'), "status ne 'completed'");
+    assert.equal(query.get('$expand'), 'checklistItems');
+  });
+});
+
+describe('matchesTaskFilters', () => {
+  const task = { title: 'Renew passport', notes: 'Bring PHOTOS', dueDate: '2026-10-20' };
+
+  it('applies the exclusive due-date bounds', () => {
+    assert.equal(matchesTaskFilters(task, { dueAfter: '2026-10-19', dueBefore: '2026-10-21' }), true);
+    assert.equal(matchesTaskFilters(task, { dueAfter: '2026-10-20' }), false);
+    assert.equal(matchesTaskFilters(task, { dueBefore: '2026-10-20' }), false);
+    assert.equal(matchesTaskFilters({ ...task, dueDate: null }, { dueBefore: '2026-10-21' }), false);
+  });
+
+  it('checks hasDueDate and a case-insensitive contains over title and notes', () => {
+    assert.equal(matchesTaskFilters(task, { hasDueDate: true }), true);
+    assert.equal(matchesTaskFilters(task, { hasDueDate: false }), false);
+    assert.equal(matchesTaskFilters(task, { contains: 'photos' }), true);
+    assert.equal(matchesTaskFilters(task, { contains: 'PASSPORT' }), true);
+    assert.equal(matchesTaskFilters(task, { contains: 'visa' }), false);
+  });
+});
@@ -0,0 +1,86 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createTaskSyncStore } from '../src/services/taskSyncStore.js';
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-sync-store-test-'));
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+let storeCount = 0;
+
+// Store with its own database and (absent unless written) legacy JSON file
+function store(options = {}) {
+  const dir = path.join(tmpDir, `store-${++storeCount}`);
+  return createTaskSyncStore({
+    dbPath: path.join(dir, 'processed.sqlite'),
+    legacyStorePath: path.join(dir, 'processed.json'),
+    ...options
+  });
+}
+
+describe('task sync store', () => {
+  it('lets only one caller claim a key until it is released or delivered', async () => {
+    const sync = store();
+
+    assert.deepEqual(await sync.claim('k1'), { claimed: true, state: null });
+    assert.deepEqual(await sync.claim('k1'), { claimed: false, state: 'pending' });
+    assert.equal(await sync.has('k1'), false);
+
+    await sync.release('k1');
+    assert.deepEqual(await sync.claim('k1'), { claimed: true, state: null });
+
+    await sync.mark('k1', { microsoftTaskId: 'T1' });
+    assert.equal(await sync.has('k1'), true);
+    assert.deepEqual(await sync.claim('k1'), { claimed: false, state: 'delivered' });
+  });
+
+  it('never releases a delivered key', async () => {
+    const sync = store();
+    await sync.mark('k1');
+    await sync.release('k1');
+    assert.equal(await sync.has('k1'), true);
+    assert.equal(await sync.size(), 1);
+  });
+
+  it('lets a claim be taken over once its lease has run out', async () => {
+    const sync = store({ claimLeaseMs: 1 });
+    assert.equal((await sync.claim('k1')).claimed, true);
+    await sleep(5);
+    assert.equal((await sync.claim('k1')).claimed, true);
+    assert.equal(await sync.size(), 1);
+  });
+
+  it('imports unexpired keys from the legacy JSON store and moves the file aside', async () => {
+    const dir = path.join(tmpDir, 'legacy');
+    const legacyStorePath = path.join(dir, 'processed.json');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(legacyStorePath, JSON.stringify({
+      version: 1,
+      processed: {
+        fresh: { firstSeenAt: new Date().toISOString(), lastSeenAt: new Date().toISOString(), meta: { a: 1 } },
+        stale: { firstSeenAt: '2020-01-01T00:00:00Z', lastSeenAt: '2020-01-01T00:00:00Z' }
+      }
+    }));
+
+    const sync = createTaskSyncStore({ dbPath: path.join(dir, 'processed.sqlite'), legacyStorePath, ttlDays: 30 });
+    assert.equal(await sync.has('fresh'), true);
+    assert.equal(await sync.has('stale'), false);
+    assert.equal(await sync.size(), 1);
+    await assert.rejects(fs.access(legacyStorePath));
+    await fs.access(`${legacyStorePath}.migrated`);
+  });
+
+  it('moves an unreadable legacy file aside without importing anything', async () => {
+    const dir = path.join(tmpDir, 'legacy-broken');
+    const legacyStorePath = path.join(dir, 'processed.json');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(legacyStorePath, '{not json');
+
+    const sync = createTaskSyncStore({ dbPath: path.join(dir, 'processed.sqlite'), legacyStorePath });
+    assert.equal(await sync.size(), 0);
+    await fs.access(`${legacyStorePath}.migrated`);
+  });
+});
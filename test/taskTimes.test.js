@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DATE_ONLY_DUE_TIME, readGraphDue, resolveTaskTimes } from '../src/services/taskTimes.js';
+
+const CHICAGO = 'America/Chicago';
+
+describe('resolveTaskTimes', () => {
+  it('keeps a bare dueDate date-only', () => {
+    const times = resolveTaskTimes({ dueDate: '2026-10-20', timeZone: CHICAGO });
+    assert.equal(times.dueDate, '2026-10-20');
+    assert.equal(times.dueDateTime, null);
+    assert.equal(DATE_ONLY_DUE_TIME, '00:00:00');
+  });
+});
+
+describe('readGraphDue', () => {
+  it('reads midnight in the requested zone as date-only', () => {
+    assert.deepEqual(readGraphDue({ dateTime: '2026-10-20T00:00:00.0000000', timeZone: CHICAGO }, CHICAGO), {
+      dueDate: '2026-10-20',
+      dueDateTime: null
+    });
+    assert.deepEqual(readGraphDue({ dateTime: '2026-10-20T00:00:00', timeZone: 'Europe/London' }, 'Europe/London'), {
+      dueDate: '2026-10-20',
+      dueDateTime: null
+    });
+  });
+
+  it('keeps timed tasks timed, even at 17:00 or on the next UTC day', () => {
+    // 17:00 CDT, which the old guess took for a date-only due date
+    assert.deepEqual(readGraphDue({ dateTime: '2026-10-20T22:00:00', timeZone: 'UTC' }, CHICAGO), {
+      dueDate: '2026-10-20',
+      dueDateTime: '2026-10-20T17:00:00'
+    });
+    // 19:00 CDT is midnight UTC
+    assert.deepEqual(readGraphDue({ dateTime: '2026-10-21T00:00:00', timeZone: 'UTC' }, CHICAGO), {
+      dueDate: '2026-10-20',
+      dueDateTime: '2026-10-20T19:00:00'
+    });
+  });
+
+  it('converts a due date stored in another zone before deciding', () => {
+    // Midnight in London is 18:00 the day before in Chicago
+    assert.deepEqual(readGraphDue({ dateTime: '2026-10-20T00:00:00', timeZone: 'Europe/London' }, CHICAGO), {
+      dueDate: '2026-10-19',
+      dueDateTime: '2026-10-19T18:00:00'
+    });
+  });
+
+  it('returns nulls when there is no due date', () => {
+    assert.deepEqual(readGraphDue(null, CHICAGO), { dueDate: null, dueDateTime: null });
+    assert.deepEqual(readGraphDue({ dateTime: '', timeZone: 'UTC' }, CHICAGO), { dueDate: null, dueDateTime: null });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createWebhookVerifier,
+  signWebhookPayload,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+} from '../src/services/webhookSignature.js';
+
+const SECRET = 'webhook-test-secret';
+const T0 = 1792411200; // 2026-10-19T12:00:00Z, unix seconds
+
+// Verifier on a clock the test moves by hand
+function verifier(options = {}) {
+  const clock = { now: T0 * 1000 };
+  const webhook = createWebhookVerifier({ secret: SECRET, toleranceSeconds: 300, now: () => clock.now, ...options });
+  return { clock, verify: webhook.verify, webhook };
+}
+
+function signed(rawBody, timestamp = T0) {
+  return {
+    headers: {
+      [SIGNATURE_HEADER]: signWebhookPayload(SECRET, timestamp, rawBody),
+      [TIMESTAMP_HEADER]: String(timestamp)
+    },
+    rawBody
+  };
+}
+
+describe('webhook signatures', () => {
+  it('accepts a correctly signed request', () => {
+    const { verify, webhook } = verifier();
+    assert.equal(webhook.enabled, true);
+    assert.equal(webhook.toleranceSeconds, 300);
+    assert.deepEqual(verify(signed('{"id":"T1"}')), { ok: true });
+  });
+
+  it('names what is wrong with a request it rejects', () => {
+    const { verify } = verifier();
+    const request = signed('{"id":"T1"}');
+
+    assert.equal(verify({ headers: {}, rawBody: '{}' }).reason, 'missing_signature');
+    assert.equal(verify({ headers: { [SIGNATURE_HEADER]: 'sha256=00' }, rawBody: '{}' }).reason, 'missing_timestamp');
+    assert.equal(verify({ ...request, headers: { ...request.headers, [TIMESTAMP_HEADER]: 'yesterday' } }).reason, 'invalid_timestamp');
+    assert.equal(verify({ ...request, rawBody: '{"id":"T2"}' }).reason, 'invalid_signature');
+    assert.equal(verify(signed('{"id":"T1"}', T0 - 301)).reason, 'timestamp_out_of_range');
+    assert.equal(verify(signed('{"id":"T1"}', T0 + 301)).reason, 'timestamp_out_of_range');
+  });
+
+  it('is disabled without a secret', () => {
+    assert.equal(createWebhookVerifier({ secret: '' }).enabled, false);
+  });
+});
+
+describe('webhook nonces', () => {
+  it('rejects a signed request sent twice within the window', () => {
+    const { clock, verify } = verifier();
+    const request = signed('{"id":"T1"}');
+
+    assert.deepEqual(verify(request), { ok: true });
+    clock.now += 60 * 1000;
+    assert.equal(verify(request).reason, 'replayed');
+    // The same body signed at another time is a new request
+    assert.deepEqual(verify(signed('{"id":"T1"}', T0 + 60)), { ok: true });
+  });
+
+  it('leaves an older replay to the timestamp check once its nonce has expired', () => {
+    const { clock, verify } = verifier();
+    const request = signed('{"id":"T1"}');
+    verify(request);
+
+    clock.now += 301 * 1000;
+    assert.equal(verify(request).reason, 'timestamp_out_of_range');
+  });
+
+  it('turns requests away while the cache is full, until the oldest nonce expires', () => {
+    const { clock, verify } = verifier();
+    for (let i = 0; i < 5000; i++) {
+      assert.equal(verify(signed(`{"n":${i}}`)).ok, true);
+    }
+    clock.now += 100 * 1000;
+    for (let i = 5000; i < 10000; i++) {
+      assert.equal(verify(signed(`{"n":${i}}`, T0 + 100)).ok, true);
+    }
+
+    assert.deepEqual(verify(signed('{"n":"one more"}', T0 + 100)), {
+      ok: false,
+      reason: 'nonce_cache_full',
+      message: 'Too many signed requests in the replay window; retry shortly',
+      retryAfterSeconds: 200
+    });
+
+    clock.now = (T0 + 300) * 1000 + 1;
+    assert.deepEqual(verify(signed('{"n":"one more"}', T0 + 300)), { ok: true });
+    // The newer half is still remembered
+    assert.equal(verify(signed('{"n":9999}', T0 + 100)).reason, 'replayed');
+  });
+});